@@ -9,6 +9,10 @@ const { Parser } = require('json2csv'); //used to convert the data to csv
 const multer = require('multer'); //used to handle file uploads
 const csv = require('csv-parser'); //used to parse CSV files
 const fs = require('fs');
+const crypto = require('crypto'); //used to key the derived statistics cache
+const { PassThrough } = require('stream'); //used to stream the files of zip exports
+const ExcelJS = require('exceljs'); //used to write xlsx exports
+const archiver = require('archiver'); //used to write zip exports
 
 const app = express();
 const port = process.env.PORT || 8080;
@@ -188,9 +192,19 @@ app.get('/user-device-info/:username', authenticateToken, async (req, res) => {
 });
 
 // New endpoint for user sensor data using etag
+// Without query parameters the whole data entry is returned. With any of them the data points are replaced by rows
+// from the readings store (see sendSensorDataRange).
+// Optional query: start, end (ISO dates), fields (e.g. glucose1,cortisol or glucose), limit + cursor (paging),
+// maxPoints + downsample=lttb|minmax (server-side downsampling per channel; not combined with paging)
 app.get('/user-sensor-data/:etag', authenticateToken, async (req, res) => {
     try {
         const { etag } = req.params;
+
+        const isRangeQuery = SENSOR_DATA_QUERY_PARAMS.some(param => req.query[param] !== undefined);
+        const { options, error: queryError } = isRangeQuery ? parseSensorDataQuery(req.query) : {};
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
         
         const db = client.db('s3-mongodb-db');
         const collection = db.collection('s3-mongodb-data-entries');
@@ -210,6 +224,11 @@ app.get('/user-sensor-data/:etag', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
+        if (isRangeQuery) {
+            await ensureEntryReadings(etag);
+            return await sendSensorDataRange(res, dataEntry, etag, options);
+        }
+
         res.status(200).json(dataEntry);
     } catch (error) {
         console.error('Error fetching sensor data:', error);
@@ -285,10 +304,17 @@ app.get('/data-versions/:patientId', authenticateToken, async (req, res) => {
 });
 
 // New endpoint for specific version data
+// Same optional query as /user-sensor-data/:etag (start, end, fields, limit, cursor, maxPoints, downsample)
 app.get('/version-data/:versionId', authenticateToken, async (req, res) => {
     try {
         const { versionId } = req.params;
         console.log(`Received request for version data with ID: ${versionId}`);
+
+        const isRangeQuery = SENSOR_DATA_QUERY_PARAMS.some(param => req.query[param] !== undefined);
+        const { options, error: queryError } = isRangeQuery ? parseSensorDataQuery(req.query) : {};
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
         
         const db = client.db('s3-mongodb-db');
         const versionsCollection = db.collection('s3-mongodb-data-versions');
@@ -351,6 +377,11 @@ app.get('/version-data/:versionId', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
+        if (isRangeQuery) {
+            const dataset = await ensureVersionReadings(versionData);
+            return await sendSensorDataRange(res, versionData, dataset, options);
+        }
+
         console.log('Sending version data successfully');
         res.status(200).json(versionData);
     } catch (error) {
@@ -359,7 +390,340 @@ app.get('/version-data/:versionId', authenticateToken, async (req, res) => {
     }
 });
 
+// GET /user-readings/:username
+// Returns the user's current readings from the readings store, one row per timestamp with a column per
+// biomarker channel (e.g. glucose1, glucose2, cortisol1)
+// Optional query: start, end (ISO dates), biomarker
+app.get('/user-readings/:username', authenticateToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        const { biomarker, start, end } = req.query;
+        if (biomarker && !isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+        const timeRange = { start: start ? new Date(start) : null, end: end ? new Date(end) : null };
+        if ((timeRange.start && isNaN(timeRange.start.getTime())) || (timeRange.end && isNaN(timeRange.end.getTime()))) {
+            return res.status(400).json({ error: 'Invalid start or end date' });
+        }
+
+        const { dataset, error } = await loadUserDataset(username);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+
+        const rows = pivotReadings(await queryReadings(dataset, biomarker || null, timeRange));
+        res.json({ username, dataset, rows });
+
+    } catch (error) {
+        console.error('Error fetching user readings:', error);
+        res.status(500).json({ error: 'Failed to fetch readings' });
+    }
+});
+
+// GET /version-readings/:versionId
+// Returns a data version's readings from the readings store, one row per timestamp with a column per biomarker channel
+// Optional query: start, end (ISO dates), biomarker
+app.get('/version-readings/:versionId', authenticateToken, async (req, res) => {
+    try {
+        const { versionId } = req.params;
+
+        const { biomarker, start, end } = req.query;
+        if (biomarker && !isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+        const timeRange = { start: start ? new Date(start) : null, end: end ? new Date(end) : null };
+        if ((timeRange.start && isNaN(timeRange.start.getTime())) || (timeRange.end && isNaN(timeRange.end.getTime()))) {
+            return res.status(400).json({ error: 'Invalid start or end date' });
+        }
+
+        // Handle both ObjectId and string version ids
+        let query;
+        try {
+            query = { _id: new ObjectId(versionId) };
+        } catch (objectIdError) {
+            query = { _id: versionId };
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const versionData = await db.collection('s3-mongodb-data-versions').findOne(query);
+        if (!versionData) {
+            return res.status(404).json({ error: 'Version data not found' });
+        }
+
+        // Same authorization as /version-data: admins, or the owner of the version's file and their doctors
+        if (!req.user.admin) {
+            const fileRecord = await findVersionOwner(versionData.patient_id);
+            if (!fileRecord || (req.user.username !== fileRecord.username && !req.user.patients?.includes(fileRecord.username))) {
+                return res.status(403).json({ error: 'Not authorized to view this data' });
+            }
+        }
+
+        const dataset = await ensureVersionReadings(versionData);
+        const rows = pivotReadings(await queryReadings(dataset, biomarker || null, timeRange));
+        res.json({ versionId, patientId: versionData.patient_id, dataset, rows });
+
+    } catch (error) {
+        console.error('Error fetching version readings:', error);
+        res.status(500).json({ error: 'Failed to fetch version readings' });
+    }
+});
+
+// Data version diffs: readings are matched by biomarker, sensor and timestamp; a matched reading whose value
+// differs by more than VERSION_DIFF_VALUE_EPSILON counts as changed
+const VERSION_DIFF_VALUE_EPSILON = 1e-6;
+// Detailed changes listed per biomarker (the counts and segments always cover every change)
+const VERSION_DIFF_MAX_CHANGES = 500;
+// Points per version in the overlay series - about one per horizontal pixel
+const VERSION_DIFF_DEFAULT_MAX_POINTS = 1500;
+const VERSION_DIFF_VALUE_KEYS = ['before', 'after', 'value'];
+
+// Helper function to find a data version by id and check the requesting user may see it
+// (admins, or the owner of the version's file and their doctors). Returns { versionData, owner } or { error, status }.
+async function loadAuthorizedVersion(versionId, user) {
+    // Handle both ObjectId and string version ids
+    let query;
+    try {
+        query = { _id: new ObjectId(versionId) };
+    } catch (objectIdError) {
+        query = { _id: versionId };
+    }
+
+    const db = client.db('s3-mongodb-db');
+    const versionData = await db.collection('s3-mongodb-data-versions').findOne(query);
+    if (!versionData) {
+        return { error: `Version data not found: ${versionId}`, status: 404 };
+    }
+
+    const owner = await findVersionOwner(versionData.patient_id);
+    if (!user.admin && (!owner || (user.username !== owner.username && !user.patients?.includes(owner.username)))) {
+        return { error: 'Not authorized to view this data', status: 403 };
+    }
+    return { versionData, owner };
+}
+
+// Helper function to describe a data version in a diff response (readingCount: readings of the compared biomarkers)
+function describeVersion(versionData, readingCount) {
+    return {
+        versionId: String(versionData._id),
+        versionNumber: versionData.version_number ?? null,
+        versionedAt: versionData.versioned_at ?? null,
+        patientId: versionData.patient_id ?? null,
+        readingCount
+    };
+}
+
+// Helper function to flatten a device_info object into { 'path.to.field': value } (arrays and dates are leaves)
+function flattenDeviceInfo(deviceInfo, prefix = '') {
+    if (!deviceInfo || typeof deviceInfo !== 'object') return {};
+    return Object.entries(deviceInfo).reduce((fields, [key, value]) => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof ObjectId)) {
+            Object.assign(fields, flattenDeviceInfo(value, field));
+        } else {
+            fields[field] = value;
+        }
+        return fields;
+    }, {});
+}
+
+// Helper function to list the device_info fields that differ between two versions as { field, before, after }
+// (a field missing from one version is null there)
+function diffDeviceInfo(before, after) {
+    const beforeFields = flattenDeviceInfo(before);
+    const afterFields = flattenDeviceInfo(after);
+    const fields = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+    return fields
+        .filter(field => JSON.stringify(beforeFields[field] ?? null) !== JSON.stringify(afterFields[field] ?? null))
+        .map(field => ({ field, before: beforeFields[field] ?? null, after: afterFields[field] ?? null }));
+}
+
+// Helper function to diff one biomarker's readings of two versions. Returns the counts (overall and per sensor),
+// the changed segments (differing readings less than maxGapMinutes apart grouped into one { start, end } span)
+// and the first VERSION_DIFF_MAX_CHANGES changes as { type: added|removed|changed, sensor, timestamp, before, after }
+function diffBiomarkerReadings(beforeReadings, afterReadings, maxGapMinutes = DEFAULT_MAX_GAP_MINUTES) {
+    const readingKey = reading => `${reading.sensor}|${new Date(reading.timestamp).getTime()}`;
+    const beforeByKey = new Map(beforeReadings.map(reading => [readingKey(reading), reading]));
+    const afterKeys = new Set();
+    const differences = [];
+    let unchanged = 0;
+
+    afterReadings.forEach(reading => {
+        const key = readingKey(reading);
+        afterKeys.add(key);
+        const previous = beforeByKey.get(key);
+        if (!previous) {
+            differences.push({ type: 'added', sensor: reading.sensor, timestamp: new Date(reading.timestamp), before: null, after: reading.value });
+        } else if (Math.abs(previous.value - reading.value) > VERSION_DIFF_VALUE_EPSILON) {
+            differences.push({ type: 'changed', sensor: reading.sensor, timestamp: new Date(reading.timestamp), before: previous.value, after: reading.value });
+        } else {
+            unchanged++;
+        }
+    });
+    beforeReadings.forEach(reading => {
+        if (!afterKeys.has(readingKey(reading))) {
+            differences.push({ type: 'removed', sensor: reading.sensor, timestamp: new Date(reading.timestamp), before: reading.value, after: null });
+        }
+    });
+    differences.sort((a, b) => a.timestamp - b.timestamp || a.sensor - b.sensor);
+
+    const emptyCounts = () => ({ added: 0, removed: 0, changed: 0 });
+    const counts = { ...emptyCounts(), unchanged };
+    const sensors = {};
+    const segments = [];
+    differences.forEach(difference => {
+        counts[difference.type]++;
+        sensors[difference.sensor] = sensors[difference.sensor] || emptyCounts();
+        sensors[difference.sensor][difference.type]++;
+
+        const segment = segments[segments.length - 1];
+        if (segment && difference.timestamp - segment.end <= maxGapMinutes * 60000) {
+            segment.end = difference.timestamp;
+            segment[difference.type]++;
+        } else {
+            segments.push({ start: difference.timestamp, end: difference.timestamp, ...emptyCounts(), [difference.type]: 1 });
+        }
+    });
+
+    return {
+        counts,
+        sensors: Object.entries(sensors).map(([sensor, sensorCounts]) => ({ sensor: Number(sensor), ...sensorCounts })),
+        segments,
+        changes: differences.slice(0, VERSION_DIFF_MAX_CHANGES),
+        truncated: differences.length > VERSION_DIFF_MAX_CHANGES
+    };
+}
+
+// Helper function to calculate a version's statistics for one biomarker the way the AGP routes do
+// (sensor channels averaged, cleaned unless raw); returns null when the version has no such readings
+function calculateVersionStatistics(biomarkerType, readings, cleaningSettings, customRanges, options) {
+    if (readings.length === 0) return null;
+    const merged = mergeSensorReadings(readings)
+        .map(({ time, value }) => ({ timestamp: new Date(time), value, sensor: 'mean' }));
+    const { readings: cleanedData } = cleanBiomarkerReadings(merged, cleaningSettings, { raw: options.raw });
+    return calculateBiomarkerStatistics(biomarkerType, cleanedData, customRanges, options).statistics;
+}
+
+// Helper function to get a version's overlay series for one biomarker (sensor channels averaged, downsampled)
+function getVersionOverlaySeries(readings, maxPoints) {
+    return downsampleLTTB(mergeSensorReadings(readings), maxPoints)
+        .map(({ time, value }) => ({ timestamp: new Date(time), value }));
+}
+
+// GET /version-diff/:versionId/:otherVersionId
+// Compares two data versions of the same patient: versionId is the baseline ("before"), otherVersionId the
+// version it is compared with ("after"). Returns, per biomarker, the added, removed and changed readings
+// (counts per sensor, changed segments and up to VERSION_DIFF_MAX_CHANGES detailed changes), the statistics of
+// both versions with their deltas and an overlay series of each version; plus the changed device_info fields.
+// Optional query: biomarker (default: every biomarker either version has), maxPoints (per overlay series,
+// default 1500), raw=true (statistics without signal cleaning), units=conventional|si (default: the user's preference)
+app.get('/version-diff/:versionId/:otherVersionId', authenticateToken, async (req, res) => {
+    try {
+        const { versionId, otherVersionId } = req.params;
+
+        const { biomarker, maxPoints: maxPointsParam } = req.query;
+        if (biomarker && !isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+        const maxPoints = maxPointsParam !== undefined ? parseInt(maxPointsParam) : VERSION_DIFF_DEFAULT_MAX_POINTS;
+        if (isNaN(maxPoints) || maxPoints < 3) {
+            return res.status(400).json({ error: 'maxPoints must be a number of at least 3' });
+        }
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const before = await loadAuthorizedVersion(versionId, req.user);
+        if (before.error) {
+            return res.status(before.status).json({ error: before.error });
+        }
+        const after = await loadAuthorizedVersion(otherVersionId, req.user);
+        if (after.error) {
+            return res.status(after.status).json({ error: after.error });
+        }
+        if (before.versionData.patient_id !== after.versionData.patient_id) {
+            return res.status(400).json({ error: 'Both versions must belong to the same patient' });
+        }
+
+        const [beforeReadings, afterReadings] = await Promise.all([before.versionData, after.versionData].map(async versionData =>
+            queryReadings(await ensureVersionReadings(versionData), biomarker || null)));
+
+        // Statistics use the owner's ranges and timezone, as the AGP routes do
+        const owner = after.owner;
+        const statsOptions = {
+            maxGapMinutes: DEFAULT_MAX_GAP_MINUTES,
+            timeZone: owner ? getUserTimezone(owner) : undefined,
+            raw: req.query.raw === 'true'
+        };
+
+        const biomarkerTypes = biomarker
+            ? [biomarker]
+            : Object.keys(BIOMARKER_REGISTRY).filter(type =>
+                beforeReadings.some(reading => reading.biomarker === type) || afterReadings.some(reading => reading.biomarker === type));
+
+        const biomarkers = [];
+        for (const biomarkerType of biomarkerTypes) {
+            const beforeSeries = beforeReadings.filter(reading => reading.biomarker === biomarkerType);
+            const afterSeries = afterReadings.filter(reading => reading.biomarker === biomarkerType);
+            const cleaningSettings = await getCleaningSettings(biomarkerType);
+            const customRanges = owner ? await getUserCustomRanges(owner, biomarkerType) : null;
+            const beforeStatistics = calculateVersionStatistics(biomarkerType, beforeSeries, cleaningSettings, customRanges, statsOptions);
+            const afterStatistics = calculateVersionStatistics(biomarkerType, afterSeries, cleaningSettings, customRanges, statsOptions);
+
+            // Calculated in the conventional unit (GMI needs mg/dL), then converted for the response
+            const conversion = getUnitConversion(biomarkerType, unitSystem);
+            biomarkers.push({
+                biomarker: biomarkerType,
+                unit: conversion.unit,
+                ...convertValueFields(diffBiomarkerReadings(beforeSeries, afterSeries), VERSION_DIFF_VALUE_KEYS, conversion),
+                statistics: convertValueFields({
+                    before: beforeStatistics,
+                    after: afterStatistics,
+                    deltas: beforeStatistics && afterStatistics ? calculateStatisticsDeltas(afterStatistics, beforeStatistics) : null
+                }, STATISTICS_VALUE_KEYS, conversion),
+                overlay: convertValueFields({
+                    before: getVersionOverlaySeries(beforeSeries, maxPoints),
+                    after: getVersionOverlaySeries(afterSeries, maxPoints)
+                }, VERSION_DIFF_VALUE_KEYS, conversion)
+            });
+        }
+
+        res.json({
+            before: describeVersion(before.versionData, beforeReadings.length),
+            after: describeVersion(after.versionData, afterReadings.length),
+            unitSystem,
+            deviceInfo: diffDeviceInfo(before.versionData.data_snapshot?.device_info, after.versionData.data_snapshot?.device_info),
+            biomarkers
+        });
+
+    } catch (error) {
+        console.error('Error comparing data versions:', error);
+        res.status(500).json({ error: 'Failed to compare data versions' });
+    }
+});
+
+// File tracker columns of GET /filetracker/download-csv, labelled with their field paths
+const FILE_TRACKER_EXPORT_COLUMNS = ['username', '_id', 'device_info.userID', 'device_info.deviceID', 'device_info.gender', 'device_info.age', 'device_info.arm', 'device_info.sensorCombination', 'last_modified', 'processed_at']
+    .map(field => ({
+        label: field,
+        value: record => {
+            const value = field.split('.').reduce((object, key) => object?.[key], record);
+            if (value instanceof Date) return value.toISOString();
+            return value && typeof value === 'object' ? String(value) : value;
+        }
+    }));
+
 // CSV download endpoint
+// Optional query: format=csv|xlsx|ndjson|zip (default csv; see EXPORT_FORMATS), start, end (ISO dates, the readings
+// window of the zip bundle), units=conventional|si (mean glucose and readings; default: the user's preference)
 app.get('/filetracker/download-csv', authenticateToken, async (req, res) => {
     try {
         // Check if user is admin
@@ -367,23 +731,27 @@ app.get('/filetracker/download-csv', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Only administrators can download CSV data' });
         }
 
-        const allData = await getFileTrackerData();
-        
-        // Configure the CSV parser
-        const fields = ['username', '_id', 'device_info.userID', 'device_info.deviceID', 'device_info.gender', 'device_info.age', 'device_info.arm', 'device_info.sensorCombination', 'last_modified', 'processed_at'];
-        const json2csvParser = new Parser({ fields });
-        
-        // Convert to CSV
-        const csv = json2csvParser.parse(allData);
-        
-        // Set headers for file download
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename=filetracker-data.csv');
-        // Send the CSV file
-        res.status(200).send(csv);
+        const { format, timeRange, error: optionsError } = parseExportOptions(req.query);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const collection = client.db('s3-mongodb-db').collection('s3-mongodb-file_tracker');
+        await streamCohortExport(res, {
+            format,
+            timeRange,
+            unitSystem,
+            filename: 'filetracker-data',
+            columns: FILE_TRACKER_EXPORT_COLUMNS,
+            openCursor: () => collection.find({}).sort({ username: 1 })
+        });
     } catch (error) {
-        console.error('Error generating CSV:', error);
-        res.status(500).json({ error: 'Failed to generate CSV file' });
+        console.error('Error generating export:', error);
+        sendExportError(res, 'Failed to generate export file');
     }
 });
 
@@ -452,6 +820,9 @@ app.post('/upload-personal-info', authenticateToken, upload.single('csvFile'), a
                                 { upsert: true }
                             );
 
+                            // Conditions in the personal information select the user's ranges
+                            await invalidateDerivedStats({ username });
+
                             successCount++;
                             console.log(`Updated personal info for user: ${username}`);
                             
@@ -494,1660 +865,5690 @@ app.post('/upload-personal-info', authenticateToken, upload.single('csvFile'), a
     }
 });
 
-// Get personal information for a user
-app.get('/user-personal-info/:username', authenticateToken, async (req, res) => {
+// Reference CGM streams: readings exported from a commercial CGM worn alongside ours (Dexcom Clarity or LibreView CSV
+// exports), kept per import in the readings store as dataset "reference:<import id>" (glucose, sensor 1, mg/dL)
+// so they can be plotted against our sensors. The imports themselves are listed in REFERENCE_IMPORTS_COLLECTION.
+const REFERENCE_IMPORTS_COLLECTION = 's3-mongodb-reference-imports';
+// Lines searched for a known header (LibreView exports start with a report title line)
+const REFERENCE_HEADER_SEARCH_LINES = 20;
+const REFERENCE_CGM_FORMATS = {
+    dexcom: {
+        label: 'Dexcom Clarity',
+        isHeader: line => line.includes('Timestamp (YYYY-MM-DDThh:mm:ss)') && line.includes('Event Type'),
+        parseRows: parseDexcomClarityRows
+    },
+    libreview: {
+        label: 'LibreView',
+        isHeader: line => line.includes('Device Timestamp') && line.includes('Record Type'),
+        parseRows: parseLibreViewRows
+    }
+};
+
+// Helper function to parse a glucose value of a reference export into mg/dL (decimal commas allowed);
+// null for text such as "Low" or "High" (outside the sensor's range)
+function parseReferenceGlucose(text, unit) {
+    const value = parseFloat(String(text ?? '').trim().replace(',', '.'));
+    if (isNaN(value)) return null;
+    return unit === 'mmol/L' ? Math.round(value / BIOMARKER_REGISTRY.glucose.siFactor * 10) / 10 : value;
+}
+
+// Helper function to find the glucose column of a reference export (named "<prefix> mg/dL" or "<prefix> mmol/L",
+// Dexcom puts the unit in parentheses) and its unit
+function findReferenceGlucoseColumn(headers, prefix) {
+    const header = headers.find(name => name.startsWith(prefix) && /mg\/dL|mmol\/L/.test(name));
+    return header ? { header, unit: header.includes('mmol/L') ? 'mmol/L' : 'mg/dL' } : null;
+}
+
+// Helper function to parse the rows of a Dexcom Clarity export: EGV (estimated glucose value) rows only;
+// timestamps are the patient's local time (YYYY-MM-DDThh:mm:ss)
+function parseDexcomClarityRows(rows, headers, timeZone) {
+    const glucoseColumn = findReferenceGlucoseColumn(headers, 'Glucose Value');
+    if (!glucoseColumn) {
+        return { error: 'No Glucose Value column found in the Dexcom Clarity export' };
+    }
+
+    const readings = [];
+    let skipped = 0;
+    let device = null;
+    let serial = null;
+    rows.forEach(row => {
+        if (row['Event Type'] !== 'EGV') return;
+        device = device || row['Source Device ID'] || null;
+        serial = serial || row['Transmitter ID'] || null;
+        const match = String(row['Timestamp (YYYY-MM-DDThh:mm:ss)'] || '').match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?/);
+        const value = parseReferenceGlucose(row[glucoseColumn.header], glucoseColumn.unit);
+        if (!match || value === null) {
+            skipped++;
+            return;
+        }
+        const [, date, hours, minutes, seconds = '0'] = match;
+        readings.push({ timestamp: getZonedDate(date, timeZone, Number(hours), Number(minutes), Number(seconds)), value });
+    });
+    return { readings, skipped, unit: glucoseColumn.unit, device, serial };
+}
+
+// Helper function to parse the rows of a LibreView export: historic (record type 0) and scanned (1) glucose.
+// Device timestamps are the patient's local time with the date in the export's locale order: dateOrder 'mdy' or 'dmy',
+// detected from the dates when not given (a first part over 12 means dmy; mdy otherwise)
+function parseLibreViewRows(rows, headers, timeZone, dateOrder = null) {
+    const columns = {
+        0: findReferenceGlucoseColumn(headers, 'Historic Glucose'),
+        1: findReferenceGlucoseColumn(headers, 'Scan Glucose')
+    };
+    if (!columns[0] && !columns[1]) {
+        return { error: 'No Historic Glucose or Scan Glucose column found in the LibreView export' };
+    }
+
+    const timestampPattern = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4}) (\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AP]M)?/i;
+    const glucoseRows = rows
+        .filter(row => columns[row['Record Type']])
+        .map(row => ({ row, match: String(row['Device Timestamp'] || '').trim().match(timestampPattern) }));
+    const order = dateOrder || (glucoseRows.some(({ match }) => match && match[1].length <= 2 && Number(match[1]) > 12) ? 'dmy' : 'mdy');
+
+    const readings = [];
+    let skipped = 0;
+    let device = null;
+    let serial = null;
+    glucoseRows.forEach(({ row, match }) => {
+        device = device || row.Device || null;
+        serial = serial || row['Serial Number'] || null;
+        const column = columns[row['Record Type']];
+        const value = parseReferenceGlucose(row[column.header], column.unit);
+        if (!match || value === null) {
+            skipped++;
+            return;
+        }
+        const [, first, second, third, hourText, minutes, seconds = '0', meridiem] = match;
+        const [year, month, day] = first.length === 4
+            ? [first, second, third]
+            : order === 'dmy' ? [third, second, first] : [third, first, second];
+        let hours = Number(hourText) % (meridiem ? 12 : 24);
+        if (meridiem && meridiem.toUpperCase() === 'PM') hours += 12;
+        const date = `${year.padStart(4, '20')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        readings.push({ timestamp: getZonedDate(date, timeZone, hours, Number(minutes), Number(seconds)), value });
+    });
+    return { readings, skipped, unit: (columns[0] || columns[1]).unit, device, serial, dateOrder: order };
+}
+
+// Helper function to read the rows of an uploaded CSV file, starting at the header line headerIndex
+function readCsvRows(path, headerIndex) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        let headers = [];
+        fs.createReadStream(path)
+            .pipe(csv({ skipLines: headerIndex, mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
+            .on('headers', names => { headers = names; })
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve({ headers, rows }))
+            .on('error', reject);
+    });
+}
+
+// Helper function to recognise a reference CGM export and parse its readings (deduplicated and in time order).
+// Returns { source, readings, skipped, unit, device, serial } or { error }
+async function parseReferenceCgmFile(path, timeZone, dateOrder) {
+    const lines = fs.readFileSync(path, 'utf8').split(/\r?\n/, REFERENCE_HEADER_SEARCH_LINES);
+    for (const [source, format] of Object.entries(REFERENCE_CGM_FORMATS)) {
+        const headerIndex = lines.findIndex(format.isHeader);
+        if (headerIndex === -1) continue;
+
+        const { headers, rows } = await readCsvRows(path, headerIndex);
+        const parsed = format.parseRows(rows, headers, timeZone, dateOrder);
+        if (parsed.error) {
+            return parsed;
+        }
+        const byTime = new Map();
+        parsed.readings
+            .filter(reading => !isNaN(reading.timestamp.getTime()))
+            .forEach(reading => {
+                if (!byTime.has(reading.timestamp.getTime())) byTime.set(reading.timestamp.getTime(), reading);
+            });
+        const readings = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+        return { ...parsed, source, readings };
+    }
+    return { error: `Unrecognised file. Expected a CSV export from ${Object.values(REFERENCE_CGM_FORMATS).map(format => format.label).join(' or ')}` };
+}
+
+// Helper function to format a reference import for responses
+function formatReferenceImport(doc) {
+    return {
+        id: String(doc._id),
+        username: doc.username,
+        source: doc.source,
+        label: REFERENCE_CGM_FORMATS[doc.source]?.label || doc.source,
+        filename: doc.filename,
+        device: doc.device,
+        serial: doc.serial,
+        unit: doc.unit,
+        timezone: doc.timezone,
+        readingCount: doc.reading_count,
+        skippedCount: doc.skipped_count,
+        firstReading: doc.first_reading,
+        lastReading: doc.last_reading,
+        importedBy: doc.imported_by,
+        importedAt: doc.imported_at
+    };
+}
+
+// Creates the reference CGM imports indexes
+async function ensureReferenceImportIndexes() {
+    await client.db('s3-mongodb-db').collection(REFERENCE_IMPORTS_COLLECTION).createIndex({ username: 1, imported_at: -1 });
+}
+
+// Helper function to find a user's reference import by id (null when there is no such import)
+async function findReferenceImport(username, importId) {
+    if (!ObjectId.isValid(importId)) return null;
+    const db = client.db('s3-mongodb-db');
+    return await db.collection(REFERENCE_IMPORTS_COLLECTION).findOne({ _id: new ObjectId(importId), username });
+}
+
+// POST /user-reference-cgm/:username
+// Imports a Dexcom Clarity or LibreView CSV export (multipart field csvFile; the format is recognised from its header)
+// as a reference stream of the user. Timestamps are read in the user's timezone (server time when none is set)
+// and values converted to mg/dL.
+// Optional body: dateOrder=mdy|dmy (LibreView date order; detected when not given)
+app.post('/user-reference-cgm/:username', authenticateToken, upload.single('csvFile'), async (req, res) => {
     try {
         const { username } = req.params;
-        
-        // Check authorization
+
+        // Check authorization - same logic as other user-specific endpoints
         if (!req.user.admin && 
             req.user.username !== username && 
             !req.user.patients?.includes(username)) {
-            return res.status(403).json({ error: 'Not authorized to view this data' });
+            return res.status(403).json({ error: 'Not authorized to import data for this user' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'No CSV file uploaded' });
+        }
+
+        const { dateOrder } = req.body || {};
+        if (dateOrder && !['mdy', 'dmy'].includes(dateOrder)) {
+            return res.status(400).json({ error: 'dateOrder must be mdy or dmy' });
+        }
+
+        const userInfo = await findUser(username);
+        if (!userInfo) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const timeZone = getUserTimezone(userInfo);
+        const parsed = await parseReferenceCgmFile(req.file.path, timeZone, dateOrder || null);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        if (parsed.readings.length === 0) {
+            return res.status(400).json({ error: `No glucose readings found in the ${REFERENCE_CGM_FORMATS[parsed.source].label} export` });
         }
 
         const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-data-entries');
-        const userRecord = await collection.findOne(
-            { username: username },
-            { projection: { personal_information: 1, username: 1, updated_at: 1 } }
-        );
-        
-        if (!userRecord || !userRecord.personal_information) {
-            return res.status(404).json({ error: 'Personal information not found for this user' });
+        const importDoc = {
+            username,
+            source: parsed.source,
+            filename: req.file.originalname,
+            device: parsed.device,
+            serial: parsed.serial,
+            unit: parsed.unit,
+            timezone: timeZone,
+            reading_count: parsed.readings.length,
+            skipped_count: parsed.skipped,
+            first_reading: parsed.readings[0].timestamp,
+            last_reading: parsed.readings[parsed.readings.length - 1].timestamp,
+            imported_by: req.user.username,
+            imported_at: new Date()
+        };
+        const { insertedId } = await db.collection(REFERENCE_IMPORTS_COLLECTION).insertOne(importDoc);
+
+        const dataset = `reference:${insertedId}`;
+        const readings = parsed.readings.map(({ timestamp, value }) => ({ dataset, username, biomarker: 'glucose', sensor: 1, timestamp, value }));
+        const readingsCollection = db.collection(READINGS_COLLECTION);
+        for (let i = 0; i < readings.length; i += READINGS_INSERT_BATCH_SIZE) {
+            await readingsCollection.insertMany(readings.slice(i, i + READINGS_INSERT_BATCH_SIZE), { ordered: false });
         }
+        await db.collection(READINGS_DATASETS_COLLECTION).updateOne(
+            { dataset },
+            {
+                $set: {
+                    dataset,
+                    source: 'reference',
+                    source_id: String(insertedId),
+                    username,
+                    reading_count: readings.length,
+                    materialized_at: new Date()
+                }
+            },
+            { upsert: true }
+        );
+
+        console.log(`Imported ${readings.length} ${parsed.source} reference readings for ${username}`);
+        res.status(201).json({ ...formatReferenceImport({ _id: insertedId, ...importDoc }), dateOrder: parsed.dateOrder });
 
-        res.status(200).json({
-            username: userRecord.username,
-            personal_information: userRecord.personal_information,
-            updated_at: userRecord.updated_at
-        });
     } catch (error) {
-        console.error('Error fetching personal info:', error);
-        res.status(500).json({ error: 'Failed to fetch personal information' });
+        console.error('Error importing reference CGM data:', error);
+        res.status(500).json({ error: 'Failed to import reference CGM data' });
+    } finally {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
     }
 });
 
-// Debug endpoint to check user data structure
-app.get('/debug-user-data/:username', authenticateToken, async (req, res) => {
+// GET /user-reference-cgm/:username
+// Lists the user's reference CGM imports, newest first
+app.get('/user-reference-cgm/:username', authenticateToken, async (req, res) => {
     try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can access debug data' });
+        const { username } = req.params;
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
-        const { username } = req.params;
         const db = client.db('s3-mongodb-db');
-        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
-        const dataEntriesCollection = db.collection('s3-mongodb-data-entries');
+        const imports = await db.collection(REFERENCE_IMPORTS_COLLECTION)
+            .find({ username })
+            .sort({ imported_at: -1 })
+            .toArray();
+        res.json({ imports: imports.map(formatReferenceImport) });
+    } catch (error) {
+        console.error('Error listing reference CGM imports:', error);
+        res.status(500).json({ error: 'Failed to list reference CGM imports' });
+    }
+});
 
-        // Get user file info
-        const userFileInfo = await fileTrackerCollection.findOne({ username: username });
-        
-        let debugInfo = {
-            username: username,
-            fileTrackerExists: !!userFileInfo,
-            userFileInfo: userFileInfo ? {
-                hasEtag: !!userFileInfo.etag,
-                etag: userFileInfo.etag,
-                deviceInfo: userFileInfo.device_info
-            } : null,
-            sensorDataExists: false,
-            sampleDataEntry: null,
-            dataFieldsFound: []
-        };
+// GET /user-reference-cgm/:username/:importId
+// Returns a reference import with its readings as rows ({ timestamp, glucose1 } in mg/dL)
+// Optional query: as /user-sensor-data/:etag (start, end, limit + cursor, maxPoints + downsample)
+app.get('/user-reference-cgm/:username/:importId', authenticateToken, async (req, res) => {
+    try {
+        const { username, importId } = req.params;
 
-        if (userFileInfo && userFileInfo.etag) {
-            const sensorDataEntry = await dataEntriesCollection.findOne({ etag: userFileInfo.etag });
-            debugInfo.sensorDataExists = !!sensorDataEntry;
-            
-            if (sensorDataEntry) {
-                debugInfo.hasDataArray = !!sensorDataEntry.data;
-                debugInfo.dataArrayLength = sensorDataEntry.data ? sensorDataEntry.data.length : 0;
-                debugInfo.dataArrayType = sensorDataEntry.data ? typeof sensorDataEntry.data : 'undefined';
-                debugInfo.isArrayActually = Array.isArray(sensorDataEntry.data);
-                
-                // Show what keys exist in the sensorDataEntry
-                debugInfo.sensorDataEntryKeys = Object.keys(sensorDataEntry);
-                
-                if (sensorDataEntry.data && sensorDataEntry.data.length > 0) {
-                    // Find the first non-null entry
-                    let firstValidEntry = null;
-                    let firstValidIndex = -1;
-                    
-                    for (let i = 0; i < Math.min(10, sensorDataEntry.data.length); i++) {
-                        if (sensorDataEntry.data[i] && typeof sensorDataEntry.data[i] === 'object') {
-                            firstValidEntry = sensorDataEntry.data[i];
-                            firstValidIndex = i;
-                            break;
-                        }
-                    }
-                    
-                    debugInfo.sampleDataEntry = firstValidEntry;
-                    debugInfo.firstValidEntryIndex = firstValidIndex;
-                    debugInfo.totalDataEntries = sensorDataEntry.data.length;
-                    
-                    if (firstValidEntry) {
-                        // Check what fields are available
-                        const fields = Object.keys(firstValidEntry);
-                        debugInfo.dataFieldsFound = fields;
-                        
-                        // Check for biomarker fields specifically
-                        debugInfo.biomarkerFields = {
-                            hasGlucose1: 'glucose1' in firstValidEntry,
-                            hasGlucose2: 'glucose2' in firstValidEntry,
-                            hasCortisol1: 'cortisol1' in firstValidEntry,
-                            hasCortisol2: 'cortisol2' in firstValidEntry
-                        };
-                        
-                        // Show sample values
-                        debugInfo.sampleValues = {
-                            glucose1: firstValidEntry.glucose1,
-                            glucose2: firstValidEntry.glucose2,
-                            cortisol1: firstValidEntry.cortisol1,
-                            cortisol2: firstValidEntry.cortisol2,
-                            timestamp: firstValidEntry.timestamp || firstValidEntry.dateTime
-                        };
-                    } else {
-                        debugInfo.issue = "All entries in data array are null or invalid";
-                        debugInfo.firstFewEntries = sensorDataEntry.data.slice(0, 5);
-                    }
-                } else {
-                    debugInfo.issue = "Data array is empty or doesn't exist";
-                    if (sensorDataEntry.data) {
-                        debugInfo.actualDataContent = sensorDataEntry.data;
-                    }
-                    // Check if there are other potential data fields
-                    const otherFields = Object.keys(sensorDataEntry).filter(key => 
-                        key !== '_id' && key !== 'etag' && key !== 'username' && 
-                        key !== 'processed_at' && key !== 'data'
-                    );
-                    debugInfo.otherPossibleDataFields = otherFields;
-                    if (otherFields.length > 0) {
-                        debugInfo.otherFieldsContent = {};
-                        otherFields.forEach(field => {
-                            debugInfo.otherFieldsContent[field] = sensorDataEntry[field];
-                        });
-                    }
-                }
-            }
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
-        res.json(debugInfo);
+        const { options, error: queryError } = parseSensorDataQuery({ ...req.query, fields: 'glucose1' });
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+
+        const importDoc = await findReferenceImport(username, importId);
+        if (!importDoc) {
+            return res.status(404).json({ error: 'Reference import not found' });
+        }
+
+        await sendSensorDataRange(res, formatReferenceImport(importDoc), `reference:${importDoc._id}`, options);
     } catch (error) {
-        console.error('Error in debug endpoint:', error);
-        res.status(500).json({ error: 'Failed to fetch debug data' });
+        console.error('Error fetching reference CGM readings:', error);
+        res.status(500).json({ error: 'Failed to fetch reference CGM readings' });
     }
 });
 
-// AGP Comparison endpoint for admins
-app.get('/agp-comparison/:username1/:username2/:biomarkerType', authenticateToken, async (req, res) => {
+// DELETE /user-reference-cgm/:username/:importId
+// Deletes a reference import and its readings
+app.delete('/user-reference-cgm/:username/:importId', authenticateToken, async (req, res) => {
     try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can compare AGP reports' });
-        }
+        const { username, importId } = req.params;
 
-        const { username1, username2, biomarkerType } = req.params;
-        
-        if (!['glucose', 'cortisol'].includes(biomarkerType)) {
-            return res.status(400).json({ error: 'Invalid biomarker type. Must be glucose or cortisol' });
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to delete this data' });
         }
 
-        // Fetch AGP data for both users
-        const agpResults = await Promise.all([
-            fetchUserAGPData(username1, biomarkerType),
-            fetchUserAGPData(username2, biomarkerType)
-        ]);
-
-        res.json({
-            patient1: {
-                username: username1,
-                data: agpResults[0]
-            },
-            patient2: {
-                username: username2,
-                data: agpResults[1]
-            },
-            biomarkerType,
-            comparedAt: new Date()
-        });
+        const importDoc = await findReferenceImport(username, importId);
+        if (!importDoc) {
+            return res.status(404).json({ error: 'Reference import not found' });
+        }
 
+        const db = client.db('s3-mongodb-db');
+        await removeDatasetReadings(String(importDoc._id));
+        await db.collection(REFERENCE_IMPORTS_COLLECTION).deleteOne({ _id: importDoc._id });
+        res.json({ message: 'Reference import deleted' });
     } catch (error) {
-        console.error('Error fetching AGP comparison data:', error);
-        res.status(500).json({ error: 'Failed to fetch AGP comparison data' });
+        console.error('Error deleting reference CGM import:', error);
+        res.status(500).json({ error: 'Failed to delete reference CGM import' });
     }
 });
 
-// Helper function to fetch AGP data for a single user
-async function fetchUserAGPData(username, biomarkerType) {
-    try {
-        console.log(`Fetching AGP data for user: ${username}, biomarker: ${biomarkerType}`);
-        const db = client.db('s3-mongodb-db');
-        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
-        const dataEntriesCollection = db.collection('s3-mongodb-data-entries');
-
-        // Get user file info
-        const userFileInfo = await fileTrackerCollection.findOne({ username: username });
-        console.log(`User file info for ${username}:`, userFileInfo ? 'Found' : 'Not found');
-        if (!userFileInfo) {
-            return { error: `User ${username} not found in file tracker` };
-        }
-        if (!userFileInfo.etag) {
-            return { error: `User ${username} has no etag (no processed data)` };
-        }
+// Reference measurements: fingerstick or lab values of a patient (glucose or cortisol) that the sensors are
+// checked against in the accuracy reports. Values are stored in the biomarker's conventional unit.
+const REFERENCE_MEASUREMENTS_COLLECTION = 's3-mongodb-reference-measurements';
+const REFERENCE_MEASUREMENT_METHODS = ['fingerstick', 'lab'];
+// Rows listed back with their errors when an upload skips some
+const REFERENCE_MEASUREMENT_MAX_ERRORS = 20;
+
+// Helper function to parse a reference measurement timestamp: ISO 8601 with an offset (or Z), or a local date and time
+// (YYYY-MM-DD HH:mm[:ss] or YYYY-MM-DDTHH:mm[:ss]) in the patient's timezone. Unreadable timestamps give an invalid Date
+function parseReferenceTimestamp(text, timeZone) {
+    const value = String(text ?? '').trim();
+    const local = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (local) {
+        const [, date, hours, minutes, seconds = '0'] = local;
+        return getZonedDate(date, timeZone, Number(hours), Number(minutes), Number(seconds));
+    }
+    return /^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/i.test(value) ? new Date(value) : new Date(NaN);
+}
 
-        // Get sensor data
-        console.log(`Looking for sensor data with etag: ${userFileInfo.etag}`);
-        const sensorDataEntry = await dataEntriesCollection.findOne({ etag: userFileInfo.etag });
-        console.log(`Sensor data entry for ${username}:`, sensorDataEntry ? 'Found' : 'Not found');
-        if (!sensorDataEntry) {
-            return { error: `No sensor data entry found for user ${username} with etag ${userFileInfo.etag}` };
-        }
-        if (!sensorDataEntry.data) {
-            return { error: `Sensor data entry exists for user ${username} but contains no data` };
-        }
+// Helper function to validate one reference measurement (a CSV row or JSON entry); biomarker, method and unit
+// fall back to the upload's defaults, then to the biomarker's usual method and conventional unit.
+// Returns { measurement } with the value in the conventional unit, or { error }
+function parseReferenceMeasurement(entry, defaults, timeZone) {
+    const biomarkerType = String(entry.biomarker || defaults.biomarker || 'glucose').trim().toLowerCase();
+    if (!isKnownBiomarker(biomarkerType)) {
+        return { error: unknownBiomarkerError() };
+    }
+    const biomarker = BIOMARKER_REGISTRY[biomarkerType];
 
-        let sensorData = [];
-        
-        // Handle different data structures
-        if (Array.isArray(sensorDataEntry.data)) {
-            // Old format: data is directly an array
-            sensorData = sensorDataEntry.data;
-            console.log(`Using old format - sensor data array length for ${username}: ${sensorData.length}`);
-        } else if (sensorDataEntry.data.data_points && Array.isArray(sensorDataEntry.data.data_points)) {
-            // New format: data is an object with data_points array
-            sensorData = sensorDataEntry.data.data_points;
-            console.log(`Using new format - sensor data array length for ${username}: ${sensorData.length}`);
-        } else {
-            return { error: `Sensor data for user ${username} is neither an array nor has data_points array. Structure: ${JSON.stringify(Object.keys(sensorDataEntry.data))}` };
-        }
+    const method = String(entry.method || defaults.method || biomarker.accuracy.defaultMethod).trim().toLowerCase();
+    if (!REFERENCE_MEASUREMENT_METHODS.includes(method)) {
+        return { error: `Invalid method. Must be one of: ${REFERENCE_MEASUREMENT_METHODS.join(', ')}` };
+    }
 
-        let biomarkerData = [];
+    const unit = String(entry.unit || defaults.unit || biomarker.unit).trim();
+    if (![biomarker.unit, biomarker.siUnit].includes(unit)) {
+        return { error: `Invalid ${biomarkerType} unit. Must be ${biomarker.unit} or ${biomarker.siUnit}` };
+    }
 
-        // Sample first few entries to see data structure
-        if (sensorData.length > 0) {
-            console.log(`Sample data entry for ${username}:`, JSON.stringify(sensorData[0], null, 2));
-        }
+    const value = parseFloat(String(entry.value ?? '').trim().replace(',', '.'));
+    if (isNaN(value) || value <= 0) {
+        return { error: 'value must be a positive number' };
+    }
 
-        // Extract biomarker data based on type
-        sensorData.forEach((entry, index) => {
-            if (biomarkerType === 'glucose') {
-                // Handle both old and new field names
-                const glucose1 = entry.glucose1 || entry['Glucose(mg/dL)'];
-                const glucose2 = entry.glucose2 || entry['Glucose(mg/dL)_2'];
-                
-                if (glucose1 && !isNaN(parseFloat(glucose1))) {
-                    biomarkerData.push({
-                        timestamp: entry.timestamp || entry.dateTime,
-                        value: parseFloat(glucose1),
-                        sensor: 1
-                    });
-                }
-                if (glucose2 && !isNaN(parseFloat(glucose2))) {
-                    biomarkerData.push({
-                        timestamp: entry.timestamp || entry.dateTime,
-                        value: parseFloat(glucose2),
-                        sensor: 2
-                    });
-                }
-            } else if (biomarkerType === 'cortisol') {
-                // Handle both old and new field names
-                const cortisol1 = entry.cortisol1 || entry['Cortisol(ng/mL)'];
-                const cortisol2 = entry.cortisol2 || entry['Cortisol(ng/mL)_2'];
-                
-                if (cortisol1 && !isNaN(parseFloat(cortisol1))) {
-                    biomarkerData.push({
-                        timestamp: entry.timestamp || entry.dateTime,
-                        value: parseFloat(cortisol1),
-                        sensor: 1
-                    });
-                }
-                if (cortisol2 && !isNaN(parseFloat(cortisol2))) {
-                    biomarkerData.push({
-                        timestamp: entry.timestamp || entry.dateTime,
-                        value: parseFloat(cortisol2),
-                        sensor: 2
-                    });
-                }
-            }
-        });
+    const timestamp = parseReferenceTimestamp(entry.timestamp, timeZone);
+    if (isNaN(timestamp.getTime())) {
+        return { error: 'timestamp must be an ISO 8601 date and time (local time without an offset)' };
+    }
 
-        console.log(`Extracted ${biomarkerData.length} ${biomarkerType} readings for user ${username}`);
-        if (biomarkerData.length === 0) {
-            return { error: `No ${biomarkerType} data found for user ${username}. Check if the data contains ${biomarkerType}1 or ${biomarkerType}2 fields.` };
+    return {
+        measurement: {
+            biomarker: biomarkerType,
+            method,
+            timestamp,
+            value: unit === biomarker.siUnit ? value / biomarker.siFactor : value,
+            note: entry.note ? String(entry.note).trim() : null
         }
+    };
+}
 
-        // Get applicable ranges for this user from csv2ranges collection
-        let customRanges = null;
-        try {
-            const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-            
-            console.log(`=== DEBUGGING CUSTOM RANGES for ${username} ===`);
-            console.log('Biomarker type:', biomarkerType);
-            console.log('User personal info exists:', !!userFileInfo.personal_information);
-            if (userFileInfo.personal_information) {
-                console.log('Personal info keys:', Object.keys(userFileInfo.personal_information));
-                console.log('Personal info values:', userFileInfo.personal_information);
-            }
-            
-            if (userFileInfo.personal_information) {
-                const personalInfo = userFileInfo.personal_information;
-                const deviceInfo = userFileInfo.device_info;
-                const applicableConditions = [];
-
-                // Check for applicable conditions - handle various CSV column name formats
-                if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
-                    applicableConditions.push('pregnancy');
-                }
-                if (personalInfo.Diabete === true || personalInfo.diabete === true || 
-                    personalInfo.diabetes === true || personalInfo.Diabetes === true) {
-                    applicableConditions.push('type2_diabetes');
-                }
-                if (personalInfo.smokes === true) applicableConditions.push('smoking');
-                if (personalInfo.drinks === true) applicableConditions.push('drinking');
-                if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
-                    personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
-                    applicableConditions.push('hypertension');
-                }
-                
-                const age = deviceInfo?.age || personalInfo.age;
-                if (age && (parseInt(age) < 18 || age < 18)) {
-                    applicableConditions.push('pediatric');
-                }
+// Helper function to format a reference measurement for responses
+function formatReferenceMeasurement(doc) {
+    return {
+        id: String(doc._id),
+        biomarker: doc.biomarker,
+        method: doc.method,
+        timestamp: doc.timestamp,
+        value: doc.value,
+        note: doc.note,
+        uploadedBy: doc.uploaded_by,
+        uploadedAt: doc.uploaded_at
+    };
+}
 
-                console.log('Applicable conditions found:', applicableConditions);
-                
-                // Get custom ranges if conditions apply
-                if (applicableConditions.length > 0) {
-                    const applicableRanges = [];
-                    
-                    for (const condition of applicableConditions) {
-                        const rangeDoc = await csv2rangesCollection.findOne({ 
-                            biomarker_type: biomarkerType,
-                            condition: condition
-                        });
-                        
-                        if (rangeDoc && rangeDoc.ranges) {
-                            console.log(`Found config for condition: ${condition}`);
-                            applicableRanges.push(rangeDoc.ranges);
-                        } else {
-                            console.log(`No config found for condition: ${condition}`);
-                        }
-                    }
-                    
-                    if (applicableRanges.length > 0) {
-                        if (applicableRanges.length === 1) {
-                            customRanges = applicableRanges[0];
-                        } else {
-                            // Average the ranges across multiple conditions
-                            customRanges = averageRanges(applicableRanges, biomarkerType);
-                        }
-                        console.log('Final custom ranges applied:', customRanges);
-                    } else {
-                        console.log('No applicable ranges found despite having conditions');
-                    }
-                } else {
-                    console.log('No applicable conditions detected');
-                }
-            }
-        } catch (error) {
-            console.log('Could not fetch custom ranges from csv2ranges collection, using defaults:', error.message);
-        }
+// Creates the reference measurements indexes
+async function ensureReferenceMeasurementIndexes() {
+    await client.db('s3-mongodb-db').collection(REFERENCE_MEASUREMENTS_COLLECTION)
+        .createIndex({ username: 1, biomarker: 1, timestamp: 1, method: 1 }, { unique: true });
+}
 
-        // Calculate statistics with custom ranges
-        const statistics = biomarkerType === 'glucose' 
-            ? calculateAGPStatistics(biomarkerData, customRanges)
-            : calculateCortisolStatistics(biomarkerData, customRanges);
+// Helper function to load a user's reference measurements of one biomarker in time order,
+// optionally of one method and within a time range ({ start, end })
+async function loadReferenceMeasurements(username, biomarkerType, method = null, timeRange = {}) {
+    const query = { username, biomarker: biomarkerType };
+    if (method) query.method = method;
+    if (timeRange.start || timeRange.end) {
+        query.timestamp = {};
+        if (timeRange.start) query.timestamp.$gte = timeRange.start;
+        if (timeRange.end) query.timestamp.$lte = timeRange.end;
+    }
+    const db = client.db('s3-mongodb-db');
+    return await db.collection(REFERENCE_MEASUREMENTS_COLLECTION).find(query).sort({ timestamp: 1 }).toArray();
+}
 
+// POST /user-reference-measurements/:username
+// Stores fingerstick or lab reference values of the user, from a CSV file (multipart field csvFile with the columns
+// timestamp and value, optionally biomarker, method, unit and note) or as JSON (measurements: [{ timestamp, value, ... }]).
+// Timestamps without an offset are the user's local time. A value with the same time, biomarker and method as a
+// stored one replaces it, so a file can be uploaded again after corrections. Invalid rows are skipped and listed.
+// Body: biomarker, method (fingerstick|lab), unit - defaults for rows that do not give their own
+app.post('/user-reference-measurements/:username', authenticateToken, upload.single('csvFile'), async (req, res) => {
+    try {
+        const { username } = req.params;
 
-        // Calculate hourly percentiles for AGP chart
-        const hourlyData = Array(24).fill(null).map(() => []);
-        
-        biomarkerData.forEach(point => {
-            const date = new Date(point.timestamp);
-            if (!isNaN(date.getTime())) {
-                const hour = date.getHours();
-                hourlyData[hour].push(point.value);
-            }
-        });
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to upload data for this user' });
+        }
 
-        const percentiles = {
-            percentile_5: [],
-            percentile_25: [],
-            percentile_50: [],
-            percentile_75: [],
-            percentile_95: []
-        };
+        const { biomarker, method, unit, measurements } = req.body || {};
+        let entries;
+        if (req.file) {
+            const { rows } = await readCsvRows(req.file.path, 0);
+            entries = rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value])));
+        } else if (Array.isArray(measurements)) {
+            entries = measurements;
+        } else {
+            return res.status(400).json({ error: 'Upload a CSV file or send a measurements array' });
+        }
 
-        hourlyData.forEach(hourData => {
-            if (hourData.length > 0) {
-                hourData.sort((a, b) => a - b);
-                const getPercentile = (arr, p) => {
-                    const index = (p / 100) * (arr.length - 1);
-                    if (Number.isInteger(index)) {
-                        return arr[index];
-                    } else {
-                        const lower = Math.floor(index);
-                        const upper = Math.ceil(index);
-                        const weight = index - lower;
-                        return arr[lower] * (1 - weight) + arr[upper] * weight;
-                    }
-                };
+        const userInfo = await findUser(username);
+        if (!userInfo) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
-                percentiles.percentile_5.push(getPercentile(hourData, 5));
-                percentiles.percentile_25.push(getPercentile(hourData, 25));
-                percentiles.percentile_50.push(getPercentile(hourData, 50));
-                percentiles.percentile_75.push(getPercentile(hourData, 75));
-                percentiles.percentile_95.push(getPercentile(hourData, 95));
+        const timeZone = getUserTimezone(userInfo);
+        const valid = [];
+        const skipped = [];
+        entries.forEach((entry, index) => {
+            const { measurement, error } = parseReferenceMeasurement(entry || {}, { biomarker, method, unit }, timeZone);
+            if (error) {
+                // Rows are numbered as in the file, after the header line
+                skipped.push({ row: req.file ? index + 2 : index + 1, error });
             } else {
-                // No data for this hour
-                percentiles.percentile_5.push(null);
-                percentiles.percentile_25.push(null);
-                percentiles.percentile_50.push(null);
-                percentiles.percentile_75.push(null);
-                percentiles.percentile_95.push(null);
+                valid.push(measurement);
             }
         });
+        if (valid.length === 0) {
+            return res.status(400).json({
+                error: 'No valid reference measurements found',
+                skippedCount: skipped.length,
+                skipped: skipped.slice(0, REFERENCE_MEASUREMENT_MAX_ERRORS)
+            });
+        }
 
-        return {
-            username,
-            device_info: userFileInfo.device_info,
-            statistics,
-            percentiles,
-            totalReadings: biomarkerData.length,
-            dataRange: {
-                start: new Date(Math.min(...biomarkerData.map(d => new Date(d.timestamp)))),
-                end: new Date(Math.max(...biomarkerData.map(d => new Date(d.timestamp))))
+        const uploadedAt = new Date();
+        const db = client.db('s3-mongodb-db');
+        const result = await db.collection(REFERENCE_MEASUREMENTS_COLLECTION).bulkWrite(valid.map(measurement => ({
+            updateOne: {
+                filter: { username, biomarker: measurement.biomarker, method: measurement.method, timestamp: measurement.timestamp },
+                update: { $set: { value: measurement.value, note: measurement.note, uploaded_by: req.user.username, uploaded_at: uploadedAt } },
+                upsert: true
             }
-        };
+        })), { ordered: false });
+
+        console.log(`Stored ${valid.length} reference measurements for ${username} (${skipped.length} skipped)`);
+        res.status(201).json({
+            insertedCount: result.upsertedCount,
+            updatedCount: valid.length - result.upsertedCount,
+            skippedCount: skipped.length,
+            skipped: skipped.slice(0, REFERENCE_MEASUREMENT_MAX_ERRORS)
+        });
 
     } catch (error) {
-        console.error(`Error fetching AGP data for ${username}:`, error);
-        return { error: `Failed to fetch data for user ${username}` };
+        console.error('Error storing reference measurements:', error);
+        res.status(500).json({ error: 'Failed to store reference measurements' });
+    } finally {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
     }
-}
+});
 
-// Admin Biomarker Configuration Endpoints
-// GET /admin/auth-test - Test admin authentication
-app.get('/admin/auth-test', authenticateToken, async (req, res) => {
+// GET /user-reference-measurements/:username
+// Lists the user's reference measurements in time order
+// Optional query: biomarker, method, units=conventional|si
+app.get('/user-reference-measurements/:username', authenticateToken, async (req, res) => {
     try {
-        console.log('Auth test request from:', req.user.username, 'Admin:', req.user.admin);
-        res.json({
-            username: req.user.username,
-            isAdmin: req.user.admin,
-            message: req.user.admin ? 'Admin access confirmed' : 'Not an admin user'
-        });
-    } catch (error) {
-        console.error('Auth test error:', error);
-        res.status(500).json({ error: 'Authentication test failed' });
-    }
-});
+        const { username } = req.params;
 
-// GET /admin/biomarker-configs - Get current biomarker range configurations from csv2ranges collection
-app.get('/admin/biomarker-configs', authenticateToken, async (req, res) => {
-    try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can access biomarker configurations' });
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
-        const db = client.db('s3-mongodb-db');
-        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-        
-        // Get all biomarker ranges from the csv2ranges collection
-        const rangeDocuments = await csv2rangesCollection.find({}).toArray();
-        
-        if (!rangeDocuments || rangeDocuments.length === 0) {
-            // Return default configuration if no ranges exist
-            const defaultConfig = {
-                glucose: {
-                    default: {
-                        veryLow: { min: 0, max: 54 },
-                        low: { min: 54, max: 70 },
-                        target: { min: 70, max: 180 },
-                        high: { min: 180, max: 250 },
-                        veryHigh: { min: 250, max: 400 }
-                    },
-                    conditions: {}
-                },
-                cortisol: {
-                    default: {
-                        veryLow: { min: 0, max: 2 },
-                        low: { min: 2, max: 5 },
-                        normal: { min: 5, max: 15 },
-                        high: { min: 15, max: 20 },
-                        veryHigh: { min: 20, max: 25 }
-                    },
-                    conditions: {}
-                }
-            };
-            
-            return res.json({ configs: defaultConfig });
+        const { biomarker, method } = req.query;
+        if (biomarker !== undefined && !isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+        if (method !== undefined && !REFERENCE_MEASUREMENT_METHODS.includes(method)) {
+            return res.status(400).json({ error: `Invalid method. Must be one of: ${REFERENCE_MEASUREMENT_METHODS.join(', ')}` });
         }
 
-        // Transform the csv2ranges documents into the expected format
-        const configs = {
-            glucose: { default: {}, conditions: {} },
-            cortisol: { default: {}, conditions: {} }
-        };
-
-        rangeDocuments.forEach(doc => {
-            const biomarker = doc.biomarker_type?.toLowerCase();
-            const condition = doc.condition || 'default';
-            
-            if (biomarker && ['glucose', 'cortisol'].includes(biomarker)) {
-                if (condition === 'default') {
-                    configs[biomarker].default = doc.ranges || {};
-                } else {
-                    configs[biomarker].conditions[condition] = {
-                        name: doc.condition_name || condition,
-                        description: doc.description || '',
-                        ranges: doc.ranges || {}
-                    };
-                }
-            }
-        });
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
 
-        res.json({ configs });
+        const query = { username };
+        if (biomarker) query.biomarker = biomarker;
+        if (method) query.method = method;
+        const db = client.db('s3-mongodb-db');
+        const measurements = await db.collection(REFERENCE_MEASUREMENTS_COLLECTION).find(query).sort({ timestamp: 1 }).toArray();
 
+        res.json({
+            username,
+            unitSystem,
+            measurements: measurements.map(doc => {
+                const conversion = getUnitConversion(doc.biomarker, unitSystem);
+                return { ...formatReferenceMeasurement(doc), value: convertBiomarkerValue(doc.value, conversion), unit: conversion.unit };
+            })
+        });
     } catch (error) {
-        console.error('Error fetching biomarker configurations from csv2ranges:', error);
-        res.status(500).json({ error: 'Failed to fetch biomarker configurations' });
+        console.error('Error listing reference measurements:', error);
+        res.status(500).json({ error: 'Failed to list reference measurements' });
     }
 });
 
-// POST /admin/biomarker-configs - DISABLED: Ranges are now sourced from csv2ranges collection
-app.post('/admin/biomarker-configs', authenticateToken, async (req, res) => {
+// DELETE /user-reference-measurements/:username/:measurementId
+// Deletes one reference measurement
+app.delete('/user-reference-measurements/:username/:measurementId', authenticateToken, async (req, res) => {
     try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can access biomarker configurations' });
+        const { username, measurementId } = req.params;
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to delete this data' });
         }
 
-        // Ranges are now read-only from the csv2ranges collection
-        res.status(405).json({ 
-            error: 'Biomarker range configuration is read-only',
-            message: 'Ranges are automatically sourced from the s3-mongodb-csv2ranges collection and cannot be modified through this interface.'
-        });
+        if (!ObjectId.isValid(measurementId)) {
+            return res.status(404).json({ error: 'Reference measurement not found' });
+        }
 
+        const db = client.db('s3-mongodb-db');
+        const result = await db.collection(REFERENCE_MEASUREMENTS_COLLECTION).deleteOne({ _id: new ObjectId(measurementId), username });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Reference measurement not found' });
+        }
+        res.json({ message: 'Reference measurement deleted' });
     } catch (error) {
-        console.error('Error in disabled biomarker config save endpoint:', error);
-        res.status(500).json({ error: 'Endpoint disabled' });
+        console.error('Error deleting reference measurement:', error);
+        res.status(500).json({ error: 'Failed to delete reference measurement' });
     }
 });
 
-// GET /admin/biomarker-configs/:biomarker - Get specific range configuration for AGP reports (default condition)
-app.get('/admin/biomarker-configs/:biomarker', authenticateToken, async (req, res) => {
+// Get personal information for a user
+app.get('/user-personal-info/:username', authenticateToken, async (req, res) => {
     try {
-        const { biomarker } = req.params;
-        const condition = 'default';
+        const { username } = req.params;
         
-        if (!['glucose', 'cortisol'].includes(biomarker)) {
-            return res.status(400).json({ error: 'Invalid biomarker type' });
+        // Check authorization
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
         const db = client.db('s3-mongodb-db');
-        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-        
-        // Look for the specific biomarker and default condition
-        const rangeDoc = await csv2rangesCollection.findOne({ 
-            biomarker_type: biomarker,
-            $or: [
-                { condition: 'default' },
-                { condition: { $exists: false } },
-                { condition: null }
-            ]
-        });
+        const collection = db.collection('s3-mongodb-data-entries');
+        const userRecord = await collection.findOne(
+            { username: username },
+            { projection: { personal_information: 1, username: 1, updated_at: 1 } }
+        );
         
-        if (!rangeDoc || !rangeDoc.ranges) {
-            // Return default ranges if no configuration exists
-            const defaultRanges = {
-                glucose: {
-                    veryLow: { min: 0, max: 54 },
-                    low: { min: 54, max: 70 },
-                    target: { min: 70, max: 180 },
-                    high: { min: 180, max: 250 },
-                    veryHigh: { min: 250, max: 400 }
-                },
-                cortisol: {
-                    veryLow: { min: 0, max: 2 },
-                    low: { min: 2, max: 5 },
-                    normal: { min: 5, max: 15 },
-                    high: { min: 15, max: 20 },
-                    veryHigh: { min: 20, max: 25 }
-                }
-            };
-            
-            return res.json({ ranges: defaultRanges[biomarker] });
+        if (!userRecord || !userRecord.personal_information) {
+            return res.status(404).json({ error: 'Personal information not found for this user' });
         }
 
-        res.json({ ranges: rangeDoc.ranges });
-
+        res.status(200).json({
+            username: userRecord.username,
+            personal_information: userRecord.personal_information,
+            updated_at: userRecord.updated_at
+        });
     } catch (error) {
-        console.error('Error fetching specific biomarker configuration from csv2ranges:', error);
-        res.status(500).json({ error: 'Failed to fetch biomarker configuration' });
+        console.error('Error fetching personal info:', error);
+        res.status(500).json({ error: 'Failed to fetch personal information' });
     }
 });
 
-// GET /admin/biomarker-configs/:biomarker/:condition - Get specific range configuration for AGP reports (specific condition)
-app.get('/admin/biomarker-configs/:biomarker/:condition', authenticateToken, async (req, res) => {
+// POST /user-timezone/:username - Set the patient's timezone used for time-of-day analysis
+// Body: { timezone: "America/New_York" } (an empty value clears it, falling back to server time)
+app.post('/user-timezone/:username', authenticateToken, async (req, res) => {
     try {
-        const { biomarker, condition } = req.params;
-        
-        if (!['glucose', 'cortisol'].includes(biomarker)) {
-            return res.status(400).json({ error: 'Invalid biomarker type' });
+        const { username } = req.params;
+        const { timezone } = req.body;
+
+        // Only admins and the patient's doctors can change the timezone
+        if (!req.user.admin && !(req.user.doctor && req.user.patients?.includes(username))) {
+            return res.status(403).json({ error: 'Only administrators and the patient\'s doctors can change the timezone' });
+        }
+
+        if (timezone && !isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: `Invalid timezone: ${timezone}. Use an IANA name such as "America/New_York"` });
         }
 
         const db = client.db('s3-mongodb-db');
-        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-        
-        // Look for the specific biomarker and condition
-        const rangeDoc = await csv2rangesCollection.findOne({ 
-            biomarker_type: biomarker,
-            condition: condition
+        const collection = db.collection('s3-mongodb-file_tracker');
+
+        const user = await collection.findOne({ username: username });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const update = timezone
+            ? { $set: { 'device_info.timezone': timezone, timezone_updated_at: new Date(), timezone_updated_by: req.user.username } }
+            : { $unset: { 'device_info.timezone': '' }, $set: { timezone_updated_at: new Date(), timezone_updated_by: req.user.username } };
+        await collection.updateOne({ username: username }, update);
+        await invalidateDerivedStats({ username });
+
+        console.log(`Timezone for ${username} set to ${timezone || 'server default'} by ${req.user.username}`);
+        res.json({
+            success: true,
+            username: username,
+            timezone: timezone || null
         });
-        
-        if (!rangeDoc || !rangeDoc.ranges) {
-            // Fall back to default condition for this biomarker
-            const defaultRangeDoc = await csv2rangesCollection.findOne({ 
-                biomarker_type: biomarker,
-                $or: [
-                    { condition: 'default' },
-                    { condition: { $exists: false } },
-                    { condition: null }
-                ]
-            });
-            
-            if (defaultRangeDoc && defaultRangeDoc.ranges) {
-                return res.json({ ranges: defaultRangeDoc.ranges });
-            }
-            
-            // Return hardcoded defaults if no database configuration exists
-            const defaultRanges = {
-                glucose: {
-                    veryLow: { min: 0, max: 54 },
-                    low: { min: 54, max: 70 },
-                    target: { min: 70, max: 180 },
-                    high: { min: 180, max: 250 },
-                    veryHigh: { min: 250, max: 400 }
-                },
-                cortisol: {
-                    veryLow: { min: 0, max: 2 },
-                    low: { min: 2, max: 5 },
-                    normal: { min: 5, max: 15 },
-                    high: { min: 15, max: 20 },
-                    veryHigh: { min: 20, max: 25 }
-                }
-            };
-            
-            return res.json({ ranges: defaultRanges[biomarker] });
+
+    } catch (error) {
+        console.error('Error updating timezone:', error);
+        res.status(500).json({ error: 'Failed to update timezone' });
+    }
+});
+
+// GET /user-preferences - Get the signed-in user's display preferences
+app.get('/user-preferences', authenticateToken, async (req, res) => {
+    try {
+        const user = await findUser(req.user.username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json({ ranges: rangeDoc.ranges });
+        res.json({
+            preferences: {
+                units: UNIT_SYSTEMS.includes(user.preferences?.units) ? user.preferences.units : 'conventional'
+            },
+            unitSystems: UNIT_SYSTEMS
+        });
 
     } catch (error) {
-        console.error('Error fetching specific biomarker configuration from csv2ranges:', error);
-        res.status(500).json({ error: 'Failed to fetch biomarker configuration' });
+        console.error('Error fetching user preferences:', error);
+        res.status(500).json({ error: 'Failed to fetch preferences' });
     }
 });
 
-// GET /user-applicable-ranges/:username/:biomarker - Get applicable biomarker ranges based on user's personal information
-app.get('/user-applicable-ranges/:username/:biomarker', authenticateToken, async (req, res) => {
+// POST /user-preferences - Save the signed-in user's display preferences
+// Body: { units: "conventional" | "si" } - used by every route returning biomarker values when no units parameter is given
+app.post('/user-preferences', authenticateToken, async (req, res) => {
     try {
-        const { username, biomarker } = req.params;
-        
-        // Check authorization
-        if (!req.user.admin && 
-            req.user.username !== username && 
-            !req.user.patients?.includes(username)) {
-            return res.status(403).json({ error: 'Not authorized to view this data' });
+        const { units } = req.body || {};
+        if (!UNIT_SYSTEMS.includes(units)) {
+            return res.status(400).json({ error: `Invalid units. Must be one of: ${UNIT_SYSTEMS.join(', ')}` });
         }
 
         const db = client.db('s3-mongodb-db');
-        
-        // Get user's personal information
-        const userCollection = db.collection('s3-mongodb-data-entries');
-        const userRecord = await userCollection.findOne(
-            { username: username },
-            { projection: { personal_information: 1, device_info: 1 } }
+        const result = await db.collection('s3-mongodb-file_tracker').updateOne(
+            { username: req.user.username },
+            { $set: { 'preferences.units': units, preferences_updated_at: new Date() } }
         );
-        
-        if (!userRecord || !userRecord.personal_information) {
-            // Return default ranges if no personal information
-            return res.json({
-                applicableConditions: ['default'],
-                personalInfo: null,
-                ranges: null,
-                useDefault: true
-            });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Map personal information fields to condition names
-        const personalInfo = userRecord.personal_information;
-        const deviceInfo = userRecord.device_info;
-        const applicableConditions = [];
+        console.log(`Unit preference for ${req.user.username} set to ${units}`);
+        res.json({ success: true, preferences: { units } });
 
-        // Check for applicable conditions based on personal information - handle various CSV column name formats
-        if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
-            applicableConditions.push('pregnancy');
-        }
-        if (personalInfo.Diabete === true || personalInfo.diabete === true || 
-            personalInfo.diabetes === true || personalInfo.Diabetes === true) {
-            // For now, default to type2_diabetes. Could be enhanced to differentiate
-            applicableConditions.push('type2_diabetes');
-        }
-        if (personalInfo.smokes === true) {
-            applicableConditions.push('smoking');
-        }
-        if (personalInfo.drinks === true) {
-            applicableConditions.push('drinking');
-        }
-        if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
-            personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
-            applicableConditions.push('hypertension');
-        }
-        
-        // Check age for pediatric condition
-        const age = deviceInfo?.age || personalInfo.age;
-        if (age && (parseInt(age) < 18 || age < 18)) {
-            applicableConditions.push('pediatric');
-        }
+    } catch (error) {
+        console.error('Error saving user preferences:', error);
+        res.status(500).json({ error: 'Failed to save preferences' });
+    }
+});
 
-        // If no specific conditions apply, use default
-        if (applicableConditions.length === 0) {
-            return res.json({
-                applicableConditions: ['default'],
-                personalInfo: personalInfo,
-                ranges: null,
-                useDefault: true
-            });
+// Debug endpoint to check user data structure
+app.get('/debug-user-data/:username', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can access debug data' });
         }
 
-        // Fetch configurations for applicable conditions from csv2ranges collection
-        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-        const applicableRanges = [];
-        
-        // Find ranges for applicable conditions
-        for (const condition of applicableConditions) {
-            const rangeDoc = await csv2rangesCollection.findOne({ 
-                biomarker_type: biomarker,
-                condition: condition
-            });
+        const { username } = req.params;
+        const db = client.db('s3-mongodb-db');
+        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
+        const dataEntriesCollection = db.collection('s3-mongodb-data-entries');
+
+        // Get user file info
+        const userFileInfo = await fileTrackerCollection.findOne({ username: username });
+        
+        let debugInfo = {
+            username: username,
+            fileTrackerExists: !!userFileInfo,
+            userFileInfo: userFileInfo ? {
+                hasEtag: !!userFileInfo.etag,
+                etag: userFileInfo.etag,
+                deviceInfo: userFileInfo.device_info
+            } : null,
+            sensorDataExists: false,
+            sampleDataEntry: null,
+            dataFieldsFound: []
+        };
+
+        if (userFileInfo && userFileInfo.etag) {
+            const sensorDataEntry = await dataEntriesCollection.findOne({ etag: userFileInfo.etag });
+            debugInfo.sensorDataExists = !!sensorDataEntry;
             
-            if (rangeDoc && rangeDoc.ranges) {
-                applicableRanges.push({
-                    condition: condition,
-                    ranges: rangeDoc.ranges,
-                    name: rangeDoc.condition_name || condition
-                });
+            if (sensorDataEntry) {
+                debugInfo.hasDataArray = !!sensorDataEntry.data;
+                debugInfo.dataArrayLength = sensorDataEntry.data ? sensorDataEntry.data.length : 0;
+                debugInfo.dataArrayType = sensorDataEntry.data ? typeof sensorDataEntry.data : 'undefined';
+                debugInfo.isArrayActually = Array.isArray(sensorDataEntry.data);
+                
+                // Show what keys exist in the sensorDataEntry
+                debugInfo.sensorDataEntryKeys = Object.keys(sensorDataEntry);
+                
+                if (sensorDataEntry.data && sensorDataEntry.data.length > 0) {
+                    // Find the first non-null entry
+                    let firstValidEntry = null;
+                    let firstValidIndex = -1;
+                    
+                    for (let i = 0; i < Math.min(10, sensorDataEntry.data.length); i++) {
+                        if (sensorDataEntry.data[i] && typeof sensorDataEntry.data[i] === 'object') {
+                            firstValidEntry = sensorDataEntry.data[i];
+                            firstValidIndex = i;
+                            break;
+                        }
+                    }
+                    
+                    debugInfo.sampleDataEntry = firstValidEntry;
+                    debugInfo.firstValidEntryIndex = firstValidIndex;
+                    debugInfo.totalDataEntries = sensorDataEntry.data.length;
+                    
+                    if (firstValidEntry) {
+                        // Check what fields are available
+                        const fields = Object.keys(firstValidEntry);
+                        debugInfo.dataFieldsFound = fields;
+                        
+                        // Check for biomarker fields specifically
+                        debugInfo.biomarkerFields = {
+                            hasGlucose1: 'glucose1' in firstValidEntry,
+                            hasGlucose2: 'glucose2' in firstValidEntry,
+                            hasCortisol1: 'cortisol1' in firstValidEntry,
+                            hasCortisol2: 'cortisol2' in firstValidEntry
+                        };
+                        
+                        // Show sample values
+                        debugInfo.sampleValues = {
+                            glucose1: firstValidEntry.glucose1,
+                            glucose2: firstValidEntry.glucose2,
+                            cortisol1: firstValidEntry.cortisol1,
+                            cortisol2: firstValidEntry.cortisol2,
+                            timestamp: firstValidEntry.timestamp || firstValidEntry.dateTime
+                        };
+                    } else {
+                        debugInfo.issue = "All entries in data array are null or invalid";
+                        debugInfo.firstFewEntries = sensorDataEntry.data.slice(0, 5);
+                    }
+                } else {
+                    debugInfo.issue = "Data array is empty or doesn't exist";
+                    if (sensorDataEntry.data) {
+                        debugInfo.actualDataContent = sensorDataEntry.data;
+                    }
+                    // Check if there are other potential data fields
+                    const otherFields = Object.keys(sensorDataEntry).filter(key => 
+                        key !== '_id' && key !== 'etag' && key !== 'username' && 
+                        key !== 'processed_at' && key !== 'data'
+                    );
+                    debugInfo.otherPossibleDataFields = otherFields;
+                    if (otherFields.length > 0) {
+                        debugInfo.otherFieldsContent = {};
+                        otherFields.forEach(field => {
+                            debugInfo.otherFieldsContent[field] = sensorDataEntry[field];
+                        });
+                    }
+                }
             }
         }
 
-        // If no custom configs found, try to get default
-        if (applicableRanges.length === 0) {
-            const defaultRangeDoc = await csv2rangesCollection.findOne({ 
-                biomarker_type: biomarker,
-                $or: [
-                    { condition: 'default' },
-                    { condition: { $exists: false } },
-                    { condition: null }
-                ]
-            });
-            
-            return res.json({
-                applicableConditions: applicableConditions,
-                personalInfo: personalInfo,
-                ranges: defaultRangeDoc ? defaultRangeDoc.ranges : null,
-                useDefault: true,
-                message: `Conditions detected: ${applicableConditions.join(', ')}, but no custom ranges configured. Using default ranges.`
-            });
+        res.json(debugInfo);
+    } catch (error) {
+        console.error('Error in debug endpoint:', error);
+        res.status(500).json({ error: 'Failed to fetch debug data' });
+    }
+});
+
+// AGP Comparison endpoint for admins
+// Each patient's statistics come from the derived statistics cache and carry computed_at
+// Optional query: maxGap (minutes), raw=true (skip signal cleaning), units=conventional|si
+app.get('/agp-comparison/:username1/:username2/:biomarkerType', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can compare AGP reports' });
         }
 
-        // Calculate average ranges if multiple conditions apply
-        let finalRanges;
-        let usedConditions;
+        const { username1, username2, biomarkerType } = req.params;
+        const maxGapMinutes = parseMaxGapMinutes(req.query.maxGap);
+        const raw = req.query.raw === 'true';
         
-        if (applicableRanges.length === 1) {
-            finalRanges = applicableRanges[0].ranges;
-            usedConditions = [applicableRanges[0].name];
-        } else {
-            // Average the ranges across multiple conditions
-            finalRanges = averageRanges(applicableRanges.map(config => config.ranges), biomarker);
-            usedConditions = applicableRanges.map(config => config.name);
+        if (!isKnownBiomarker(biomarkerType)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
         }
+        const conversion = getUnitConversion(biomarkerType, unitSystem);
+
+        // Fetch AGP data for both users, then convert the values for the response
+        const agpResults = (await Promise.all([
+            fetchUserAGPData(username1, biomarkerType, { maxGapMinutes, raw }),
+            fetchUserAGPData(username2, biomarkerType, { maxGapMinutes, raw })
+        ])).map(data => data.error ? data : {
+            ...data,
+            statistics: convertValueFields(data.statistics, STATISTICS_VALUE_KEYS, conversion),
+            percentiles: convertValueFields(data.percentiles, STATISTICS_VALUE_KEYS, conversion)
+        });
 
         res.json({
-            applicableConditions: applicableConditions,
-            personalInfo: personalInfo,
-            ranges: finalRanges,
-            useDefault: false,
-            configsUsed: usedConditions,
-            message: applicableRanges.length > 1 ? 
-                `Multiple conditions detected (${usedConditions.join(', ')}). Using averaged ranges.` :
-                `Condition detected: ${usedConditions[0]}. Using custom ranges.`
+            patient1: {
+                username: username1,
+                data: agpResults[0]
+            },
+            patient2: {
+                username: username2,
+                data: agpResults[1]
+            },
+            biomarkerType,
+            unit: conversion.unit,
+            unitSystem,
+            comparedAt: new Date()
         });
 
     } catch (error) {
-        console.error('Error fetching applicable ranges:', error);
-        res.status(500).json({ error: 'Failed to fetch applicable ranges' });
+        console.error('Error fetching AGP comparison data:', error);
+        res.status(500).json({ error: 'Failed to fetch AGP comparison data' });
     }
 });
 
-// Admin Paid User Management Endpoints
-// GET /admin/paid-users - Get all users with their paid status
-app.get('/admin/paid-users', authenticateToken, async (req, res) => {
-    try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can manage paid users' });
-        }
+// Biomarker registry: every route and the UI read biomarker details from here (the UI via GET /biomarkers).
+// Adding a biomarker is a new entry:
+// - channels: source field names per sensor channel in the data points (first match wins)
+// - rangeCategories / inRangeCategory / defaultRanges: range bands, used when no csv2ranges ranges apply
+// - statistics: 'glycemic' (time in ranges, GMI/A1C) or 'range' (time in ranges only)
+// - features: extra analyses that apply - 'gmi', 'variability', 'episodes', 'circadian', 'errorGrids'
+// - accuracy: checks against reference measurements - the usual reference method, and the %20/20 agreement
+//   criterion (within absoluteLimit of references below lowThreshold, within percentLimit % of the others)
+// - cleaning: overrides of the signal cleaning defaults
+// - siUnit / siFactor / siDecimals: SI display unit and the factor converting from `unit` (values are stored in `unit`)
+const BIOMARKER_REGISTRY = {
+    glucose: {
+        label: 'Glucose',
+        unit: 'mg/dL',
+        decimals: 0,
+        siUnit: 'mmol/L',
+        siFactor: 1 / 18.016, // glucose 180.16 g/mol
+        siDecimals: 1,
+        channels: [
+            { sensor: 1, fields: ['Glucose(mg/dL)', 'glucose1'] },
+            { sensor: 2, fields: ['Glucose(mg/dL)_2', 'glucose2'] }
+        ],
+        rangeCategories: ['veryLow', 'low', 'target', 'high', 'veryHigh'],
+        inRangeCategory: 'target',
+        defaultRanges: {
+            veryLow: { min: 0, max: 54 },
+            low: { min: 54, max: 70 },
+            target: { min: 70, max: 180 },
+            high: { min: 180, max: 250 },
+            veryHigh: { min: 250, max: 400 }
+        },
+        chartMax: 400,
+        profileName: 'Ambulatory Glucose Profile',
+        profileAbbreviation: 'AGP',
+        statistics: 'glycemic',
+        features: ['gmi', 'variability', 'episodes', 'errorGrids'],
+        accuracy: { defaultMethod: 'fingerstick', lowThreshold: 100, absoluteLimit: 20, percentLimit: 20 },
+        cleaning: { minValue: 40, maxValue: 400, spikeRatePerMinute: 5 }
+    },
+    cortisol: {
+        label: 'Cortisol',
+        unit: 'ng/mL',
+        decimals: 3,
+        siUnit: 'nmol/L',
+        siFactor: 2.759, // cortisol 362.46 g/mol
+        siDecimals: 2,
+        channels: [
+            { sensor: 1, fields: ['Cortisol(ng/mL)', 'cortisol1'] },
+            { sensor: 2, fields: ['Cortisol(ng/mL)_2', 'cortisol2'] }
+        ],
+        rangeCategories: ['veryLow', 'low', 'normal', 'high', 'veryHigh'],
+        inRangeCategory: 'normal',
+        defaultRanges: {
+            veryLow: { min: 0, max: 2 },
+            low: { min: 2, max: 5 },
+            normal: { min: 5, max: 15 },
+            high: { min: 15, max: 20 },
+            veryHigh: { min: 20, max: 25 }
+        },
+        chartMax: 20,
+        profileName: 'Ambulatory Cortisol Profile',
+        profileAbbreviation: 'ACP',
+        statistics: 'range',
+        features: ['circadian'],
+        accuracy: { defaultMethod: 'lab', lowThreshold: 5, absoluteLimit: 1, percentLimit: 20 },
+        cleaning: { minValue: 0, maxValue: 100, spikeRatePerMinute: 1 }
+    }
+};
 
-        const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-file_tracker');
-        
-        // Get all users with their paid status
-        const users = await collection.find({}, {
-            projection: {
-                username: 1,
-                name: 1,
-                admin: 1,
-                doctor: 1,
-                patient: 1,
-                paid_user: 1
-            }
-        }).toArray();
+// Helper function to check a biomarker type against the registry
+function isKnownBiomarker(biomarkerType) {
+    return Object.prototype.hasOwnProperty.call(BIOMARKER_REGISTRY, biomarkerType);
+}
 
-        res.json({ users });
+// Helper function to check whether an analysis feature applies to a biomarker
+function biomarkerHasFeature(biomarkerType, feature) {
+    return !!BIOMARKER_REGISTRY[biomarkerType]?.features.includes(feature);
+}
 
-    } catch (error) {
-        console.error('Error fetching paid users:', error);
-        res.status(500).json({ error: 'Failed to fetch paid users' });
+// Helper function for the standard "invalid biomarker" error message
+function unknownBiomarkerError() {
+    return `Invalid biomarker. Must be one of: ${Object.keys(BIOMARKER_REGISTRY).join(', ')}`;
+}
+
+// Helper function to read a biomarker channel's value from a data point (plain or {$numberDouble}); null when absent
+function readChannelValue(point, channel) {
+    for (const field of channel.fields) {
+        const raw = point[field];
+        if (raw === null || raw === undefined || raw === '') continue;
+        const value = parseFloat(raw.$numberDouble ?? raw.$numberInt ?? raw);
+        if (!isNaN(value)) return value;
     }
-});
+    return null;
+}
 
-// POST /admin/paid-users/:username - Set paid user status
-app.post('/admin/paid-users/:username', authenticateToken, async (req, res) => {
-    try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can manage paid users' });
-        }
+// Helper function to read every channel of a biomarker present in a data point as [{ sensor, value }]
+function readBiomarkerChannels(point, biomarkerType) {
+    return BIOMARKER_REGISTRY[biomarkerType].channels
+        .map(channel => ({ sensor: channel.sensor, value: readChannelValue(point, channel) }))
+        .filter(reading => reading.value !== null);
+}
 
-        const { username } = req.params;
-        const { paid_user } = req.body;
+// Unit systems a response can be given in: 'conventional' (mg/dL, ng/mL) or 'si' (mmol/L, nmol/L).
+// Statistics are always calculated in the conventional units, so GMI and the risk indices are unaffected.
+const UNIT_SYSTEMS = ['conventional', 'si'];
+
+// Response keys holding biomarker values (converted for the SI unit system)
+const RANGE_VALUE_KEYS = ['min', 'max', 'veryLowMax', 'lowMax', 'targetMin', 'targetMax', 'highMax'];
+const STATISTICS_VALUE_KEYS = [
+    'average', 'percentile_5', 'percentile_25', 'percentile_50', 'percentile_75', 'percentile_95',
+    'mesor', 'amplitude', 'peakValue', 'fittedCurve', 'meanIncrease', 'meanSlopePerHour', 'meanAUCg', 'meanAUCi',
+    'awakeningIncrease', 'diurnalSlopePerHour', 'aucGround', 'aucIncrease'
+];
+
+const VARIABILITY_VALUE_KEYS = ['mean', 'standardDeviation', 'mage', 'conga', 'modd'];
+const DAILY_PROFILE_VALUE_KEYS = ['value', 'mean', 'min', 'max'];
+const AGREEMENT_VALUE_KEYS = ['sensor1', 'sensor2', 'mean', 'difference', 'bias', 'sdDifference',
+    'lowerLimitOfAgreement', 'upperLimitOfAgreement', 'regressionIntercept'];
+const ACCURACY_VALUE_KEYS = ['reference', 'sensor', 'difference', 'mad', 'bias', 'sdDifference', 'lowerLimitOfAgreement',
+    'upperLimitOfAgreement', 'lowThreshold', 'absoluteLimit'];
+const EPISODE_VALUE_KEYS = ['nadir', 'peak'];
+const COUPLING_GLUCOSE_VALUE_KEYS = ['glucoseBaseline', 'glucosePeak', 'glucoseRise'];
+const COUPLING_CORTISOL_VALUE_KEYS = ['cortisolStart', 'cortisolPeak'];
+
+// Helper function to pick the unit system for a request: the `units` query/body parameter,
+// else the requesting user's saved preference, else conventional. Returns { unitSystem } or { error }.
+async function resolveUnitSystem(req) {
+    const requested = req.query.units ?? req.body?.units;
+    if (requested !== undefined) {
+        return UNIT_SYSTEMS.includes(requested)
+            ? { unitSystem: requested }
+            : { error: `Invalid units. Must be one of: ${UNIT_SYSTEMS.join(', ')}` };
+    }
+    const user = await findUser(req.user.username);
+    return { unitSystem: UNIT_SYSTEMS.includes(user?.preferences?.units) ? user.preferences.units : 'conventional' };
+}
 
-        if (typeof paid_user !== 'boolean') {
-            return res.status(400).json({ error: 'paid_user must be a boolean value' });
-        }
+// Helper function to get a biomarker's display unit, conversion factor and decimals in a unit system
+function getUnitConversion(biomarkerType, unitSystem) {
+    const biomarker = BIOMARKER_REGISTRY[biomarkerType];
+    return unitSystem === 'si'
+        ? { unit: biomarker.siUnit, factor: biomarker.siFactor, decimals: biomarker.siDecimals }
+        : { unit: biomarker.unit, factor: 1, decimals: biomarker.decimals };
+}
 
-        const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-file_tracker');
-        
-        // Check if user exists
-        const user = await collection.findOne({ username: username });
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+// Helper function to convert a conventional-unit value (or array of values) with a unit conversion
+// (rounded to conversion.places decimals, 4 unless given)
+function convertBiomarkerValue(value, conversion) {
+    if (Array.isArray(value)) return value.map(v => convertBiomarkerValue(v, conversion));
+    if (typeof value !== 'number' || conversion.factor === 1) return value;
+    const scale = Math.pow(10, conversion.places ?? 4);
+    return Math.round(value * conversion.factor * scale) / scale;
+}
 
-        // Update paid user status
-        const result = await collection.updateOne(
-            { username: username },
-            { 
-                $set: { 
-                    paid_user: paid_user,
-                    paid_user_updated_at: new Date(),
-                    paid_user_updated_by: req.user.username
-                }
-            }
-        );
+// Helper function to convert the listed value keys (at any depth) of a response object.
+// Percentages, durations and counts use other keys and are left as they are.
+function convertValueFields(data, keys, conversion) {
+    if (conversion.factor === 1 || data === null || typeof data !== 'object' || data instanceof Date) return data;
+    if (Array.isArray(data)) return data.map(item => convertValueFields(item, keys, conversion));
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key,
+        keys.includes(key) && (typeof value === 'number' || Array.isArray(value))
+            ? convertBiomarkerValue(value, conversion)
+            : convertValueFields(value, keys, conversion)
+    ]));
+}
 
-        if (result.modifiedCount === 0) {
-            return res.status(400).json({ error: 'Failed to update paid user status' });
+// Helper function to convert range bands ({ category: { min, max } }) or thresholds ({ targetMin, ... }) to a unit system;
+// thresholds are rounded to the display decimals (70 mg/dL shows as 3.9 mmol/L)
+function convertRanges(ranges, biomarkerType, unitSystem) {
+    const conversion = getUnitConversion(biomarkerType, unitSystem);
+    return ranges ? convertValueFields(ranges, RANGE_VALUE_KEYS, { ...conversion, places: conversion.decimals }) : ranges;
+}
+
+// GET /biomarkers
+// Returns the biomarker registry (labels, units, ranges, statistics and features) for the UI,
+// with unit, decimals, default ranges and chart maximum in the requested (or preferred) unit system
+// Optional query: units=conventional|si
+app.get('/biomarkers', authenticateToken, async (req, res) => {
+    try {
+        const { unitSystem, error } = await resolveUnitSystem(req);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        res.json({ 
-            success: true, 
-            message: `User ${username} ${paid_user ? 'granted' : 'revoked'} paid access`,
-            username: username,
-            paid_user: paid_user
-        });
+        const biomarkers = Object.fromEntries(Object.entries(BIOMARKER_REGISTRY).map(([type, biomarker]) => {
+            const conversion = getUnitConversion(type, unitSystem);
+            return [type, {
+                ...biomarker,
+                canonicalUnit: biomarker.unit,
+                unit: conversion.unit,
+                decimals: conversion.decimals,
+                defaultRanges: convertRanges(biomarker.defaultRanges, type, unitSystem),
+                chartMax: convertBiomarkerValue(biomarker.chartMax, { ...conversion, places: conversion.decimals })
+            }];
+        }));
+
+        res.json({ biomarkers, unitSystem });
 
     } catch (error) {
-        console.error('Error updating paid user status:', error);
-        res.status(500).json({ error: 'Failed to update paid user status' });
+        console.error('Error fetching biomarker registry:', error);
+        res.status(500).json({ error: 'Failed to fetch biomarkers' });
     }
 });
 
-// GET /admin/paid-users/:username - Get specific user's paid status
-app.get('/admin/paid-users/:username', authenticateToken, async (req, res) => {
-    try {
-        // Check if user is admin
-        if (!req.user.admin) {
-            return res.status(403).json({ error: 'Only administrators can view paid user status' });
-        }
-
-        const { username } = req.params;
-        const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-file_tracker');
-        
-        const user = await collection.findOne({ username: username }, {
-            projection: {
-                username: 1,
-                name: 1,
-                paid_user: 1,
-                paid_user_updated_at: 1,
-                paid_user_updated_by: 1
-            }
-        });
+// Helper function to parse a data point timestamp from any of the stored formats
+// ($date.$numberLong, $date, ISO string/Date, or `time` in epoch seconds); missing timestamps give an invalid Date
+function parseDataPointTimestamp(point) {
+    if (point.timestamp && point.timestamp.$date && point.timestamp.$date.$numberLong) {
+        return new Date(parseInt(point.timestamp.$date.$numberLong));
+    } else if (point.timestamp && point.timestamp.$date) {
+        return new Date(point.timestamp.$date);
+    } else if (point.timestamp) {
+        return new Date(point.timestamp);
+    } else if (point.dateTime) {
+        return new Date(point.dateTime);
+    } else if (point.time) {
+        const timeValue = point.time.$numberInt || point.time;
+        return new Date(parseInt(timeValue) * 1000);
+    }
+    return new Date(NaN);
+}
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+// Normalized readings store: one document per (dataset, biomarker, sensor, timestamp), materialized from the
+// data-entries and data-versions documents so analytics query a time range instead of parsing whole documents.
+// A dataset is a data entry (keyed by its etag) or a data version (keyed by "version:<_id>").
+// Its datasets doc names the key its live readings are stored under (readings_key, see buildDatasetReadings).
+const READINGS_COLLECTION = 's3-mongodb-readings';
+const READINGS_DATASETS_COLLECTION = 's3-mongodb-readings-datasets';
+const READINGS_INSERT_BATCH_SIZE = 5000;
+// A dataset build (see buildDatasetReadings) not finished after this long is taken over by the next one;
+// processes waiting for another's build check on it every READINGS_BUILD_POLL_MS
+const READINGS_BUILD_STALE_MINUTES = 10;
+const READINGS_BUILD_POLL_MS = 250;
+const READINGS_SOURCES = [
+    { source: 'entry', collection: 's3-mongodb-data-entries' },
+    { source: 'version', collection: 's3-mongodb-data-versions' }
+];
+
+// Helper function to get the data points of a data entry or version document, or null if it has none
+// (old format: data is the array; new format: data.data_points; versions: data_snapshot.data_points)
+function extractDataPoints(doc) {
+    if (Array.isArray(doc?.data)) return doc.data;
+    if (Array.isArray(doc?.data?.data_points)) return doc.data.data_points;
+    if (Array.isArray(doc?.data_snapshot?.data_points)) return doc.data_snapshot.data_points;
+    return null;
+}
 
-        res.json({ 
-            username: user.username,
-            name: user.name,
-            paid_user: user.paid_user || false,
-            paid_user_updated_at: user.paid_user_updated_at,
-            paid_user_updated_by: user.paid_user_updated_by
+// Helper function to turn data points into readings ({ biomarker, sensor, timestamp, value }) for every
+// registered biomarker; points without a valid timestamp are skipped, and a repeated
+// (biomarker, sensor, timestamp) keeps its first value
+function normalizeDataPoints(dataPoints) {
+    const readings = [];
+    const seen = new Set();
+    dataPoints.forEach(point => {
+        if (!point || typeof point !== 'object') return;
+        const timestamp = parseDataPointTimestamp(point);
+        if (isNaN(timestamp.getTime())) return;
+        Object.keys(BIOMARKER_REGISTRY).forEach(biomarker => {
+            readBiomarkerChannels(point, biomarker).forEach(({ sensor, value }) => {
+                const key = `${biomarker}|${sensor}|${timestamp.getTime()}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                readings.push({ biomarker, sensor, timestamp, value });
+            });
         });
+    });
+    return readings;
+}
 
-    } catch (error) {
-        console.error('Error fetching paid user status:', error);
-        res.status(500).json({ error: 'Failed to fetch paid user status' });
-    }
-});
+// Helper function to get the dataset key of a data entry or version document
+function getDatasetKey(source, doc) {
+    return source === 'version' ? `version:${doc._id}` : doc.etag;
+}
 
-// GET /user/paid-status - Get current user's paid status (for self-check)
-app.get('/user/paid-status', authenticateToken, async (req, res) => {
-    try {
-        const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-file_tracker');
-        
-        const user = await collection.findOne({ username: req.user.username }, {
-            projection: {
-                username: 1,
-                paid_user: 1
-            }
-        });
+// Used to find the file tracker record that owns a data version (patient_id is part of the file path)
+async function findVersionOwner(patientId) {
+    if (!patientId) return null;
+    const db = client.db('s3-mongodb-db');
+    return await db.collection('s3-mongodb-file_tracker').findOne({ _id: { $regex: patientId, $options: 'i' } });
+}
 
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+// Readings builds in flight in this process, by dataset key (so concurrent first reads share one build)
+const readingsBuilds = new Map();
 
-        res.json({ 
-            username: user.username,
-            paid_user: user.paid_user || false
-        });
+// Helper function to (re)write the readings of one data entry or version document. Concurrent calls for the
+// same dataset are queued behind the build in flight; with onlyIfMissing (first use) they share it instead.
+function materializeReadings(source, doc, options = {}) {
+    const dataset = getDatasetKey(source, doc);
+    if (!dataset) {
+        return Promise.resolve({ dataset: null, readingCount: 0 });
+    }
+
+    const pending = readingsBuilds.get(dataset);
+    if (pending && options.onlyIfMissing) {
+        return pending;
+    }
+    const build = (pending ? pending.catch(() => {}) : Promise.resolve())
+        .then(() => buildDatasetReadings(source, doc, dataset, options));
+    readingsBuilds.set(dataset, build);
+    const release = () => {
+        if (readingsBuilds.get(dataset) === build) readingsBuilds.delete(dataset);
+    };
+    build.then(release, release);
+    return build;
+}
 
+// Helper function to claim a dataset for a build by upserting its datasets doc with state 'building'.
+// Fails (another process is building it) on the duplicate key, unless that build is older than
+// READINGS_BUILD_STALE_MINUTES. Returns { claimed, previous } (previous: the datasets doc before the claim).
+async function claimReadingsDataset(dataset, buildId) {
+    const datasetsCollection = client.db('s3-mongodb-db').collection(READINGS_DATASETS_COLLECTION);
+    const staleBefore = new Date(Date.now() - READINGS_BUILD_STALE_MINUTES * 60000);
+    try {
+        const previous = await datasetsCollection.findOneAndUpdate(
+            { dataset, $or: [{ state: { $ne: 'building' } }, { building_since: { $lt: staleBefore } }] },
+            { $set: { state: 'building', build_id: buildId, building_since: new Date() } },
+            { upsert: true, returnDocument: 'before' }
+        );
+        return { claimed: true, previous };
     } catch (error) {
-        console.error('Error fetching user paid status:', error);
-        res.status(500).json({ error: 'Failed to fetch paid status' });
+        if (error.code === 11000) {
+            return { claimed: false };
+        }
+        throw error;
     }
-});
+}
 
-// Helper function to average ranges across multiple conditions
-function averageRanges(rangesList, biomarker) {
-    const rangeKeys = biomarker === 'glucose' 
-        ? ['veryLow', 'low', 'target', 'high', 'veryHigh']
-        : ['veryLow', 'low', 'normal', 'high', 'veryHigh'];
-    
-    const averagedRanges = {};
-    
-    rangeKeys.forEach(key => {
-        const minValues = rangesList.map(ranges => ranges[key]?.min || 0).filter(val => val > 0);
-        const maxValues = rangesList.map(ranges => ranges[key]?.max || 0).filter(val => val > 0);
-        
-        if (minValues.length > 0 && maxValues.length > 0) {
-            averagedRanges[key] = {
-                min: Math.round(minValues.reduce((sum, val) => sum + val, 0) / minValues.length),
-                max: Math.round(maxValues.reduce((sum, val) => sum + val, 0) / maxValues.length)
-            };
+// Helper function to wait until another process's build of a dataset has finished (or gone stale);
+// returns the datasets doc then (null if the build failed before any readings were live)
+async function waitForReadingsBuild(dataset) {
+    const datasetsCollection = client.db('s3-mongodb-db').collection(READINGS_DATASETS_COLLECTION);
+    const staleAfter = Date.now() + READINGS_BUILD_STALE_MINUTES * 60000;
+    for (;;) {
+        const datasetDoc = await datasetsCollection.findOne({ dataset });
+        if (!datasetDoc || datasetDoc.state !== 'building' || Date.now() > staleAfter) {
+            return datasetDoc;
         }
-    });
-    
-    return averagedRanges;
+        await new Promise(resolve => setTimeout(resolve, READINGS_BUILD_POLL_MS));
+    }
 }
 
-// Helper function to get users accessible to the current user
-async function getAccessibleUsers(user) {
-    try {
-        const db = client.db('s3-mongodb-db');
-        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
-        
-        if (user.admin) {
-            // Admin can access all users
-            const allUsers = await fileTrackerCollection.distinct('username');
-            return allUsers;
-        } else if (user.doctor) {
-            // Doctor can access patients assigned to them
-            return user.patients || [];
+// Helper function to build a dataset's readings: claims the dataset, inserts the readings under a staging key
+// and swaps that key in on the datasets doc, so readers see the previous readings (or wait for the first ones)
+// until the new ones are complete. The previous readings are dropped after the swap.
+async function buildDatasetReadings(source, doc, dataset, options = {}) {
+    const db = client.db('s3-mongodb-db');
+    const readingsCollection = db.collection(READINGS_COLLECTION);
+    const datasetsCollection = db.collection(READINGS_DATASETS_COLLECTION);
+
+    const buildId = String(new ObjectId());
+    let claim = await claimReadingsDataset(dataset, buildId);
+    while (!claim.claimed) {
+        const datasetDoc = await waitForReadingsBuild(dataset);
+        if (options.onlyIfMissing && datasetDoc?.materialized_at) {
+            return { dataset, readingCount: datasetDoc.reading_count };
+        }
+        claim = await claimReadingsDataset(dataset, buildId);
+    }
+    const { previous } = claim;
+
+    // Gives the dataset back unchanged: as it was when it had live readings, else without a datasets doc
+    const releaseClaim = async () => {
+        if (previous?.materialized_at) {
+            await datasetsCollection.updateOne(
+                { dataset, build_id: buildId },
+                { $set: { state: 'ready' }, $unset: { build_id: '', building_since: '' } }
+            );
         } else {
-            // Regular user can only access their own data
-            return [user.username];
+            await datasetsCollection.deleteOne({ dataset, build_id: buildId });
         }
-    } catch (error) {
-        console.error('Error getting accessible users:', error);
-        return [];
+    };
+
+    // Another process finished the first build between our check and the claim
+    if (options.onlyIfMissing && previous?.materialized_at && previous.state !== 'building') {
+        await releaseClaim();
+        return { dataset, readingCount: previous.reading_count };
     }
-}
 
-// GET /aggregated-data/filter-options
-// Returns available filter options (unique values for dropdowns)
-app.get('/aggregated-data/filter-options', authenticateToken, async (req, res) => {
+    const stagingKey = `${dataset}#${buildId}`;
+    let readingCount;
+    let username;
     try {
-        // Get all users this user has access to
-        const accessibleUsers = await getAccessibleUsers(req.user);
-        
-        if (accessibleUsers.length === 0) {
-            return res.json({
-                userIDs: [],
-                deviceIDs: [],
-                genders: [],
-                arms: [],
-                totalUsers: 0
-            });
+        username = doc.username || null;
+        if (!username) {
+            const owner = source === 'version'
+                ? await findVersionOwner(doc.patient_id)
+                : await db.collection('s3-mongodb-file_tracker').findOne({ etag: doc.etag });
+            username = owner?.username || null;
         }
 
-        const db = client.db('s3-mongodb-db');
-        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
-        
-        // Aggregate unique filter values from all accessible user data
-        const pipeline = [
-            {
-                $match: {
-                    username: { $in: accessibleUsers }
-                }
-            },
+        const readings = normalizeDataPoints(extractDataPoints(doc) || [])
+            .map(reading => ({ dataset: stagingKey, username, ...reading }));
+        for (let i = 0; i < readings.length; i += READINGS_INSERT_BATCH_SIZE) {
+            await readingsCollection.insertMany(readings.slice(i, i + READINGS_INSERT_BATCH_SIZE), { ordered: false });
+        }
+        readingCount = readings.length;
+
+        const { matchedCount } = await datasetsCollection.updateOne(
+            { dataset, build_id: buildId },
             {
-                $group: {
-                    _id: null,
-                    userIDs: { $addToSet: "$device_info.userID" },
-                    deviceIDs: { $addToSet: "$device_info.deviceID" },
-                    genders: { $addToSet: "$device_info.gender" },
-                    arms: { $addToSet: "$device_info.arm" },
-                    totalUsers: { $sum: 1 }
-                }
+                $set: {
+                    dataset,
+                    source,
+                    source_id: String(doc._id),
+                    username,
+                    patient_id: doc.patient_id ?? null,
+                    readings_key: stagingKey,
+                    reading_count: readingCount,
+                    state: 'ready',
+                    materialized_at: new Date()
+                },
+                $unset: { build_id: '', building_since: '' }
             }
-        ];
-        
-        const result = await fileTrackerCollection.aggregate(pipeline).toArray();
-        
-        if (result.length === 0) {
-            return res.json({
-                userIDs: [],
-                deviceIDs: [],
-                genders: [],
-                arms: [],
-                totalUsers: 0
-            });
+        );
+        if (matchedCount === 0) {
+            throw new Error(`Build of readings dataset ${dataset} was taken over as stale`);
         }
-        
-        const options = result[0];
-        
-        res.json({
-            userIDs: (options.userIDs || []).filter(Boolean).sort(),
-            deviceIDs: (options.deviceIDs || []).filter(Boolean).sort(),
-            genders: (options.genders || []).filter(Boolean).sort(),
-            arms: (options.arms || []).filter(Boolean).sort(),
-            totalUsers: options.totalUsers || 0
-        });
-        
     } catch (error) {
-        console.error('Error fetching filter options:', error);
-        res.status(500).json({ error: 'Failed to fetch filter options' });
+        await readingsCollection.deleteMany({ dataset: stagingKey });
+        await releaseClaim();
+        throw error;
     }
-});
 
-// GET /aggregated-data/filtered
-// Returns filtered sensor data based on query parameters
-app.get('/aggregated-data/filtered', authenticateToken, async (req, res) => {
-    try {
-        console.log('=== DEBUG: Starting filtered data request ===');
-        console.log('User:', req.user.username, 'Admin:', req.user.admin, 'Patients:', req.user.patients);
-        console.log('Query params:', req.query);
-        
-        // Get users accessible to this user (using same logic as filetracker endpoint)
-        const allData = await getFileTrackerData();
-        let filteredUsers;
+    // The previous readings (under the dataset key itself before staging keys were used, or an earlier staging key)
+    // and any left by an abandoned build
+    await readingsCollection.deleteMany({ dataset: { $regex: `^${escapeRegExp(dataset)}(#|$)`, $ne: stagingKey } });
 
-        if (req.user.admin) {
-            // Admins can see all data except their own profile
-            filteredUsers = allData.filter(entry => entry.username !== req.user.username);
-        } else if (req.user.doctor) {
-            // Doctors can see their patients' data but not their own profile
-            filteredUsers = allData.filter(entry => 
-                entry.username !== req.user.username && 
-                req.user.patients.includes(entry.username)
-            );
-        } else {
-            // Patients can only see their own data
-            filteredUsers = allData.filter(entry => 
-                entry.username === req.user.username
+    console.log(`Materialized ${readingCount} readings for ${source} dataset ${dataset}`);
+    // A new or re-processed upload replaces the user's current data
+    if (source === 'entry' && username) {
+        await invalidateDerivedStats({ username });
+    }
+    return { dataset, readingCount };
+}
+
+// Helper function to escape a string for use inside a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to get the key a dataset's live readings are stored under (the staging key of its last build;
+// datasets materialized before builds were staged, and reference imports, use the dataset key itself)
+async function getReadingsKey(dataset) {
+    const datasetDoc = await client.db('s3-mongodb-db').collection(READINGS_DATASETS_COLLECTION)
+        .findOne({ dataset }, { projection: { readings_key: 1 } });
+    return datasetDoc?.readings_key || dataset;
+}
+
+// Helper function to remove the readings of a deleted data entry or version document
+async function removeDatasetReadings(sourceId) {
+    const db = client.db('s3-mongodb-db');
+    const datasetsCollection = db.collection(READINGS_DATASETS_COLLECTION);
+    const datasetDoc = await datasetsCollection.findOne({ source_id: sourceId });
+    if (!datasetDoc) return;
+    await db.collection(READINGS_COLLECTION).deleteMany({ dataset: { $regex: `^${escapeRegExp(datasetDoc.dataset)}(#|$)` } });
+    await datasetsCollection.deleteOne({ dataset: datasetDoc.dataset });
+}
+
+// Helper function to make sure a data entry's readings are in the store, materializing the entry on first use
+// (data written while nothing was watching and not yet backfilled). Returns false when there is no such entry.
+async function ensureEntryReadings(etag) {
+    const db = client.db('s3-mongodb-db');
+    const datasetDoc = await db.collection(READINGS_DATASETS_COLLECTION).findOne({ dataset: etag });
+    if (datasetDoc?.materialized_at) {
+        return true;
+    }
+    const dataEntry = await db.collection('s3-mongodb-data-entries').findOne({ etag: etag });
+    if (!dataEntry) {
+        return false;
+    }
+    await materializeReadings('entry', dataEntry, { onlyIfMissing: true });
+    return true;
+}
+
+// Helper function to make sure a data version's readings are in the store; returns its dataset key
+async function ensureVersionReadings(versionDoc) {
+    const db = client.db('s3-mongodb-db');
+    const dataset = getDatasetKey('version', versionDoc);
+    const datasetDoc = await db.collection(READINGS_DATASETS_COLLECTION).findOne({ dataset });
+    if (!datasetDoc?.materialized_at) {
+        await materializeReadings('version', versionDoc, { onlyIfMissing: true });
+    }
+    return dataset;
+}
+
+// Helper function to open a cursor over a dataset's readings in time order, optionally for one biomarker
+// and limited to a time range (start and end inclusive, either may be omitted).
+// Options: channels ([{ biomarker, sensor }] to read instead of every channel), limit (number of readings)
+async function openReadingsCursor(dataset, biomarkerType = null, timeRange = {}, options = {}) {
+    const query = { dataset: await getReadingsKey(dataset) };
+    if (biomarkerType) query.biomarker = biomarkerType;
+    if (options.channels) query.$or = options.channels.map(({ biomarker, sensor }) => ({ biomarker, sensor }));
+    if (timeRange.start || timeRange.end) {
+        query.timestamp = {};
+        if (timeRange.start) query.timestamp.$gte = new Date(timeRange.start);
+        if (timeRange.end) query.timestamp.$lte = new Date(timeRange.end);
+    }
+
+    const db = client.db('s3-mongodb-db');
+    let cursor = db.collection(READINGS_COLLECTION)
+        .find(query, { projection: { _id: 0, biomarker: 1, sensor: 1, timestamp: 1, value: 1 } })
+        .sort({ timestamp: 1, sensor: 1 });
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return cursor;
+}
+
+// Helper function to query a dataset's readings in time order (same arguments as openReadingsCursor)
+async function queryReadings(dataset, biomarkerType = null, timeRange = {}, options = {}) {
+    return await (await openReadingsCursor(dataset, biomarkerType, timeRange, options)).toArray();
+}
+
+// Helper function to get the time of a dataset's last reading (of the given biomarkers), or null if it has none
+async function getDatasetLatestTime(dataset, biomarkerTypes) {
+    const db = client.db('s3-mongodb-db');
+    const [latest] = await db.collection(READINGS_COLLECTION)
+        .find({ dataset: await getReadingsKey(dataset), biomarker: { $in: biomarkerTypes } }, { projection: { _id: 0, timestamp: 1 } })
+        .sort({ timestamp: -1 })
+        .limit(1)
+        .toArray();
+    return latest ? latest.timestamp : null;
+}
+
+// Helper function to pivot readings into one row per timestamp with a column per biomarker channel
+// (e.g. { timestamp, glucose1, glucose2, cortisol1 })
+function pivotReadings(readings) {
+    const rows = new Map();
+    readings.forEach(({ biomarker, sensor, timestamp, value }) => {
+        const time = new Date(timestamp).getTime();
+        if (!rows.has(time)) rows.set(time, { timestamp: new Date(time) });
+        rows.get(time)[`${biomarker}${sensor}`] = value;
+    });
+    return [...rows.entries()].sort((a, b) => a[0] - b[0]).map(([, row]) => row);
+}
+
+// Helper function to list every biomarker channel as { field, biomarker, sensor } (field is the row column, e.g. glucose1)
+function getChannelFields() {
+    return Object.entries(BIOMARKER_REGISTRY).flatMap(([biomarker, entry]) =>
+        entry.channels.map(({ sensor }) => ({ field: `${biomarker}${sensor}`, biomarker, sensor })));
+}
+
+// Helper function to downsample a time series ([{ time, value }]) to at most threshold points with
+// Largest-Triangle-Three-Buckets: keeps the first and last points and, per bucket, the point forming the
+// largest triangle with the previously kept point and the next bucket's average (peaks and troughs survive)
+function downsampleLTTB(points, threshold) {
+    if (threshold >= points.length || threshold < 3) return points;
+
+    const sampled = [points[0]];
+    const bucketSize = (points.length - 2) / (threshold - 2);
+    let previous = 0;
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const bucketStart = Math.floor(bucket * bucketSize) + 1;
+        const bucketEnd = Math.min(Math.floor((bucket + 1) * bucketSize) + 1, points.length - 1);
+
+        // Average of the next bucket (the last point for the final bucket)
+        const nextStart = bucketEnd;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+        let averageTime = 0;
+        let averageValue = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageTime += points[i].time;
+            averageValue += points[i].value;
+        }
+        const nextCount = Math.max(nextEnd - nextStart, 1);
+        averageTime /= nextCount;
+        averageValue /= nextCount;
+
+        let maxArea = -1;
+        let chosen = bucketStart;
+        for (let i = bucketStart; i < bucketEnd; i++) {
+            const area = Math.abs(
+                (points[previous].time - averageTime) * (points[i].value - points[previous].value) -
+                (points[previous].time - points[i].time) * (averageValue - points[previous].value)
             );
+            if (area > maxArea) {
+                maxArea = area;
+                chosen = i;
+            }
         }
-        
-        console.log('Accessible users count:', filteredUsers.length);
-        
-        if (filteredUsers.length === 0) {
-            return res.json({
-                data: [],
-                uniqueUsers: 0,
-                totalRecords: 0
-            });
+        sampled.push(points[chosen]);
+        previous = chosen;
+    }
+
+    sampled.push(points[points.length - 1]);
+    return sampled;
+}
+
+// Helper function to downsample a time series ([{ time, value }]) to at most threshold points by keeping
+// the minimum and maximum of each of threshold / 2 equal-count buckets (in time order)
+function downsampleMinMax(points, threshold) {
+    if (threshold >= points.length || threshold < 2) return points;
+
+    const bucketCount = Math.floor(threshold / 2);
+    const bucketSize = points.length / bucketCount;
+    const sampled = [];
+    for (let bucket = 0; bucket < bucketCount; bucket++) {
+        const bucketPoints = points.slice(Math.floor(bucket * bucketSize), Math.floor((bucket + 1) * bucketSize));
+        if (bucketPoints.length === 0) continue;
+        let min = bucketPoints[0];
+        let max = bucketPoints[0];
+        bucketPoints.forEach(point => {
+            if (point.value < min.value) min = point;
+            if (point.value > max.value) max = point;
+        });
+        if (min === max) {
+            sampled.push(min);
+        } else {
+            sampled.push(...(min.time <= max.time ? [min, max] : [max, min]));
         }
+    }
+    return sampled;
+}
 
-        // Parse query parameters for filtering
-        const {
-            userIDs,
-            deviceIDs,
-            genders,
-            ageMin,
-            ageMax,
-            arms,
-            startDate,
-            endDate
-        } = req.query;
-        
-        // Apply device info filters to users
-        let usersAfterFiltering = filteredUsers;
-        
-        if (userIDs) {
-            const userIDArray = userIDs.split(',');
-            usersAfterFiltering = usersAfterFiltering.filter(user => 
-                user.device_info && userIDArray.includes(user.device_info.userID)
-            );
+const SENSOR_DATA_QUERY_PARAMS = ['start', 'end', 'fields', 'limit', 'cursor', 'maxPoints', 'downsample'];
+const SENSOR_DATA_MAX_LIMIT = 5000;
+const SENSOR_DATA_DEFAULT_LIMIT = 500;
+const DOWNSAMPLING_METHODS = { lttb: downsampleLTTB, minmax: downsampleMinMax };
+
+// Helper function to parse the range/paging/downsampling query of the sensor data endpoints.
+// Returns { options } or { error }.
+function parseSensorDataQuery(query) {
+    const { start, end, fields, limit, cursor, maxPoints, downsample } = query;
+
+    const timeRange = { start: start ? new Date(start) : null, end: end ? new Date(end) : null };
+    if ((timeRange.start && isNaN(timeRange.start.getTime())) || (timeRange.end && isNaN(timeRange.end.getTime()))) {
+        return { error: 'Invalid start or end date' };
+    }
+
+    // fields: row columns (glucose1, cortisol2) and/or biomarkers (all of their channels)
+    const allChannels = getChannelFields();
+    let channels = allChannels;
+    if (fields) {
+        const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = requested.filter(field => !isKnownBiomarker(field) && !allChannels.some(channel => channel.field === field));
+        if (unknown.length > 0) {
+            return { error: `Invalid fields: ${unknown.join(', ')}. Must be biomarkers or channels: ${allChannels.map(channel => channel.field).join(', ')}` };
         }
-        
-        if (deviceIDs) {
-            const deviceIDArray = deviceIDs.split(',');
-            usersAfterFiltering = usersAfterFiltering.filter(user => 
-                user.device_info && deviceIDArray.includes(user.device_info.deviceID)
-            );
+        channels = allChannels.filter(channel => requested.includes(channel.field) || requested.includes(channel.biomarker));
+    }
+
+    const options = { timeRange, channels };
+
+    if (maxPoints !== undefined) {
+        if (limit !== undefined || cursor !== undefined) {
+            return { error: 'maxPoints cannot be combined with limit or cursor' };
         }
-        
-        if (genders) {
-            const genderArray = genders.split(',');
-            usersAfterFiltering = usersAfterFiltering.filter(user => 
-                user.device_info && genderArray.includes(user.device_info.gender)
-            );
+        options.maxPoints = parseInt(maxPoints);
+        if (isNaN(options.maxPoints) || options.maxPoints < 3) {
+            return { error: 'maxPoints must be a number of at least 3' };
         }
-        
-        if (arms) {
-            const armArray = arms.split(',');
-            usersAfterFiltering = usersAfterFiltering.filter(user => 
-                user.device_info && armArray.includes(user.device_info.arm)
-            );
+        options.method = downsample || 'lttb';
+        if (!DOWNSAMPLING_METHODS[options.method]) {
+            return { error: `Invalid downsample method. Must be one of: ${Object.keys(DOWNSAMPLING_METHODS).join(', ')}` };
         }
-        
-        if (ageMin || ageMax) {
-            usersAfterFiltering = usersAfterFiltering.filter(user => {
-                if (!user.device_info || !user.device_info.age) return false;
-                
-                const age = typeof user.device_info.age === 'object' ? 
-                    user.device_info.age.$numberInt : user.device_info.age;
-                const ageNum = parseInt(age);
-                
-                if (isNaN(ageNum)) return false;
-                
-                const minAge = ageMin ? parseInt(ageMin) : 0;
-                const maxAge = ageMax ? parseInt(ageMax) : 999;
-                
-                return ageNum >= minAge && ageNum <= maxAge;
+        return { options };
+    }
+
+    if (limit !== undefined || cursor !== undefined) {
+        options.limit = limit !== undefined ? parseInt(limit) : SENSOR_DATA_DEFAULT_LIMIT;
+        if (isNaN(options.limit) || options.limit < 1 || options.limit > SENSOR_DATA_MAX_LIMIT) {
+            return { error: `limit must be between 1 and ${SENSOR_DATA_MAX_LIMIT}` };
+        }
+        // The cursor is the timestamp (ms) of the last row of the previous page
+        if (cursor !== undefined) {
+            const after = parseInt(cursor);
+            if (isNaN(after)) {
+                return { error: 'Invalid cursor' };
+            }
+            if (!timeRange.start || timeRange.start.getTime() <= after) {
+                timeRange.start = new Date(after + 1);
+            }
+        }
+    }
+    return { options };
+}
+
+// Helper function to remove the data points from a data entry or version document (the rows replace them);
+// returns the copy and the number of points removed
+function stripDataPoints(doc) {
+    const stripped = { ...doc };
+    let dataPointCount = 0;
+    if (Array.isArray(doc.data)) {
+        dataPointCount = doc.data.length;
+        delete stripped.data;
+    } else if (Array.isArray(doc.data?.data_points)) {
+        dataPointCount = doc.data.data_points.length;
+        stripped.data = { ...doc.data };
+        delete stripped.data.data_points;
+    } else if (Array.isArray(doc.data_snapshot?.data_points)) {
+        dataPointCount = doc.data_snapshot.data_points.length;
+        stripped.data_snapshot = { ...doc.data_snapshot };
+        delete stripped.data_snapshot.data_points;
+    }
+    return { stripped, dataPointCount };
+}
+
+// Helper function to answer a range-queried sensor data request from the readings store: the document
+// without its data points, plus rows (one per timestamp with a column per requested channel) and either
+// a page (limit/cursor) or downsampling (maxPoints) summary
+async function sendSensorDataRange(res, doc, dataset, options) {
+    const { timeRange, channels } = options;
+    const { stripped, dataPointCount } = stripDataPoints(doc);
+    const response = {
+        ...stripped,
+        dataPointCount,
+        fields: channels.map(channel => channel.field),
+        range: { start: timeRange.start, end: timeRange.end }
+    };
+
+    if (channels.length === 0) {
+        return res.json({ ...response, rows: [], nextCursor: null });
+    }
+
+    if (options.maxPoints) {
+        // Each channel is downsampled on its own so a sparse channel keeps its shape next to a dense one
+        const readings = await queryReadings(dataset, null, timeRange, { channels });
+        const downsampleSeries = DOWNSAMPLING_METHODS[options.method];
+        const sampled = channels.flatMap(({ biomarker, sensor }) => {
+            const series = readings
+                .filter(reading => reading.biomarker === biomarker && reading.sensor === sensor)
+                .map(reading => ({ time: new Date(reading.timestamp).getTime(), value: reading.value }));
+            return downsampleSeries(series, options.maxPoints)
+                .map(point => ({ biomarker, sensor, timestamp: point.time, value: point.value }));
+        });
+        return res.json({
+            ...response,
+            rows: pivotReadings(sampled),
+            nextCursor: null,
+            downsampling: {
+                method: options.method,
+                maxPoints: options.maxPoints,
+                sourceReadings: readings.length,
+                returnedReadings: sampled.length,
+                downsampled: sampled.length < readings.length
+            }
+        });
+    }
+
+    if (options.limit) {
+        // A row holds at most one reading per channel, so this many readings always fills limit + 1 rows
+        // when there is more data; the extra row only tells that a next page exists
+        const readings = await queryReadings(dataset, null, timeRange, {
+            channels,
+            limit: (options.limit + 1) * channels.length
+        });
+        const rows = pivotReadings(readings);
+        const pageRows = rows.slice(0, options.limit);
+        return res.json({
+            ...response,
+            rows: pageRows,
+            nextCursor: rows.length > options.limit ? String(pageRows[pageRows.length - 1].timestamp.getTime()) : null,
+            page: { limit: options.limit, returnedRows: pageRows.length }
+        });
+    }
+
+    const rows = pivotReadings(await queryReadings(dataset, null, timeRange, { channels }));
+    res.json({ ...response, rows, nextCursor: null });
+}
+
+// Creates the readings store indexes (the unique index also serves the time range queries)
+async function ensureReadingsIndexes() {
+    const db = client.db('s3-mongodb-db');
+    const readingsCollection = db.collection(READINGS_COLLECTION);
+    await readingsCollection.createIndex({ dataset: 1, biomarker: 1, timestamp: 1, sensor: 1 }, { unique: true });
+    await readingsCollection.createIndex({ username: 1, biomarker: 1, timestamp: 1 });
+    const datasetsCollection = db.collection(READINGS_DATASETS_COLLECTION);
+    await datasetsCollection.createIndex({ dataset: 1 }, { unique: true });
+    await datasetsCollection.createIndex({ source_id: 1 });
+}
+
+// Keeps the readings store in step with the data entries and versions written by the ingestion pipeline.
+// Change streams need a replica set (as on Atlas); without one, readings are materialized on first use and by the backfill.
+function watchDataWrites() {
+    const db = client.db('s3-mongodb-db');
+    READINGS_SOURCES.forEach(({ source, collection }) => {
+        try {
+            const changeStream = db.collection(collection).watch([], { fullDocument: 'updateLookup' });
+            changeStream.on('change', async change => {
+                try {
+                    if (change.operationType === 'delete') {
+                        await removeDatasetReadings(String(change.documentKey._id));
+                        return;
+                    }
+                    // Updates that don't touch the data points (e.g. personal information) keep the readings
+                    if (change.operationType === 'update' &&
+                        !Object.keys(change.updateDescription?.updatedFields || {}).some(field => /^(data|data_snapshot|etag)(\.|$)/.test(field))) {
+                        return;
+                    }
+                    if (change.fullDocument) {
+                        await materializeReadings(source, change.fullDocument);
+                    }
+                } catch (error) {
+                    console.error(`Error materializing readings for a ${collection} change:`, error);
+                }
             });
+            changeStream.on('error', error => {
+                console.warn(`Not watching ${collection} for new readings (they are materialized on first use):`, error.message);
+            });
+        } catch (error) {
+            console.warn(`Could not watch ${collection} for new readings:`, error.message);
         }
-        
-        console.log('Users after filtering:', usersAfterFiltering.length);
-        
-        // Now get sensor data for each filtered user
+    });
+}
+
+// Backfills the readings store from every existing data entry and version.
+// Datasets that are already materialized are skipped unless force is set.
+async function backfillReadings({ force = false } = {}) {
+    const db = client.db('s3-mongodb-db');
+    const datasetsCollection = db.collection(READINGS_DATASETS_COLLECTION);
+    const summary = { datasets: 0, skipped: 0, readings: 0, failed: 0 };
+
+    for (const { source, collection } of READINGS_SOURCES) {
+        for await (const doc of db.collection(collection).find({})) {
+            try {
+                const dataset = getDatasetKey(source, doc);
+                if (!dataset || (!force && (await datasetsCollection.findOne({ dataset }))?.materialized_at)) {
+                    summary.skipped++;
+                    continue;
+                }
+                const { readingCount } = await materializeReadings(source, doc, { onlyIfMissing: !force });
+                summary.datasets++;
+                summary.readings += readingCount;
+            } catch (error) {
+                console.error(`Failed to backfill readings for ${collection} document ${doc._id}:`, error);
+                summary.failed++;
+            }
+        }
+    }
+
+    return summary;
+}
+
+// Derived statistics cache: per-user statistics (AGP, comparison and population runs) keyed by everything they
+// depend on - user, dataset (etag or version), biomarker, range configuration, date window, algorithm version and
+// calculation options. A new upload gives a new etag and a csv2ranges change a new range configuration version,
+// so stale entries are never read; they are also deleted when the change is seen and expire after DERIVED_STATS_TTL_DAYS.
+// Bump DERIVED_STATS_ALGORITHM_VERSION whenever a change to the statistics or cleaning code changes results.
+const DERIVED_STATS_COLLECTION = 's3-mongodb-derived-stats';
+const DERIVED_STATS_ALGORITHM_VERSION = 1;
+const DERIVED_STATS_TTL_DAYS = 30;
+
+// Helper function to hash a JSON-serializable value (cache keys and configuration versions)
+function hashValue(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+// Helper function to get the current range configuration version: a hash of the csv2ranges documents, so a change
+// made through any path (including the ingestion pipeline) gives new cache keys
+async function getRangeConfigVersion() {
+    const db = client.db('s3-mongodb-db');
+    const rangeDocuments = await db.collection('s3-mongodb-csv2ranges')
+        .find({}, { projection: { _id: 0 } })
+        .sort({ biomarker_type: 1, condition: 1 })
+        .toArray();
+    return hashValue(rangeDocuments);
+}
+
+// Helper function to get the part of a user's profile that statistics depend on (conditions select the
+// csv2ranges ranges, the timezone places readings in the day)
+function getStatsProfileVersion(userFileInfo) {
+    return hashValue({
+        personalInformation: userFileInfo?.personal_information || null,
+        age: userFileInfo?.device_info?.age ?? null,
+        timezone: getUserTimezone(userFileInfo)
+    });
+}
+
+// Helper function to get derived statistics from the cache, calculating and storing them on a miss.
+// descriptor: { username, dataset, biomarker, rangeConfigVersion, window, params } - every input the result depends on.
+// Results with an error are returned but not stored. Returns { result, computedAt, cached }.
+async function getDerivedStats(descriptor, calculate) {
+    const key = hashValue({ ...descriptor, algorithmVersion: DERIVED_STATS_ALGORITHM_VERSION });
+    const collection = client.db('s3-mongodb-db').collection(DERIVED_STATS_COLLECTION);
+
+    try {
+        const cachedEntry = await collection.findOne({ key });
+        if (cachedEntry) {
+            return { result: cachedEntry.result, computedAt: cachedEntry.computed_at, cached: true };
+        }
+    } catch (error) {
+        console.warn('Derived statistics cache read failed, calculating:', error.message);
+    }
+
+    const result = await calculate();
+    const computedAt = new Date();
+    if (!result?.error) {
+        try {
+            await collection.replaceOne(
+                { key },
+                {
+                    key,
+                    username: descriptor.username,
+                    dataset: descriptor.dataset ?? null,
+                    biomarker: descriptor.biomarker,
+                    range_config_version: descriptor.rangeConfigVersion,
+                    window: descriptor.window ?? null,
+                    algorithm_version: DERIVED_STATS_ALGORITHM_VERSION,
+                    result,
+                    computed_at: computedAt
+                },
+                { upsert: true }
+            );
+        } catch (error) {
+            console.warn('Derived statistics cache write failed:', error.message);
+        }
+    }
+    return { result, computedAt, cached: false };
+}
+
+// Helper function to drop cached statistics matching a filter (e.g. { username } after an upload or a personal
+// information change, {} after a csv2ranges change). Failures are logged - the cache keys already exclude stale entries.
+async function invalidateDerivedStats(filter) {
+    try {
         const db = client.db('s3-mongodb-db');
-        const dataCollection = db.collection('s3-mongodb-data-entries');
+        const { deletedCount } = await db.collection(DERIVED_STATS_COLLECTION).deleteMany(filter);
+        if (deletedCount > 0) {
+            console.log(`Invalidated ${deletedCount} cached statistics for`, filter);
+        }
+    } catch (error) {
+        console.warn('Failed to invalidate cached statistics:', error.message);
+    }
+}
+
+// Creates the derived statistics cache indexes
+async function ensureDerivedStatsIndexes() {
+    const collection = client.db('s3-mongodb-db').collection(DERIVED_STATS_COLLECTION);
+    await collection.createIndex({ key: 1 }, { unique: true });
+    await collection.createIndex({ username: 1 });
+    await collection.createIndex({ computed_at: 1 }, { expireAfterSeconds: DERIVED_STATS_TTL_DAYS * 24 * 60 * 60 });
+}
+
+// Drops every cached statistic when the csv2ranges collection changes (needs a replica set, like watchDataWrites;
+// without one the range configuration version in the cache keys still keeps stale entries from being read)
+function watchRangeConfigWrites() {
+    const db = client.db('s3-mongodb-db');
+    try {
+        const changeStream = db.collection('s3-mongodb-csv2ranges').watch();
+        changeStream.on('change', () => invalidateDerivedStats({}));
+        changeStream.on('error', error => {
+            console.warn('Stopped watching s3-mongodb-csv2ranges for cache invalidation:', error.message);
+        });
+        console.log('Watching s3-mongodb-csv2ranges for cache invalidation');
+    } catch (error) {
+        console.warn('Could not watch s3-mongodb-csv2ranges for cache invalidation:', error.message);
+    }
+}
+
+// Helper function to load a user's file tracker record and make sure their current data entry is in the readings store
+async function loadUserDataset(username) {
+    const db = client.db('s3-mongodb-db');
+    const userFileInfo = await db.collection('s3-mongodb-file_tracker').findOne({ username: username });
+    if (!userFileInfo) {
+        return { error: `User ${username} not found in file tracker` };
+    }
+    if (!userFileInfo.etag) {
+        return { error: `User ${username} has no etag (no processed data)` };
+    }
+    if (!await ensureEntryReadings(userFileInfo.etag)) {
+        return { error: `No sensor data entry found for user ${username} with etag ${userFileInfo.etag}` };
+    }
+    return { userFileInfo, dataset: userFileInfo.etag };
+}
+
+// Helper function to load a user's file tracker record and one biomarker's readings from both sensors,
+// optionally limited to a time range ({ start, end })
+async function loadUserBiomarkerReadings(username, biomarkerType, timeRange = {}) {
+    console.log(`Fetching AGP data for user: ${username}, biomarker: ${biomarkerType}`);
+    const { userFileInfo, dataset, error } = await loadUserDataset(username);
+    if (error) {
+        return { error };
+    }
+
+    const biomarkerData = (await queryReadings(dataset, biomarkerType, timeRange))
+        .map(({ timestamp, value, sensor }) => ({ timestamp, value, sensor }));
+
+    console.log(`Loaded ${biomarkerData.length} ${biomarkerType} readings for user ${username}`);
+    if (biomarkerData.length === 0) {
+        const { channels } = BIOMARKER_REGISTRY[biomarkerType];
+        return { error: `No ${biomarkerType} data found for user ${username}. Check if the data contains ${channels.map(c => c.fields[0]).join(' or ')} fields.` };
+    }
+
+    return { userFileInfo, biomarkerData };
+}
+
+// Helper function to get the custom ranges that apply to a user from the csv2ranges collection,
+// averaging across conditions when more than one applies. Returns null when defaults should be used.
+async function getUserCustomRanges(userFileInfo, biomarkerType) {
+    const db = client.db('s3-mongodb-db');
+    let customRanges = null;
+    try {
+        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
         
-        const allSensorData = [];
+        console.log(`=== DEBUGGING CUSTOM RANGES for ${userFileInfo.username} ===`);
+        console.log('Biomarker type:', biomarkerType);
+        console.log('User personal info exists:', !!userFileInfo.personal_information);
+        if (userFileInfo.personal_information) {
+            console.log('Personal info keys:', Object.keys(userFileInfo.personal_information));
+            console.log('Personal info values:', userFileInfo.personal_information);
+        }
         
-        for (const userInfo of usersAfterFiltering) {
-            try {
-                if (userInfo.etag) {
-                    console.log('Fetching sensor data for etag:', userInfo.etag);
-                    const sensorDataResponse = await dataCollection.findOne({ etag: userInfo.etag });
-                    
-                    if (sensorDataResponse) {
-                        // Extract data points (handle both data structures)
-                        let dataPoints = [];
-                        if (sensorDataResponse.data && sensorDataResponse.data.data_points) {
-                            dataPoints = sensorDataResponse.data.data_points;
-                        } else if (sensorDataResponse.data_snapshot && sensorDataResponse.data_snapshot.data_points) {
-                            dataPoints = sensorDataResponse.data_snapshot.data_points;
-                        }
-                        
-                        console.log(`Found ${dataPoints.length} data points for user ${userInfo.username}`);
-                        
-                        // Process each data point
-                        dataPoints.forEach(point => {
-                            // Parse timestamp
-                            let timestamp;
-                            try {
-                                if (point.timestamp && point.timestamp.$date && point.timestamp.$date.$numberLong) {
-                                    timestamp = new Date(parseInt(point.timestamp.$date.$numberLong));
-                                } else if (point.timestamp && point.timestamp.$date) {
-                                    timestamp = new Date(point.timestamp.$date);
-                                } else if (point.timestamp) {
-                                    timestamp = new Date(point.timestamp);
-                                } else if (point.time) {
-                                    const timeValue = point.time.$numberInt || point.time;
-                                    timestamp = new Date(parseInt(timeValue) * 1000);
-                                } else {
-                                    timestamp = new Date();
-                                }
-                            } catch (error) {
-                                timestamp = new Date();
-                            }
-                            
-                            // Apply date range filter
-                            if (startDate || endDate) {
-                                const startDateTime = startDate ? new Date(startDate) : new Date('1900-01-01');
-                                const endDateTime = endDate ? new Date(endDate + 'T23:59:59') : new Date('2099-12-31');
-                                
-                                if (timestamp < startDateTime || timestamp > endDateTime) {
-                                    return; // Skip this data point
-                                }
-                            }
+        if (userFileInfo.personal_information) {
+            const personalInfo = userFileInfo.personal_information;
+            const deviceInfo = userFileInfo.device_info;
+            const applicableConditions = [];
 
-                            // Extract sensor values and create data entries
-                            const baseEntry = {
-                                username: userInfo.username,
-                                userID: userInfo.device_info ? userInfo.device_info.userID : null,
-                                deviceID: userInfo.device_info ? userInfo.device_info.deviceID : null,
-                                gender: userInfo.device_info ? userInfo.device_info.gender : null,
-                                age: userInfo.device_info ? (userInfo.device_info.age.$numberInt || userInfo.device_info.age) : null,
-                                arm: userInfo.device_info ? userInfo.device_info.arm : null,
-                                timestamp: timestamp
-                            };
-
-                            // Add cortisol readings
-                            const cortisol1 = point['Cortisol(ng/mL)'] && (point['Cortisol(ng/mL)'].$numberDouble || point['Cortisol(ng/mL)']);
-                            const cortisol2 = point['Cortisol(ng/mL)_2'] && (point['Cortisol(ng/mL)_2'].$numberDouble || point['Cortisol(ng/mL)_2']);
-                            
-                            if (cortisol1 !== null && cortisol1 !== undefined && !isNaN(cortisol1)) {
-                                allSensorData.push({
-                                    ...baseEntry,
-                                    biomarkerType: 'cortisol',
-                                    value: parseFloat(cortisol1),
-                                    sensor: 1
-                                });
-                            }
-                            if (cortisol2 !== null && cortisol2 !== undefined && !isNaN(cortisol2)) {
-                                allSensorData.push({
-                                    ...baseEntry,
-                                    biomarkerType: 'cortisol',
-                                    value: parseFloat(cortisol2),
-                                    sensor: 2
-                                });
-                            }
+            // Check for applicable conditions - handle various CSV column name formats
+            if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
+                applicableConditions.push('pregnancy');
+            }
+            if (personalInfo.Diabete === true || personalInfo.diabete === true || 
+                personalInfo.diabetes === true || personalInfo.Diabetes === true) {
+                applicableConditions.push('type2_diabetes');
+            }
+            if (personalInfo.smokes === true) applicableConditions.push('smoking');
+            if (personalInfo.drinks === true) applicableConditions.push('drinking');
+            if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
+                personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
+                applicableConditions.push('hypertension');
+            }
+            
+            const age = deviceInfo?.age || personalInfo.age;
+            if (age && (parseInt(age) < 18 || age < 18)) {
+                applicableConditions.push('pediatric');
+            }
 
-                            // Add glucose readings
-                            const glucose1 = point['Glucose(mg/dL)'] && (point['Glucose(mg/dL)'].$numberDouble || point['Glucose(mg/dL)']);
-                            const glucose2 = point['Glucose(mg/dL)_2'] && (point['Glucose(mg/dL)_2'].$numberDouble || point['Glucose(mg/dL)_2']);
-                            
-                            if (glucose1 !== null && glucose1 !== undefined && !isNaN(glucose1)) {
-                                allSensorData.push({
-                                    ...baseEntry,
-                                    biomarkerType: 'glucose',
-                                    value: parseFloat(glucose1),
-                                    sensor: 1
-                                });
-                            }
-                            if (glucose2 !== null && glucose2 !== undefined && !isNaN(glucose2)) {
-                                allSensorData.push({
-                                    ...baseEntry,
-                                    biomarkerType: 'glucose',
-                                    value: parseFloat(glucose2),
-                                    sensor: 2
-                                });
-                            }
-                        });
+            console.log('Applicable conditions found:', applicableConditions);
+            
+            // Get custom ranges if conditions apply
+            if (applicableConditions.length > 0) {
+                const applicableRanges = [];
+                
+                for (const condition of applicableConditions) {
+                    const rangeDoc = await csv2rangesCollection.findOne({ 
+                        biomarker_type: biomarkerType,
+                        condition: condition
+                    });
+                    
+                    if (rangeDoc && rangeDoc.ranges) {
+                        console.log(`Found config for condition: ${condition}`);
+                        applicableRanges.push(rangeDoc.ranges);
+                    } else {
+                        console.log(`No config found for condition: ${condition}`);
                     }
                 }
-            } catch (userError) {
-                console.warn(`Could not fetch data for user ${userInfo.username}:`, userError.message);
+                
+                if (applicableRanges.length > 0) {
+                    if (applicableRanges.length === 1) {
+                        customRanges = applicableRanges[0];
+                    } else {
+                        // Average the ranges across multiple conditions
+                        customRanges = averageRanges(applicableRanges, biomarkerType);
+                    }
+                    console.log('Final custom ranges applied:', customRanges);
+                } else {
+                    console.log('No applicable ranges found despite having conditions');
+                }
+            } else {
+                console.log('No applicable conditions detected');
             }
         }
-        
-        // Sort by timestamp
-        allSensorData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        // Count unique users in final data
-        const uniqueUsers = new Set(allSensorData.map(item => item.username)).size;
-        
-        console.log('=== Final Results ===');
-        console.log('Total sensor data points:', allSensorData.length);
-        console.log('Unique users:', uniqueUsers);
-        
-        res.json({
-            data: allSensorData,
-            uniqueUsers: uniqueUsers,
-            totalRecords: allSensorData.length
-        });
-        
     } catch (error) {
-        console.error('=== ERROR in filtered data endpoint ===');
-        console.error('Error details:', error);
-        console.error('Stack trace:', error.stack);
-        res.status(500).json({ error: 'Failed to fetch filtered data' });
+        console.log('Could not fetch custom ranges from csv2ranges collection, using defaults:', error.message);
     }
-});
 
+    return customRanges;
+}
 
+// Signal cleaning defaults, per biomarker. Admins can override these in the cleaning settings collection.
+// - minValue/maxValue: physiologically plausible range; clipMode 'remove' drops readings outside it, 'clamp' pins them to the limit
+// - warmupMinutes: readings this long after a sensor session starts are dropped (a session starts after a gap > sessionGapMinutes)
+// - minGapMinutes: readings closer than this to the previous kept reading on the same channel are dropped
+// - spikeRatePerMinute: a reading that jumps away from both neighbours faster than this (up-then-down, or a compression low) is dropped
+// - outlierMadThreshold: a reading further than this many scaled MADs from the median of its outlierWindowSize neighbours is dropped (0 = off)
+// Shared cleaning defaults; each registry entry supplies its plausible range and spike rate
+const BASE_CLEANING_SETTINGS = {
+    enabled: true,
+    clipMode: 'remove',
+    warmupMinutes: 60,
+    sessionGapMinutes: 120,
+    minGapMinutes: 1,
+    spikeRatePerMinute: 0,
+    outlierMadThreshold: 6,
+    outlierWindowSize: 7
+};
+const DEFAULT_CLEANING_SETTINGS = Object.fromEntries(
+    Object.entries(BIOMARKER_REGISTRY).map(([type, biomarker]) => [type, { ...BASE_CLEANING_SETTINGS, ...biomarker.cleaning }])
+);
+const CLEANING_REMOVAL_REASONS = ['outOfRange', 'warmup', 'minGap', 'spike', 'outlier'];
+
+// Helper function to load the cleaning settings for a biomarker (admin overrides merged over the defaults)
+async function getCleaningSettings(biomarkerType) {
+    const defaults = DEFAULT_CLEANING_SETTINGS[biomarkerType];
+    try {
+        const db = client.db('s3-mongodb-db');
+        const settingsDoc = await db.collection('s3-mongodb-cleaning-settings').findOne({ biomarker_type: biomarkerType });
+        return { ...defaults, ...(settingsDoc?.settings || {}) };
+    } catch (error) {
+        console.log(`Could not fetch ${biomarkerType} cleaning settings, using defaults:`, error.message);
+        return { ...defaults };
+    }
+}
 
-// Calculate cortisol statistics and percentiles for Chart.js component
-function calculateCortisolStatistics(cortisolData, customRanges = null) {
-    if (!cortisolData || cortisolData.length === 0) {
-        return {
-            statistics: {
-                average: 0,
-                percentBelow5: 0,
-                percentBelow10: 0,
-                percentBetween10And30: 0,
-                percentAbove30: 0,
-                percentAbove50: 0,
-                coefficientOfVariationPercentage: 0
-            },
-            percentages: {
-                percentile_5: Array(24).fill(0),
-                percentile_25: Array(24).fill(0),
-                percentile_50: Array(24).fill(0),
-                percentile_75: Array(24).fill(0),
-                percentile_95: Array(24).fill(0)
-            },
-            startAt: new Date().toISOString(),
-            endAt: new Date().toISOString()
-        };
+// Helper function to validate cleaning settings sent by an admin; returns an error message or null
+function validateCleaningSettings(settings) {
+    if (!settings || typeof settings !== 'object') return 'settings must be an object';
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') return 'enabled must be true or false';
+    if (settings.clipMode !== undefined && !['remove', 'clamp'].includes(settings.clipMode)) return 'clipMode must be "remove" or "clamp"';
+
+    const numericKeys = ['minValue', 'maxValue', 'warmupMinutes', 'sessionGapMinutes', 'minGapMinutes',
+        'spikeRatePerMinute', 'outlierMadThreshold', 'outlierWindowSize'];
+    for (const key of numericKeys) {
+        if (settings[key] !== undefined && (typeof settings[key] !== 'number' || isNaN(settings[key]) || settings[key] < 0)) {
+            return `${key} must be a non-negative number`;
+        }
+    }
+    if (settings.minValue !== undefined && settings.maxValue !== undefined && settings.minValue >= settings.maxValue) {
+        return 'minValue must be less than maxValue';
     }
+    if (settings.outlierWindowSize !== undefined && settings.outlierWindowSize < 3) {
+        return 'outlierWindowSize must be at least 3';
+    }
+    return null;
+}
 
-    const values = cortisolData.map(d => d.value);
-    const sortedValues = values.sort((a, b) => a - b);
-    
-    // Calculate basic statistics
-    const total = values.length;
-    const sum = values.reduce((a, b) => a + b, 0);
-    const average = Math.round((sum / total) * 1000) / 1000; // Round to 3 decimal places for cortisol
-    
-    // Get range thresholds (custom or default)
-    let veryLowMax, lowMax, normalMin, normalMax, highMax;
-    
-    if (customRanges) {
-        veryLowMax = customRanges.veryLow?.max || 5;
-        lowMax = customRanges.low?.max || 10;
-        normalMin = customRanges.normal?.min || 10;
-        normalMax = customRanges.normal?.max || 30;
-        highMax = customRanges.high?.max || 50;
-    } else {
-        // Default cortisol ranges (0-20 ng/mL scale)
-        veryLowMax = 2;
-        lowMax = 5;
-        normalMin = 5;
-        normalMax = 15;
-        highMax = 20;
+// Helper function to run the cleaning steps over one channel's time-ordered readings.
+// Each removed reading is counted under the first step that removed it.
+function cleanChannelReadings(readings, settings, removed) {
+    const time = reading => new Date(reading.timestamp).getTime();
+    let clampedReadings = 0;
+
+    // Range clipping
+    let kept = [];
+    readings.forEach(reading => {
+        if (reading.value >= settings.minValue && reading.value <= settings.maxValue) {
+            kept.push(reading);
+        } else if (settings.clipMode === 'clamp') {
+            kept.push({ ...reading, value: Math.min(Math.max(reading.value, settings.minValue), settings.maxValue) });
+            clampedReadings++;
+        } else {
+            removed.outOfRange++;
+        }
+    });
+
+    // Warm-up exclusion
+    const sessionGapMs = settings.sessionGapMinutes * 60000;
+    const warmupMs = settings.warmupMinutes * 60000;
+    let sessionStart = null;
+    let previousTime = null;
+    kept = kept.filter(reading => {
+        const t = time(reading);
+        if (previousTime === null || t - previousTime > sessionGapMs) sessionStart = t;
+        previousTime = t;
+        if (warmupMs > 0 && t - sessionStart < warmupMs) {
+            removed.warmup++;
+            return false;
+        }
+        return true;
+    });
+
+    // Minimum gap between readings
+    const minGapMs = settings.minGapMinutes * 60000;
+    let lastKeptTime = null;
+    kept = kept.filter(reading => {
+        const t = time(reading);
+        if (lastKeptTime !== null && t - lastKeptTime < minGapMs) {
+            removed.minGap++;
+            return false;
+        }
+        lastKeptTime = t;
+        return true;
+    });
+
+    // Spikes: an isolated jump away from both neighbours (within one session) faster than the allowed rate
+    if (settings.spikeRatePerMinute > 0) {
+        const rate = (a, b) => (b.value - a.value) / Math.max((time(b) - time(a)) / 60000, 1e-6);
+        const isSpike = kept.map((reading, i) => {
+            if (i === 0 || i === kept.length - 1) return false;
+            const previous = kept[i - 1];
+            const next = kept[i + 1];
+            if (time(reading) - time(previous) > sessionGapMs || time(next) - time(reading) > sessionGapMs) return false;
+            const rateIn = rate(previous, reading);
+            const rateOut = rate(reading, next);
+            return Math.abs(rateIn) > settings.spikeRatePerMinute &&
+                Math.abs(rateOut) > settings.spikeRatePerMinute &&
+                Math.sign(rateIn) !== Math.sign(rateOut);
+        });
+        kept = kept.filter((reading, i) => {
+            if (isSpike[i]) removed.spike++;
+            return !isSpike[i];
+        });
     }
-    
-    // Debug logging for range verification
-    console.log(`Cortisol Stats Calculation - Custom ranges provided: ${!!customRanges}`);
-    if (customRanges) {
-        console.log(`Using custom cortisol ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Normal:${normalMin}-${normalMax}, High>${normalMax}, VeryHigh>${highMax}`);
-    } else {
-        console.log(`Using default cortisol ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Normal:${normalMin}-${normalMax}, High>${normalMax}, VeryHigh>${highMax}`);
+
+    // Outliers: rolling median / MAD
+    if (settings.outlierMadThreshold > 0 && kept.length >= settings.outlierWindowSize) {
+        const halfWindow = Math.floor(settings.outlierWindowSize / 2);
+        const median = values => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const isOutlier = kept.map((reading, i) => {
+            const windowStart = Math.max(0, Math.min(i - halfWindow, kept.length - settings.outlierWindowSize));
+            const windowValues = kept.slice(windowStart, windowStart + settings.outlierWindowSize).map(r => r.value);
+            const windowMedian = median(windowValues);
+            const mad = median(windowValues.map(value => Math.abs(value - windowMedian))) * 1.4826;
+            return mad > 0 && Math.abs(reading.value - windowMedian) > settings.outlierMadThreshold * mad;
+        });
+        kept = kept.filter((reading, i) => {
+            if (isOutlier[i]) removed.outlier++;
+            return !isOutlier[i];
+        });
     }
 
-    // Calculate actual time in ranges for cortisol (assuming 15-minute intervals)
-    const readingIntervalMinutes = 15; // Standard sensor reading interval
-    const totalWearTimeMinutes = total * readingIntervalMinutes;
-    
-    // Calculate time spent in each range
-    const belowVeryLow = values.filter(v => v < veryLowMax).length;
-    const belowLow = values.filter(v => v < lowMax).length;
-    const inNormal = values.filter(v => v >= normalMin && v <= normalMax).length;
-    const aboveNormal = values.filter(v => v > normalMax).length;
-    const aboveHigh = values.filter(v => v > highMax).length;
-    
-    // Calculate actual time spent in each range (in minutes)
-    const timeVeryLowMinutes = belowVeryLow * readingIntervalMinutes;
-    const timeLowMinutes = (belowLow - belowVeryLow) * readingIntervalMinutes;
-    const timeNormalMinutes = inNormal * readingIntervalMinutes;
-    const timeHighMinutes = (aboveNormal - aboveHigh) * readingIntervalMinutes;
-    const timeVeryHighMinutes = aboveHigh * readingIntervalMinutes;
-    
-    // Calculate percentages based on actual wear time
-    const percentBelow5 = totalWearTimeMinutes > 0 ? Math.round((timeVeryLowMinutes / totalWearTimeMinutes) * 100) : 0;
-    const percentBelow10 = totalWearTimeMinutes > 0 ? Math.round(((timeVeryLowMinutes + timeLowMinutes) / totalWearTimeMinutes) * 100) : 0;
-    const percentBetween10And30 = totalWearTimeMinutes > 0 ? Math.round((timeNormalMinutes / totalWearTimeMinutes) * 100) : 0;
-    const percentAbove30 = totalWearTimeMinutes > 0 ? Math.round(((timeHighMinutes + timeVeryHighMinutes) / totalWearTimeMinutes) * 100) : 0;
-    const percentAbove50 = totalWearTimeMinutes > 0 ? Math.round((timeVeryHighMinutes / totalWearTimeMinutes) * 100) : 0;
-    
-    console.log(`Cortisol wear time: ${total} readings × ${readingIntervalMinutes} min = ${totalWearTimeMinutes} min (${Math.round(totalWearTimeMinutes/60*100)/100} hours)`);
-    
-    // Calculate coefficient of variation
-    const variance = values.reduce((acc, val) => acc + Math.pow(val - average, 2), 0) / total;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariationPercentage = Math.round((standardDeviation / average) * 100);
-    
-    // Group data by hour for percentile calculations
-    const hourlyData = Array(24).fill(null).map(() => []);
-    
-    cortisolData.forEach(point => {
-        const hour = new Date(point.timestamp).getHours();
-        hourlyData[hour].push(point.value);
+    return { kept, clampedReadings };
+}
+
+// Clean a biomarker's readings before statistics: range clipping, warm-up exclusion, minimum gap,
+// spike and outlier removal. Channels (the `sensor` field, and `groupKey` when given) are cleaned separately.
+// Returns the cleaned readings in time order plus a summary of what was removed and why.
+function cleanBiomarkerReadings(readings, settings, options = {}) {
+    const removed = Object.fromEntries(CLEANING_REMOVAL_REASONS.map(reason => [reason, 0]));
+    const summary = (cleaned, clampedReadings) => ({
+        applied: !!settings.enabled && !options.raw,
+        raw: !!options.raw,
+        settings,
+        inputReadings: readings.length,
+        keptReadings: cleaned.length,
+        removedReadings: readings.length - cleaned.length,
+        removedByReason: removed,
+        clampedReadings
     });
-    
-    // Calculate percentiles for each hour
-    const percentile_5 = [];
-    const percentile_25 = [];
-    const percentile_50 = [];
-    const percentile_75 = [];
-    const percentile_95 = [];
-    
-    for (let hour = 0; hour < 24; hour++) {
-        const hourValues = hourlyData[hour].sort((a, b) => a - b);
-        
-        if (hourValues.length === 0) {
-            // Use overall average if no data for this hour
-            percentile_5.push(average * 0.7);
-            percentile_25.push(average * 0.85);
-            percentile_50.push(average);
-            percentile_75.push(average * 1.15);
-            percentile_95.push(average * 1.3);
-        } else {
-            const getPercentile = (arr, p) => {
-                const index = Math.ceil(arr.length * p / 100) - 1;
-                return arr[Math.max(0, Math.min(index, arr.length - 1))];
-            };
-            
-            percentile_5.push(getPercentile(hourValues, 5));
-            percentile_25.push(getPercentile(hourValues, 25));
-            percentile_50.push(getPercentile(hourValues, 50));
-            percentile_75.push(getPercentile(hourValues, 75));
-            percentile_95.push(getPercentile(hourValues, 95));
+
+    if (!settings.enabled || options.raw) {
+        return { readings, cleaning: summary(readings, 0) };
+    }
+
+    const channels = new Map();
+    readings.forEach(reading => {
+        if (isNaN(new Date(reading.timestamp).getTime())) {
+            removed.outOfRange++;
+            return;
+        }
+        const key = `${options.groupKey ? options.groupKey(reading) : ''}|${reading.sensor ?? ''}`;
+        if (!channels.has(key)) channels.set(key, []);
+        channels.get(key).push(reading);
+    });
+
+    let cleaned = [];
+    let clampedReadings = 0;
+    channels.forEach(channelReadings => {
+        channelReadings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const result = cleanChannelReadings(channelReadings, settings, removed);
+        cleaned = cleaned.concat(result.kept);
+        clampedReadings += result.clampedReadings;
+    });
+    cleaned.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return { readings: cleaned, cleaning: summary(cleaned, clampedReadings) };
+}
+
+// Helper function to total several cleaning summaries (e.g. one per user) into one
+function combineCleaningSummaries(summaries, settings, raw = false) {
+    const combined = {
+        applied: !!settings.enabled && !raw,
+        raw,
+        settings,
+        inputReadings: 0,
+        keptReadings: 0,
+        removedReadings: 0,
+        removedByReason: Object.fromEntries(CLEANING_REMOVAL_REASONS.map(reason => [reason, 0])),
+        clampedReadings: 0
+    };
+    summaries.forEach(summary => {
+        combined.inputReadings += summary.inputReadings;
+        combined.keptReadings += summary.keptReadings;
+        combined.removedReadings += summary.removedReadings;
+        combined.clampedReadings += summary.clampedReadings;
+        CLEANING_REMOVAL_REASONS.forEach(reason => {
+            combined.removedByReason[reason] += summary.removedByReason[reason];
+        });
+    });
+    return combined;
+}
+
+// Helper function to fetch AGP data for a single user (cleaned unless options.raw is set) from the derived
+// statistics cache, calculating it on a miss. The result carries computed_at.
+async function fetchUserAGPData(username, biomarkerType, options = {}) {
+    try {
+        const userFileInfo = await findUser(username);
+        if (!userFileInfo) {
+            return { error: `User ${username} not found in file tracker` };
         }
+
+        const { result, computedAt } = await getDerivedStats({
+            username,
+            dataset: userFileInfo.etag || null,
+            biomarker: biomarkerType,
+            rangeConfigVersion: await getRangeConfigVersion(),
+            window: null,
+            params: {
+                report: 'agp-summary',
+                ...options,
+                cleaningSettings: await getCleaningSettings(biomarkerType),
+                profile: getStatsProfileVersion(userFileInfo)
+            }
+        }, () => calculateUserAGPData(username, biomarkerType, options));
+
+        return result.error ? result : { ...result, device_info: userFileInfo.device_info, computed_at: computedAt };
+    } catch (error) {
+        console.error(`Error fetching AGP data for ${username}:`, error);
+        return { error: `Failed to fetch data for user ${username}` };
     }
-    
-    // Get date range
-    const timestamps = cortisolData.map(d => new Date(d.timestamp));
-    const startAt = new Date(Math.min(...timestamps)).toISOString();
-    const endAt = new Date(Math.max(...timestamps)).toISOString();
-    
-            return {
-            statistics: {
-                average,
-                percentBelow5,
-                percentBelow10,
-                percentBetween10And30,
-                percentAbove30,
-                percentAbove50,
-                coefficientOfVariationPercentage,
-                // Add actual time information
-                totalWearTimeMinutes,
-                totalWearTimeHours: Math.round(totalWearTimeMinutes/60*100)/100,
-                timeVeryLowMinutes,
-                timeLowMinutes,
-                timeNormalMinutes,
-                timeHighMinutes,
-                timeVeryHighMinutes
-            },
-            percentages: {
-                percentile_5,
-                percentile_25,
-                percentile_50,
-                percentile_75,
-                percentile_95
+}
+
+// Helper function to calculate AGP data for a single user (cleaned unless options.raw is set)
+async function calculateUserAGPData(username, biomarkerType, options = {}) {
+    try {
+        const { userFileInfo, biomarkerData: rawData, error: loadError } = await loadUserBiomarkerReadings(username, biomarkerType);
+        if (loadError) {
+            return { error: loadError };
+        }
+
+        // Remove implausible values, warm-up, spikes and outliers before any statistics
+        const cleaningSettings = await getCleaningSettings(biomarkerType);
+        const { readings: biomarkerData, cleaning } = cleanBiomarkerReadings(rawData, cleaningSettings, { raw: options.raw });
+
+        // Get applicable ranges for this user from csv2ranges collection
+        const customRanges = await getUserCustomRanges(userFileInfo, biomarkerType);
+
+        // Time-of-day calculations use the patient's timezone
+        const { raw, ...calculationOptions } = options;
+        const statsOptions = { ...calculationOptions, timeZone: getUserTimezone(userFileInfo) };
+
+        // Calculate statistics with custom ranges
+        const statistics = calculateBiomarkerStatistics(biomarkerType, biomarkerData, customRanges, statsOptions);
+
+
+        // Calculate hourly percentiles for AGP chart
+        const hourlyData = Array(24).fill(null).map(() => []);
+        
+        biomarkerData.forEach(point => {
+            const hour = getLocalHour(point.timestamp, statsOptions.timeZone);
+            if (!isNaN(hour)) {
+                hourlyData[hour].push(point.value);
+            }
+        });
+
+        const percentiles = {
+            percentile_5: [],
+            percentile_25: [],
+            percentile_50: [],
+            percentile_75: [],
+            percentile_95: []
+        };
+
+        hourlyData.forEach(hourData => {
+            if (hourData.length > 0) {
+                hourData.sort((a, b) => a - b);
+                const getPercentile = (arr, p) => {
+                    const index = (p / 100) * (arr.length - 1);
+                    if (Number.isInteger(index)) {
+                        return arr[index];
+                    } else {
+                        const lower = Math.floor(index);
+                        const upper = Math.ceil(index);
+                        const weight = index - lower;
+                        return arr[lower] * (1 - weight) + arr[upper] * weight;
+                    }
+                };
+
+                percentiles.percentile_5.push(getPercentile(hourData, 5));
+                percentiles.percentile_25.push(getPercentile(hourData, 25));
+                percentiles.percentile_50.push(getPercentile(hourData, 50));
+                percentiles.percentile_75.push(getPercentile(hourData, 75));
+                percentiles.percentile_95.push(getPercentile(hourData, 95));
+            } else {
+                // No data for this hour
+                percentiles.percentile_5.push(null);
+                percentiles.percentile_25.push(null);
+                percentiles.percentile_50.push(null);
+                percentiles.percentile_75.push(null);
+                percentiles.percentile_95.push(null);
+            }
+        });
+
+        return {
+            username,
+            device_info: userFileInfo.device_info,
+            timezone: statsOptions.timeZone,
+            statistics,
+            percentiles,
+            totalReadings: biomarkerData.length,
+            cleaning,
+            dataSufficiency: {
+                totalWearTimeMinutes: statistics.statistics.totalWearTimeMinutes,
+                percentSensorActive: statistics.statistics.percentSensorActive,
+                daysOfData: statistics.statistics.daysOfData,
+                sufficientForClinicalInterpretation: statistics.statistics.sufficientForClinicalInterpretation
             },
-            startAt,
-            endAt
+            dataRange: {
+                start: new Date(Math.min(...biomarkerData.map(d => new Date(d.timestamp)))),
+                end: new Date(Math.max(...biomarkerData.map(d => new Date(d.timestamp))))
+            }
         };
+
+    } catch (error) {
+        console.error(`Error fetching AGP data for ${username}:`, error);
+        return { error: `Failed to fetch data for user ${username}` };
+    }
 }
 
-// Calculate AGP statistics and percentiles for Chart.js component
-function calculateAGPStatistics(glucoseData, customRanges = null) {
-    if (!glucoseData || glucoseData.length === 0) {
-        return {
-            statistics: {
-                average: 0,
-                percentBelow54: 0,
-                percentBelow70: 0,
-                percentBetween70And180: 0,
-                percentAbove180: 0,
-                percentAbove250: 0,
-                a1c: 0,
-                gmi: 0,
-                coefficientOfVariationPercentage: 0
-            },
-            percentages: {
-                percentile_5: Array(24).fill(0),
-                percentile_25: Array(24).fill(0),
-                percentile_50: Array(24).fill(0),
-                percentile_75: Array(24).fill(0),
-                percentile_95: Array(24).fill(0)
+// Admin Biomarker Configuration Endpoints
+// GET /admin/auth-test - Test admin authentication
+app.get('/admin/auth-test', authenticateToken, async (req, res) => {
+    try {
+        console.log('Auth test request from:', req.user.username, 'Admin:', req.user.admin);
+        res.json({
+            username: req.user.username,
+            isAdmin: req.user.admin,
+            message: req.user.admin ? 'Admin access confirmed' : 'Not an admin user'
+        });
+    } catch (error) {
+        console.error('Auth test error:', error);
+        res.status(500).json({ error: 'Authentication test failed' });
+    }
+});
+
+// GET /admin/biomarker-configs - Get current biomarker range configurations from csv2ranges collection
+// Optional query: units=conventional|si (ranges are stored in the conventional units)
+app.get('/admin/biomarker-configs', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can access biomarker configurations' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
+        
+        // Get all biomarker ranges from the csv2ranges collection
+        const rangeDocuments = await csv2rangesCollection.find({}).toArray();
+        
+        if (!rangeDocuments || rangeDocuments.length === 0) {
+            // Return default configuration if no ranges exist
+            const defaultConfig = Object.fromEntries(
+                Object.keys(BIOMARKER_REGISTRY).map(type => [type, {
+                    default: convertRanges(BIOMARKER_REGISTRY[type].defaultRanges, type, unitSystem),
+                    conditions: {}
+                }])
+            );
+            
+            return res.json({ configs: defaultConfig, unitSystem });
+        }
+
+        // Transform the csv2ranges documents into the expected format
+        const configs = Object.fromEntries(
+            Object.keys(BIOMARKER_REGISTRY).map(type => [type, { default: {}, conditions: {} }])
+        );
+
+        rangeDocuments.forEach(doc => {
+            const biomarker = doc.biomarker_type?.toLowerCase();
+            const condition = doc.condition || 'default';
+            
+            if (biomarker && isKnownBiomarker(biomarker)) {
+                const ranges = convertRanges(doc.ranges || {}, biomarker, unitSystem);
+                if (condition === 'default') {
+                    configs[biomarker].default = ranges;
+                } else {
+                    configs[biomarker].conditions[condition] = {
+                        name: doc.condition_name || condition,
+                        description: doc.description || '',
+                        ranges
+                    };
+                }
+            }
+        });
+
+        res.json({ configs, unitSystem });
+
+    } catch (error) {
+        console.error('Error fetching biomarker configurations from csv2ranges:', error);
+        res.status(500).json({ error: 'Failed to fetch biomarker configurations' });
+    }
+});
+
+// POST /admin/biomarker-configs - DISABLED: Ranges are now sourced from csv2ranges collection
+app.post('/admin/biomarker-configs', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can access biomarker configurations' });
+        }
+
+        // Ranges are now read-only from the csv2ranges collection
+        res.status(405).json({ 
+            error: 'Biomarker range configuration is read-only',
+            message: 'Ranges are automatically sourced from the s3-mongodb-csv2ranges collection and cannot be modified through this interface.'
+        });
+
+    } catch (error) {
+        console.error('Error in disabled biomarker config save endpoint:', error);
+        res.status(500).json({ error: 'Endpoint disabled' });
+    }
+});
+
+// GET /admin/biomarker-configs/:biomarker - Get specific range configuration for AGP reports (default condition)
+// Optional query: units=conventional|si
+app.get('/admin/biomarker-configs/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { biomarker } = req.params;
+        const condition = 'default';
+        
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: 'Invalid biomarker type' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
+        
+        // Look for the specific biomarker and default condition
+        const rangeDoc = await csv2rangesCollection.findOne({ 
+            biomarker_type: biomarker,
+            $or: [
+                { condition: 'default' },
+                { condition: { $exists: false } },
+                { condition: null }
+            ]
+        });
+        
+        if (!rangeDoc || !rangeDoc.ranges) {
+            // Return the registry defaults if no configuration exists
+            return res.json({ ranges: convertRanges(BIOMARKER_REGISTRY[biomarker].defaultRanges, biomarker, unitSystem), unitSystem });
+        }
+
+        res.json({ ranges: convertRanges(rangeDoc.ranges, biomarker, unitSystem), unitSystem });
+
+    } catch (error) {
+        console.error('Error fetching specific biomarker configuration from csv2ranges:', error);
+        res.status(500).json({ error: 'Failed to fetch biomarker configuration' });
+    }
+});
+
+// GET /admin/biomarker-configs/:biomarker/:condition - Get specific range configuration for AGP reports (specific condition)
+// Optional query: units=conventional|si
+app.get('/admin/biomarker-configs/:biomarker/:condition', authenticateToken, async (req, res) => {
+    try {
+        const { biomarker, condition } = req.params;
+        
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: 'Invalid biomarker type' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
+        
+        // Look for the specific biomarker and condition
+        const rangeDoc = await csv2rangesCollection.findOne({ 
+            biomarker_type: biomarker,
+            condition: condition
+        });
+        
+        if (!rangeDoc || !rangeDoc.ranges) {
+            // Fall back to default condition for this biomarker
+            const defaultRangeDoc = await csv2rangesCollection.findOne({ 
+                biomarker_type: biomarker,
+                $or: [
+                    { condition: 'default' },
+                    { condition: { $exists: false } },
+                    { condition: null }
+                ]
+            });
+            
+            if (defaultRangeDoc && defaultRangeDoc.ranges) {
+                return res.json({ ranges: convertRanges(defaultRangeDoc.ranges, biomarker, unitSystem), unitSystem });
+            }
+            
+            // Return the registry defaults if no database configuration exists
+            return res.json({ ranges: convertRanges(BIOMARKER_REGISTRY[biomarker].defaultRanges, biomarker, unitSystem), unitSystem });
+        }
+
+        res.json({ ranges: convertRanges(rangeDoc.ranges, biomarker, unitSystem), unitSystem });
+
+    } catch (error) {
+        console.error('Error fetching specific biomarker configuration from csv2ranges:', error);
+        res.status(500).json({ error: 'Failed to fetch biomarker configuration' });
+    }
+});
+
+// GET /admin/cleaning-settings - Get the signal cleaning settings for every biomarker (defaults merged with overrides)
+app.get('/admin/cleaning-settings', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can access cleaning settings' });
+        }
+
+        const settings = {};
+        for (const biomarkerType of Object.keys(DEFAULT_CLEANING_SETTINGS)) {
+            settings[biomarkerType] = await getCleaningSettings(biomarkerType);
+        }
+
+        res.json({ settings, defaults: DEFAULT_CLEANING_SETTINGS });
+
+    } catch (error) {
+        console.error('Error fetching cleaning settings:', error);
+        res.status(500).json({ error: 'Failed to fetch cleaning settings' });
+    }
+});
+
+// POST /admin/cleaning-settings/:biomarker - Save the signal cleaning settings for a biomarker
+// Body: { settings: { enabled, minValue, maxValue, clipMode, warmupMinutes, sessionGapMinutes, minGapMinutes,
+//                     spikeRatePerMinute, outlierMadThreshold, outlierWindowSize } } - omitted keys keep their defaults
+app.post('/admin/cleaning-settings/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can change cleaning settings' });
+        }
+
+        const { biomarker } = req.params;
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        // Only keep known settings, then validate the result as a whole
+        const submitted = req.body?.settings || {};
+        const settings = Object.fromEntries(
+            Object.keys(DEFAULT_CLEANING_SETTINGS[biomarker])
+                .filter(key => submitted[key] !== undefined)
+                .map(key => [key, submitted[key]])
+        );
+        const validationError = validateCleaningSettings({ ...DEFAULT_CLEANING_SETTINGS[biomarker], ...settings });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        await db.collection('s3-mongodb-cleaning-settings').updateOne(
+            { biomarker_type: biomarker },
+            {
+                $set: {
+                    biomarker_type: biomarker,
+                    settings,
+                    updated_by: req.user.username,
+                    updated_at: new Date()
+                }
+            },
+            { upsert: true }
+        );
+        await invalidateDerivedStats({ biomarker });
+
+        console.log(`Cleaning settings for ${biomarker} updated by ${req.user.username}:`, settings);
+        res.json({
+            message: `Cleaning settings for ${biomarker} saved`,
+            settings: { ...DEFAULT_CLEANING_SETTINGS[biomarker], ...settings }
+        });
+
+    } catch (error) {
+        console.error('Error saving cleaning settings:', error);
+        res.status(500).json({ error: 'Failed to save cleaning settings' });
+    }
+});
+
+// GET /user-applicable-ranges/:username/:biomarker - Get applicable biomarker ranges based on user's personal information
+// Optional query: units=conventional|si
+app.get('/user-applicable-ranges/:username/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { username, biomarker } = req.params;
+        
+        // Check authorization
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const unit = getUnitConversion(biomarker, unitSystem).unit;
+
+        const db = client.db('s3-mongodb-db');
+        
+        // Get user's personal information
+        const userCollection = db.collection('s3-mongodb-data-entries');
+        const userRecord = await userCollection.findOne(
+            { username: username },
+            { projection: { personal_information: 1, device_info: 1 } }
+        );
+        
+        if (!userRecord || !userRecord.personal_information) {
+            // Return default ranges if no personal information
+            return res.json({
+                applicableConditions: ['default'],
+                personalInfo: null,
+                ranges: null,
+                unit,
+                useDefault: true
+            });
+        }
+
+        // Map personal information fields to condition names
+        const personalInfo = userRecord.personal_information;
+        const deviceInfo = userRecord.device_info;
+        const applicableConditions = [];
+
+        // Check for applicable conditions based on personal information - handle various CSV column name formats
+        if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
+            applicableConditions.push('pregnancy');
+        }
+        if (personalInfo.Diabete === true || personalInfo.diabete === true || 
+            personalInfo.diabetes === true || personalInfo.Diabetes === true) {
+            // For now, default to type2_diabetes. Could be enhanced to differentiate
+            applicableConditions.push('type2_diabetes');
+        }
+        if (personalInfo.smokes === true) {
+            applicableConditions.push('smoking');
+        }
+        if (personalInfo.drinks === true) {
+            applicableConditions.push('drinking');
+        }
+        if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
+            personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
+            applicableConditions.push('hypertension');
+        }
+        
+        // Check age for pediatric condition
+        const age = deviceInfo?.age || personalInfo.age;
+        if (age && (parseInt(age) < 18 || age < 18)) {
+            applicableConditions.push('pediatric');
+        }
+
+        // If no specific conditions apply, use default
+        if (applicableConditions.length === 0) {
+            return res.json({
+                applicableConditions: ['default'],
+                personalInfo: personalInfo,
+                ranges: null,
+                unit,
+                useDefault: true
+            });
+        }
+
+        // Fetch configurations for applicable conditions from csv2ranges collection
+        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
+        const applicableRanges = [];
+        
+        // Find ranges for applicable conditions
+        for (const condition of applicableConditions) {
+            const rangeDoc = await csv2rangesCollection.findOne({ 
+                biomarker_type: biomarker,
+                condition: condition
+            });
+            
+            if (rangeDoc && rangeDoc.ranges) {
+                applicableRanges.push({
+                    condition: condition,
+                    ranges: rangeDoc.ranges,
+                    name: rangeDoc.condition_name || condition
+                });
+            }
+        }
+
+        // If no custom configs found, try to get default
+        if (applicableRanges.length === 0) {
+            const defaultRangeDoc = await csv2rangesCollection.findOne({ 
+                biomarker_type: biomarker,
+                $or: [
+                    { condition: 'default' },
+                    { condition: { $exists: false } },
+                    { condition: null }
+                ]
+            });
+            
+            return res.json({
+                applicableConditions: applicableConditions,
+                personalInfo: personalInfo,
+                ranges: defaultRangeDoc ? convertRanges(defaultRangeDoc.ranges, biomarker, unitSystem) : null,
+                unit,
+                useDefault: true,
+                message: `Conditions detected: ${applicableConditions.join(', ')}, but no custom ranges configured. Using default ranges.`
+            });
+        }
+
+        // Calculate average ranges if multiple conditions apply
+        let finalRanges;
+        let usedConditions;
+        
+        if (applicableRanges.length === 1) {
+            finalRanges = applicableRanges[0].ranges;
+            usedConditions = [applicableRanges[0].name];
+        } else {
+            // Average the ranges across multiple conditions
+            finalRanges = averageRanges(applicableRanges.map(config => config.ranges), biomarker);
+            usedConditions = applicableRanges.map(config => config.name);
+        }
+
+        res.json({
+            applicableConditions: applicableConditions,
+            personalInfo: personalInfo,
+            ranges: convertRanges(finalRanges, biomarker, unitSystem),
+            unit,
+            useDefault: false,
+            configsUsed: usedConditions,
+            message: applicableRanges.length > 1 ? 
+                `Multiple conditions detected (${usedConditions.join(', ')}). Using averaged ranges.` :
+                `Condition detected: ${usedConditions[0]}. Using custom ranges.`
+        });
+
+    } catch (error) {
+        console.error('Error fetching applicable ranges:', error);
+        res.status(500).json({ error: 'Failed to fetch applicable ranges' });
+    }
+});
+
+// Admin Paid User Management Endpoints
+// GET /admin/paid-users - Get all users with their paid status
+app.get('/admin/paid-users', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can manage paid users' });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const collection = db.collection('s3-mongodb-file_tracker');
+        
+        // Get all users with their paid status
+        const users = await collection.find({}, {
+            projection: {
+                username: 1,
+                name: 1,
+                admin: 1,
+                doctor: 1,
+                patient: 1,
+                paid_user: 1
+            }
+        }).toArray();
+
+        res.json({ users });
+
+    } catch (error) {
+        console.error('Error fetching paid users:', error);
+        res.status(500).json({ error: 'Failed to fetch paid users' });
+    }
+});
+
+// POST /admin/paid-users/:username - Set paid user status
+app.post('/admin/paid-users/:username', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can manage paid users' });
+        }
+
+        const { username } = req.params;
+        const { paid_user } = req.body;
+
+        if (typeof paid_user !== 'boolean') {
+            return res.status(400).json({ error: 'paid_user must be a boolean value' });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const collection = db.collection('s3-mongodb-file_tracker');
+        
+        // Check if user exists
+        const user = await collection.findOne({ username: username });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Update paid user status
+        const result = await collection.updateOne(
+            { username: username },
+            { 
+                $set: { 
+                    paid_user: paid_user,
+                    paid_user_updated_at: new Date(),
+                    paid_user_updated_by: req.user.username
+                }
+            }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(400).json({ error: 'Failed to update paid user status' });
+        }
+
+        res.json({ 
+            success: true, 
+            message: `User ${username} ${paid_user ? 'granted' : 'revoked'} paid access`,
+            username: username,
+            paid_user: paid_user
+        });
+
+    } catch (error) {
+        console.error('Error updating paid user status:', error);
+        res.status(500).json({ error: 'Failed to update paid user status' });
+    }
+});
+
+// GET /admin/paid-users/:username - Get specific user's paid status
+app.get('/admin/paid-users/:username', authenticateToken, async (req, res) => {
+    try {
+        // Check if user is admin
+        if (!req.user.admin) {
+            return res.status(403).json({ error: 'Only administrators can view paid user status' });
+        }
+
+        const { username } = req.params;
+        const db = client.db('s3-mongodb-db');
+        const collection = db.collection('s3-mongodb-file_tracker');
+        
+        const user = await collection.findOne({ username: username }, {
+            projection: {
+                username: 1,
+                name: 1,
+                paid_user: 1,
+                paid_user_updated_at: 1,
+                paid_user_updated_by: 1
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ 
+            username: user.username,
+            name: user.name,
+            paid_user: user.paid_user || false,
+            paid_user_updated_at: user.paid_user_updated_at,
+            paid_user_updated_by: user.paid_user_updated_by
+        });
+
+    } catch (error) {
+        console.error('Error fetching paid user status:', error);
+        res.status(500).json({ error: 'Failed to fetch paid user status' });
+    }
+});
+
+// GET /user/paid-status - Get current user's paid status (for self-check)
+app.get('/user/paid-status', authenticateToken, async (req, res) => {
+    try {
+        const db = client.db('s3-mongodb-db');
+        const collection = db.collection('s3-mongodb-file_tracker');
+        
+        const user = await collection.findOne({ username: req.user.username }, {
+            projection: {
+                username: 1,
+                paid_user: 1
+            }
+        });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({ 
+            username: user.username,
+            paid_user: user.paid_user || false
+        });
+
+    } catch (error) {
+        console.error('Error fetching user paid status:', error);
+        res.status(500).json({ error: 'Failed to fetch paid status' });
+    }
+});
+
+// Helper function to average ranges across multiple conditions
+function averageRanges(rangesList, biomarker) {
+    const rangeKeys = BIOMARKER_REGISTRY[biomarker].rangeCategories;
+    
+    const averagedRanges = {};
+    
+    rangeKeys.forEach(key => {
+        const minValues = rangesList.map(ranges => ranges[key]?.min || 0).filter(val => val > 0);
+        const maxValues = rangesList.map(ranges => ranges[key]?.max || 0).filter(val => val > 0);
+        
+        if (minValues.length > 0 && maxValues.length > 0) {
+            averagedRanges[key] = {
+                min: Math.round(minValues.reduce((sum, val) => sum + val, 0) / minValues.length),
+                max: Math.round(maxValues.reduce((sum, val) => sum + val, 0) / maxValues.length)
+            };
+        }
+    });
+    
+    return averagedRanges;
+}
+
+// Helper function to get users accessible to the current user
+async function getAccessibleUsers(user) {
+    try {
+        const db = client.db('s3-mongodb-db');
+        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
+        
+        if (user.admin) {
+            // Admin can access all users
+            const allUsers = await fileTrackerCollection.distinct('username');
+            return allUsers;
+        } else if (user.doctor) {
+            // Doctor can access patients assigned to them
+            return user.patients || [];
+        } else {
+            // Regular user can only access their own data
+            return [user.username];
+        }
+    } catch (error) {
+        console.error('Error getting accessible users:', error);
+        return [];
+    }
+}
+
+// GET /aggregated-data/filter-options
+// Returns available filter options (unique values for dropdowns)
+app.get('/aggregated-data/filter-options', authenticateToken, async (req, res) => {
+    try {
+        // Get all users this user has access to
+        const accessibleUsers = await getAccessibleUsers(req.user);
+        
+        if (accessibleUsers.length === 0) {
+            return res.json({
+                userIDs: [],
+                deviceIDs: [],
+                genders: [],
+                arms: [],
+                totalUsers: 0
+            });
+        }
+
+        const db = client.db('s3-mongodb-db');
+        const fileTrackerCollection = db.collection('s3-mongodb-file_tracker');
+        
+        // Aggregate unique filter values from all accessible user data
+        const pipeline = [
+            {
+                $match: {
+                    username: { $in: accessibleUsers }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    userIDs: { $addToSet: "$device_info.userID" },
+                    deviceIDs: { $addToSet: "$device_info.deviceID" },
+                    genders: { $addToSet: "$device_info.gender" },
+                    arms: { $addToSet: "$device_info.arm" },
+                    totalUsers: { $sum: 1 }
+                }
+            }
+        ];
+        
+        const result = await fileTrackerCollection.aggregate(pipeline).toArray();
+        
+        if (result.length === 0) {
+            return res.json({
+                userIDs: [],
+                deviceIDs: [],
+                genders: [],
+                arms: [],
+                totalUsers: 0
+            });
+        }
+        
+        const options = result[0];
+        
+        res.json({
+            userIDs: (options.userIDs || []).filter(Boolean).sort(),
+            deviceIDs: (options.deviceIDs || []).filter(Boolean).sort(),
+            genders: (options.genders || []).filter(Boolean).sort(),
+            arms: (options.arms || []).filter(Boolean).sort(),
+            totalUsers: options.totalUsers || 0
+        });
+        
+    } catch (error) {
+        console.error('Error fetching filter options:', error);
+        res.status(500).json({ error: 'Failed to fetch filter options' });
+    }
+});
+
+// GET /aggregated-data/filtered
+// Returns filtered sensor data based on query parameters
+// Readings are signal-cleaned per user and channel unless raw=true
+// Optional query: units=conventional|si (values are converted after cleaning)
+app.get('/aggregated-data/filtered', authenticateToken, async (req, res) => {
+    try {
+        console.log('=== DEBUG: Starting filtered data request ===');
+        console.log('User:', req.user.username, 'Admin:', req.user.admin, 'Patients:', req.user.patients);
+        console.log('Query params:', req.query);
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const conversions = Object.fromEntries(
+            Object.keys(BIOMARKER_REGISTRY).map(type => [type, getUnitConversion(type, unitSystem)])
+        );
+        const units = Object.fromEntries(Object.entries(conversions).map(([type, conversion]) => [type, conversion.unit]));
+        
+        // Get users accessible to this user (using same logic as filetracker endpoint)
+        const allData = await getFileTrackerData();
+        let filteredUsers;
+
+        if (req.user.admin) {
+            // Admins can see all data except their own profile
+            filteredUsers = allData.filter(entry => entry.username !== req.user.username);
+        } else if (req.user.doctor) {
+            // Doctors can see their patients' data but not their own profile
+            filteredUsers = allData.filter(entry => 
+                entry.username !== req.user.username && 
+                req.user.patients.includes(entry.username)
+            );
+        } else {
+            // Patients can only see their own data
+            filteredUsers = allData.filter(entry => 
+                entry.username === req.user.username
+            );
+        }
+        
+        console.log('Accessible users count:', filteredUsers.length);
+        
+        if (filteredUsers.length === 0) {
+            return res.json({
+                data: [],
+                uniqueUsers: 0,
+                totalRecords: 0,
+                units
+            });
+        }
+
+        // Parse query parameters for filtering
+        const {
+            userIDs,
+            deviceIDs,
+            genders,
+            ageMin,
+            ageMax,
+            arms,
+            startDate,
+            endDate
+        } = req.query;
+        
+        // Apply device info filters to users
+        let usersAfterFiltering = filteredUsers;
+        
+        if (userIDs) {
+            const userIDArray = userIDs.split(',');
+            usersAfterFiltering = usersAfterFiltering.filter(user => 
+                user.device_info && userIDArray.includes(user.device_info.userID)
+            );
+        }
+        
+        if (deviceIDs) {
+            const deviceIDArray = deviceIDs.split(',');
+            usersAfterFiltering = usersAfterFiltering.filter(user => 
+                user.device_info && deviceIDArray.includes(user.device_info.deviceID)
+            );
+        }
+        
+        if (genders) {
+            const genderArray = genders.split(',');
+            usersAfterFiltering = usersAfterFiltering.filter(user => 
+                user.device_info && genderArray.includes(user.device_info.gender)
+            );
+        }
+        
+        if (arms) {
+            const armArray = arms.split(',');
+            usersAfterFiltering = usersAfterFiltering.filter(user => 
+                user.device_info && armArray.includes(user.device_info.arm)
+            );
+        }
+        
+        if (ageMin || ageMax) {
+            usersAfterFiltering = usersAfterFiltering.filter(user => {
+                if (!user.device_info || !user.device_info.age) return false;
+                
+                const age = typeof user.device_info.age === 'object' ? 
+                    user.device_info.age.$numberInt : user.device_info.age;
+                const ageNum = parseInt(age);
+                
+                if (isNaN(ageNum)) return false;
+                
+                const minAge = ageMin ? parseInt(ageMin) : 0;
+                const maxAge = ageMax ? parseInt(ageMax) : 999;
+                
+                return ageNum >= minAge && ageNum <= maxAge;
+            });
+        }
+        
+        console.log('Users after filtering:', usersAfterFiltering.length);
+        
+        // Now get sensor data for each filtered user from the readings store, limited to the date range
+        const timeRange = {
+            start: startDate ? new Date(startDate) : null,
+            end: endDate ? new Date(endDate + 'T23:59:59') : null
+        };
+        const allSensorData = [];
+        
+        for (const userInfo of usersAfterFiltering) {
+            try {
+                if (userInfo.etag && await ensureEntryReadings(userInfo.etag)) {
+                    const readings = await queryReadings(userInfo.etag, null, timeRange);
+                    console.log(`Found ${readings.length} readings for user ${userInfo.username}`);
+
+                    const baseEntry = {
+                        username: userInfo.username,
+                        userID: userInfo.device_info ? userInfo.device_info.userID : null,
+                        deviceID: userInfo.device_info ? userInfo.device_info.deviceID : null,
+                        gender: userInfo.device_info ? userInfo.device_info.gender : null,
+                        age: userInfo.device_info ? (userInfo.device_info.age.$numberInt || userInfo.device_info.age) : null,
+                        arm: userInfo.device_info ? userInfo.device_info.arm : null
+                    };
+
+                    // One entry per sensor channel reading of every registered biomarker
+                    readings.forEach(({ biomarker, sensor, timestamp, value }) => {
+                        allSensorData.push({ ...baseEntry, timestamp, biomarkerType: biomarker, value, sensor });
+                    });
+                }
+            } catch (userError) {
+                console.warn(`Could not fetch data for user ${userInfo.username}:`, userError.message);
+            }
+        }
+        
+        // Clean each user's channels of every biomarker (raw=true skips this)
+        const raw = req.query.raw === 'true';
+        const cleanedSensorData = [];
+        const cleaningByBiomarker = {};
+        for (const biomarkerType of Object.keys(BIOMARKER_REGISTRY)) {
+            const cleaningSettings = await getCleaningSettings(biomarkerType);
+            const { readings, cleaning } = cleanBiomarkerReadings(
+                allSensorData.filter(item => item.biomarkerType === biomarkerType),
+                cleaningSettings,
+                { raw, groupKey: item => item.username }
+            );
+            cleanedSensorData.push(...readings);
+            cleaningByBiomarker[biomarkerType] = cleaning;
+        }
+        
+        // Sort by timestamp
+        cleanedSensorData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        
+        // Count unique users in final data
+        const uniqueUsers = new Set(cleanedSensorData.map(item => item.username)).size;
+        
+        console.log('=== Final Results ===');
+        console.log('Total sensor data points:', cleanedSensorData.length);
+        console.log('Unique users:', uniqueUsers);
+        
+        res.json({
+            data: cleanedSensorData.map(item => ({
+                ...item,
+                value: convertBiomarkerValue(item.value, conversions[item.biomarkerType])
+            })),
+            uniqueUsers: uniqueUsers,
+            totalRecords: cleanedSensorData.length,
+            units,
+            cleaning: cleaningByBiomarker
+        });
+        
+    } catch (error) {
+        console.error('=== ERROR in filtered data endpoint ===');
+        console.error('Error details:', error);
+        console.error('Stack trace:', error.stack);
+        res.status(500).json({ error: 'Failed to fetch filtered data' });
+    }
+});
+
+
+
+// Wear time settings: readings further apart than the max gap are treated as a sensor dropout
+const DEFAULT_MAX_GAP_MINUTES = 30;
+const FALLBACK_READING_INTERVAL_MINUTES = 15; // Only used when there is a single timestamp to go on
+
+// Minimum data required before an AGP should be used for clinical decisions (international consensus)
+const MIN_DAYS_FOR_CLINICAL_INTERPRETATION = 14;
+const MIN_PERCENT_ACTIVE_FOR_CLINICAL_INTERPRETATION = 70;
+
+// Helper function to read a max gap (minutes) from a query parameter, falling back to the default
+function parseMaxGapMinutes(value) {
+    const maxGap = parseFloat(value);
+    return !isNaN(maxGap) && maxGap > 0 ? maxGap : DEFAULT_MAX_GAP_MINUTES;
+}
+
+// Helper function to work out how many minutes of wear time each reading represents.
+// Each timestamp covers the time until the next one; intervals longer than maxGapMinutes are
+// dropouts, so the reading before the gap only gets the typical (median) interval.
+// Readings sharing a timestamp (e.g. sensor 1 and sensor 2) split that timestamp's interval.
+function calculateReadingDurations(readings, maxGapMinutes = DEFAULT_MAX_GAP_MINUTES) {
+    const times = readings.map(reading => new Date(reading.timestamp).getTime());
+    const uniqueTimes = [...new Set(times.filter(time => !isNaN(time)))].sort((a, b) => a - b);
+
+    if (uniqueTimes.length === 0) {
+        return {
+            durations: readings.map(() => 0),
+            totalWearTimeMinutes: 0,
+            nominalIntervalMinutes: FALLBACK_READING_INTERVAL_MINUTES,
+            maxGapMinutes,
+            firstTimestamp: null,
+            lastTimestamp: null
+        };
+    }
+
+    const intervals = [];
+    for (let i = 1; i < uniqueTimes.length; i++) {
+        intervals.push((uniqueTimes[i] - uniqueTimes[i - 1]) / 60000);
+    }
+
+    // Typical sampling interval, ignoring dropouts
+    const regularIntervals = intervals.filter(interval => interval <= maxGapMinutes).sort((a, b) => a - b);
+    const nominalIntervalMinutes = regularIntervals.length > 0
+        ? regularIntervals[Math.floor(regularIntervals.length / 2)]
+        : Math.min(FALLBACK_READING_INTERVAL_MINUTES, maxGapMinutes);
+
+    const durationByTime = new Map();
+    uniqueTimes.forEach((time, i) => {
+        const interval = i < intervals.length ? intervals[i] : null;
+        durationByTime.set(time, interval !== null && interval <= maxGapMinutes ? interval : nominalIntervalMinutes);
+    });
+
+    const readingsPerTime = new Map();
+    times.forEach(time => {
+        if (!isNaN(time)) readingsPerTime.set(time, (readingsPerTime.get(time) || 0) + 1);
+    });
+
+    const durations = times.map(time => isNaN(time) ? 0 : durationByTime.get(time) / readingsPerTime.get(time));
+    const totalWearTimeMinutes = Math.round([...durationByTime.values()].reduce((sum, duration) => sum + duration, 0));
+
+    return {
+        durations,
+        totalWearTimeMinutes,
+        nominalIntervalMinutes,
+        maxGapMinutes,
+        firstTimestamp: uniqueTimes[0],
+        lastTimestamp: uniqueTimes[uniqueTimes.length - 1]
+    };
+}
+
+// Helper function to summarise whether a recording has enough data for clinical interpretation
+function calculateDataSufficiency(wearTime) {
+    if (wearTime.firstTimestamp === null) {
+        return { percentSensorActive: 0, daysOfData: 0, sufficientForClinicalInterpretation: false };
+    }
+
+    // The last reading still covers one sampling interval
+    const periodMinutes = (wearTime.lastTimestamp - wearTime.firstTimestamp) / 60000 + wearTime.nominalIntervalMinutes;
+    const percentSensorActive = Math.min(100, Math.round((wearTime.totalWearTimeMinutes / periodMinutes) * 100));
+    const daysOfData = Math.round((periodMinutes / (24 * 60)) * 10) / 10;
+
+    return {
+        percentSensorActive,
+        daysOfData,
+        sufficientForClinicalInterpretation: daysOfData >= MIN_DAYS_FOR_CLINICAL_INTERPRETATION &&
+            percentSensorActive >= MIN_PERCENT_ACTIVE_FOR_CLINICAL_INTERPRETATION
+    };
+}
+
+// Helper function to resolve the range thresholds for a biomarker (custom or registry default).
+// The in-range band ("target" for glucose, "normal" for cortisol) is returned as targetMin/targetMax.
+function getRangeThresholds(biomarkerType, customRanges = null) {
+    const { defaultRanges, inRangeCategory } = BIOMARKER_REGISTRY[biomarkerType];
+    const ranges = customRanges || {};
+    return {
+        veryLowMax: ranges.veryLow?.max || defaultRanges.veryLow.max,
+        lowMax: ranges.low?.max || defaultRanges.low.max,
+        targetMin: ranges[inRangeCategory]?.min || defaultRanges[inRangeCategory].min,
+        targetMax: ranges[inRangeCategory]?.max || defaultRanges[inRangeCategory].max,
+        highMax: ranges.high?.max || defaultRanges.high.max
+    };
+}
+
+// Helper function to total the wear time of the readings whose value matches a range predicate
+function sumWearTime(readings, durations, predicate) {
+    return readings.reduce((sum, reading, i) => predicate(reading.value) ? sum + durations[i] : sum, 0);
+}
+
+// Default waking day used for the circadian cortisol metrics when no wake/bed time is given
+const CORTISOL_DEFAULT_WAKE_TIME = '07:00';
+const CORTISOL_DEFAULT_BED_TIME = '22:00';
+const CORTISOL_AWAKENING_WINDOW_MINUTES = 60; // CAR peak is looked for within this long after waking
+const CORTISOL_AWAKENING_BASELINE_MINUTES = 15; // First reading within this long after waking is the baseline
+const MIN_HOURS_FOR_DAILY_COSINOR = 12; // A day's readings must span this many hours to fit its own cosinor
+
+// Helper function to parse an HH:MM clock time into fractional hours (null when invalid)
+function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+    return parseInt(match[1]) + parseInt(match[2]) / 60;
+}
+
+// Helper function to fit a single-component 24-hour cosinor model, value = MESOR + β·cos(ωt) + γ·sin(ωt),
+// by least squares over points of { hour, value }. Returns MESOR, amplitude, acrophase (peak hour) and R².
+function fitCosinor(points) {
+    if (points.length < 3) return null;
+
+    const omega = 2 * Math.PI / 24;
+    // Normal equations for [MESOR, β, γ]
+    const xtx = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const xty = [0, 0, 0];
+    points.forEach(({ hour, value }) => {
+        const row = [1, Math.cos(omega * hour), Math.sin(omega * hour)];
+        for (let i = 0; i < 3; i++) {
+            xty[i] += row[i] * value;
+            for (let j = 0; j < 3; j++) xtx[i][j] += row[i] * row[j];
+        }
+    });
+
+    // Gaussian elimination with partial pivoting
+    const matrix = xtx.map((row, i) => [...row, xty[i]]);
+    for (let col = 0; col < 3; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < 3; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-9) return null; // Readings don't cover enough of the day
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        for (let row = 0; row < 3; row++) {
+            if (row === col) continue;
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k < 4; k++) matrix[row][k] -= factor * matrix[col][k];
+        }
+    }
+    const [mesor, beta, gamma] = matrix.map((row, i) => row[3] / row[i]);
+
+    const amplitude = Math.sqrt(beta * beta + gamma * gamma);
+    const acrophaseHour = ((Math.atan2(gamma, beta) / omega) % 24 + 24) % 24;
+    const predict = hour => mesor + beta * Math.cos(omega * hour) + gamma * Math.sin(omega * hour);
+
+    const mean = points.reduce((sum, p) => sum + p.value, 0) / points.length;
+    const totalSS = points.reduce((sum, p) => sum + Math.pow(p.value - mean, 2), 0);
+    const residualSS = points.reduce((sum, p) => sum + Math.pow(p.value - predict(p.hour), 2), 0);
+
+    return {
+        mesor,
+        amplitude,
+        acrophaseHour,
+        rSquared: totalSS > 0 ? 1 - residualSS / totalSS : 0,
+        predict
+    };
+}
+
+// Helper function to calculate the area under a day's curve by the trapezoid rule (value × hours),
+// skipping gaps longer than maxGapMinutes. AUCi is the area above the first reading (Pruessner et al.).
+function calculateCortisolAUC(points, maxGapMinutes) {
+    let aucGround = 0;
+    let coveredHours = 0;
+    for (let i = 1; i < points.length; i++) {
+        const hours = points[i].hour - points[i - 1].hour;
+        if (hours <= 0 || hours * 60 > maxGapMinutes) continue;
+        aucGround += (points[i].value + points[i - 1].value) / 2 * hours;
+        coveredHours += hours;
+    }
+    return {
+        aucGround,
+        aucIncrease: aucGround - points[0].value * coveredHours,
+        coveredHours
+    };
+}
+
+// Calculate cortisol circadian rhythm metrics from cortisol readings, per day in options.timeZone:
+// - Cortisol awakening response (CAR): rise from the reading at waking to the peak within the following hour
+// - Cosinor fit (24 h): MESOR, amplitude, peak time (acrophase) and the fitted curve by hour
+// - Diurnal slope: linear regression of cortisol on hours since waking, over the waking day
+// - AUCg / AUCi over the waking day
+// - Day-to-day stability: interdaily stability (0-1) and the spread of each day's cosinor peak time
+function calculateCortisolCircadianMetrics(cortisolData, options = {}) {
+    const series = mergeSensorReadings(cortisolData);
+    if (series.length === 0) return null;
+
+    const wakeTime = parseClockTime(options.wakeTime) !== null ? options.wakeTime : CORTISOL_DEFAULT_WAKE_TIME;
+    const bedTime = parseClockTime(options.bedTime) !== null ? options.bedTime : CORTISOL_DEFAULT_BED_TIME;
+    const wakeHour = parseClockTime(wakeTime);
+    const bedHour = parseClockTime(bedTime);
+    const maxGapMinutes = options.maxGapMinutes || DEFAULT_MAX_GAP_MINUTES;
+    const round = (value, places = 3) => value === null || value === undefined || isNaN(value)
+        ? null
+        : Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+    const mean = values => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+    // Group readings into calendar days with their local clock hour
+    const days = {};
+    series.forEach(point => {
+        const { hour, minute, second } = getZonedTimeParts(point.time, options.timeZone);
+        const date = getLocalDateKey(point.time, options.timeZone);
+        if (!days[date]) days[date] = [];
+        days[date].push({ hour: hour + minute / 60 + second / 3600, value: point.value });
+    });
+
+    const dailyMetrics = Object.keys(days).sort().map(date => {
+        const points = days[date];
+        const wakingDay = points.filter(p => p.hour >= wakeHour && p.hour < bedHour);
+
+        // Cortisol awakening response
+        let awakening = null;
+        const baseline = points.find(p => p.hour >= wakeHour && p.hour <= wakeHour + CORTISOL_AWAKENING_BASELINE_MINUTES / 60);
+        if (baseline) {
+            const awakeningWindow = points.filter(p => p.hour >= baseline.hour && p.hour <= wakeHour + CORTISOL_AWAKENING_WINDOW_MINUTES / 60);
+            const peak = awakeningWindow.reduce((max, p) => p.value > max.value ? p : max, baseline);
+            awakening = {
+                increase: peak.value - baseline.value,
+                percentIncrease: baseline.value > 0 ? (peak.value - baseline.value) / baseline.value * 100 : null,
+                minutesToPeak: (peak.hour - wakeHour) * 60
+            };
+        }
+
+        // Diurnal slope (value per hour since waking)
+        let slope = null;
+        if (wakingDay.length >= 2) {
+            const meanHour = mean(wakingDay.map(p => p.hour));
+            const meanValue = mean(wakingDay.map(p => p.value));
+            const sxx = wakingDay.reduce((sum, p) => sum + Math.pow(p.hour - meanHour, 2), 0);
+            if (sxx > 0) {
+                slope = wakingDay.reduce((sum, p) => sum + (p.hour - meanHour) * (p.value - meanValue), 0) / sxx;
+            }
+        }
+
+        const auc = wakingDay.length >= 2 ? calculateCortisolAUC(wakingDay, maxGapMinutes) : null;
+        const spanHours = points[points.length - 1].hour - points[0].hour;
+        const cosinor = spanHours >= MIN_HOURS_FOR_DAILY_COSINOR ? fitCosinor(points) : null;
+
+        return { date, awakening, slope, auc, cosinor };
+    });
+
+    // Cosinor over all readings, with the fitted curve at each hour of the ACP chart
+    const overallCosinor = fitCosinor(Object.values(days).flat());
+
+    // Interdaily stability: variance of the average 24-hour profile relative to the variance of the hourly data
+    const hourlyBins = {};
+    Object.keys(days).forEach(date => {
+        days[date].forEach(p => {
+            const key = `${date}-${Math.floor(p.hour)}`;
+            if (!hourlyBins[key]) hourlyBins[key] = { hour: Math.floor(p.hour), values: [] };
+            hourlyBins[key].values.push(p.value);
+        });
+    });
+    const hourlyMeans = Object.values(hourlyBins).map(bin => ({ hour: bin.hour, value: mean(bin.values) }));
+    let interdailyStability = null;
+    if (Object.keys(days).length >= 2 && hourlyMeans.length > 24) {
+        const grandMean = mean(hourlyMeans.map(h => h.value));
+        const profile = Array(24).fill(null).map((_, hour) => mean(hourlyMeans.filter(h => h.hour === hour).map(h => h.value)));
+        const observedHours = profile.filter(value => value !== null);
+        const profileVariance = observedHours.reduce((sum, value) => sum + Math.pow(value - grandMean, 2), 0) / observedHours.length;
+        const totalVariance = hourlyMeans.reduce((sum, h) => sum + Math.pow(h.value - grandMean, 2), 0) / hourlyMeans.length;
+        interdailyStability = totalVariance > 0 ? profileVariance / totalVariance : null;
+    }
+
+    // Circular standard deviation of each day's peak time, in hours
+    const dailyAcrophases = dailyMetrics.filter(d => d.cosinor).map(d => d.cosinor.acrophaseHour);
+    let acrophaseStdDevHours = null;
+    if (dailyAcrophases.length >= 2) {
+        const angles = dailyAcrophases.map(hour => hour / 24 * 2 * Math.PI);
+        const resultant = Math.sqrt(
+            Math.pow(mean(angles.map(Math.cos)), 2) + Math.pow(mean(angles.map(Math.sin)), 2)
+        );
+        acrophaseStdDevHours = Math.sqrt(-2 * Math.log(Math.max(resultant, 1e-9))) / (2 * Math.PI) * 24;
+    }
+
+    const withAwakening = dailyMetrics.filter(d => d.awakening);
+    const withSlope = dailyMetrics.filter(d => d.slope !== null);
+    const withAUC = dailyMetrics.filter(d => d.auc);
+
+    return {
+        wakeTime,
+        bedTime,
+        daysAnalyzed: dailyMetrics.length,
+        awakeningResponse: {
+            meanIncrease: round(mean(withAwakening.map(d => d.awakening.increase))),
+            meanPercentIncrease: round(mean(withAwakening.filter(d => d.awakening.percentIncrease !== null).map(d => d.awakening.percentIncrease)), 1),
+            meanMinutesToPeak: round(mean(withAwakening.map(d => d.awakening.minutesToPeak)), 0),
+            days: withAwakening.length
+        },
+        cosinor: overallCosinor ? {
+            mesor: round(overallCosinor.mesor),
+            amplitude: round(overallCosinor.amplitude),
+            peakHour: round(overallCosinor.acrophaseHour, 2),
+            peakValue: round(overallCosinor.mesor + overallCosinor.amplitude),
+            rSquared: round(overallCosinor.rSquared),
+            fittedCurve: Array(24).fill(null).map((_, hour) => round(overallCosinor.predict(hour)))
+        } : null,
+        diurnalSlope: {
+            meanSlopePerHour: round(mean(withSlope.map(d => d.slope)), 4),
+            days: withSlope.length
+        },
+        areaUnderCurve: {
+            meanAUCg: round(mean(withAUC.map(d => d.auc.aucGround)), 2),
+            meanAUCi: round(mean(withAUC.map(d => d.auc.aucIncrease)), 2),
+            meanCoveredHours: round(mean(withAUC.map(d => d.auc.coveredHours)), 1),
+            days: withAUC.length
+        },
+        stability: {
+            interdailyStability: round(interdailyStability),
+            peakTimeStdDevHours: round(acrophaseStdDevHours, 2),
+            daysWithDailyFit: dailyAcrophases.length
+        },
+        days: dailyMetrics.map(d => ({
+            date: d.date,
+            awakeningIncrease: d.awakening ? round(d.awakening.increase) : null,
+            diurnalSlopePerHour: round(d.slope, 4),
+            aucGround: d.auc ? round(d.auc.aucGround, 2) : null,
+            aucIncrease: d.auc ? round(d.auc.aucIncrease, 2) : null,
+            peakHour: d.cosinor ? round(d.cosinor.acrophaseHour, 2) : null,
+            amplitude: d.cosinor ? round(d.cosinor.amplitude) : null
+        }))
+    };
+}
+
+// Helper function to pick the statistics calculator the registry assigns to a biomarker
+function calculateBiomarkerStatistics(biomarkerType, readings, customRanges = null, options = {}) {
+    return BIOMARKER_REGISTRY[biomarkerType].statistics === 'glycemic'
+        ? calculateAGPStatistics(readings, customRanges, options)
+        : calculateCortisolStatistics(readings, customRanges, { ...options, biomarkerType });
+}
+
+// Calculate cortisol statistics and percentiles for Chart.js component, plus the circadian rhythm metrics.
+// Also serves any other 'range' biomarker in the registry via options.biomarkerType.
+function calculateCortisolStatistics(cortisolData, customRanges = null, options = {}) {
+    if (!cortisolData || cortisolData.length === 0) {
+        return {
+            statistics: {
+                average: 0,
+                percentBelow5: 0,
+                percentBelow10: 0,
+                percentBetween10And30: 0,
+                percentAbove30: 0,
+                percentAbove50: 0,
+                coefficientOfVariationPercentage: 0,
+                totalWearTimeMinutes: 0,
+                totalWearTimeHours: 0,
+                percentSensorActive: 0,
+                daysOfData: 0,
+                sufficientForClinicalInterpretation: false
+            },
+            percentages: {
+                percentile_5: Array(24).fill(0),
+                percentile_25: Array(24).fill(0),
+                percentile_50: Array(24).fill(0),
+                percentile_75: Array(24).fill(0),
+                percentile_95: Array(24).fill(0)
+            },
+            circadian: null,
+            startAt: new Date().toISOString(),
+            endAt: new Date().toISOString()
+        };
+    }
+
+    const values = cortisolData.map(d => d.value);
+    const sortedValues = values.sort((a, b) => a - b);
+    
+    // Calculate basic statistics
+    const total = values.length;
+    const sum = values.reduce((a, b) => a + b, 0);
+    const average = Math.round((sum / total) * 1000) / 1000; // Round to 3 decimal places for cortisol
+    
+    // Get range thresholds (custom or default)
+    const biomarkerType = options.biomarkerType || 'cortisol';
+    const { veryLowMax, lowMax, targetMin: normalMin, targetMax: normalMax, highMax } = getRangeThresholds(biomarkerType, customRanges);
+    
+    // Debug logging for range verification
+    console.log(`Cortisol Stats Calculation - Custom ranges provided: ${!!customRanges}`);
+    if (customRanges) {
+        console.log(`Using custom cortisol ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Normal:${normalMin}-${normalMax}, High>${normalMax}, VeryHigh>${highMax}`);
+    } else {
+        console.log(`Using default cortisol ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Normal:${normalMin}-${normalMax}, High>${normalMax}, VeryHigh>${highMax}`);
+    }
+
+    // Calculate actual wear time from the gaps between reading timestamps
+    const wearTime = calculateReadingDurations(cortisolData, options.maxGapMinutes);
+    const { durations, totalWearTimeMinutes } = wearTime;
+    const dataSufficiency = calculateDataSufficiency(wearTime);
+    
+    // Calculate actual time spent in each range (in minutes)
+    const timeVeryLowMinutes = Math.round(sumWearTime(cortisolData, durations, v => v < veryLowMax));
+    const timeLowMinutes = Math.round(sumWearTime(cortisolData, durations, v => v >= veryLowMax && v < lowMax));
+    const timeNormalMinutes = Math.round(sumWearTime(cortisolData, durations, v => v >= normalMin && v <= normalMax));
+    const timeHighMinutes = Math.round(sumWearTime(cortisolData, durations, v => v > normalMax && v <= highMax));
+    const timeVeryHighMinutes = Math.round(sumWearTime(cortisolData, durations, v => v > highMax));
+    
+    // Calculate percentages based on actual wear time
+    const percentBelow5 = totalWearTimeMinutes > 0 ? Math.round((timeVeryLowMinutes / totalWearTimeMinutes) * 100) : 0;
+    const percentBelow10 = totalWearTimeMinutes > 0 ? Math.round(((timeVeryLowMinutes + timeLowMinutes) / totalWearTimeMinutes) * 100) : 0;
+    const percentBetween10And30 = totalWearTimeMinutes > 0 ? Math.round((timeNormalMinutes / totalWearTimeMinutes) * 100) : 0;
+    const percentAbove30 = totalWearTimeMinutes > 0 ? Math.round(((timeHighMinutes + timeVeryHighMinutes) / totalWearTimeMinutes) * 100) : 0;
+    const percentAbove50 = totalWearTimeMinutes > 0 ? Math.round((timeVeryHighMinutes / totalWearTimeMinutes) * 100) : 0;
+    
+    console.log(`Cortisol wear time: ${total} readings, ~${wearTime.nominalIntervalMinutes} min interval, gaps > ${wearTime.maxGapMinutes} min excluded = ${totalWearTimeMinutes} min (${Math.round(totalWearTimeMinutes/60*100)/100} hours)`);
+    console.log(`Cortisol data sufficiency: ${dataSufficiency.daysOfData} days, ${dataSufficiency.percentSensorActive}% active`);
+    
+    // Calculate coefficient of variation
+    const variance = values.reduce((acc, val) => acc + Math.pow(val - average, 2), 0) / total;
+    const standardDeviation = Math.sqrt(variance);
+    const coefficientOfVariationPercentage = Math.round((standardDeviation / average) * 100);
+    
+    // Group data by hour for percentile calculations
+    const hourlyData = Array(24).fill(null).map(() => []);
+    
+    cortisolData.forEach(point => {
+        const hour = getLocalHour(point.timestamp, options.timeZone);
+        if (!isNaN(hour)) hourlyData[hour].push(point.value);
+    });
+    
+    // Calculate percentiles for each hour
+    const percentile_5 = [];
+    const percentile_25 = [];
+    const percentile_50 = [];
+    const percentile_75 = [];
+    const percentile_95 = [];
+    
+    for (let hour = 0; hour < 24; hour++) {
+        const hourValues = hourlyData[hour].sort((a, b) => a - b);
+        
+        if (hourValues.length === 0) {
+            // Use overall average if no data for this hour
+            percentile_5.push(average * 0.7);
+            percentile_25.push(average * 0.85);
+            percentile_50.push(average);
+            percentile_75.push(average * 1.15);
+            percentile_95.push(average * 1.3);
+        } else {
+            const getPercentile = (arr, p) => {
+                const index = Math.ceil(arr.length * p / 100) - 1;
+                return arr[Math.max(0, Math.min(index, arr.length - 1))];
+            };
+            
+            percentile_5.push(getPercentile(hourValues, 5));
+            percentile_25.push(getPercentile(hourValues, 25));
+            percentile_50.push(getPercentile(hourValues, 50));
+            percentile_75.push(getPercentile(hourValues, 75));
+            percentile_95.push(getPercentile(hourValues, 95));
+        }
+    }
+    
+    // Get date range
+    const timestamps = cortisolData.map(d => new Date(d.timestamp));
+    const startAt = new Date(Math.min(...timestamps)).toISOString();
+    const endAt = new Date(Math.max(...timestamps)).toISOString();
+    
+            return {
+            statistics: {
+                average,
+                percentBelow5,
+                percentBelow10,
+                percentBetween10And30,
+                percentAbove30,
+                percentAbove50,
+                coefficientOfVariationPercentage,
+                // Add actual time information
+                totalWearTimeMinutes,
+                totalWearTimeHours: Math.round(totalWearTimeMinutes/60*100)/100,
+                readingIntervalMinutes: wearTime.nominalIntervalMinutes,
+                maxGapMinutes: wearTime.maxGapMinutes,
+                ...dataSufficiency,
+                timeVeryLowMinutes,
+                timeLowMinutes,
+                timeNormalMinutes,
+                timeHighMinutes,
+                timeVeryHighMinutes
+            },
+            percentages: {
+                percentile_5,
+                percentile_25,
+                percentile_50,
+                percentile_75,
+                percentile_95
+            },
+            circadian: biomarkerHasFeature(biomarkerType, 'circadian') ? calculateCortisolCircadianMetrics(cortisolData, options) : null,
+            startAt,
+            endAt
+        };
+}
+
+// Calculate AGP statistics and percentiles for Chart.js component
+function calculateAGPStatistics(glucoseData, customRanges = null, options = {}) {
+    if (!glucoseData || glucoseData.length === 0) {
+        return {
+            statistics: {
+                average: 0,
+                percentBelow54: 0,
+                percentBelow70: 0,
+                percentBetween70And180: 0,
+                percentAbove180: 0,
+                percentAbove250: 0,
+                a1c: 0,
+                gmi: 0,
+                coefficientOfVariationPercentage: 0,
+                totalWearTimeMinutes: 0,
+                totalWearTimeHours: 0,
+                percentSensorActive: 0,
+                daysOfData: 0,
+                sufficientForClinicalInterpretation: false
+            },
+            percentages: {
+                percentile_5: Array(24).fill(0),
+                percentile_25: Array(24).fill(0),
+                percentile_50: Array(24).fill(0),
+                percentile_75: Array(24).fill(0),
+                percentile_95: Array(24).fill(0)
+            },
+            startAt: new Date().toISOString(),
+            endAt: new Date().toISOString()
+        };
+    }
+
+    const values = glucoseData.map(d => d.value);
+    const sortedValues = values.sort((a, b) => a - b);
+    
+    // Calculate basic statistics
+    const total = values.length;
+    const sum = values.reduce((a, b) => a + b, 0);
+    const average = Math.round(sum / total);
+    
+    // Get range thresholds (custom or default)
+    const { veryLowMax, lowMax, targetMin, targetMax, highMax } = getRangeThresholds('glucose', customRanges);
+    
+    // Debug logging for range verification
+    console.log(`AGP Stats Calculation - Custom ranges provided: ${!!customRanges}`);
+    if (customRanges) {
+        console.log(`Using custom glucose ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Target:${targetMin}-${targetMax}, High>${targetMax}, VeryHigh>${highMax}`);
+    } else {
+        console.log(`Using default glucose ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Target:${targetMin}-${targetMax}, High>${targetMax}, VeryHigh>${highMax}`);
+    }
+
+    // Calculate actual wear time from the gaps between reading timestamps
+    const wearTime = calculateReadingDurations(glucoseData, options.maxGapMinutes);
+    const { durations, totalWearTimeMinutes } = wearTime;
+    const dataSufficiency = calculateDataSufficiency(wearTime);
+    
+    // Calculate actual time spent in each range (in minutes)
+    const timeVeryLowMinutes = Math.round(sumWearTime(glucoseData, durations, v => v < veryLowMax));
+    const timeLowMinutes = Math.round(sumWearTime(glucoseData, durations, v => v >= veryLowMax && v < lowMax));
+    const timeTargetMinutes = Math.round(sumWearTime(glucoseData, durations, v => v >= targetMin && v <= targetMax));
+    const timeHighMinutes = Math.round(sumWearTime(glucoseData, durations, v => v > targetMax && v <= highMax));
+    const timeVeryHighMinutes = Math.round(sumWearTime(glucoseData, durations, v => v > highMax));
+    
+    // Calculate percentages based on actual wear time
+    const percentBelow54 = totalWearTimeMinutes > 0 ? Math.round((timeVeryLowMinutes / totalWearTimeMinutes) * 100) : 0;
+    const percentBelow70 = totalWearTimeMinutes > 0 ? Math.round(((timeVeryLowMinutes + timeLowMinutes) / totalWearTimeMinutes) * 100) : 0;
+    const percentBetween70And180 = totalWearTimeMinutes > 0 ? Math.round((timeTargetMinutes / totalWearTimeMinutes) * 100) : 0;
+    const percentAbove180 = totalWearTimeMinutes > 0 ? Math.round(((timeHighMinutes + timeVeryHighMinutes) / totalWearTimeMinutes) * 100) : 0;
+    const percentAbove250 = totalWearTimeMinutes > 0 ? Math.round((timeVeryHighMinutes / totalWearTimeMinutes) * 100) : 0;
+    
+    console.log(`Wear time calculation: ${total} readings, ~${wearTime.nominalIntervalMinutes} min interval, gaps > ${wearTime.maxGapMinutes} min excluded = ${totalWearTimeMinutes} min (${Math.round(totalWearTimeMinutes/60*100)/100} hours)`);
+    console.log(`Data sufficiency: ${dataSufficiency.daysOfData} days, ${dataSufficiency.percentSensorActive}% active`);
+    console.log(`Time in target range: ${timeTargetMinutes} minutes (${Math.round(timeTargetMinutes/60*100)/100} hours) = ${percentBetween70And180}%`);
+    
+    // Calculate estimated A1C and GMI
+    const gmi = Math.round(((average + 46.7) / 28.7) * 10) / 10;
+    const a1c = gmi; // Simplified calculation
+    
+    // Calculate coefficient of variation
+    const variance = values.reduce((acc, val) => acc + Math.pow(val - average, 2), 0) / total;
+    const standardDeviation = Math.sqrt(variance);
+    const coefficientOfVariationPercentage = Math.round((standardDeviation / average) * 100);
+    
+    // Group data by hour for percentile calculations
+    const hourlyData = Array(24).fill(null).map(() => []);
+    
+    glucoseData.forEach(point => {
+        const hour = getLocalHour(point.timestamp, options.timeZone);
+        if (!isNaN(hour)) hourlyData[hour].push(point.value);
+    });
+    
+    // Calculate percentiles for each hour
+    const percentile_5 = [];
+    const percentile_25 = [];
+    const percentile_50 = [];
+    const percentile_75 = [];
+    const percentile_95 = [];
+    
+    for (let hour = 0; hour < 24; hour++) {
+        const hourValues = hourlyData[hour].sort((a, b) => a - b);
+        
+        if (hourValues.length === 0) {
+            // Use overall average if no data for this hour
+            percentile_5.push(average * 0.7);
+            percentile_25.push(average * 0.85);
+            percentile_50.push(average);
+            percentile_75.push(average * 1.15);
+            percentile_95.push(average * 1.3);
+        } else {
+            const getPercentile = (arr, p) => {
+                const index = Math.ceil(arr.length * p / 100) - 1;
+                return arr[Math.max(0, Math.min(index, arr.length - 1))];
+            };
+            
+            percentile_5.push(getPercentile(hourValues, 5));
+            percentile_25.push(getPercentile(hourValues, 25));
+            percentile_50.push(getPercentile(hourValues, 50));
+            percentile_75.push(getPercentile(hourValues, 75));
+            percentile_95.push(getPercentile(hourValues, 95));
+        }
+    }
+    
+    // Get date range
+    const timestamps = glucoseData.map(d => new Date(d.timestamp));
+    const startAt = new Date(Math.min(...timestamps)).toISOString();
+    const endAt = new Date(Math.max(...timestamps)).toISOString();
+    
+    return {
+        statistics: {
+            average,
+            percentBelow54,
+            percentBelow70,
+            percentBetween70And180,
+            percentAbove180,
+            percentAbove250,
+            a1c,
+            gmi,
+            coefficientOfVariationPercentage,
+            // Add actual time information
+            totalWearTimeMinutes,
+            totalWearTimeHours: Math.round(totalWearTimeMinutes/60*100)/100,
+            readingIntervalMinutes: wearTime.nominalIntervalMinutes,
+            maxGapMinutes: wearTime.maxGapMinutes,
+            ...dataSufficiency,
+            timeVeryLowMinutes,
+            timeLowMinutes,
+            timeTargetMinutes,
+            timeHighMinutes,
+            timeVeryHighMinutes
+        },
+        percentages: {
+            percentile_5,
+            percentile_25,
+            percentile_50,
+            percentile_75,
+            percentile_95
+        },
+        startAt,
+        endAt
+    };
+}
+
+// Helper function to check an IANA timezone name (e.g. "America/New_York")
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Helper function to get a patient's timezone from their file tracker record
+// (device_info first, then personal_information); null means server local time
+function getUserTimezone(userInfo) {
+    const timeZone = userInfo?.device_info?.timezone ||
+        userInfo?.personal_information?.timezone ||
+        userInfo?.personal_information?.Timezone;
+    return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+const zonedTimeFormatters = new Map();
+
+// Helper function to get the wall-clock date and time of a timestamp in a timezone
+// (server local time when no timezone is given)
+function getZonedTimeParts(timestamp, timeZone = null) {
+    const date = new Date(timestamp);
+    if (isNaN(date.getTime())) {
+        return { year: NaN, month: NaN, day: NaN, hour: NaN, minute: NaN, second: NaN };
+    }
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds()
+        };
+    }
+
+    if (!zonedTimeFormatters.has(timeZone)) {
+        zonedTimeFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = {};
+    zonedTimeFormatters.get(timeZone).formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+    });
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+// Helper function to get the hour of day (0-23) of a timestamp in a timezone
+function getLocalHour(timestamp, timeZone = null) {
+    return getZonedTimeParts(timestamp, timeZone).hour;
+}
+
+// Helper function to get a YYYY-MM-DD key for the calendar day of a timestamp in a timezone
+function getLocalDateKey(timestamp, timeZone = null) {
+    const { year, month, day } = getZonedTimeParts(timestamp, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper function to get the Date for a wall-clock time (YYYY-MM-DD plus h/m/s/ms) in a timezone
+function getZonedDate(dateString, timeZone = null, hours = 0, minutes = 0, seconds = 0, ms = 0) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    if (!timeZone) {
+        return new Date(year, month - 1, day, hours, minutes, seconds, ms);
+    }
+
+    // Start from the same wall-clock time in UTC and correct by the zone's offset
+    // (twice, so a DST change between the guess and the answer is handled)
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds, ms);
+    let guess = wallClock;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedTimeParts(guess, timeZone);
+        const zonedWallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, ms);
+        guess += wallClock - zonedWallClock;
+    }
+    return new Date(guess);
+}
+
+// Helper function to merge sensor 1 and sensor 2 readings into one time-ordered series
+// (readings sharing a timestamp are averaged)
+function mergeSensorReadings(readings) {
+    const byTime = new Map();
+    readings.forEach(reading => {
+        const time = new Date(reading.timestamp).getTime();
+        if (isNaN(time) || isNaN(reading.value)) return;
+        if (!byTime.has(time)) byTime.set(time, []);
+        byTime.get(time).push(reading.value);
+    });
+
+    return [...byTime.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, values]) => ({
+            time,
+            value: values.reduce((a, b) => a + b, 0) / values.length
+        }));
+}
+
+// Helper function to find the SD of the differences between each reading and the one lagMinutes earlier
+// (used for CONGA-n and MODD); pairs are only matched when within toleranceMinutes of the lag
+function calculateLaggedDifferences(series, lagMinutes, toleranceMinutes) {
+    const differences = [];
+    let j = 0;
+
+    for (let i = 0; i < series.length; i++) {
+        const targetTime = series[i].time - lagMinutes * 60000;
+        while (j < i && series[j].time < targetTime - toleranceMinutes * 60000) j++;
+
+        // Pick the closest earlier reading to the target time
+        let best = null;
+        for (let k = j; k < i && series[k].time <= targetTime + toleranceMinutes * 60000; k++) {
+            if (best === null || Math.abs(series[k].time - targetTime) < Math.abs(series[best].time - targetTime)) {
+                best = k;
+            }
+        }
+        if (best !== null) {
+            differences.push(series[i].value - series[best].value);
+        }
+    }
+
+    return differences;
+}
+
+// Helper function to calculate the mean amplitude of glycemic excursions (MAGE):
+// the average height of the peak-to-nadir swings that are larger than one SD
+function calculateMAGE(values, standardDeviation) {
+    if (values.length < 3 || standardDeviation === 0) return 0;
+
+    // Drop flat runs so turning points can be found
+    const points = values.filter((value, i) => i === 0 || value !== values[i - 1]);
+
+    const turningPoints = [points[0]];
+    for (let i = 1; i < points.length - 1; i++) {
+        const isPeak = points[i] > points[i - 1] && points[i] > points[i + 1];
+        const isNadir = points[i] < points[i - 1] && points[i] < points[i + 1];
+        if (isPeak || isNadir) turningPoints.push(points[i]);
+    }
+    turningPoints.push(points[points.length - 1]);
+
+    // Ignore swings smaller than 1 SD so sensor noise doesn't split one excursion into several
+    const extremes = [turningPoints[0]];
+    for (let i = 1; i < turningPoints.length; i++) {
+        const value = turningPoints[i];
+        const last = extremes[extremes.length - 1];
+        if (extremes.length >= 2) {
+            const rising = last > extremes[extremes.length - 2];
+            if ((rising && value >= last) || (!rising && value <= last)) {
+                // Same direction - extend the current excursion
+                extremes[extremes.length - 1] = value;
+                continue;
+            }
+        }
+        if (Math.abs(value - last) > standardDeviation) {
+            extremes.push(value);
+        }
+    }
+
+    const amplitudes = [];
+    for (let i = 1; i < extremes.length; i++) {
+        const amplitude = Math.abs(extremes[i] - extremes[i - 1]);
+        if (amplitude > standardDeviation) amplitudes.push(amplitude);
+    }
+
+    return amplitudes.length > 0 ? amplitudes.reduce((a, b) => a + b, 0) / amplitudes.length : 0;
+}
+
+// Helper function to get the Glycemia Risk Index zone (A = lowest risk, E = highest)
+function getGRIZone(gri) {
+    if (gri <= 20) return 'A';
+    if (gri <= 40) return 'B';
+    if (gri <= 60) return 'C';
+    if (gri <= 80) return 'D';
+    return 'E';
+}
+
+// Calculate glycemic variability and risk metrics from glucose readings
+// Returns SD, MAGE, CONGA-n, MODD, J-index, LBGI/HBGI, ADRR and GRI (with its hypo/hyper components)
+function calculateGlycemicVariability(glucoseData, options = {}) {
+    const congaHours = options.congaHours || 1;
+    const series = mergeSensorReadings(glucoseData);
+
+    if (series.length === 0) {
+        return {
+            mean: 0,
+            standardDeviation: 0,
+            coefficientOfVariationPercentage: 0,
+            mage: 0,
+            conga: 0,
+            congaHours,
+            modd: 0,
+            jIndex: 0,
+            lbgi: 0,
+            hbgi: 0,
+            adrr: 0,
+            gri: 0,
+            griZone: 'A',
+            griHypoComponent: 0,
+            griHyperComponent: 0
+        };
+    }
+
+    const values = series.map(point => point.value);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const standardDeviation = values.length > 1
+        ? Math.sqrt(values.reduce((acc, val) => acc + Math.pow(val - mean, 2), 0) / (values.length - 1))
+        : 0;
+
+    // Pair readings with the one n hours (CONGA) or 24 hours (MODD) earlier, allowing half a sampling interval either way
+    const wearTime = calculateReadingDurations(glucoseData, options.maxGapMinutes);
+    const toleranceMinutes = Math.max(5, wearTime.nominalIntervalMinutes / 2);
+
+    const congaDifferences = calculateLaggedDifferences(series, congaHours * 60, toleranceMinutes);
+    let conga = 0;
+    if (congaDifferences.length > 1) {
+        const meanDifference = congaDifferences.reduce((a, b) => a + b, 0) / congaDifferences.length;
+        conga = Math.sqrt(congaDifferences.reduce((acc, d) => acc + Math.pow(d - meanDifference, 2), 0) / (congaDifferences.length - 1));
+    }
+
+    const moddDifferences = calculateLaggedDifferences(series, 24 * 60, toleranceMinutes);
+    const modd = moddDifferences.length > 0
+        ? moddDifferences.reduce((acc, d) => acc + Math.abs(d), 0) / moddDifferences.length
+        : 0;
+
+    const jIndex = 0.001 * Math.pow(mean + standardDeviation, 2);
+
+    // Kovatchev blood glucose risk functions (mg/dL)
+    const riskValues = series.map(point => {
+        const bg = Math.max(point.value, 1);
+        const f = 1.509 * (Math.pow(Math.log(bg), 1.084) - 5.381);
+        const risk = 10 * f * f;
+        return { time: point.time, low: f < 0 ? risk : 0, high: f > 0 ? risk : 0 };
+    });
+    const lbgi = riskValues.reduce((acc, r) => acc + r.low, 0) / riskValues.length;
+    const hbgi = riskValues.reduce((acc, r) => acc + r.high, 0) / riskValues.length;
+
+    // ADRR - mean of each day's peak low risk plus peak high risk
+    const dailyRisk = {};
+    riskValues.forEach(r => {
+        const day = getLocalDateKey(r.time, options.timeZone);
+        if (!dailyRisk[day]) dailyRisk[day] = { low: 0, high: 0 };
+        dailyRisk[day].low = Math.max(dailyRisk[day].low, r.low);
+        dailyRisk[day].high = Math.max(dailyRisk[day].high, r.high);
+    });
+    const days = Object.values(dailyRisk);
+    const adrr = days.reduce((acc, d) => acc + d.low + d.high, 0) / days.length;
+
+    // GRI uses the standard consensus thresholds, weighted by time in range
+    const { statistics } = calculateAGPStatistics(glucoseData, null, options);
+    const totalMinutes = statistics.totalWearTimeMinutes;
+    const toPercent = minutes => totalMinutes > 0 ? (minutes / totalMinutes) * 100 : 0;
+    const veryLow = toPercent(statistics.timeVeryLowMinutes);
+    const low = toPercent(statistics.timeLowMinutes);
+    const high = toPercent(statistics.timeHighMinutes);
+    const veryHigh = toPercent(statistics.timeVeryHighMinutes);
+
+    const griHypoComponent = veryLow + 0.8 * low;
+    const griHyperComponent = veryHigh + 0.5 * high;
+    const gri = Math.min(100, 3.0 * griHypoComponent + 1.6 * griHyperComponent);
+
+    const round = (value, places = 1) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    return {
+        mean: round(mean),
+        standardDeviation: round(standardDeviation),
+        coefficientOfVariationPercentage: mean > 0 ? round((standardDeviation / mean) * 100) : 0,
+        mage: round(calculateMAGE(values, standardDeviation)),
+        conga: round(conga),
+        congaHours,
+        modd: round(modd),
+        jIndex: round(jIndex),
+        lbgi: round(lbgi, 2),
+        hbgi: round(hbgi, 2),
+        adrr: round(adrr, 2),
+        gri: round(gri),
+        griZone: getGRIZone(gri),
+        griHypoComponent: round(griHypoComponent),
+        griHyperComponent: round(griHyperComponent)
+    };
+}
+
+// Helper function to split readings into calendar days (in options.timeZone), returning each day's trace
+// (sensors averaged) plus per-day time in range, mean and min/max
+function calculateDailyProfiles(readings, thresholds, options = {}) {
+    const { durations } = calculateReadingDurations(readings, options.maxGapMinutes);
+    const days = {};
+
+    readings.forEach((reading, i) => {
+        const time = new Date(reading.timestamp).getTime();
+        if (isNaN(time)) return;
+        const day = getLocalDateKey(time, options.timeZone);
+        if (!days[day]) days[day] = { readings: [], durations: [] };
+        days[day].readings.push(reading);
+        days[day].durations.push(durations[i]);
+    });
+
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return Object.keys(days).sort().map(date => {
+        const day = days[date];
+        const values = day.readings.map(r => r.value);
+        const wearTimeMinutes = day.durations.reduce((a, b) => a + b, 0);
+        const toPercent = predicate => wearTimeMinutes > 0
+            ? Math.round((sumWearTime(day.readings, day.durations, predicate) / wearTimeMinutes) * 100)
+            : 0;
+
+        return {
+            date,
+            points: mergeSensorReadings(day.readings).map(point => {
+                const { hour, minute, second } = getZonedTimeParts(point.time, options.timeZone);
+                return {
+                    timestamp: new Date(point.time).toISOString(),
+                    hourOfDay: round(hour + minute / 60 + second / 3600),
+                    value: round(point.value)
+                };
+            }),
+            readings: day.readings.length,
+            wearTimeMinutes: Math.round(wearTimeMinutes),
+            mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+            min: round(Math.min(...values)),
+            max: round(Math.max(...values)),
+            percentBelowRange: toPercent(v => v < thresholds.targetMin),
+            percentInRange: toPercent(v => v >= thresholds.targetMin && v <= thresholds.targetMax),
+            percentAboveRange: toPercent(v => v > thresholds.targetMax)
+        };
+    });
+}
+
+const AGP_PRESET_PERIOD_DAYS = [7, 14, 30, 90];
+
+// Helper function to parse a start/end query value; date-only values (YYYY-MM-DD) are
+// midnight in the patient's timezone, or the last millisecond of that day for an end date
+function parseWindowDate(value, endOfDay = false, timeZone = null) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return endOfDay
+            ? getZonedDate(value, timeZone, 23, 59, 59, 999)
+            : getZonedDate(value, timeZone);
+    }
+    return new Date(value);
+}
+
+// Helper function to get the time of the last of a set of readings, or null if there are none
+function getLastReadingTime(readings) {
+    const times = readings.map(r => new Date(r.timestamp).getTime()).filter(time => !isNaN(time));
+    return times.length > 0 ? new Date(times.reduce((a, b) => Math.max(a, b))) : null;
+}
+
+// Helper function to resolve the reporting window from the start, end and period query params.
+// A preset period counts back from `end`, or from the last reading (lastReadingTime) when no end is given.
+// With compare=previous the window must be bounded, and the previous window of equal length is returned too.
+function resolveDateWindow(query, lastReadingTime, timeZone = null) {
+    let start = query.start ? parseWindowDate(query.start, false, timeZone) : null;
+    let end = query.end ? parseWindowDate(query.end, true, timeZone) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return { error: 'Invalid start or end date' };
+    }
+
+    let period = null;
+    if (query.period !== undefined && query.period !== '') {
+        period = parseInt(query.period);
+        if (!AGP_PRESET_PERIOD_DAYS.includes(period)) {
+            return { error: `period must be one of ${AGP_PRESET_PERIOD_DAYS.join(', ')} days` };
+        }
+        if (start) {
+            return { error: 'Use either start or period, not both' };
+        }
+    }
+
+    const compare = query.compare === 'previous';
+    if (compare && !start && !period) {
+        return { error: 'Comparing with the previous period requires a start date or a preset period' };
+    }
+
+    // Open-ended windows that need a length are closed at the last reading
+    if (!end && (period || start)) {
+        end = lastReadingTime ? new Date(lastReadingTime) : new Date();
+    }
+    if (period) {
+        start = new Date(end.getTime() - period * 24 * 60 * 60 * 1000);
+    }
+    if (start && end && start >= end) {
+        return { error: 'start must be before end' };
+    }
+
+    const dateWindow = { start, end, period };
+    if (compare) {
+        const lengthMs = end.getTime() - start.getTime();
+        dateWindow.previous = {
+            start: new Date(start.getTime() - lengthMs),
+            end: new Date(start.getTime() - 1),
+            period
+        };
+    }
+    return dateWindow;
+}
+
+// Helper function to keep only the readings inside a date window (inclusive at both ends)
+function filterReadingsByWindow(readings, dateWindow) {
+    if (!dateWindow || (!dateWindow.start && !dateWindow.end)) return readings;
+    return readings.filter(reading => {
+        const time = new Date(reading.timestamp).getTime();
+        if (isNaN(time)) return false;
+        if (dateWindow.start && time < dateWindow.start.getTime()) return false;
+        if (dateWindow.end && time > dateWindow.end.getTime()) return false;
+        return true;
+    });
+}
+
+// Helper function to calculate current-minus-previous deltas for every numeric statistic
+function calculateStatisticsDeltas(currentStatistics, previousStatistics) {
+    const deltas = {};
+    Object.keys(currentStatistics).forEach(key => {
+        const current = currentStatistics[key];
+        const previous = previousStatistics[key];
+        if (typeof current === 'number' && typeof previous === 'number') {
+            deltas[key] = Math.round((current - previous) * 1000) / 1000;
+        }
+    });
+    return deltas;
+}
+
+// Helper function to run an AGP statistics calculation for the requested window and,
+// in compare mode, for the previous period as well
+function calculateWindowedAGP(readings, dateWindow, calculate) {
+    const result = calculate(filterReadingsByWindow(readings, dateWindow));
+    const response = {
+        ...result,
+        dateWindow: {
+            start: dateWindow.start,
+            end: dateWindow.end,
+            period: dateWindow.period
+        }
+    };
+
+    if (dateWindow.previous) {
+        const previousReadings = filterReadingsByWindow(readings, dateWindow.previous);
+        const previousResult = calculate(previousReadings);
+        response.comparison = {
+            previousWindow: dateWindow.previous,
+            previousTotalReadings: previousReadings.length,
+            previousStatistics: previousResult.statistics,
+            deltas: calculateStatisticsDeltas(result.statistics, previousResult.statistics)
+        };
+    }
+
+    return response;
+}
+
+// Helper function to pair sensor 1 and sensor 2 readings that are within toleranceMinutes of each other
+// (each reading is used at most once, nearest match first)
+function pairSensorReadings(readings, toleranceMinutes) {
+    const bySensor = sensor => readings
+        .filter(r => r.sensor === sensor)
+        .map(r => ({ time: new Date(r.timestamp).getTime(), value: r.value }))
+        .filter(r => !isNaN(r.time) && !isNaN(r.value))
+        .sort((a, b) => a.time - b.time);
+    const sensor1 = bySensor(1);
+    const sensor2 = bySensor(2);
+    const toleranceMs = toleranceMinutes * 60000;
+
+    const pairs = [];
+    let j = 0;
+    sensor1.forEach(reading => {
+        // Skip sensor 2 readings that are too early to pair with this or any later reading
+        while (j < sensor2.length && sensor2[j].time < reading.time - toleranceMs) j++;
+        if (j >= sensor2.length) return;
+
+        // Take the closer of the two candidates around this time
+        let best = j;
+        if (j + 1 < sensor2.length && Math.abs(sensor2[j + 1].time - reading.time) < Math.abs(sensor2[j].time - reading.time)) {
+            best = j + 1;
+        }
+        if (Math.abs(sensor2[best].time - reading.time) <= toleranceMs) {
+            pairs.push({ time: reading.time, sensor1: reading.value, sensor2: sensor2[best].value });
+            j = best + 1;
+        }
+    });
+
+    return {
+        pairs,
+        sensor1Count: sensor1.length,
+        sensor2Count: sensor2.length
+    };
+}
+
+// Calculate agreement between the two sensor channels: MARD between channels, Bland-Altman bias and
+// limits of agreement, Pearson correlation, and the periods where the channels diverge beyond a threshold
+function calculateSensorAgreement(readings, options = {}) {
+    const pairingToleranceMinutes = options.pairingToleranceMinutes || 5;
+    const divergenceThresholdPercent = options.divergenceThresholdPercent || 20;
+    const maxGapMinutes = options.maxGapMinutes || DEFAULT_MAX_GAP_MINUTES;
+
+    const { pairs, sensor1Count, sensor2Count } = pairSensorReadings(readings, pairingToleranceMinutes);
+    const round = (value, places = 3) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    const summary = {
+        sensor1Readings: sensor1Count,
+        sensor2Readings: sensor2Count,
+        pairedReadings: pairs.length,
+        pairingToleranceMinutes,
+        divergenceThresholdPercent
+    };
+    if (pairs.length === 0) {
+        return { summary, agreement: null, pairs: [], divergencePeriods: [] };
+    }
+
+    // Per-pair differences; relative difference is against the mean of the two channels since neither is a reference
+    const pairDetails = pairs.map(pair => {
+        const mean = (pair.sensor1 + pair.sensor2) / 2;
+        const difference = pair.sensor1 - pair.sensor2;
+        return {
+            timestamp: new Date(pair.time).toISOString(),
+            time: pair.time,
+            sensor1: round(pair.sensor1),
+            sensor2: round(pair.sensor2),
+            mean: round(mean),
+            difference: round(difference),
+            percentDifference: mean !== 0 ? round((difference / mean) * 100, 1) : 0
+        };
+    });
+
+    const n = pairDetails.length;
+    const differences = pairDetails.map(p => p.sensor1 - p.sensor2);
+    const bias = differences.reduce((a, b) => a + b, 0) / n;
+    const sdDifference = n > 1
+        ? Math.sqrt(differences.reduce((acc, d) => acc + Math.pow(d - bias, 2), 0) / (n - 1))
+        : 0;
+    const mard = pairDetails.reduce((acc, p) => acc + Math.abs(p.percentDifference), 0) / n;
+
+    // Pearson correlation between the channels
+    const mean1 = pairDetails.reduce((acc, p) => acc + p.sensor1, 0) / n;
+    const mean2 = pairDetails.reduce((acc, p) => acc + p.sensor2, 0) / n;
+    let covariance = 0, variance1 = 0, variance2 = 0;
+    pairDetails.forEach(p => {
+        covariance += (p.sensor1 - mean1) * (p.sensor2 - mean2);
+        variance1 += Math.pow(p.sensor1 - mean1, 2);
+        variance2 += Math.pow(p.sensor2 - mean2, 2);
+    });
+    const correlation = variance1 > 0 && variance2 > 0 ? covariance / Math.sqrt(variance1 * variance2) : null;
+    const slope = variance1 > 0 ? covariance / variance1 : null;
+
+    // Group consecutive diverging pairs into periods; a data gap ends the period
+    const divergencePeriods = [];
+    let current = null;
+    pairDetails.forEach(p => {
+        const diverging = Math.abs(p.percentDifference) > divergenceThresholdPercent;
+        if (current && (!diverging || p.time - current.lastTime > maxGapMinutes * 60000)) {
+            divergencePeriods.push(current);
+            current = null;
+        }
+        if (diverging) {
+            if (!current) {
+                current = { startTime: p.time, lastTime: p.time, pairs: 0, maxPercentDifference: 0, sumPercentDifference: 0 };
+            }
+            current.lastTime = p.time;
+            current.pairs++;
+            current.sumPercentDifference += Math.abs(p.percentDifference);
+            current.maxPercentDifference = Math.max(current.maxPercentDifference, Math.abs(p.percentDifference));
+        }
+    });
+    if (current) divergencePeriods.push(current);
+
+    const divergingPairs = pairDetails.filter(p => Math.abs(p.percentDifference) > divergenceThresholdPercent).length;
+
+    return {
+        summary: {
+            ...summary,
+            divergingPairs,
+            percentDiverging: round((divergingPairs / n) * 100, 1)
+        },
+        agreement: {
+            mard: round(mard, 1),
+            bias: round(bias),
+            sdDifference: round(sdDifference),
+            lowerLimitOfAgreement: round(bias - 1.96 * sdDifference),
+            upperLimitOfAgreement: round(bias + 1.96 * sdDifference),
+            correlation: correlation !== null ? round(correlation) : null,
+            regressionSlope: slope !== null ? round(slope) : null,
+            regressionIntercept: slope !== null ? round(mean2 - slope * mean1) : null
+        },
+        pairs: pairDetails.map(({ time, ...pair }) => pair),
+        divergencePeriods: divergencePeriods.map(period => ({
+            start: new Date(period.startTime).toISOString(),
+            end: new Date(period.lastTime).toISOString(),
+            durationMinutes: Math.round((period.lastTime - period.startTime) / 60000),
+            pairs: period.pairs,
+            meanPercentDifference: round(period.sumPercentDifference / period.pairs, 1),
+            maxPercentDifference: round(period.maxPercentDifference, 1)
+        }))
+    };
+}
+
+// Accuracy against reference measurements: each fingerstick or lab value is paired with the nearest reading of each
+// sensor channel within a window, and the pairs of all channels are pooled for the overall metrics
+const ACCURACY_DEFAULT_WINDOW_MINUTES = 15;
+const ACCURACY_MAX_WINDOW_MINUTES = 60;
+const ERROR_GRID_ZONES = ['A', 'B', 'C', 'D', 'E'];
+
+// Parkes (consensus) error grid zone boundaries in mg/dL as [reference, sensor] polylines for type 1 and type 2
+// diabetes (Parkes et al., Diabetes Care 2000). A zone lies between its upper and lower line; zone D has no
+// lower line and everything outside D is zone E.
+const PARKES_ZONE_BOUNDARIES = {
+    1: {
+        A: {
+            upper: [[0, 50], [30, 50], [140, 170], [280, 380], [430, 550]],
+            lower: [[50, 0], [50, 30], [170, 145], [385, 300], [550, 450]]
+        },
+        B: {
+            upper: [[0, 60], [30, 60], [50, 80], [70, 110], [260, 550]],
+            lower: [[120, 0], [120, 30], [260, 130], [550, 250]]
+        },
+        C: {
+            upper: [[0, 100], [25, 100], [50, 125], [80, 215], [125, 550]],
+            lower: [[250, 0], [250, 40], [550, 150]]
+        },
+        D: {
+            upper: [[0, 150], [35, 155], [50, 550]]
+        }
+    },
+    2: {
+        A: {
+            upper: [[0, 50], [30, 50], [230, 330], [440, 550]],
+            lower: [[50, 0], [50, 30], [90, 80], [330, 230], [550, 450]]
+        },
+        B: {
+            upper: [[0, 60], [30, 60], [280, 550]],
+            lower: [[90, 0], [260, 130], [550, 250]]
+        },
+        C: {
+            upper: [[0, 80], [25, 80], [35, 90], [125, 550]],
+            lower: [[250, 0], [250, 40], [410, 110], [550, 160]]
+        },
+        D: {
+            upper: [[0, 200], [35, 200], [50, 550]]
+        }
+    }
+};
+
+// Clarke error grid zone lines in mg/dL as [reference, sensor] polylines, for drawing the grid
+const CLARKE_GRID_LINES = [
+    [[0, 70], [175 / 3, 70], [400 / 1.2, 400]],
+    [[70, 84], [70, 400]],
+    [[0, 180], [70, 180], [290, 400]],
+    [[70, 0], [70, 56], [400, 320]],
+    [[130, 0], [180, 70], [400, 70]],
+    [[180, 0], [180, 70]],
+    [[240, 70], [240, 180], [400, 180]]
+];
+
+// Helper function to find the Clarke error grid zone (A-E) of a sensor value against a reference value (mg/dL)
+function getClarkeZone(reference, sensor) {
+    if ((reference <= 70 && sensor <= 70) || (sensor <= 1.2 * reference && sensor >= 0.8 * reference)) return 'A';
+    if ((reference >= 180 && sensor <= 70) || (reference <= 70 && sensor >= 180)) return 'E';
+    if ((reference >= 70 && reference <= 290 && sensor >= reference + 110) ||
+        (reference >= 130 && reference <= 180 && sensor <= (7 / 5) * reference - 182)) return 'C';
+    if ((reference >= 240 && sensor >= 70 && sensor <= 180) ||
+        (reference <= 175 / 3 && sensor >= 70 && sensor <= 180) ||
+        (reference >= 175 / 3 && reference <= 70 && sensor >= (6 / 5) * reference)) return 'D';
+    return 'B';
+}
+
+// Helper function to read a Parkes boundary polyline at a reference value. Left of an upper line's end nothing is
+// excluded (it runs off the top of the grid); lower lines start at the bottom and keep their last value beyond 550 mg/dL
+function getBoundaryValue(points, x, isUpper) {
+    if (x < points[0][0]) return isUpper ? Infinity : -Infinity;
+    if (x > points[points.length - 1][0]) return isUpper ? Infinity : points[points.length - 1][1];
+    for (let i = 0; i < points.length - 1; i++) {
+        const [x1, y1] = points[i];
+        const [x2, y2] = points[i + 1];
+        // Vertical segments are skipped; the next segment starts at their top
+        if (x2 > x1 && x >= x1 && x <= x2) {
+            return y1 + (y2 - y1) * (x - x1) / (x2 - x1);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+// Helper function to find the Parkes error grid zone (A-E) of a sensor value against a reference value (mg/dL)
+function getParkesZone(reference, sensor, diabetesType = 1) {
+    const boundaries = PARKES_ZONE_BOUNDARIES[diabetesType];
+    for (const zone of ['A', 'B', 'C', 'D']) {
+        const { upper, lower } = boundaries[zone];
+        if (sensor <= getBoundaryValue(upper, reference, true) &&
+            (!lower || sensor >= getBoundaryValue(lower, reference, false))) {
+            return zone;
+        }
+    }
+    return 'E';
+}
+
+// Helper function to pair each reference measurement with the nearest reading of each sensor channel within
+// windowMinutes (a sensor reading may be paired with more than one reference)
+function pairReferenceMeasurements(measurements, readings, windowMinutes) {
+    const windowMs = windowMinutes * 60000;
+    const channels = [...new Set(readings.map(r => r.sensor))].sort((a, b) => a - b);
+
+    const pairs = [];
+    channels.forEach(channel => {
+        const series = readings
+            .filter(r => r.sensor === channel)
+            .map(r => ({ time: new Date(r.timestamp).getTime(), value: r.value }))
+            .filter(r => !isNaN(r.time) && !isNaN(r.value))
+            .sort((a, b) => a.time - b.time);
+
+        measurements.forEach(measurement => {
+            const time = new Date(measurement.timestamp).getTime();
+            // First reading at or after the reference; the nearest is it or the one before
+            let low = 0;
+            let high = series.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (series[middle].time < time) low = middle + 1;
+                else high = middle;
+            }
+            const nearest = [series[low - 1], series[low]]
+                .filter(Boolean)
+                .reduce((best, reading) => (!best || Math.abs(reading.time - time) < Math.abs(best.time - time) ? reading : best), null);
+            if (nearest && Math.abs(nearest.time - time) <= windowMs) {
+                pairs.push({ channel, time, method: measurement.method, reference: measurement.value, sensorTime: nearest.time, sensor: nearest.value });
+            }
+        });
+    });
+
+    return pairs.sort((a, b) => a.time - b.time || a.channel - b.channel);
+}
+
+// Helper function to describe reference pairs for responses: differences, %20/20 agreement and,
+// for biomarkers with error grids, the Clarke and Parkes zones
+function describeReferencePairs(pairs, biomarkerType, parkesType = 1) {
+    const { lowThreshold, absoluteLimit, percentLimit } = BIOMARKER_REGISTRY[biomarkerType].accuracy;
+    const errorGrids = biomarkerHasFeature(biomarkerType, 'errorGrids');
+    const round = (value, places = 3) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    return pairs.map(pair => {
+        const difference = pair.sensor - pair.reference;
+        const withinAgreement = pair.reference < lowThreshold
+            ? Math.abs(difference) <= absoluteLimit
+            : Math.abs(difference) <= pair.reference * percentLimit / 100;
+        return {
+            timestamp: new Date(pair.time).toISOString(),
+            sensorTimestamp: new Date(pair.sensorTime).toISOString(),
+            offsetMinutes: round((pair.sensorTime - pair.time) / 60000, 1),
+            channel: pair.channel,
+            method: pair.method,
+            reference: round(pair.reference),
+            sensor: round(pair.sensor),
+            difference: round(difference),
+            percentDifference: round((difference / pair.reference) * 100, 1),
+            withinAgreement,
+            ...(errorGrids && {
+                clarkeZone: getClarkeZone(pair.reference, pair.sensor),
+                parkesZone: getParkesZone(pair.reference, pair.sensor, parkesType)
+            })
+        };
+    });
+}
+
+// Helper function to get the percentage of pairs in each error grid zone
+function summarizeErrorGridZones(zones) {
+    return Object.fromEntries(ERROR_GRID_ZONES.map(zone => [
+        zone,
+        Math.round(zones.filter(z => z === zone).length / zones.length * 1000) / 10
+    ]));
+}
+
+// Calculate sensor accuracy over described reference pairs: MARD (mean absolute relative difference to the reference),
+// median ARD, MAD (mean absolute difference), bias with limits of agreement, %20/20 agreement and error grid zones.
+// Returns null without pairs.
+function calculateAccuracyMetrics(pairDetails) {
+    const n = pairDetails.length;
+    if (n === 0) return null;
+    const round = (value, places = 3) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+    const differences = pairDetails.map(p => p.sensor - p.reference);
+    const relativeDifferences = pairDetails.map(p => Math.abs(p.percentDifference)).sort((a, b) => a - b);
+    const bias = differences.reduce((a, b) => a + b, 0) / n;
+    const sdDifference = n > 1
+        ? Math.sqrt(differences.reduce((acc, d) => acc + Math.pow(d - bias, 2), 0) / (n - 1))
+        : 0;
+
+    const metrics = {
+        pairs: n,
+        mard: round(relativeDifferences.reduce((a, b) => a + b, 0) / n, 1),
+        medianArd: round(calculateQuantile(relativeDifferences, 50), 1),
+        mad: round(differences.reduce((acc, d) => acc + Math.abs(d), 0) / n),
+        bias: round(bias),
+        sdDifference: round(sdDifference),
+        lowerLimitOfAgreement: round(bias - 1.96 * sdDifference),
+        upperLimitOfAgreement: round(bias + 1.96 * sdDifference),
+        percentWithinAgreement: round(pairDetails.filter(p => p.withinAgreement).length / n * 100, 1)
+    };
+    if (pairDetails[0].clarkeZone) {
+        metrics.clarke = summarizeErrorGridZones(pairDetails.map(p => p.clarkeZone));
+        metrics.parkes = summarizeErrorGridZones(pairDetails.map(p => p.parkesZone));
+    }
+    return metrics;
+}
+
+// Helper function to calculate the accuracy metrics of all pairs and of each sensor channel
+function calculateChannelAccuracy(pairDetails) {
+    const channels = [...new Set(pairDetails.map(p => p.channel))].sort((a, b) => a - b);
+    return {
+        overall: calculateAccuracyMetrics(pairDetails),
+        channels: Object.fromEntries(channels.map(channel => [
+            channel,
+            calculateAccuracyMetrics(pairDetails.filter(p => p.channel === channel))
+        ]))
+    };
+}
+
+// Helper function to get the Clarke and Parkes zone lines ([reference, sensor] polylines) in a unit system for charts
+function getErrorGridLines(parkesType, conversion) {
+    const parkesLines = Object.values(PARKES_ZONE_BOUNDARIES[parkesType]).flatMap(({ upper, lower }) => (lower ? [upper, lower] : [upper]));
+    const lineConversion = { ...conversion, places: 2 };
+    return {
+        clarke: convertBiomarkerValue(CLARKE_GRID_LINES, lineConversion),
+        parkes: convertBiomarkerValue(parkesLines, lineConversion)
+    };
+}
+
+// Helper function to parse the accuracy report query (window, method, parkesType).
+// Returns { options: { windowMinutes, method, parkesType } } or { error }
+function parseAccuracyOptions(query) {
+    const windowMinutes = query.window !== undefined && query.window !== '' ? parseFloat(query.window) : ACCURACY_DEFAULT_WINDOW_MINUTES;
+    if (isNaN(windowMinutes) || windowMinutes <= 0 || windowMinutes > ACCURACY_MAX_WINDOW_MINUTES) {
+        return { error: `window must be between 0 and ${ACCURACY_MAX_WINDOW_MINUTES} minutes` };
+    }
+    const method = query.method || null;
+    if (method && !REFERENCE_MEASUREMENT_METHODS.includes(method)) {
+        return { error: `Invalid method. Must be one of: ${REFERENCE_MEASUREMENT_METHODS.join(', ')}` };
+    }
+    const parkesType = query.parkesType !== undefined && query.parkesType !== '' ? parseInt(query.parkesType) : 1;
+    if (!PARKES_ZONE_BOUNDARIES[parkesType]) {
+        return { error: 'parkesType must be 1 or 2' };
+    }
+    return { options: { windowMinutes, method, parkesType } };
+}
+
+// Helper function to pair a user's reference measurements with their sensor readings and describe the pairs.
+// Only the readings around the reference times are loaded; they are used as recorded (not cleaned), so cleaning
+// cannot flatter the accuracy. Returns { measurements, pairDetails } or { error } when the user has no sensor data.
+async function loadUserReferencePairs(username, biomarkerType, options, timeRange = {}) {
+    const measurements = await loadReferenceMeasurements(username, biomarkerType, options.method, timeRange);
+    if (measurements.length === 0) {
+        return { measurements, pairDetails: [] };
+    }
+
+    const { dataset, error } = await loadUserDataset(username);
+    if (error) {
+        return { error };
+    }
+    const windowMs = options.windowMinutes * 60000;
+    const readings = await queryReadings(dataset, biomarkerType, {
+        start: new Date(measurements[0].timestamp.getTime() - windowMs),
+        end: new Date(measurements[measurements.length - 1].timestamp.getTime() + windowMs)
+    });
+    const pairs = pairReferenceMeasurements(measurements, readings, options.windowMinutes);
+    return { measurements, pairDetails: describeReferencePairs(pairs, biomarkerType, options.parkesType) };
+}
+
+const EPISODE_MIN_DURATION_MINUTES = 15;
+const EPISODE_RECOVERY_MINUTES = 15;
+const PROLONGED_HYPERGLYCEMIA_MINUTES = 120;
+const NOCTURNAL_START_HOUR = 0;
+const NOCTURNAL_END_HOUR = 6;
+
+// Helper function to find runs of readings that satisfy a predicate. A run only ends once readings have
+// been back out of it for EPISODE_RECOVERY_MINUTES (or at a data gap), and must last at least minDurationMinutes.
+function findEpisodeRuns(series, durations, predicate, options = {}) {
+    const minDurationMinutes = options.minDurationMinutes || EPISODE_MIN_DURATION_MINUTES;
+    const maxGapMs = (options.maxGapMinutes || DEFAULT_MAX_GAP_MINUTES) * 60000;
+    const runs = [];
+    let current = null;
+
+    const closeRun = () => {
+        const durationMinutes = (current.endTime - current.startTime) / 60000;
+        if (durationMinutes >= minDurationMinutes) {
+            runs.push({ ...current, durationMinutes: Math.round(durationMinutes) });
+        }
+        current = null;
+    };
+
+    series.forEach((point, i) => {
+        if (current && point.time - current.lastTime > maxGapMs) {
+            closeRun();
+        }
+
+        if (predicate(point.value)) {
+            if (!current) {
+                current = {
+                    startTime: point.time,
+                    endTime: point.time,
+                    lastTime: point.time,
+                    recoveryStart: null,
+                    minValue: point.value,
+                    minTime: point.time,
+                    maxValue: point.value,
+                    maxTime: point.time
+                };
+            }
+            current.lastTime = point.time;
+            current.endTime = point.time + durations[i] * 60000;
+            current.recoveryStart = null;
+            if (point.value < current.minValue) {
+                current.minValue = point.value;
+                current.minTime = point.time;
+            }
+            if (point.value > current.maxValue) {
+                current.maxValue = point.value;
+                current.maxTime = point.time;
+            }
+        } else if (current) {
+            if (current.recoveryStart === null) current.recoveryStart = point.time;
+            if (point.time + durations[i] * 60000 - current.recoveryStart >= EPISODE_RECOVERY_MINUTES * 60000) {
+                closeRun();
+            }
+        }
+    });
+    if (current) closeRun();
+
+    return runs;
+}
+
+// Detect hypoglycemia and hyperglycemia episodes using the patient's range thresholds.
+// Level 1 episodes are below lowMax / above targetMax; they are level 2 when they contain at least
+// 15 minutes below veryLowMax / above highMax. Hyperglycemia above highMax for over 2 hours is "prolonged",
+// and episodes overlapping midnight-6am (patient's timezone) are "nocturnal".
+function detectGlucoseEpisodes(glucoseData, thresholds, options = {}) {
+    const series = mergeSensorReadings(glucoseData);
+    const seriesReadings = series.map(point => ({ timestamp: point.time, value: point.value }));
+    const { durations } = calculateReadingDurations(seriesReadings, options.maxGapMinutes);
+
+    const overlaps = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+    const round = value => Math.round(value * 10) / 10;
+
+    const isNocturnal = run => {
+        // Check the start, end and every hour in between
+        for (let time = run.startTime; time <= run.endTime; time += 60 * 60000) {
+            const hour = getLocalHour(time, options.timeZone);
+            if (hour >= NOCTURNAL_START_HOUR && hour < NOCTURNAL_END_HOUR) return true;
+        }
+        const endHour = getLocalHour(run.endTime, options.timeZone);
+        return endHour >= NOCTURNAL_START_HOUR && endHour < NOCTURNAL_END_HOUR;
+    };
+
+    const localTime = time => {
+        const { hour, minute } = getZonedTimeParts(time, options.timeZone);
+        return { date: getLocalDateKey(time, options.timeZone), hourOfDay: round(hour + minute / 60) };
+    };
+
+    const toEpisode = (run, type, level2Runs, extra = {}) => ({
+        type,
+        level: level2Runs.some(level2 => overlaps(run, level2)) ? 2 : 1,
+        start: new Date(run.startTime).toISOString(),
+        end: new Date(run.endTime).toISOString(),
+        durationMinutes: run.durationMinutes,
+        ...(type === 'hypoglycemia'
+            ? { nadir: round(run.minValue), nadirTime: new Date(run.minTime).toISOString() }
+            : { peak: round(run.maxValue), peakTime: new Date(run.maxTime).toISOString() }),
+        nocturnal: isNocturnal(run),
+        localStart: localTime(run.startTime),
+        localEnd: localTime(run.endTime),
+        ...extra
+    });
+
+    const hypoRuns = findEpisodeRuns(series, durations, v => v < thresholds.lowMax, options);
+    const hypoLevel2Runs = findEpisodeRuns(series, durations, v => v < thresholds.veryLowMax, options);
+    const hyperRuns = findEpisodeRuns(series, durations, v => v > thresholds.targetMax, options);
+    const hyperLevel2Runs = findEpisodeRuns(series, durations, v => v > thresholds.highMax, options);
+    const prolongedRuns = hyperLevel2Runs.filter(run => run.durationMinutes > PROLONGED_HYPERGLYCEMIA_MINUTES);
+
+    const episodes = [
+        ...hypoRuns.map(run => toEpisode(run, 'hypoglycemia', hypoLevel2Runs)),
+        ...hyperRuns.map(run => toEpisode(run, 'hyperglycemia', hyperLevel2Runs, {
+            prolonged: prolongedRuns.some(prolonged => overlaps(run, prolonged))
+        }))
+    ].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    const count = predicate => episodes.filter(predicate).length;
+    const summary = {
+        hypoglycemiaLevel1: count(e => e.type === 'hypoglycemia' && e.level === 1),
+        hypoglycemiaLevel2: count(e => e.type === 'hypoglycemia' && e.level === 2),
+        hyperglycemiaLevel1: count(e => e.type === 'hyperglycemia' && e.level === 1),
+        hyperglycemiaLevel2: count(e => e.type === 'hyperglycemia' && e.level === 2),
+        prolongedHyperglycemia: count(e => e.prolonged),
+        nocturnalHypoglycemia: count(e => e.type === 'hypoglycemia' && e.nocturnal),
+        nocturnalHyperglycemia: count(e => e.type === 'hyperglycemia' && e.nocturnal),
+        totalEpisodes: episodes.length
+    };
+
+    return { summary, episodes };
+}
+
+const COUPLING_DEFAULT_BIN_MINUTES = 15;
+const COUPLING_DEFAULT_MAX_LAG_MINUTES = 240;
+const COUPLING_MIN_PAIRS = 10; // Lags with fewer aligned pairs are reported but never chosen as strongest
+const CORTISOL_RISE_PERCENT = 30; // Rise over the trough that counts as a cortisol rise
+const CORTISOL_RISE_WINDOW_MINUTES = 60;
+const GLUCOSE_EXCURSION_RISE = 30; // mg/dL above the glucose level at the start of the cortisol rise
+const GLUCOSE_EXCURSION_WINDOW_MINUTES = 180; // How long after the cortisol rise a glucose excursion is attributed to it
+
+// Helper function to average a merged series into fixed time bins (keyed by bin index since the epoch)
+function binSeries(series, binMinutes) {
+    const binMs = binMinutes * 60000;
+    const bins = new Map();
+    series.forEach(point => {
+        const bin = Math.floor(point.time / binMs);
+        if (!bins.has(bin)) bins.set(bin, []);
+        bins.get(bin).push(point.value);
+    });
+    const averaged = new Map();
+    bins.forEach((values, bin) => averaged.set(bin, values.reduce((a, b) => a + b, 0) / values.length));
+    return averaged;
+}
+
+// Helper function to calculate the Pearson correlation of cortisol with glucose shifted by each lag.
+// A positive lag pairs cortisol with glucose that many minutes later (glucose following cortisol).
+function calculateLaggedCrossCorrelation(cortisolBins, glucoseBins, binMinutes, maxLagMinutes) {
+    const maxLagBins = Math.floor(maxLagMinutes / binMinutes);
+    const results = [];
+
+    for (let lag = -maxLagBins; lag <= maxLagBins; lag++) {
+        const xs = [];
+        const ys = [];
+        cortisolBins.forEach((cortisol, bin) => {
+            const glucose = glucoseBins.get(bin + lag);
+            if (glucose !== undefined) {
+                xs.push(cortisol);
+                ys.push(glucose);
+            }
+        });
+
+        let correlation = null;
+        if (xs.length >= 3) {
+            const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+            const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+            let sxy = 0, sxx = 0, syy = 0;
+            for (let i = 0; i < xs.length; i++) {
+                sxy += (xs[i] - meanX) * (ys[i] - meanY);
+                sxx += Math.pow(xs[i] - meanX, 2);
+                syy += Math.pow(ys[i] - meanY, 2);
+            }
+            correlation = sxx > 0 && syy > 0 ? Math.round(sxy / Math.sqrt(sxx * syy) * 1000) / 1000 : null;
+        }
+
+        results.push({ lagMinutes: lag * binMinutes, correlation, pairs: xs.length });
+    }
+
+    return results;
+}
+
+// Helper function to find cortisol rises: a trough followed within the rise window by a value
+// at least risePercent higher. Rises don't overlap - the search resumes after each rise's peak.
+function findCortisolRises(cortisolSeries, options = {}) {
+    const risePercent = options.risePercent || CORTISOL_RISE_PERCENT;
+    const windowMs = (options.riseWindowMinutes || CORTISOL_RISE_WINDOW_MINUTES) * 60000;
+    const rises = [];
+
+    let i = 0;
+    while (i < cortisolSeries.length) {
+        const start = cortisolSeries[i];
+        let peakIndex = i;
+        for (let j = i + 1; j < cortisolSeries.length && cortisolSeries[j].time - start.time <= windowMs; j++) {
+            if (cortisolSeries[j].value > cortisolSeries[peakIndex].value) peakIndex = j;
+        }
+        const peak = cortisolSeries[peakIndex];
+
+        if (start.value > 0 && (peak.value - start.value) / start.value * 100 >= risePercent) {
+            rises.push({ start, peak });
+            i = peakIndex + 1;
+        } else {
+            i++;
+        }
+    }
+    return rises;
+}
+
+// Calculate the glucose-cortisol coupling for a patient: both series are aligned into time bins, correlated
+// at each lag, and every cortisol rise is checked for a glucose excursion in the hours that follow
+function calculateGlucoseCortisolCoupling(glucoseReadings, cortisolReadings, thresholds, options = {}) {
+    const binMinutes = options.binMinutes || COUPLING_DEFAULT_BIN_MINUTES;
+    const maxLagMinutes = options.maxLagMinutes || COUPLING_DEFAULT_MAX_LAG_MINUTES;
+    const excursionRise = options.excursionRise || GLUCOSE_EXCURSION_RISE;
+    const excursionWindowMs = (options.excursionWindowMinutes || GLUCOSE_EXCURSION_WINDOW_MINUTES) * 60000;
+
+    const glucoseSeries = mergeSensorReadings(glucoseReadings);
+    const cortisolSeries = mergeSensorReadings(cortisolReadings);
+    const glucoseBins = binSeries(glucoseSeries, binMinutes);
+    const cortisolBins = binSeries(cortisolSeries, binMinutes);
+    const alignedBins = [...cortisolBins.keys()].filter(bin => glucoseBins.has(bin)).length;
+
+    const crossCorrelation = calculateLaggedCrossCorrelation(cortisolBins, glucoseBins, binMinutes, maxLagMinutes);
+    const strongestLag = crossCorrelation
+        .filter(result => result.correlation !== null && result.pairs >= COUPLING_MIN_PAIRS)
+        .reduce((best, result) => !best || Math.abs(result.correlation) > Math.abs(best.correlation) ? result : best, null);
+
+    // Glucose at a time: the nearest reading within one bin either side
+    const glucoseAt = time => {
+        let nearest = null;
+        glucoseSeries.forEach(point => {
+            const distance = Math.abs(point.time - time);
+            if (distance <= binMinutes * 60000 && (!nearest || distance < Math.abs(nearest.time - time))) nearest = point;
+        });
+        return nearest;
+    };
+
+    const round = value => Math.round(value * 1000) / 1000;
+    const cortisolRises = findCortisolRises(cortisolSeries, options).map(({ start, peak }) => {
+        const baseline = glucoseAt(start.time);
+        const following = glucoseSeries.filter(point => point.time >= start.time && point.time <= start.time + excursionWindowMs);
+        const glucosePeak = following.reduce((max, point) => !max || point.value > max.value ? point : max, null);
+
+        const glucoseRise = baseline && glucosePeak ? glucosePeak.value - baseline.value : null;
+        const exceededTarget = glucosePeak ? glucosePeak.value > thresholds.targetMax : false;
+        const followedByExcursion = glucoseRise !== null && (glucoseRise >= excursionRise || (exceededTarget && baseline.value <= thresholds.targetMax));
+
+        return {
+            start: new Date(start.time).toISOString(),
+            peakTime: new Date(peak.time).toISOString(),
+            cortisolStart: round(start.value),
+            cortisolPeak: round(peak.value),
+            cortisolRisePercent: Math.round((peak.value - start.value) / start.value * 100),
+            glucoseBaseline: baseline ? round(baseline.value) : null,
+            glucosePeak: glucosePeak ? round(glucosePeak.value) : null,
+            glucosePeakTime: glucosePeak ? new Date(glucosePeak.time).toISOString() : null,
+            glucoseRise: glucoseRise !== null ? round(glucoseRise) : null,
+            minutesToGlucosePeak: glucosePeak ? Math.round((glucosePeak.time - start.time) / 60000) : null,
+            exceededTarget,
+            followedByExcursion
+        };
+    });
+
+    const followed = cortisolRises.filter(rise => rise.followedByExcursion);
+    const assessable = cortisolRises.filter(rise => rise.glucoseRise !== null);
+
+    return {
+        summary: {
+            glucoseReadings: glucoseSeries.length,
+            cortisolReadings: cortisolSeries.length,
+            binMinutes,
+            alignedBins,
+            maxLagMinutes,
+            cortisolRises: cortisolRises.length,
+            risesFollowedByExcursion: followed.length,
+            percentFollowedByExcursion: assessable.length > 0 ? Math.round(followed.length / assessable.length * 100) : null,
+            meanMinutesToGlucosePeak: followed.length > 0
+                ? Math.round(followed.reduce((sum, rise) => sum + rise.minutesToGlucosePeak, 0) / followed.length)
+                : null
+        },
+        strongestLag,
+        crossCorrelation,
+        cortisolRises
+    };
+}
+
+// Helper function behind the AGP routes: loads a user's readings for one biomarker (sensor channels averaged),
+// cleans them (raw=true skips this), restricts them to the requested date window and responds with the
+// statistics the registry assigns to the biomarker (and the previous period in compare mode).
+// The statistics are served from the derived statistics cache when present; computed_at says when they were calculated.
+async function sendBiomarkerAGP(req, res, biomarkerType) {
+    const { username } = req.params;
+    console.log(`${biomarkerType} AGP request for:`, username, 'by', req.user.username);
+
+    // Check authorization - same logic as other user-specific endpoints
+    if (!req.user.admin && 
+        req.user.username !== username && 
+        !req.user.patients?.includes(username)) {
+        return res.status(403).json({ error: 'Not authorized to view this data' });
+    }
+
+    const userInfo = await findUser(username);
+    if (!userInfo) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+    if (unitsError) {
+        return res.status(400).json({ error: unitsError });
+    }
+    const conversion = getUnitConversion(biomarkerType, unitSystem);
+
+    // Waking day for the circadian metrics (HH:MM in the patient's timezone)
+    const statsOptions = { maxGapMinutes: parseMaxGapMinutes(req.query.maxGap), timeZone: getUserTimezone(userInfo) };
+    if (biomarkerHasFeature(biomarkerType, 'circadian')) {
+        for (const param of ['wakeTime', 'bedTime']) {
+            if (req.query[param] && parseClockTime(req.query[param]) === null) {
+                return res.status(400).json({ error: `${param} must be a time in HH:MM format` });
+            }
+        }
+        statsOptions.wakeTime = req.query.wakeTime || CORTISOL_DEFAULT_WAKE_TIME;
+        statsOptions.bedTime = req.query.bedTime || CORTISOL_DEFAULT_BED_TIME;
+        if (parseClockTime(statsOptions.wakeTime) >= parseClockTime(statsOptions.bedTime)) {
+            return res.status(400).json({ error: 'wakeTime must be before bedTime' });
+        }
+    }
+
+    const cleaningSettings = await getCleaningSettings(biomarkerType);
+    const raw = req.query.raw === 'true';
+    const { start = null, end = null, period = null, compare = null } = req.query;
+
+    const { result, computedAt } = await getDerivedStats({
+        username,
+        dataset: userInfo.etag || null,
+        biomarker: biomarkerType,
+        rangeConfigVersion: await getRangeConfigVersion(),
+        window: { start, end, period, compare },
+        params: { report: 'agp', raw, statsOptions, cleaningSettings, profile: getStatsProfileVersion(userInfo) }
+    }, async () => {
+        // A user without readings still gets the (empty) statistics. The whole series is loaded (not just the window)
+        // since cleaning needs the sensor sessions around the window.
+        const { biomarkerData, error: loadError } = await loadUserBiomarkerReadings(username, biomarkerType);
+        if (loadError) {
+            console.warn(`No ${biomarkerType} readings for AGP:`, loadError);
+        }
+        const readings = mergeSensorReadings(biomarkerData || [])
+            .map(({ time, value }) => ({ timestamp: new Date(time), value, sensor: 'mean' }));
+
+        const customRanges = await getUserCustomRanges(userInfo, biomarkerType);
+        const { readings: cleanedData, cleaning } = cleanBiomarkerReadings(readings, cleaningSettings, { raw });
+        const dateWindow = resolveDateWindow(req.query, getLastReadingTime(cleanedData), statsOptions.timeZone);
+        if (dateWindow.error) {
+            return { error: dateWindow.error };
+        }
+
+        const agpResult = calculateWindowedAGP(cleanedData, dateWindow,
+            windowReadings => calculateBiomarkerStatistics(biomarkerType, windowReadings, customRanges, statsOptions));
+        return { agpResult, cleaning };
+    });
+    if (result.error) {
+        return res.status(400).json({ error: result.error });
+    }
+    const { agpResult, cleaning } = result;
+
+    // Calculated in the conventional unit (GMI/A1C need mg/dL), then converted for the response
+    res.json({
+        ...convertValueFields(agpResult, STATISTICS_VALUE_KEYS, conversion),
+        biomarker: biomarkerType,
+        unit: conversion.unit,
+        unitSystem,
+        timezone: statsOptions.timeZone,
+        cleaning,
+        computed_at: computedAt,
+        patientInfo: {
+            name: username,
+            userID: userInfo.device_info?.userID,
+            deviceID: userInfo.device_info?.deviceID,
+            gender: userInfo.device_info?.gender || 'Unknown',
+            age: userInfo.device_info?.age || 'Unknown',
+            device: userInfo.device_info?.deviceID || 'CGM Device'
+        }
+    });
+}
+
+// GET /user-biomarker-agp/:username/:biomarker
+// Returns AGP-style statistics and hourly percentiles for any biomarker in the registry
+// Optional query: start, end, period (7/14/30/90 days), compare=previous, maxGap (minutes), raw=true (skip signal cleaning),
+// wakeTime/bedTime (HH:MM, only for biomarkers with circadian metrics), units=conventional|si (default: the user's preference)
+app.get('/user-biomarker-agp/:username/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { biomarker } = req.params;
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+        await sendBiomarkerAGP(req, res, biomarker);
+    } catch (error) {
+        console.error('Error fetching biomarker AGP data:', error);
+        res.status(500).json({ error: 'Failed to fetch biomarker data for AGP analysis' });
+    }
+});
+
+// GET /user-glucose-agp/:username
+// Returns glucose data for a specific user for AGP analysis (same as /user-biomarker-agp/:username/glucose)
+// Optional query: start, end, period (7/14/30/90 days), compare=previous, maxGap (minutes), raw=true (skip signal cleaning),
+// units=conventional|si
+app.get('/user-glucose-agp/:username', authenticateToken, async (req, res) => {
+    try {
+        await sendBiomarkerAGP(req, res, 'glucose');
+    } catch (error) {
+        console.error('=== ERROR in user-specific AGP glucose data endpoint ===');
+        console.error('Error details:', error);
+        res.status(500).json({ error: 'Failed to fetch glucose data for AGP analysis' });
+    }
+});
+
+// GET /user-cortisol-agp/:username
+// Returns cortisol data for a specific user for AGP-style analysis (same as /user-biomarker-agp/:username/cortisol)
+// Optional query: start, end, period (7/14/30/90 days), compare=previous, maxGap (minutes),
+// wakeTime/bedTime (HH:MM, the waking day for the circadian metrics), raw=true (skip signal cleaning), units=conventional|si
+app.get('/user-cortisol-agp/:username', authenticateToken, async (req, res) => {
+    try {
+        await sendBiomarkerAGP(req, res, 'cortisol');
+    } catch (error) {
+        console.error('=== ERROR in user-specific cortisol AGP data endpoint ===');
+        console.error('Error details:', error);
+        res.status(500).json({ error: 'Failed to fetch cortisol data for AGP analysis' });
+    }
+});
+
+// GET /user-glycemic-variability/:username
+// Returns glycemic variability and risk metrics (SD, MAGE, CONGA-n, MODD, J-index, LBGI/HBGI, ADRR, GRI) for a user
+// Optional query: congaHours, maxGap (minutes), units=conventional|si (J-index and the risk indices are unit-independent)
+app.get('/user-glycemic-variability/:username', authenticateToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        console.log('Glycemic variability request for:', username, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        const congaHours = parseFloat(req.query.congaHours) || 1;
+        if (congaHours <= 0 || congaHours > 24) {
+            return res.status(400).json({ error: 'congaHours must be between 0 and 24' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { userFileInfo, biomarkerData, error } = await loadUserBiomarkerReadings(username, 'glucose');
+        if (error) {
+            return res.status(404).json({ error });
+        }
+
+        const metrics = calculateGlycemicVariability(biomarkerData, {
+            congaHours,
+            maxGapMinutes: parseMaxGapMinutes(req.query.maxGap),
+            timeZone: getUserTimezone(userFileInfo)
+        });
+
+        const timestamps = biomarkerData
+            .map(d => new Date(d.timestamp).getTime())
+            .filter(time => !isNaN(time));
+
+        const conversion = getUnitConversion('glucose', unitSystem);
+        res.json({
+            username,
+            unit: conversion.unit,
+            metrics: convertValueFields(metrics, VARIABILITY_VALUE_KEYS, conversion),
+            totalReadings: biomarkerData.length,
+            dataRange: {
+                start: timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null,
+                end: timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Error calculating glycemic variability:', error);
+        res.status(500).json({ error: 'Failed to calculate glycemic variability' });
+    }
+});
+
+// GET /user-daily-profiles/:username/:biomarker
+// Returns one trace per calendar day with per-day time in range, mean and min/max
+// Optional query: maxGap (minutes), units=conventional|si
+app.get('/user-daily-profiles/:username/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { username, biomarker } = req.params;
+        console.log('Daily profiles request for:', username, biomarker, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { userFileInfo, biomarkerData, error } = await loadUserBiomarkerReadings(username, biomarker);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+
+        const customRanges = await getUserCustomRanges(userFileInfo, biomarker);
+        const thresholds = getRangeThresholds(biomarker, customRanges);
+        const timeZone = getUserTimezone(userFileInfo);
+        const days = calculateDailyProfiles(biomarkerData, thresholds, {
+            maxGapMinutes: parseMaxGapMinutes(req.query.maxGap),
+            timeZone
+        });
+
+        const conversion = getUnitConversion(biomarker, unitSystem);
+        res.json({
+            username,
+            biomarker,
+            unit: conversion.unit,
+            timezone: timeZone,
+            usingCustomRanges: !!customRanges,
+            ranges: convertRanges(thresholds, biomarker, unitSystem),
+            days: convertValueFields(days, DAILY_PROFILE_VALUE_KEYS, conversion)
+        });
+
+    } catch (error) {
+        console.error('Error fetching daily profiles:', error);
+        res.status(500).json({ error: 'Failed to fetch daily profiles' });
+    }
+});
+
+// GET /user-sensor-agreement/:username/:biomarker
+// Returns the agreement between a user's two sensor channels (MARD, Bland-Altman, correlation, divergence periods)
+// Optional query: threshold (divergence %, default 20), tolerance (pairing minutes, default 5), maxGap (minutes),
+// units=conventional|si
+app.get('/user-sensor-agreement/:username/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { username, biomarker } = req.params;
+        console.log('Sensor agreement request for:', username, biomarker, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const divergenceThresholdPercent = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : 20;
+        const pairingToleranceMinutes = req.query.tolerance !== undefined ? parseFloat(req.query.tolerance) : 5;
+        if (isNaN(divergenceThresholdPercent) || divergenceThresholdPercent <= 0) {
+            return res.status(400).json({ error: 'threshold must be a positive percentage' });
+        }
+        if (isNaN(pairingToleranceMinutes) || pairingToleranceMinutes <= 0 || pairingToleranceMinutes > 60) {
+            return res.status(400).json({ error: 'tolerance must be between 0 and 60 minutes' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { biomarkerData, error } = await loadUserBiomarkerReadings(username, biomarker);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+
+        const result = calculateSensorAgreement(biomarkerData, {
+            divergenceThresholdPercent,
+            pairingToleranceMinutes,
+            maxGapMinutes: parseMaxGapMinutes(req.query.maxGap)
+        });
+
+        const conversion = getUnitConversion(biomarker, unitSystem);
+        res.json({
+            username,
+            biomarker,
+            unit: conversion.unit,
+            ...convertValueFields(result, AGREEMENT_VALUE_KEYS, conversion)
+        });
+
+    } catch (error) {
+        console.error('Error calculating sensor agreement:', error);
+        res.status(500).json({ error: 'Failed to calculate sensor agreement' });
+    }
+});
+
+// GET /user-reference-accuracy/:username/:biomarker
+// Returns the accuracy of the user's sensors against their reference measurements (fingerstick or lab values):
+// MARD, MAD, bias, %20/20 agreement and, for glucose, Clarke and Parkes error grid zones - over all pairs and
+// per sensor channel - with the pairs themselves
+// Optional query: window (pairing window in minutes, default 15), method (fingerstick|lab), start, end,
+// parkesType=1|2 (diabetes type of the Parkes grid, default 1), units=conventional|si
+app.get('/user-reference-accuracy/:username/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { username, biomarker } = req.params;
+        console.log('Reference accuracy request for:', username, biomarker, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        if (!isKnownBiomarker(biomarker)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { options, error: optionsError } = parseAccuracyOptions(req.query);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const userInfo = await findUser(username);
+        if (!userInfo) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const dateWindow = resolveDateWindow({ start: req.query.start, end: req.query.end }, null, getUserTimezone(userInfo));
+        if (dateWindow.error) {
+            return res.status(400).json({ error: dateWindow.error });
+        }
+
+        const { measurements, pairDetails, error } = await loadUserReferencePairs(username, biomarker, options, dateWindow);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+
+        const conversion = getUnitConversion(biomarker, unitSystem);
+        const { overall, channels } = calculateChannelAccuracy(pairDetails);
+        res.json({
+            username,
+            biomarker,
+            unit: conversion.unit,
+            ...convertValueFields({
+                summary: {
+                    referenceCount: measurements.length,
+                    pairedReferences: new Set(pairDetails.map(p => p.timestamp)).size,
+                    ...options,
+                    errorGrids: biomarkerHasFeature(biomarker, 'errorGrids')
+                },
+                criterion: BIOMARKER_REGISTRY[biomarker].accuracy,
+                overall,
+                channels,
+                pairs: pairDetails
+            }, ACCURACY_VALUE_KEYS, conversion),
+            errorGridLines: biomarkerHasFeature(biomarker, 'errorGrids') ? getErrorGridLines(options.parkesType, conversion) : null
+        });
+
+    } catch (error) {
+        console.error('Error calculating reference accuracy:', error);
+        res.status(500).json({ error: 'Failed to calculate reference accuracy' });
+    }
+});
+
+// GET /user-glucose-episodes/:username
+// Returns hypoglycemia/hyperglycemia episodes (level 1/2, prolonged, nocturnal) using the patient's ranges
+// Optional query: start, end, period (7/14/30/90 days), maxGap (minutes), units=conventional|si
+app.get('/user-glucose-episodes/:username', authenticateToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        console.log('Glucose episodes request for:', username, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { userFileInfo, dataset, error } = await loadUserDataset(username);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+        const lastReadingTime = await getDatasetLatestTime(dataset, ['glucose']);
+        if (!lastReadingTime) {
+            return res.status(404).json({ error: `No glucose data found for user ${username}` });
+        }
+
+        // Only the readings inside the window are loaded
+        const timeZone = getUserTimezone(userFileInfo);
+        const dateWindow = resolveDateWindow(req.query, lastReadingTime, timeZone);
+        if (dateWindow.error) {
+            return res.status(400).json({ error: dateWindow.error });
+        }
+        const biomarkerData = await queryReadings(dataset, 'glucose', dateWindow);
+
+        const customRanges = await getUserCustomRanges(userFileInfo, 'glucose');
+        const thresholds = getRangeThresholds('glucose', customRanges);
+        const { summary, episodes } = detectGlucoseEpisodes(biomarkerData, thresholds, {
+            maxGapMinutes: parseMaxGapMinutes(req.query.maxGap),
+            timeZone
+        });
+
+        const conversion = getUnitConversion('glucose', unitSystem);
+        res.json({
+            username,
+            unit: conversion.unit,
+            timezone: timeZone,
+            usingCustomRanges: !!customRanges,
+            thresholds: convertRanges(thresholds, 'glucose', unitSystem),
+            dateWindow: {
+                start: dateWindow.start,
+                end: dateWindow.end,
+                period: dateWindow.period
             },
-            startAt: new Date().toISOString(),
-            endAt: new Date().toISOString()
-        };
-    }
+            summary,
+            episodes: convertValueFields(episodes, EPISODE_VALUE_KEYS, conversion)
+        });
 
-    const values = glucoseData.map(d => d.value);
-    const sortedValues = values.sort((a, b) => a - b);
-    
-    // Calculate basic statistics
-    const total = values.length;
-    const sum = values.reduce((a, b) => a + b, 0);
-    const average = Math.round(sum / total);
-    
-    // Get range thresholds (custom or default)
-    let veryLowMax, lowMax, targetMin, targetMax, highMax;
-    
-    if (customRanges) {
-        veryLowMax = customRanges.veryLow?.max || 54;
-        lowMax = customRanges.low?.max || 70;
-        targetMin = customRanges.target?.min || 70;
-        targetMax = customRanges.target?.max || 180;
-        highMax = customRanges.high?.max || 250;
-    } else {
-        // Default glucose ranges
-        veryLowMax = 54;
-        lowMax = 70;
-        targetMin = 70;
-        targetMax = 180;
-        highMax = 250;
+    } catch (error) {
+        console.error('Error detecting glucose episodes:', error);
+        res.status(500).json({ error: 'Failed to detect glucose episodes' });
     }
-    
-    // Debug logging for range verification
-    console.log(`AGP Stats Calculation - Custom ranges provided: ${!!customRanges}`);
-    if (customRanges) {
-        console.log(`Using custom glucose ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Target:${targetMin}-${targetMax}, High>${targetMax}, VeryHigh>${highMax}`);
-    } else {
-        console.log(`Using default glucose ranges: VeryLow<${veryLowMax}, Low<${lowMax}, Target:${targetMin}-${targetMax}, High>${targetMax}, VeryHigh>${highMax}`);
+});
+
+// GET /user-glucose-cortisol-coupling/:username
+// Returns the lagged cross-correlation between a user's cortisol and glucose (with the strongest lag)
+// and the cortisol rises that were followed by a glucose excursion
+// Optional query: start, end, period (7/14/30/90 days), bin (minutes, default 15), maxLag (minutes, default 240),
+// units=conventional|si
+app.get('/user-glucose-cortisol-coupling/:username', authenticateToken, async (req, res) => {
+    try {
+        const { username } = req.params;
+        console.log('Glucose-cortisol coupling request for:', username, 'by', req.user.username);
+
+        // Check authorization - same logic as other user-specific endpoints
+        if (!req.user.admin && 
+            req.user.username !== username && 
+            !req.user.patients?.includes(username)) {
+            return res.status(403).json({ error: 'Not authorized to view this data' });
+        }
+
+        const binMinutes = req.query.bin !== undefined ? parseInt(req.query.bin) : COUPLING_DEFAULT_BIN_MINUTES;
+        const maxLagMinutes = req.query.maxLag !== undefined ? parseInt(req.query.maxLag) : COUPLING_DEFAULT_MAX_LAG_MINUTES;
+        if (isNaN(binMinutes) || binMinutes < 1 || binMinutes > 120) {
+            return res.status(400).json({ error: 'bin must be between 1 and 120 minutes' });
+        }
+        if (isNaN(maxLagMinutes) || maxLagMinutes < binMinutes || maxLagMinutes > 24 * 60) {
+            return res.status(400).json({ error: 'maxLag must be between the bin size and 1440 minutes' });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { userFileInfo, dataset, error } = await loadUserDataset(username);
+        if (error) {
+            return res.status(404).json({ error });
+        }
+        const lastGlucoseTime = await getDatasetLatestTime(dataset, ['glucose']);
+        const lastCortisolTime = await getDatasetLatestTime(dataset, ['cortisol']);
+        if (!lastGlucoseTime || !lastCortisolTime) {
+            return res.status(404).json({ error: 'Coupling analysis needs both glucose and cortisol readings' });
+        }
+
+        // Only the readings inside the window are loaded
+        const timeZone = getUserTimezone(userFileInfo);
+        const dateWindow = resolveDateWindow(req.query, new Date(Math.max(lastGlucoseTime, lastCortisolTime)), timeZone);
+        if (dateWindow.error) {
+            return res.status(400).json({ error: dateWindow.error });
+        }
+
+        const customRanges = await getUserCustomRanges(userFileInfo, 'glucose');
+        const thresholds = getRangeThresholds('glucose', customRanges);
+        const result = calculateGlucoseCortisolCoupling(
+            await queryReadings(dataset, 'glucose', dateWindow),
+            await queryReadings(dataset, 'cortisol', dateWindow),
+            thresholds,
+            { binMinutes, maxLagMinutes }
+        );
+
+        // Each rise carries both glucose and cortisol values, so convert them with their own biomarker
+        const glucoseConversion = getUnitConversion('glucose', unitSystem);
+        const cortisolConversion = getUnitConversion('cortisol', unitSystem);
+        res.json({
+            username,
+            timezone: timeZone,
+            units: { glucose: glucoseConversion.unit, cortisol: cortisolConversion.unit },
+            thresholds: convertRanges(thresholds, 'glucose', unitSystem),
+            dateWindow: {
+                start: dateWindow.start,
+                end: dateWindow.end,
+                period: dateWindow.period
+            },
+            ...result,
+            cortisolRises: convertValueFields(
+                convertValueFields(result.cortisolRises, COUPLING_GLUCOSE_VALUE_KEYS, glucoseConversion),
+                COUPLING_CORTISOL_VALUE_KEYS, cortisolConversion
+            )
+        });
+
+    } catch (error) {
+        console.error('Error calculating glucose-cortisol coupling:', error);
+        res.status(500).json({ error: 'Failed to calculate glucose-cortisol coupling' });
     }
+});
 
-    // Calculate actual time in ranges (assuming 15-minute intervals between readings)
-    const readingIntervalMinutes = 15; // Standard CGM reading interval
-    const totalWearTimeMinutes = total * readingIntervalMinutes;
-    
-    // Calculate time spent in each range
-    const belowVeryLow = values.filter(v => v < veryLowMax).length;
-    const belowLow = values.filter(v => v < lowMax).length;
-    const inTarget = values.filter(v => v >= targetMin && v <= targetMax).length;
-    const aboveTarget = values.filter(v => v > targetMax).length;
-    const aboveHigh = values.filter(v => v > highMax).length;
-    
-    // Calculate actual time spent in each range (in minutes)
-    const timeVeryLowMinutes = belowVeryLow * readingIntervalMinutes;
-    const timeLowMinutes = (belowLow - belowVeryLow) * readingIntervalMinutes;
-    const timeTargetMinutes = inTarget * readingIntervalMinutes;
-    const timeHighMinutes = (aboveTarget - aboveHigh) * readingIntervalMinutes;
-    const timeVeryHighMinutes = aboveHigh * readingIntervalMinutes;
-    
-    // Calculate percentages based on actual wear time
-    const percentBelow54 = totalWearTimeMinutes > 0 ? Math.round((timeVeryLowMinutes / totalWearTimeMinutes) * 100) : 0;
-    const percentBelow70 = totalWearTimeMinutes > 0 ? Math.round(((timeVeryLowMinutes + timeLowMinutes) / totalWearTimeMinutes) * 100) : 0;
-    const percentBetween70And180 = totalWearTimeMinutes > 0 ? Math.round((timeTargetMinutes / totalWearTimeMinutes) * 100) : 0;
-    const percentAbove180 = totalWearTimeMinutes > 0 ? Math.round(((timeHighMinutes + timeVeryHighMinutes) / totalWearTimeMinutes) * 100) : 0;
-    const percentAbove250 = totalWearTimeMinutes > 0 ? Math.round((timeVeryHighMinutes / totalWearTimeMinutes) * 100) : 0;
-    
-    console.log(`Wear time calculation: ${total} readings × ${readingIntervalMinutes} min = ${totalWearTimeMinutes} min (${Math.round(totalWearTimeMinutes/60*100)/100} hours)`);
-    console.log(`Time in target range: ${timeTargetMinutes} minutes (${Math.round(timeTargetMinutes/60*100)/100} hours) = ${percentBetween70And180}%`);
-    
-    // Calculate estimated A1C and GMI
-    const gmi = Math.round(((average + 46.7) / 28.7) * 10) / 10;
-    const a1c = gmi; // Simplified calculation
-    
-    // Calculate coefficient of variation
-    const variance = values.reduce((acc, val) => acc + Math.pow(val - average, 2), 0) / total;
-    const standardDeviation = Math.sqrt(variance);
-    const coefficientOfVariationPercentage = Math.round((standardDeviation / average) * 100);
-    
-    // Group data by hour for percentile calculations
-    const hourlyData = Array(24).fill(null).map(() => []);
-    
-    glucoseData.forEach(point => {
-        const hour = new Date(point.timestamp).getHours();
-        hourlyData[hour].push(point.value);
+// HL7 FHIR R4 export following the HL7 CGM implementation guide (http://hl7.org/fhir/uv/cgm): sensor readings are
+// Observations of interstitial glucose (LOINC 99504-3) and the summary metrics are Observations grouped under a
+// CGM summary Observation, coded with the guide's summary code system
+const FHIR_CGM_SUMMARY_SYSTEM = 'http://hl7.org/uv/cgm/CodeSystem/cgm-summary-codes-temporary';
+const FHIR_USERNAME_SYSTEM = 'urn:s3-mongodb-app:username';
+const FHIR_DEVICE_SYSTEM = 'urn:s3-mongodb-app:device';
+const FHIR_LABORATORY_CATEGORY = [{
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory', display: 'Laboratory' }]
+}];
+const FHIR_GLUCOSE_READING_CODE = {
+    coding: [{ system: 'http://loinc.org', code: '99504-3', display: 'Glucose [Mass/volume] in Interstitial fluid' }]
+};
+// Summary Observations: guide code, display, UCUM unit and how the value is read from the AGP statistics
+// (time in ranges by the standard 54/70/180/250 mg/dL thresholds)
+const FHIR_CGM_SUMMARY_METRICS = [
+    { code: 'mean-glucose-mass-per-volume', display: 'Mean Glucose (Mass per Volume)', unit: 'mg/dL', value: metrics => metrics.meanGlucose },
+    { code: 'time-in-very-low', display: 'Time in Very Low Range (<54 mg/dL)', unit: '%', value: metrics => metrics.timeVeryLow },
+    { code: 'time-in-low', display: 'Time in Low Range (54-69 mg/dL)', unit: '%', value: metrics => metrics.timeLow },
+    { code: 'time-in-target', display: 'Time in Target Range (70-180 mg/dL)', unit: '%', value: metrics => metrics.timeInTarget },
+    { code: 'time-in-high', display: 'Time in High Range (181-250 mg/dL)', unit: '%', value: metrics => metrics.timeHigh },
+    { code: 'time-in-very-high', display: 'Time in Very High Range (>250 mg/dL)', unit: '%', value: metrics => metrics.timeVeryHigh },
+    { code: 'gmi', display: 'Glucose Management Indicator (GMI)', unit: '%', value: metrics => metrics.gmi },
+    { code: 'cv', display: 'Coefficient of Variation (CV)', unit: '%', value: metrics => metrics.cv },
+    { code: 'days-of-wear', display: 'Number of Days CGM Worn', unit: 'd', value: (metrics, statistics) => statistics.daysOfData },
+    { code: 'sensor-active-percentage', display: 'Percentage of Time CGM Active', unit: '%', value: (metrics, statistics) => statistics.percentSensorActive }
+];
+
+// Helper function to map a device_info gender to a FHIR administrative gender
+function toFhirGender(gender) {
+    const value = String(gender || '').trim().toLowerCase();
+    if (['m', 'male'].includes(value)) return 'male';
+    if (['f', 'female'].includes(value)) return 'female';
+    if (['o', 'other'].includes(value)) return 'other';
+    return 'unknown';
+}
+
+// Helper function to build a FHIR UCUM quantity
+function toFhirQuantity(value, unit) {
+    return { value, unit, system: 'http://unitsofmeasure.org', code: unit };
+}
+
+// Helper function to build the FHIR R4 Bundle (type collection) of a user's CGM data: the Patient, a Device for the
+// deviceID with a Device per sensor, an Observation per glucose reading in the date window and the summary Observations.
+// readings: the window's glucose readings in time order ({ timestamp, value, sensor }); statistics: AGP statistics
+// of the window (null when there is no glucose); dateWindow: { start, end } (either may be null)
+function buildFhirBundle(userInfo, readings, statistics, dateWindow) {
+    const newEntry = resource => ({ fullUrl: `urn:uuid:${crypto.randomUUID()}`, resource });
+    const personalInfo = userInfo.personal_information || {};
+    const deviceInfo = userInfo.device_info || {};
+
+    const patient = newEntry({
+        resourceType: 'Patient',
+        identifier: [
+            { system: FHIR_USERNAME_SYSTEM, value: userInfo.username },
+            ...(deviceInfo.userID ? [{ system: `${FHIR_USERNAME_SYSTEM}:userID`, value: String(deviceInfo.userID) }] : [])
+        ],
+        gender: toFhirGender(deviceInfo.gender || personalInfo.gender),
+        ...(personalInfo.institution && { managingOrganization: { display: personalInfo.institution } })
     });
-    
-    // Calculate percentiles for each hour
-    const percentile_5 = [];
-    const percentile_25 = [];
-    const percentile_50 = [];
-    const percentile_75 = [];
-    const percentile_95 = [];
-    
-    for (let hour = 0; hour < 24; hour++) {
-        const hourValues = hourlyData[hour].sort((a, b) => a - b);
-        
-        if (hourValues.length === 0) {
-            // Use overall average if no data for this hour
-            percentile_5.push(average * 0.7);
-            percentile_25.push(average * 0.85);
-            percentile_50.push(average);
-            percentile_75.push(average * 1.15);
-            percentile_95.push(average * 1.3);
-        } else {
-            const getPercentile = (arr, p) => {
-                const index = Math.ceil(arr.length * p / 100) - 1;
-                return arr[Math.max(0, Math.min(index, arr.length - 1))];
-            };
-            
-            percentile_5.push(getPercentile(hourValues, 5));
-            percentile_25.push(getPercentile(hourValues, 25));
-            percentile_50.push(getPercentile(hourValues, 50));
-            percentile_75.push(getPercentile(hourValues, 75));
-            percentile_95.push(getPercentile(hourValues, 95));
-        }
+    const subject = { reference: patient.fullUrl };
+
+    const deviceName = deviceInfo.deviceID ? String(deviceInfo.deviceID) : 'CGM Device';
+    const device = newEntry({
+        resourceType: 'Device',
+        ...(deviceInfo.deviceID && { identifier: [{ system: FHIR_DEVICE_SYSTEM, value: deviceName }] }),
+        deviceName: [{ name: deviceName, type: 'user-friendly-name' }],
+        type: { text: 'Continuous glucose monitor' },
+        patient: subject
+    });
+    const sensors = new Map([...new Set(readings.map(reading => reading.sensor))].sort().map(sensor => [sensor, newEntry({
+        resourceType: 'Device',
+        deviceName: [{ name: `${deviceName} sensor ${sensor}`, type: 'user-friendly-name' }],
+        type: { text: 'Continuous glucose monitor sensor' },
+        patient: subject,
+        parent: { reference: device.fullUrl }
+    })]));
+
+    const readingEntries = readings.map(reading => newEntry({
+        resourceType: 'Observation',
+        status: 'final',
+        category: FHIR_LABORATORY_CATEGORY,
+        code: FHIR_GLUCOSE_READING_CODE,
+        subject,
+        effectiveDateTime: new Date(reading.timestamp).toISOString(),
+        valueQuantity: toFhirQuantity(reading.value, 'mg/dL'),
+        device: { reference: sensors.get(reading.sensor).fullUrl }
+    }));
+
+    const summaryEntries = [];
+    if (statistics) {
+        // Readings are in time order
+        const effectivePeriod = {
+            start: new Date(dateWindow.start || readings[0].timestamp).toISOString(),
+            end: new Date(dateWindow.end || readings[readings.length - 1].timestamp).toISOString()
+        };
+        const metrics = getPopulationUserMetrics(statistics);
+        const summaryObservation = (code, display, fields) => newEntry({
+            resourceType: 'Observation',
+            status: 'final',
+            category: FHIR_LABORATORY_CATEGORY,
+            code: { coding: [{ system: FHIR_CGM_SUMMARY_SYSTEM, code, display }] },
+            subject,
+            effectivePeriod,
+            ...fields
+        });
+        const members = FHIR_CGM_SUMMARY_METRICS.map(metric => summaryObservation(metric.code, metric.display, {
+            valueQuantity: toFhirQuantity(metric.value(metrics, statistics), metric.unit)
+        }));
+        summaryEntries.push(
+            summaryObservation('cgm-summary', 'CGM Summary', { hasMember: members.map(member => ({ reference: member.fullUrl })) }),
+            ...members
+        );
     }
-    
-    // Get date range
-    const timestamps = glucoseData.map(d => new Date(d.timestamp));
-    const startAt = new Date(Math.min(...timestamps)).toISOString();
-    const endAt = new Date(Math.max(...timestamps)).toISOString();
-    
+
     return {
-        statistics: {
-            average,
-            percentBelow54,
-            percentBelow70,
-            percentBetween70And180,
-            percentAbove180,
-            percentAbove250,
-            a1c,
-            gmi,
-            coefficientOfVariationPercentage,
-            // Add actual time information
-            totalWearTimeMinutes,
-            totalWearTimeHours: Math.round(totalWearTimeMinutes/60*100)/100,
-            timeVeryLowMinutes,
-            timeLowMinutes,
-            timeTargetMinutes,
-            timeHighMinutes,
-            timeVeryHighMinutes
-        },
-        percentages: {
-            percentile_5,
-            percentile_25,
-            percentile_50,
-            percentile_75,
-            percentile_95
-        },
-        startAt,
-        endAt
+        resourceType: 'Bundle',
+        type: 'collection',
+        timestamp: new Date().toISOString(),
+        entry: [patient, device, ...sensors.values(), ...summaryEntries, ...readingEntries]
     };
 }
 
-// GET /user-glucose-agp/:username
-// Returns glucose data for a specific user for AGP analysis
-app.get('/user-glucose-agp/:username', authenticateToken, async (req, res) => {
+// GET /user-fhir-bundle/:username
+// Returns the user's CGM data as a FHIR R4 Bundle (application/fhir+json): Patient, Devices, an Observation per glucose
+// reading in the date window (mg/dL, per sensor) and the CGM summary Observations (mean glucose, time in ranges, GMI,
+// CV, days of wear, sensor active time), calculated from the averaged sensors, cleaned unless raw=true
+// Optional query: start, end, period (7/14/30/90 days), raw=true (skip signal cleaning)
+app.get('/user-fhir-bundle/:username', authenticateToken, async (req, res) => {
     try {
         const { username } = req.params;
-        console.log('=== DEBUG: Starting user-specific AGP glucose data request ===');
-        console.log('User:', req.user.username, 'Admin:', req.user.admin, 'Patients:', req.user.patients);
-        console.log('Requested patient:', username);
-        
+        console.log('FHIR bundle request for:', username, 'by', req.user.username);
+
         // Check authorization - same logic as other user-specific endpoints
         if (!req.user.admin && 
             req.user.username !== username && 
@@ -2155,403 +6556,665 @@ app.get('/user-glucose-agp/:username', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to view this data' });
         }
 
-        // Get specific user info
-        const allData = await getFileTrackerData();
-        const userInfo = allData.find(entry => entry.username === username);
-        
+        const userInfo = await findUser(username);
         if (!userInfo) {
             return res.status(404).json({ error: 'User not found' });
         }
-        
-        console.log('Found user info for:', username);
 
-        // Get glucose sensor data for this user
-        const db = client.db('s3-mongodb-db');
-        const dataCollection = db.collection('s3-mongodb-data-entries');
-        
-        const glucoseData = [];
-        
-        try {
-            if (userInfo.etag) {
-                console.log('Fetching glucose data for etag:', userInfo.etag);
-                const sensorDataResponse = await dataCollection.findOne({ etag: userInfo.etag });
-                
-                if (sensorDataResponse) {
-                    // Extract data points (handle both data structures)
-                    let dataPoints = [];
-                    if (sensorDataResponse.data && sensorDataResponse.data.data_points) {
-                        dataPoints = sensorDataResponse.data.data_points;
-                    } else if (sensorDataResponse.data_snapshot && sensorDataResponse.data_snapshot.data_points) {
-                        dataPoints = sensorDataResponse.data_snapshot.data_points;
-                    }
-                    
-                    console.log(`Found ${dataPoints.length} data points for user ${username}`);
-                    
-                    // Process each data point for glucose values only
-                    dataPoints.forEach(point => {
-                        // Parse timestamp
-                        let timestamp;
-                        try {
-                            if (point.timestamp && point.timestamp.$date && point.timestamp.$date.$numberLong) {
-                                timestamp = new Date(parseInt(point.timestamp.$date.$numberLong));
-                            } else if (point.timestamp && point.timestamp.$date) {
-                                timestamp = new Date(point.timestamp.$date);
-                            } else if (point.timestamp) {
-                                timestamp = new Date(point.timestamp);
-                            } else if (point.time) {
-                                const timeValue = point.time.$numberInt || point.time;
-                                timestamp = new Date(parseInt(timeValue) * 1000);
-                            } else {
-                                timestamp = new Date();
-                            }
-                        } catch (error) {
-                            timestamp = new Date();
-                        }
+        // A user without glucose readings still gets their Patient and Device resources
+        const { biomarkerData, error: loadError } = await loadUserBiomarkerReadings(username, 'glucose');
+        if (loadError) {
+            console.warn('No glucose readings for FHIR bundle:', loadError);
+        }
+        const glucoseData = biomarkerData || [];
 
-                        // Extract glucose readings from both sensors
-                        const glucose1 = point['Glucose(mg/dL)'] && (point['Glucose(mg/dL)'].$numberDouble || point['Glucose(mg/dL)']);
-                        const glucose2 = point['Glucose(mg/dL)_2'] && (point['Glucose(mg/dL)_2'].$numberDouble || point['Glucose(mg/dL)_2']);
-                        
-                        // Calculate mean of the two glucose sensors if both are available
-                        const validGlucose1 = (glucose1 !== null && glucose1 !== undefined && !isNaN(glucose1)) ? parseFloat(glucose1) : null;
-                        const validGlucose2 = (glucose2 !== null && glucose2 !== undefined && !isNaN(glucose2)) ? parseFloat(glucose2) : null;
-                        
-                        let meanGlucose = null;
-                        if (validGlucose1 !== null && validGlucose2 !== null) {
-                            // Both sensors have data - calculate mean
-                            meanGlucose = (validGlucose1 + validGlucose2) / 2;
-                        } else if (validGlucose1 !== null) {
-                            // Only sensor 1 has data
-                            meanGlucose = validGlucose1;
-                        } else if (validGlucose2 !== null) {
-                            // Only sensor 2 has data
-                            meanGlucose = validGlucose2;
-                        }
-                        
-                        // Add the mean glucose value to the data if we have at least one valid reading
-                        if (meanGlucose !== null) {
-                            glucoseData.push({
-                                username: username,
-                                userID: userInfo.device_info ? userInfo.device_info.userID : null,
-                                deviceID: userInfo.device_info ? userInfo.device_info.deviceID : null,
-                                timestamp: timestamp,
-                                value: meanGlucose,
-                                sensor: 'mean', // Indicate this is the mean of both sensors
-                                glucose1: validGlucose1, // Keep original values for reference
-                                glucose2: validGlucose2
-                            });
-                        }
-                    });
+        const timeZone = getUserTimezone(userInfo);
+        const dateWindow = resolveDateWindow(req.query, getLastReadingTime(glucoseData), timeZone);
+        if (dateWindow.error) {
+            return res.status(400).json({ error: dateWindow.error });
+        }
+        const windowReadings = filterReadingsByWindow(glucoseData, dateWindow);
+
+        let statistics = null;
+        if (windowReadings.length > 0) {
+            // The whole series is cleaned (not just the window) since cleaning needs the sensor sessions around it
+            const merged = mergeSensorReadings(glucoseData)
+                .map(({ time, value }) => ({ timestamp: new Date(time), value, sensor: 'mean' }));
+            const { readings: cleanedData } = cleanBiomarkerReadings(merged, await getCleaningSettings('glucose'), { raw: req.query.raw === 'true' });
+            const cleanedWindow = filterReadingsByWindow(cleanedData, dateWindow);
+            if (cleanedWindow.length > 0) {
+                statistics = calculateAGPStatistics(cleanedWindow, null, { timeZone }).statistics;
+            }
+        }
+
+        res.setHeader('Content-Type', 'application/fhir+json');
+        res.send(JSON.stringify(buildFhirBundle(userInfo, windowReadings, statistics, dateWindow)));
+
+    } catch (error) {
+        console.error('Error building FHIR bundle:', error);
+        res.status(500).json({ error: 'Failed to build FHIR bundle' });
+    }
+});
+
+// Users whose statistics are calculated at the same time in a population analysis
+const POPULATION_CONCURRENCY = 4;
+// Users with fewer readings (after cleaning) are left out of population statistics
+const POPULATION_MIN_READINGS = 10;
+
+// Age bands for grouping a population by age (years, inclusive)
+const POPULATION_AGE_BANDS = [
+    { label: '<18', max: 17 },
+    { label: '18-29', min: 18, max: 29 },
+    { label: '30-39', min: 30, max: 39 },
+    { label: '40-49', min: 40, max: 49 },
+    { label: '50-59', min: 50, max: 59 },
+    { label: '60-69', min: 60, max: 69 },
+    { label: '70+', min: 70 }
+];
+const POPULATION_UNKNOWN_GROUP = 'Unknown';
+
+// Helper function to read a user's age (device info first, then personal information); null when missing
+function getUserAge(userInfo) {
+    const rawAge = userInfo.device_info?.age ?? userInfo.personal_information?.age;
+    const age = typeof rawAge === 'object' && rawAge !== null ? parseInt(rawAge.$numberInt) : parseInt(rawAge);
+    return isNaN(age) ? null : age;
+}
+
+// Helper function to turn a demographic value into a group label (booleans as Yes/No, missing as Unknown)
+function formatGroupValue(value) {
+    if (value === true) return 'Yes';
+    if (value === false) return 'No';
+    if (value === null || value === undefined || value === '') return POPULATION_UNKNOWN_GROUP;
+    return String(value.$numberInt ?? value.$numberDouble ?? value);
+}
+
+// Population grouping dimensions: the named ones below, or any personal_information.<key> / device_info.<key>.
+// Returns { label, getGroup(userInfo), order } or { error }.
+function resolvePopulationGroupDimension(groupBy) {
+    const named = {
+        gender: { label: 'Gender', getGroup: userInfo => formatGroupValue(userInfo.device_info?.gender) },
+        ageBand: {
+            label: 'Age band',
+            getGroup: userInfo => {
+                const age = getUserAge(userInfo);
+                if (age === null) return POPULATION_UNKNOWN_GROUP;
+                return POPULATION_AGE_BANDS.find(band => (band.min === undefined || age >= band.min) && (band.max === undefined || age <= band.max)).label;
+            },
+            order: POPULATION_AGE_BANDS.map(band => band.label)
+        },
+        institution: { label: 'Institution', getGroup: userInfo => formatGroupValue(userInfo.personal_information?.institution) },
+        arm: { label: 'Arm', getGroup: userInfo => formatGroupValue(userInfo.device_info?.arm) },
+        sensorCombination: { label: 'Sensor combination', getGroup: userInfo => formatGroupValue(userInfo.device_info?.sensorCombination) }
+    };
+    if (named[groupBy]) {
+        return named[groupBy];
+    }
+
+    const match = /^(personal_information|device_info)\.(.+)$/.exec(groupBy || '');
+    if (match) {
+        const [, section, key] = match;
+        return { label: key, getGroup: userInfo => formatGroupValue(userInfo[section]?.[key]) };
+    }
+    return { error: `Invalid groupBy. Must be one of: ${Object.keys(named).join(', ')}, personal_information.<field> or device_info.<field>` };
+}
+
+// Helper function to get the p-th percentile (0-100) of sorted values, interpolating between neighbours
+function calculateQuantile(sortedValues, p) {
+    const index = (p / 100) * (sortedValues.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (index - lower);
+}
+
+// Helper function to summarize a distribution of per-user values: n, mean, SD (sample), min, quartiles, IQR and max,
+// rounded to `places` decimals. Missing values are left out; the statistics are null when no values remain.
+function summarizeDistribution(values, places = 1) {
+    const sorted = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+    const n = sorted.length;
+    if (n === 0) {
+        return { n: 0, mean: null, sd: null, min: null, q1: null, median: null, q3: null, iqr: null, max: null };
+    }
+    const round = value => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / n;
+    const sd = n > 1 ? Math.sqrt(sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1)) : 0;
+    const q1 = calculateQuantile(sorted, 25);
+    const q3 = calculateQuantile(sorted, 75);
+    return {
+        n,
+        mean: round(mean),
+        sd: round(sd),
+        min: round(sorted[0]),
+        q1: round(q1),
+        median: round(calculateQuantile(sorted, 50)),
+        q3: round(q3),
+        iqr: round(q3 - q1),
+        max: round(sorted[n - 1])
+    };
+}
+
+// Per-user metrics summarized for each population group (time in range buckets in %, mean glucose, GMI and CV)
+const POPULATION_GROUP_METRICS = ['timeVeryLow', 'timeLow', 'timeInTarget', 'timeHigh', 'timeVeryHigh', 'meanGlucose', 'gmi', 'cv'];
+const POPULATION_METRIC_LABELS = {
+    timeVeryLow: 'Time very low',
+    timeLow: 'Time low',
+    timeInTarget: 'Time in target range',
+    timeHigh: 'Time high',
+    timeVeryHigh: 'Time very high',
+    meanGlucose: 'Mean glucose',
+    gmi: 'GMI',
+    cv: 'Coefficient of variation'
+};
+
+// Helper function to get one per-user metric's values in the response unit system, with the decimals to report them at
+function getPopulationMetricValues(users, metric, conversion) {
+    if (metric === 'meanGlucose') {
+        return { values: users.map(user => user.meanGlucose * conversion.factor), places: conversion.decimals + 1 };
+    }
+    return { values: users.map(user => user[metric]), places: metric === 'gmi' ? 2 : 1 };
+}
+
+// Helper function to summarize each group's per-user metrics; mean glucose is converted to the response unit system.
+// Groups come in the dimension's order (age bands) or alphabetically, with Unknown last.
+function buildPopulationGroups(usersByGroup, dimension, conversion) {
+    const order = label => {
+        if (label === POPULATION_UNKNOWN_GROUP) return Infinity;
+        return dimension.order ? dimension.order.indexOf(label) : 0;
+    };
+    return [...usersByGroup.entries()]
+        .sort(([a], [b]) => order(a) - order(b) || a.localeCompare(b, undefined, { numeric: true }))
+        .map(([group, users]) => ({
+            group,
+            n: users.length,
+            metrics: Object.fromEntries(POPULATION_GROUP_METRICS.map(metric => {
+                const { values, places } = getPopulationMetricValues(users, metric, conversion);
+                return [metric, summarizeDistribution(values, places)];
+            }))
+        }));
+}
+
+// Filter language shared by the demographic filter, its export, the population analysis and saved cohorts.
+// An expression is a condition { field, op, value } or a group { and: [...] }, { or: [...] } or { not: expression }.
+// field is a personal_information.* or device_info.* path, or a short name: the names below stand for every field the
+// value has been stored under, any other short name for personal_information.<name> or device_info.<name>.
+// Numeric comparisons (gt, gte, lt, lte with a number) also match numbers stored as text; eq and in match exact values.
+const FILTER_FIELD_ALIASES = {
+    age: ['device_info.age', 'personal_information.age'],
+    gender: ['device_info.gender'],
+    arm: ['device_info.arm'],
+    deviceID: ['device_info.deviceID'],
+    institution: ['personal_information.institution'],
+    diabetes: ['personal_information.diabetes', 'personal_information.Diabete', 'personal_information.diabete', 'personal_information.Diabetes'],
+    pregnant: ['personal_information.pregnant', 'personal_information.Pregnant'],
+    high_bp: ['personal_information.high_bp', 'personal_information.High BP', 'personal_information.High Blood Pressure', 'personal_information.hypertension'],
+    smokes: ['personal_information.smokes'],
+    drinks: ['personal_information.drinks'],
+    diet: ['personal_information.diet'],
+    bmi: ['personal_information.bmi', 'personal_information.BMI']
+};
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'exists', 'missing'];
+// ne, nin and missing are the negations of eq, in and exists (a user without the field is "not equal")
+const NEGATED_FILTER_OPERATORS = { ne: 'eq', nin: 'in', missing: 'exists' };
+const FILTER_MAX_DEPTH = 8;
+const FILTER_MAX_CONDITIONS = 100;
+
+// Helper function to get the stored field paths a filter field stands for
+function resolveFilterField(field) {
+    if (FILTER_FIELD_ALIASES[field]) {
+        return FILTER_FIELD_ALIASES[field];
+    }
+    if (field.startsWith('personal_information.') || field.startsWith('device_info.')) {
+        return [field];
+    }
+    return [`personal_information.${field}`, `device_info.${field}`];
+}
+
+// Helper function to validate a filter expression. Returns { expression } (with the operands of comparisons as
+// given) or { error } naming the position of the problem, e.g. 'query.and[1].op'.
+function parseFilterExpression(expression, path = 'query') {
+    let conditionCount = 0;
+    const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value) && (typeof value !== 'number' || isFinite(value));
+
+    const parse = (node, nodePath, depth) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return { error: `Invalid filter at ${nodePath}: expected a condition { field, op, value } or a group { and | or | not }` };
+        }
+        if (depth > FILTER_MAX_DEPTH) {
+            return { error: `Invalid filter at ${nodePath}: groups can be nested at most ${FILTER_MAX_DEPTH} deep` };
+        }
+
+        const groupKeys = ['and', 'or', 'not'].filter(key => key in node);
+        if (groupKeys.length > 1) {
+            return { error: `Invalid filter at ${nodePath}: a group has exactly one of and, or, not` };
+        }
+        if (groupKeys[0] === 'not') {
+            const { expression: inner, error } = parse(node.not, `${nodePath}.not`, depth + 1);
+            return error ? { error } : { expression: { not: inner } };
+        }
+        if (groupKeys.length === 1) {
+            const key = groupKeys[0];
+            if (!Array.isArray(node[key]) || node[key].length === 0) {
+                return { error: `Invalid filter at ${nodePath}.${key}: expected a non-empty array` };
+            }
+            const children = [];
+            for (const [index, child] of node[key].entries()) {
+                const { expression: parsed, error } = parse(child, `${nodePath}.${key}[${index}]`, depth + 1);
+                if (error) {
+                    return { error };
                 }
+                children.push(parsed);
             }
-        } catch (userError) {
-            console.warn(`Could not fetch glucose data for user ${username}:`, userError.message);
+            return { expression: { [key]: children } };
         }
-        
-        // Sort by timestamp
-        glucoseData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        console.log('=== User AGP Final Results ===');
-        console.log('Total glucose data points for', username, ':', glucoseData.length);
-        
-        // Get applicable ranges for this user from csv2ranges collection
-        let customRanges = null;
-        try {
-            const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-            
-            if (userInfo.personal_information) {
-                const personalInfo = userInfo.personal_information;
-                const deviceInfo = userInfo.device_info;
-                const applicableConditions = [];
-
-                // Check for applicable conditions - handle various CSV column name formats
-                if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
-                    applicableConditions.push('pregnancy');
-                }
-                if (personalInfo.Diabete === true || personalInfo.diabete === true || 
-                    personalInfo.diabetes === true || personalInfo.Diabetes === true) {
-                    applicableConditions.push('type2_diabetes');
-                }
-                if (personalInfo.smokes === true) applicableConditions.push('smoking');
-                if (personalInfo.drinks === true) applicableConditions.push('drinking');
-                if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
-                    personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
-                    applicableConditions.push('hypertension');
-                }
-                
-                const age = deviceInfo?.age || personalInfo.age;
-                if (age && (parseInt(age) < 18 || age < 18)) {
-                    applicableConditions.push('pediatric');
-                }
 
-                // Get custom ranges if conditions apply
-                if (applicableConditions.length > 0) {
-                    const applicableRanges = [];
-                    
-                    for (const condition of applicableConditions) {
-                        const rangeDoc = await csv2rangesCollection.findOne({ 
-                            biomarker_type: 'glucose',
-                            condition: condition
-                        });
-                        
-                        if (rangeDoc && rangeDoc.ranges) {
-                            applicableRanges.push(rangeDoc.ranges);
-                        }
-                    }
-                    
-                    if (applicableRanges.length > 0) {
-                        if (applicableRanges.length === 1) {
-                            customRanges = applicableRanges[0];
-                        } else {
-                            // Average the ranges across multiple conditions
-                            customRanges = averageRanges(applicableRanges, 'glucose');
-                        }
+        if (++conditionCount > FILTER_MAX_CONDITIONS) {
+            return { error: `Invalid filter: at most ${FILTER_MAX_CONDITIONS} conditions are allowed` };
+        }
+        const { field, op = 'eq', value } = node;
+        if (typeof field !== 'string' || !field.trim() || field.includes('$') || field.startsWith('.') || field.endsWith('.')) {
+            return { error: `Invalid filter at ${nodePath}.field: expected a field name such as "age" or "personal_information.bmi"` };
+        }
+        if (!FILTER_OPERATORS.includes(op)) {
+            return { error: `Invalid filter at ${nodePath}.op: "${op}". Must be one of: ${FILTER_OPERATORS.join(', ')}` };
+        }
+        if (['eq', 'ne'].includes(op) && !isScalar(value)) {
+            return { error: `Invalid filter at ${nodePath}.value: ${op} needs a text, number or true/false value` };
+        }
+        if (['gt', 'gte', 'lt', 'lte'].includes(op) && !(typeof value === 'number' && isFinite(value)) && typeof value !== 'string') {
+            return { error: `Invalid filter at ${nodePath}.value: ${op} needs a number or text value` };
+        }
+        if (['in', 'nin'].includes(op) && (!Array.isArray(value) || value.length === 0 || !value.every(isScalar))) {
+            return { error: `Invalid filter at ${nodePath}.value: ${op} needs a non-empty list of values` };
+        }
+        return { expression: { field: field.trim(), op, ...(value !== undefined && !['exists', 'missing'].includes(op) && { value }) } };
+    };
+
+    return parse(expression, path, 0);
+}
+
+// Helper function to combine filter expressions with AND, skipping missing ones (null when there are none)
+function combineFilterExpressions(...expressions) {
+    const present = expressions.filter(Boolean);
+    if (present.length === 0) return null;
+    return present.length === 1 ? present[0] : { and: present };
+}
+
+// Helper function to translate a validated filter expression into a MongoDB query
+function compileFilterExpression(expression) {
+    if (expression.and) return { $and: expression.and.map(compileFilterExpression) };
+    if (expression.or) return { $or: expression.or.map(compileFilterExpression) };
+    if (expression.not) return { $nor: [compileFilterExpression(expression.not)] };
+
+    const { field, op, value } = expression;
+    if (NEGATED_FILTER_OPERATORS[op]) {
+        return { $nor: [compileFilterExpression({ field, op: NEGATED_FILTER_OPERATORS[op], value })] };
+    }
+    if (['gt', 'gte', 'lt', 'lte'].includes(op) && typeof value === 'number') {
+        const conditions = resolveFilterField(field).map(fieldPath => ({
+            $expr: {
+                $let: {
+                    vars: { number: { $convert: { input: `$${fieldPath}`, to: 'double', onError: null, onNull: null } } },
+                    in: {
+                        $and: [
+                            { $in: [{ $type: `$${fieldPath}` }, ['double', 'int', 'long', 'decimal', 'string']] },
+                            { $ne: ['$$number', null] },
+                            { [`$${op}`]: ['$$number', value] }
+                        ]
                     }
                 }
             }
-        } catch (error) {
-            console.log('Could not fetch custom ranges for glucose AGP from csv2ranges collection, using defaults:', error.message);
-        }
+        }));
+        return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
+    const operator = {
+        eq: { $eq: value },
+        gt: { $gt: value },
+        gte: { $gte: value },
+        lt: { $lt: value },
+        lte: { $lte: value },
+        in: { $in: value },
+        exists: { $exists: true, $ne: null }
+    }[op];
+    const conditions = resolveFilterField(field).map(fieldPath => ({ [fieldPath]: operator }));
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
 
-        // Calculate AGP statistics and percentiles
-        const agpResult = calculateAGPStatistics(glucoseData, customRanges);
-        
-        res.json({
-            ...agpResult,
-            patientInfo: {
-                name: username,
-                userID: userInfo.device_info?.userID,
-                deviceID: userInfo.device_info?.deviceID,
-                gender: userInfo.device_info?.gender || 'Unknown',
-                age: userInfo.device_info?.age || 'Unknown',
-                device: userInfo.device_info?.deviceID || 'CGM Device'
+// Helper function to test a user record (file tracker entry) against a validated filter expression in memory,
+// with the same semantics as the compiled MongoDB query
+function evaluateFilterExpression(expression, record) {
+    if (expression.and) return expression.and.every(child => evaluateFilterExpression(child, record));
+    if (expression.or) return expression.or.some(child => evaluateFilterExpression(child, record));
+    if (expression.not) return !evaluateFilterExpression(expression.not, record);
+
+    const { field, op, value } = expression;
+    if (NEGATED_FILTER_OPERATORS[op]) {
+        return !evaluateFilterExpression({ field, op: NEGATED_FILTER_OPERATORS[op], value }, record);
+    }
+    // Values exported from MongoDB may still be wrapped ({ $numberInt: '42' })
+    const unwrap = stored => {
+        const wrapped = stored && typeof stored === 'object' ? stored.$numberInt ?? stored.$numberDouble ?? stored.$numberLong : undefined;
+        return wrapped !== undefined ? Number(wrapped) : stored;
+    };
+    const matchesValue = stored => {
+        stored = unwrap(stored);
+        if (stored === undefined || stored === null) return false;
+        if (['gt', 'gte', 'lt', 'lte'].includes(op)) {
+            // Numbers compare with numbers and numeric text, text only with text
+            let comparable = null;
+            if (typeof value === 'number') {
+                const number = typeof stored === 'string' && stored.trim() !== '' ? Number(stored) : stored;
+                comparable = typeof number === 'number' && isFinite(number) ? number : null;
+            } else if (typeof stored === 'string') {
+                comparable = stored;
             }
-        });
-        
+            if (comparable === null) return false;
+            return op === 'gt' ? comparable > value : op === 'gte' ? comparable >= value : op === 'lt' ? comparable < value : comparable <= value;
+        }
+        if (op === 'in') return value.includes(stored);
+        return stored === value;
+    };
+
+    return resolveFilterField(field).some(fieldPath => {
+        const stored = fieldPath.split('.').reduce((object, key) => object?.[key], record);
+        if (op === 'exists') return stored !== undefined && stored !== null;
+        // An array field matches when any of its elements does
+        return Array.isArray(stored) ? stored.some(matchesValue) || matchesValue(stored) : matchesValue(stored);
+    });
+}
+
+// Helper function to parse a filter expression sent as a JSON query parameter. Returns { expression } (null when
+// not given) or { error }.
+function parseFilterQueryParam(value) {
+    if (value === undefined || value === null || value === '') {
+        return { expression: null };
+    }
+    let parsed;
+    try {
+        parsed = typeof value === 'string' ? JSON.parse(value) : value;
     } catch (error) {
-        console.error('=== ERROR in user-specific AGP glucose data endpoint ===');
-        console.error('Error details:', error);
-        console.error('Stack trace:', error.stack);
-        res.status(500).json({ error: 'Failed to fetch glucose data for AGP analysis' });
+        return { error: 'query must be a JSON filter expression' };
     }
-});
+    return parseFilterExpression(parsed);
+}
 
-// GET /user-cortisol-agp/:username
-// Returns cortisol data for a specific user for AGP-style analysis
-app.get('/user-cortisol-agp/:username', authenticateToken, async (req, res) => {
-    try {
-        const { username } = req.params;
-        console.log('=== DEBUG: Starting user-specific cortisol AGP data request ===');
-        console.log('User:', req.user.username, 'Admin:', req.user.admin, 'Patients:', req.user.patients);
-        console.log('Requested patient:', username);
-        
-        // Check authorization - same logic as other user-specific endpoints
-        if (!req.user.admin && 
-            req.user.username !== username && 
-            !req.user.patients?.includes(username)) {
-            return res.status(403).json({ error: 'Not authorized to view this data' });
+// Helper function to parse the text of a filter value: true/false and numbers become booleans and numbers
+function parseFilterValueText(text) {
+    if (typeof text !== 'string') return text;
+    const trimmed = text.trim();
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    if (trimmed !== '' && !isNaN(trimmed)) return parseFloat(trimmed);
+    return trimmed;
+}
+
+// Medical conditions offered by the demographic filter, as filter expressions
+const DEMOGRAPHIC_CONDITION_EXPRESSIONS = {
+    'Type 1 Diabetes': { field: 'diabetes', op: 'eq', value: true },
+    'Type 2 Diabetes': { field: 'diabetes', op: 'eq', value: true },
+    'Gestational Diabetes': { and: [{ field: 'pregnant', op: 'eq', value: true }, { field: 'diabetes', op: 'eq', value: true }] },
+    'Hypertension': { field: 'high_bp', op: 'eq', value: true },
+    'PCOS': { or: [{ field: 'pcos', op: 'eq', value: true }, { field: 'PCOS', op: 'eq', value: true }] },
+    'Thyroid': { or: [{ field: 'thyroid', op: 'eq', value: true }, { field: 'Thyroid', op: 'eq', value: true }] }
+};
+
+// Helper function to translate the demographic filter's form filters into a filter expression:
+// device_info.gender, personal_information.institution and other list fields -> in; yes/no fields -> eq;
+// age_range [min, max]; conditions (any of the listed conditions); custom_search "tag=value, tag2=value2".
+// Returns { expression } (null without filters) or { error }.
+function demographicFiltersToExpression(filters) {
+    const conditions = [];
+    for (const [filterKey, filterValue] of Object.entries(filters || {})) {
+        if (filterValue === null || filterValue === undefined || filterValue === '') continue;
+
+        if (filterKey === 'age_range') {
+            if (!Array.isArray(filterValue) || filterValue.length !== 2 || !filterValue.every(value => typeof value === 'number')) {
+                return { error: 'Invalid filter "age_range": expected [min, max]' };
+            }
+            conditions.push({ and: [{ field: 'age', op: 'gte', value: filterValue[0] }, { field: 'age', op: 'lte', value: filterValue[1] }] });
+        } else if (filterKey === 'conditions') {
+            if (!Array.isArray(filterValue)) {
+                return { error: 'Invalid filter "conditions": expected a list of conditions' };
+            }
+            const unknown = filterValue.find(condition => !DEMOGRAPHIC_CONDITION_EXPRESSIONS[condition]);
+            if (unknown) {
+                return { error: `Invalid condition "${unknown}". Must be one of: ${Object.keys(DEMOGRAPHIC_CONDITION_EXPRESSIONS).join(', ')}` };
+            }
+            if (filterValue.length > 0) {
+                conditions.push({ or: filterValue.map(condition => DEMOGRAPHIC_CONDITION_EXPRESSIONS[condition]) });
+            }
+        } else if (filterKey === 'custom_search') {
+            if (typeof filterValue !== 'string') {
+                return { error: 'Invalid filter "custom_search": expected text such as "tag_name=value"' };
+            }
+            for (const term of filterValue.split(',').map(part => part.trim()).filter(Boolean)) {
+                const [key, value] = term.split('=').map(part => part.trim());
+                if (!key || value === undefined) {
+                    return { error: `Invalid custom search term "${term}": expected tag_name=value` };
+                }
+                conditions.push({ field: key, op: 'eq', value: parseFilterValueText(value) });
+            }
+        } else if (filterKey.startsWith('personal_information.') || filterKey.startsWith('device_info.')) {
+            // Known fields go through their alias so every stored variant is matched
+            const shortName = filterKey.slice(filterKey.indexOf('.') + 1);
+            const field = FILTER_FIELD_ALIASES[shortName]?.includes(filterKey) ? shortName : filterKey;
+            if (Array.isArray(filterValue)) {
+                if (filterValue.length > 0) conditions.push({ field, op: 'in', value: filterValue });
+            } else {
+                conditions.push({ field, op: 'eq', value: filterValue });
+            }
+        } else {
+            return { error: `Invalid filter "${filterKey}". Use a personal_information.* or device_info.* field, age_range, conditions or custom_search` };
         }
+    }
+    return conditions.length === 0 ? { expression: null } : parseFilterExpression(combineFilterExpressions(...conditions), 'filters');
+}
 
-        // Get specific user info
-        const allData = await getFileTrackerData();
-        const userInfo = allData.find(entry => entry.username === username);
-        
-        if (!userInfo) {
-            return res.status(404).json({ error: 'User not found' });
+// Helper function to translate population filters (strings, as in the query of /api/population-analysis) into a
+// filter expression. Conditions count as absent unless recorded as true; any other key is matched as a field.
+function populationFiltersToExpression(filters) {
+    const conditions = [];
+    for (const [key, value] of Object.entries(filters || {})) {
+        if (key === 'ageMin') {
+            conditions.push({ field: 'age', op: 'gte', value: parseInt(value) });
+        } else if (key === 'ageMax') {
+            conditions.push({ field: 'age', op: 'lte', value: parseInt(value) });
+        } else if (['diabetes', 'pregnant', 'high_bp'].includes(key)) {
+            const condition = { field: key, op: 'eq', value: true };
+            conditions.push(value === 'true' ? condition : { not: condition });
+        } else {
+            conditions.push({ field: key, op: 'eq', value: parseFilterValueText(value) });
         }
-        
-        console.log('Found user info for:', username);
+    }
+    return combineFilterExpressions(...conditions);
+}
 
-        // Get cortisol sensor data for this user
-        const db = client.db('s3-mongodb-db');
-        const dataCollection = db.collection('s3-mongodb-data-entries');
-        
-        const cortisolData = [];
-        
-        try {
-            if (userInfo.etag) {
-                console.log('Fetching cortisol data for etag:', userInfo.etag);
-                const sensorDataResponse = await dataCollection.findOne({ etag: userInfo.etag });
-                
-                if (sensorDataResponse) {
-                    // Extract data points (handle both data structures)
-                    let dataPoints = [];
-                    if (sensorDataResponse.data && sensorDataResponse.data.data_points) {
-                        dataPoints = sensorDataResponse.data.data_points;
-                    } else if (sensorDataResponse.data_snapshot && sensorDataResponse.data_snapshot.data_points) {
-                        dataPoints = sensorDataResponse.data_snapshot.data_points;
-                    }
-                    
-                    console.log(`Found ${dataPoints.length} data points for user ${username}`);
-                    
-                    // Process each data point for cortisol values only
-                    dataPoints.forEach(point => {
-                        // Parse timestamp
-                        let timestamp;
-                        try {
-                            if (point.timestamp && point.timestamp.$date && point.timestamp.$date.$numberLong) {
-                                timestamp = new Date(parseInt(point.timestamp.$date.$numberLong));
-                            } else if (point.timestamp && point.timestamp.$date) {
-                                timestamp = new Date(point.timestamp.$date);
-                            } else if (point.timestamp) {
-                                timestamp = new Date(point.timestamp);
-                            } else if (point.time) {
-                                const timeValue = point.time.$numberInt || point.time;
-                                timestamp = new Date(parseInt(timeValue) * 1000);
-                            } else {
-                                timestamp = new Date();
-                            }
-                        } catch (error) {
-                            timestamp = new Date();
-                        }
+// Helper function to check a user against population analysis filters (gender, ageMin/ageMax, the true/false
+// conditions diabetes, pregnant, smokes, drinks, high_bp, any other field by value) and an optional filter expression
+function matchesPopulationFilters(userInfo, filters, query = null) {
+    const expression = combineFilterExpressions(populationFiltersToExpression(filters), query);
+    return !expression || evaluateFilterExpression(expression, userInfo);
+}
 
-                        // Extract cortisol readings from both sensors
-                        const cortisol1 = point['Cortisol(ng/mL)'] && (point['Cortisol(ng/mL)'].$numberDouble || point['Cortisol(ng/mL)']);
-                        const cortisol2 = point['Cortisol(ng/mL)_2'] && (point['Cortisol(ng/mL)_2'].$numberDouble || point['Cortisol(ng/mL)_2']);
-                        
-                        // Calculate mean of the two cortisol sensors if both are available
-                        const validCortisol1 = (cortisol1 !== null && cortisol1 !== undefined && !isNaN(cortisol1)) ? parseFloat(cortisol1) : null;
-                        const validCortisol2 = (cortisol2 !== null && cortisol2 !== undefined && !isNaN(cortisol2)) ? parseFloat(cortisol2) : null;
-                        
-                        let meanCortisol = null;
-                        if (validCortisol1 !== null && validCortisol2 !== null) {
-                            // Both sensors have data - calculate mean
-                            meanCortisol = (validCortisol1 + validCortisol2) / 2;
-                        } else if (validCortisol1 !== null) {
-                            // Only sensor 1 has data
-                            meanCortisol = validCortisol1;
-                        } else if (validCortisol2 !== null) {
-                            // Only sensor 2 has data
-                            meanCortisol = validCortisol2;
-                        }
-                        
-                        // Add the mean cortisol value to the data if we have at least one valid reading
-                        if (meanCortisol !== null) {
-                            cortisolData.push({
-                                username: username,
-                                userID: userInfo.device_info ? userInfo.device_info.userID : null,
-                                deviceID: userInfo.device_info ? userInfo.device_info.deviceID : null,
-                                timestamp: timestamp,
-                                value: meanCortisol,
-                                sensor: 'mean', // Indicate this is the mean of both sensors
-                                cortisol1: validCortisol1, // Keep original values for reference
-                                cortisol2: validCortisol2
-                            });
-                        }
-                    });
-                }
-            }
-        } catch (userError) {
-            console.warn(`Could not fetch cortisol data for user ${username}:`, userError.message);
+// Helper function to run an async function over items with at most `limit` calls in flight; results keep the item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
         }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Helper function to calculate one user's contribution to a population analysis: their glucose (mean of the sensor
+// channels at each timestamp), cleaned, with the time in ranges for the ranges their conditions select.
+// statistics is null when fewer than POPULATION_MIN_READINGS readings are left after cleaning.
+async function calculatePopulationUserSummary(userInfo, cleaningSettings, raw) {
+    let glucoseData = [];
+    if (userInfo.etag && await ensureEntryReadings(userInfo.etag)) {
+        glucoseData = mergeSensorReadings(await queryReadings(userInfo.etag, 'glucose'))
+            .map(({ time, value }) => ({ timestamp: new Date(time), value }));
+    }
+
+    // Clean before the sufficiency check so users left with too few readings are skipped
+    const { readings: cleanedGlucoseData, cleaning } = cleanBiomarkerReadings(glucoseData, cleaningSettings, { raw });
+    const summary = {
+        firstDate: glucoseData.length > 0 ? glucoseData[0].timestamp : null,
+        lastDate: glucoseData.length > 0 ? glucoseData[glucoseData.length - 1].timestamp : null,
+        readingCount: cleanedGlucoseData.length,
+        cleaning,
+        statistics: null
+    };
+    if (cleanedGlucoseData.length < POPULATION_MIN_READINGS) {
+        return summary;
+    }
+
+    const personalInfo = userInfo.personal_information || {};
+    const deviceInfo = userInfo.device_info || {};
+
+    // Get applicable custom ranges from csv2ranges collection
+    let customRanges = null;
+    const applicableConditions = [];
+
+    if (personalInfo.pregnant === true || personalInfo.Pregnant === true) applicableConditions.push('pregnancy');
+    if (personalInfo.Diabete === true || personalInfo.diabete === true ||
+        personalInfo.diabetes === true || personalInfo.Diabetes === true) {
+        applicableConditions.push('type2_diabetes');
+    }
+    if (personalInfo.smokes === true) applicableConditions.push('smoking');
+    if (personalInfo.drinks === true) applicableConditions.push('drinking');
+    if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
+        personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
+        applicableConditions.push('hypertension');
+    }
+    
+    const age = deviceInfo?.age || personalInfo.age;
+    if (age && (parseInt(age) < 18 || age < 18)) {
+        applicableConditions.push('pediatric');
+    }
+
+    if (applicableConditions.length > 0) {
+        const csv2rangesCollection = client.db('s3-mongodb-db').collection('s3-mongodb-csv2ranges');
+        const applicableRanges = [];
         
-        // Sort by timestamp
-        cortisolData.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        console.log('=== User Cortisol AGP Final Results ===');
-        console.log('Total cortisol data points for', username, ':', cortisolData.length);
-        
-        // Get applicable ranges for this user from csv2ranges collection
-        let customRanges = null;
-        try {
-            const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
+        for (const condition of applicableConditions) {
+            const rangeDoc = await csv2rangesCollection.findOne({ 
+                biomarker_type: 'glucose',
+                condition: condition
+            });
             
-            if (userInfo.personal_information) {
-                const personalInfo = userInfo.personal_information;
-                const deviceInfo = userInfo.device_info;
-                const applicableConditions = [];
-
-                // Check for applicable conditions - handle various CSV column name formats
-                if (personalInfo.pregnant === true || personalInfo.Pregnant === true) {
-                    applicableConditions.push('pregnancy');
-                }
-                if (personalInfo.Diabete === true || personalInfo.diabete === true || 
-                    personalInfo.diabetes === true || personalInfo.Diabetes === true) {
-                    applicableConditions.push('type2_diabetes');
-                }
-                if (personalInfo.smokes === true) applicableConditions.push('smoking');
-                if (personalInfo.drinks === true) applicableConditions.push('drinking');
-                if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
-                    personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
-                    applicableConditions.push('hypertension');
-                }
-                
-                const age = deviceInfo?.age || personalInfo.age;
-                if (age && (parseInt(age) < 18 || age < 18)) {
-                    applicableConditions.push('pediatric');
-                }
-
-                // Get custom ranges if conditions apply
-                if (applicableConditions.length > 0) {
-                    const applicableRanges = [];
-                    
-                    for (const condition of applicableConditions) {
-                        const rangeDoc = await csv2rangesCollection.findOne({ 
-                            biomarker_type: 'cortisol',
-                            condition: condition
-                        });
-                        
-                        if (rangeDoc && rangeDoc.ranges) {
-                            applicableRanges.push(rangeDoc.ranges);
-                        }
-                    }
-                    
-                    if (applicableRanges.length > 0) {
-                        if (applicableRanges.length === 1) {
-                            customRanges = applicableRanges[0];
-                        } else {
-                            // Average the ranges across multiple conditions
-                            customRanges = averageRanges(applicableRanges, 'cortisol');
-                        }
-                    }
-                }
+            if (rangeDoc && rangeDoc.ranges) {
+                applicableRanges.push(rangeDoc.ranges);
             }
-        } catch (error) {
-            console.log('Could not fetch custom ranges for cortisol AGP from csv2ranges collection, using defaults:', error.message);
         }
-
-        // Calculate cortisol statistics and percentiles
-        const agpResult = calculateCortisolStatistics(cortisolData, customRanges);
         
-        res.json({
-            ...agpResult,
-            patientInfo: {
-                name: username,
-                userID: userInfo.device_info?.userID,
-                deviceID: userInfo.device_info?.deviceID,
-                gender: userInfo.device_info?.gender || 'Unknown',
-                age: userInfo.device_info?.age || 'Unknown',
-                device: userInfo.device_info?.deviceID || 'CGM Device'
+        if (applicableRanges.length > 0) {
+            if (applicableRanges.length === 1) {
+                customRanges = applicableRanges[0];
+            } else {
+                customRanges = averageRanges(applicableRanges, 'glucose');
             }
-        });
-        
-    } catch (error) {
-        console.error('=== ERROR in user-specific cortisol AGP data endpoint ===');
-        console.error('Error details:', error);
-        console.error('Stack trace:', error.stack);
-        res.status(500).json({ error: 'Failed to fetch cortisol data for AGP analysis' });
+        }
     }
-});
+    
+    // Calculate statistics for this user
+    const stats = calculateAGPStatistics(cleanedGlucoseData, customRanges, {
+        timeZone: getUserTimezone(userInfo)
+    });
+    summary.statistics = stats.statistics;
+    return summary;
+}
+
+// Helper function to load the population summary of each user from the derived statistics cache; misses are
+// calculated a few users at a time. Users whose summary fails are null in the result.
+async function loadPopulationUserSummaries(users, cleaningSettings, raw) {
+    const rangeConfigVersion = await getRangeConfigVersion();
+    return mapWithConcurrency(users, POPULATION_CONCURRENCY, async userInfo => {
+        try {
+            const { result, computedAt } = await getDerivedStats({
+                username: userInfo.username,
+                dataset: userInfo.etag || null,
+                biomarker: 'glucose',
+                rangeConfigVersion,
+                window: null,
+                params: { report: 'population', raw, cleaningSettings, profile: getStatsProfileVersion(userInfo) }
+            }, () => calculatePopulationUserSummary(userInfo, cleaningSettings, raw));
+            return { userInfo, summary: result, computedAt };
+        } catch (userError) {
+            console.warn(`Error processing user ${userInfo.username}:`, userError.message);
+            return null;
+        }
+    });
+}
+
+// Helper function to get the per-user metrics of POPULATION_GROUP_METRICS from a user's AGP statistics
+// (time in range buckets in %, mean glucose in mg/dL, GMI and CV)
+function getPopulationUserMetrics(statistics) {
+    return {
+        timeInTarget: statistics.percentBetween70And180,
+        timeHigh: statistics.percentAbove180 - statistics.percentAbove250,
+        timeVeryHigh: statistics.percentAbove250,
+        timeLow: statistics.percentBelow70 - statistics.percentBelow54,
+        timeVeryLow: statistics.percentBelow54,
+        meanGlucose: statistics.average,
+        gmi: statistics.gmi,
+        cv: statistics.coefficientOfVariationPercentage
+    };
+}
 
 // GET /api/population-analysis
 // Returns aggregated population statistics for different user groups
+// Glucose is signal-cleaned before the statistics unless raw=true
+// Per-user statistics come from the derived statistics cache; computed_at is when the oldest of them was calculated
+// Optional query: units=conventional|si (unit of the reported range thresholds and mean glucose),
+// groupBy=gender|ageBand|institution|arm|sensorCombination|personal_information.<field>|device_info.<field>
+// (adds `groups`: n and the distribution - median, IQR, min/max, SD - of every range bucket, mean glucose, GMI and CV per group),
+// cohortId=<saved cohort> (only its members; admins and doctors), query=<JSON filter expression> (filter language, see
+// FILTER_FIELD_ALIASES); other keys are population filters: gender, ageMin, ageMax, diabetes, pregnant, smokes, drinks,
+// high_bp or any other field matched by value
 app.get('/api/population-analysis', authenticateToken, async (req, res) => {
     try {
         console.log('=== Starting Population Analysis ===');
         console.log('Query parameters:', req.query);
         console.log('User requesting data:', req.user.username, 'Admin:', req.user.admin);
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const conversion = getUnitConversion('glucose', unitSystem);
+        const unit = conversion.unit;
+        const ranges = convertRanges(BIOMARKER_REGISTRY.glucose.defaultRanges, 'glucose', unitSystem);
+
+        const { groupBy } = req.query;
+        const dimension = groupBy ? resolvePopulationGroupDimension(groupBy) : null;
+        if (dimension?.error) {
+            return res.status(400).json({ error: dimension.error });
+        }
         
         // Parse filters from query parameters
-        const filters = {};
-        Object.entries(req.query).forEach(([key, value]) => {
-            if (value && key !== 'limit' && key !== 'page') {
-                filters[key] = value;
-            }
-        });
+        const { limit, page, raw: rawParam, units, groupBy: groupByParam, cohortId, query: queryParam, ...filterParams } = req.query;
+        const { filters, error: filtersError } = parsePopulationFilters(filterParams);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
+        }
+        const { expression: filterQuery, error: queryError } = parseFilterQueryParam(queryParam);
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+        const raw = rawParam === 'true';
         console.log('Applied filters:', filters);
+
+        const { usernames: cohortMembers, error: cohortError, status: cohortStatus } = await resolveCohortParam(cohortId, req.user);
+        if (cohortError) {
+            return res.status(cohortStatus).json({ error: cohortError });
+        }
         
-        // Get all users accessible to this user
-        const accessibleUsernames = await getAccessibleUsers(req.user);
+        // Get all users accessible to this user (only the saved cohort's members when one is given)
+        const accessibleUsernames = (await getAccessibleUsers(req.user))
+            .filter(username => !cohortMembers || cohortMembers.includes(username));
         console.log(`Found ${accessibleUsernames.length} accessible usernames for population analysis`);
         console.log('Accessible usernames:', accessibleUsernames);
         
@@ -2560,292 +7223,105 @@ app.get('/api/population-analysis', authenticateToken, async (req, res) => {
         const accessibleUsers = allData.filter(user => accessibleUsernames.includes(user.username));
         
         console.log(`Found ${accessibleUsers.length} accessible users with full data for population analysis`);
-        console.log('Accessible users:', accessibleUsers.map(u => u.username));
-        
-        if (accessibleUsers.length === 0) {
-            console.log('No accessible users found, returning empty data');
-            return res.json({
-                general: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
-                diabetes: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
-                pregnancy: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
-                overall: { averageTimeInTarget: 0 },
-                dateRange: 'No Data'
-            });
-        }
-
-        const db = client.db('s3-mongodb-db');
-        const dataCollection = db.collection('s3-mongodb-data-entries');
-        const csv2rangesCollection = db.collection('s3-mongodb-csv2ranges');
-        
-        // Initialize population groups
-        const populations = {
-            general: [],
-            diabetes: [],
-            pregnancy: []
-        };
-        
-        let earliestDate = null;
-        let latestDate = null;
-        
-        // Process each accessible user
-        console.log(`DEBUG: Starting to process ${accessibleUsers.length} accessible users`);
-        for (const userInfo of accessibleUsers) {
-            try {
-                // Check if user matches filters before processing glucose data
-                if (Object.keys(filters).length > 0) {
-                    const personalInfo = userInfo.personal_information || {};
-                    const deviceInfo = userInfo.device_info || {};
-                    
-                    console.log(`DEBUG: Processing user ${userInfo.username} with device_info:`, deviceInfo);
-                    console.log(`DEBUG: ${userInfo.username} personal_information:`, personalInfo);
-                    
-                    let matchesAllFilters = true;
-                    
-                    // First handle age filtering separately (since it's a range)
-                    const ageMin = filters.ageMin ? parseInt(filters.ageMin) : null;
-                    const ageMax = filters.ageMax ? parseInt(filters.ageMax) : null;
-                    
-                    if (ageMin !== null || ageMax !== null) {
-                        const userAge = deviceInfo.age;
-                        console.log(`DEBUG: User ${userInfo.username} - deviceInfo.age:`, userAge, 'type:', typeof userAge);
-                        
-                        if (userAge) {
-                            const age = typeof userAge === 'object' ? parseInt(userAge.$numberInt) : parseInt(userAge);
-                            console.log(`DEBUG: Parsed age for ${userInfo.username}:`, age, 'ageMin:', ageMin, 'ageMax:', ageMax);
-                            
-                            if (!isNaN(age)) {
-                                let ageMatches = true;
-                                if (ageMin !== null && age < ageMin) {
-                                    ageMatches = false;
-                                    console.log(`DEBUG: Age ${age} < min ${ageMin} - FAIL`);
-                                }
-                                if (ageMax !== null && age > ageMax) {
-                                    ageMatches = false;
-                                    console.log(`DEBUG: Age ${age} > max ${ageMax} - FAIL`);
-                                }
-                                if (ageMatches) {
-                                    console.log(`DEBUG: Age ${age} in range [${ageMin}, ${ageMax}] - PASS`);
-                                }
-                                matchesAllFilters = ageMatches;
-                            } else {
-                                console.log(`DEBUG: Invalid age for ${userInfo.username}: NaN`);
-                                matchesAllFilters = false;
-                            }
-                        } else {
-                            console.log(`DEBUG: No age data for ${userInfo.username}`);
-                            matchesAllFilters = false;
-                        }
-                    }
-                    
-                    // Then handle other filters (excluding age_min and age_max)
-                    if (matchesAllFilters) {
-                        for (const [filterKey, filterValue] of Object.entries(filters)) {
-                            // Skip age filters as we handled them above
-                            if (filterKey === 'ageMin' || filterKey === 'ageMax') {
-                                continue;
-                            }
-                            
-                            let matches = false;
-                            
-                            if (filterKey === 'gender') {
-                                matches = deviceInfo.gender === filterValue;
-                            } else if (filterKey === 'diabetes') {
-                                const hasDiabetes = personalInfo.Diabete === true || personalInfo.diabete === true || 
-                                                 personalInfo.diabetes === true || personalInfo.Diabetes === true;
-                                matches = hasDiabetes === (filterValue === 'true');
-                                console.log(`DEBUG: ${userInfo.username} diabetes check - Diabete: ${personalInfo.Diabete}, filterValue: ${filterValue}, matches: ${matches}`);
-                            } else if (filterKey === 'pregnant') {
-                                const isPregnant = personalInfo.pregnant === true || personalInfo.Pregnant === true;
-                                matches = isPregnant === (filterValue === 'true');
-                                console.log(`DEBUG: ${userInfo.username} pregnant check - pregnant: ${personalInfo.pregnant}, filterValue: ${filterValue}, matches: ${matches}`);
-                            } else if (filterKey === 'smokes') {
-                                matches = personalInfo.smokes === (filterValue === 'true');
-                                console.log(`DEBUG: ${userInfo.username} smokes check - smokes: ${personalInfo.smokes}, filterValue: ${filterValue}, matches: ${matches}`);
-                            } else if (filterKey === 'drinks') {
-                                matches = personalInfo.drinks === (filterValue === 'true');
-                                console.log(`DEBUG: ${userInfo.username} drinks check - drinks: ${personalInfo.drinks}, filterValue: ${filterValue}, matches: ${matches}`);
-                            } else if (filterKey === 'high_bp') {
-                                const hasHighBP = personalInfo['High BP'] === true || personalInfo.hypertension === true;
-                                matches = hasHighBP === (filterValue === 'true');
-                                console.log(`DEBUG: ${userInfo.username} high_bp check - High BP: ${personalInfo['High BP']}, filterValue: ${filterValue}, matches: ${matches}`);
-                            } else {
-                                // For unknown filter keys, assume they match (skip filtering)
-                                matches = true;
-                            }
-                            
-                            if (!matches) {
-                                matchesAllFilters = false;
-                                break;
-                            }
-                        }
-                    }
-                    
-                    if (!matchesAllFilters) {
-                        console.log(`Skipping ${userInfo.username} - doesn't match filters`);
-                        continue; // Skip this user
-                    } else {
-                        console.log(`User ${userInfo.username} PASSED all filters!`);
-                    }
-                }
-                
-                // Get glucose data for this user
-                const glucoseData = [];
-                
-                if (userInfo.etag) {
-                    const sensorDataResponse = await dataCollection.findOne({ etag: userInfo.etag });
-                    
-                    if (sensorDataResponse) {
-                        let dataPoints = [];
-                        if (sensorDataResponse.data && sensorDataResponse.data.data_points) {
-                            dataPoints = sensorDataResponse.data.data_points;
-                        } else if (sensorDataResponse.data_snapshot && sensorDataResponse.data_snapshot.data_points) {
-                            dataPoints = sensorDataResponse.data_snapshot.data_points;
-                        }
-                        
-                        // Process glucose data points
-                        dataPoints.forEach(point => {
-                            let timestamp;
-                            try {
-                                if (point.timestamp && point.timestamp.$date && point.timestamp.$date.$numberLong) {
-                                    timestamp = new Date(parseInt(point.timestamp.$date.$numberLong));
-                                } else if (point.timestamp && point.timestamp.$date) {
-                                    timestamp = new Date(point.timestamp.$date);
-                                } else if (point.timestamp) {
-                                    timestamp = new Date(point.timestamp);
-                                } else if (point.time) {
-                                    const timeValue = point.time.$numberInt || point.time;
-                                    timestamp = new Date(parseInt(timeValue) * 1000);
-                                } else {
-                                    timestamp = new Date();
-                                }
-                            } catch (error) {
-                                timestamp = new Date();
-                            }
+        console.log('Accessible users:', accessibleUsers.map(u => u.username));
+        
+        if (accessibleUsers.length === 0) {
+            console.log('No accessible users found, returning empty data');
+            return res.json({
+                general: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
+                diabetes: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
+                pregnancy: { userCount: 0, averageTimeInTarget: 0, averageTimeHigh: 0, averageTimeVeryHigh: 0, averageTimeLow: 0, averageTimeVeryLow: 0 },
+                overall: { averageTimeInTarget: 0 },
+                dateRange: 'No Data',
+                unit,
+                ranges,
+                ...(dimension && { groupBy, groupLabel: dimension.label, groups: [] })
+            });
+        }
 
-                            // Track date range
-                            if (!earliestDate || timestamp < earliestDate) earliestDate = timestamp;
-                            if (!latestDate || timestamp > latestDate) latestDate = timestamp;
+        // Initialize population groups
+        const populations = {
+            general: [],
+            diabetes: [],
+            pregnancy: []
+        };
+        
+        // Every user's glucose is cleaned with the same settings; the per-user summaries are totalled for the response
+        const cleaningSettings = await getCleaningSettings('glucose');
+        const cleaningSummaries = [];
+        
+        let earliestDate = null;
+        let latestDate = null;
+        let oldestComputedAt = null;
+        // Users per group when grouping by a dimension (group label -> user data)
+        const usersByGroup = new Map();
+        
+        // Select the accessible users matching the filters
+        console.log(`DEBUG: Starting to process ${accessibleUsers.length} accessible users`);
+        const matchingUsers = accessibleUsers.filter(userInfo => matchesPopulationFilters(userInfo, filters, filterQuery));
 
-                            const glucose1 = point['Glucose(mg/dL)'] && (point['Glucose(mg/dL)'].$numberDouble || point['Glucose(mg/dL)']);
-                            const glucose2 = point['Glucose(mg/dL)_2'] && (point['Glucose(mg/dL)_2'].$numberDouble || point['Glucose(mg/dL)_2']);
-                            
-                            const validGlucose1 = (glucose1 !== null && glucose1 !== undefined && !isNaN(glucose1)) ? parseFloat(glucose1) : null;
-                            const validGlucose2 = (glucose2 !== null && glucose2 !== undefined && !isNaN(glucose2)) ? parseFloat(glucose2) : null;
-                            
-                            let meanGlucose = null;
-                            if (validGlucose1 !== null && validGlucose2 !== null) {
-                                meanGlucose = (validGlucose1 + validGlucose2) / 2;
-                            } else if (validGlucose1 !== null) {
-                                meanGlucose = validGlucose1;
-                            } else if (validGlucose2 !== null) {
-                                meanGlucose = validGlucose2;
-                            }
-                            
-                            if (meanGlucose !== null) {
-                                glucoseData.push({
-                                    timestamp: timestamp,
-                                    value: meanGlucose
-                                });
-                            }
-                        });
-                    }
-                }
-                
-                // Only process users with sufficient data
-                console.log(`User ${userInfo.username}: ${glucoseData.length} glucose data points`);
-                if (glucoseData.length < 10) {
-                    console.log(`Skipping ${userInfo.username} - insufficient data (${glucoseData.length} points)`);
-                    continue;
-                }
-                
-                // Determine user's conditions
-                const personalInfo = userInfo.personal_information || {};
-                const deviceInfo = userInfo.device_info || {};
-                
-                const isPregnant = personalInfo.pregnant === true || personalInfo.Pregnant === true;
-                const hasDiabetes = personalInfo.Diabete === true || personalInfo.diabete === true || 
-                    personalInfo.diabetes === true || personalInfo.Diabetes === true;
-                
-                console.log(`User ${userInfo.username} conditions: pregnant=${isPregnant}, diabetes=${hasDiabetes}`);
-                
-                // Get applicable custom ranges from csv2ranges collection
-                let customRanges = null;
-                const applicableConditions = [];
-                
-                if (isPregnant) applicableConditions.push('pregnancy');
-                if (hasDiabetes) applicableConditions.push('type2_diabetes');
-                if (personalInfo.smokes === true) applicableConditions.push('smoking');
-                if (personalInfo.drinks === true) applicableConditions.push('drinking');
-                if (personalInfo['High BP'] === true || personalInfo.hypertension === true || 
-                    personalInfo['High Blood Pressure'] === true || personalInfo.high_bp === true) {
-                    applicableConditions.push('hypertension');
-                }
-                
-                const age = deviceInfo?.age || personalInfo.age;
-                if (age && (parseInt(age) < 18 || age < 18)) {
-                    applicableConditions.push('pediatric');
-                }
+        const userSummaries = await loadPopulationUserSummaries(matchingUsers, cleaningSettings, raw);
 
-                if (applicableConditions.length > 0) {
-                    const applicableRanges = [];
-                    
-                    for (const condition of applicableConditions) {
-                        const rangeDoc = await csv2rangesCollection.findOne({ 
-                            biomarker_type: 'glucose',
-                            condition: condition
-                        });
-                        
-                        if (rangeDoc && rangeDoc.ranges) {
-                            applicableRanges.push(rangeDoc.ranges);
-                        }
-                    }
-                    
-                    if (applicableRanges.length > 0) {
-                        if (applicableRanges.length === 1) {
-                            customRanges = applicableRanges[0];
-                        } else {
-                            customRanges = averageRanges(applicableRanges, 'glucose');
-                        }
-                    }
-                }
-                
-                // Calculate statistics for this user
-                const stats = calculateAGPStatistics(glucoseData, customRanges);
-                
-                // Create user data object
-                const userData = {
-                    username: userInfo.username,
-                    timeInTarget: stats.statistics.percentBetween70And180,
-                    timeHigh: stats.statistics.percentAbove180 - stats.statistics.percentAbove250,
-                    timeVeryHigh: stats.statistics.percentAbove250,
-                    timeLow: stats.statistics.percentBelow70 - stats.statistics.percentBelow54,
-                    timeVeryLow: stats.statistics.percentBelow54,
-                    isPregnant,
-                    hasDiabetes
-                };
-                
-                // Categorize user into populations
-                // When filters are applied, put all matching users in general population
-                if (Object.keys(filters).length > 0) {
-                    console.log(`Adding ${userInfo.username} to filtered population (general)`);
-                    populations.general.push(userData);
+        for (const userSummary of userSummaries) {
+            if (!userSummary) continue;
+            const { userInfo, summary, computedAt } = userSummary;
+            if (!oldestComputedAt || computedAt < oldestComputedAt) oldestComputedAt = computedAt;
+
+            // Track date range
+            if (summary.firstDate && summary.lastDate) {
+                if (!earliestDate || summary.firstDate < earliestDate) earliestDate = summary.firstDate;
+                if (!latestDate || summary.lastDate > latestDate) latestDate = summary.lastDate;
+            }
+            cleaningSummaries.push(summary.cleaning);
+
+            // Only process users with sufficient data
+            console.log(`User ${userInfo.username}: ${summary.readingCount} glucose data points`);
+            if (!summary.statistics) {
+                console.log(`Skipping ${userInfo.username} - insufficient data (${summary.readingCount} points)`);
+                continue;
+            }
+
+            // Determine user's conditions
+            const personalInfo = userInfo.personal_information || {};
+            const isPregnant = personalInfo.pregnant === true || personalInfo.Pregnant === true;
+            const hasDiabetes = personalInfo.Diabete === true || personalInfo.diabete === true || 
+                personalInfo.diabetes === true || personalInfo.Diabetes === true;
+            
+            console.log(`User ${userInfo.username} conditions: pregnant=${isPregnant}, diabetes=${hasDiabetes}`);
+
+            // Create user data object
+            const userData = {
+                username: userInfo.username,
+                ...getPopulationUserMetrics(summary.statistics),
+                isPregnant,
+                hasDiabetes
+            };
+
+            if (dimension) {
+                const group = dimension.getGroup(userInfo);
+                if (!usersByGroup.has(group)) usersByGroup.set(group, []);
+                usersByGroup.get(group).push(userData);
+            }
+            
+            // Categorize user into populations
+            // When filters are applied, put all matching users in general population
+            if (Object.keys(filters).length > 0) {
+                console.log(`Adding ${userInfo.username} to filtered population (general)`);
+                populations.general.push(userData);
+            } else {
+                // Original categorization when no filters
+                if (isPregnant) {
+                    console.log(`Adding ${userInfo.username} to pregnancy population`);
+                    populations.pregnancy.push(userData);
+                } else if (hasDiabetes) {
+                    console.log(`Adding ${userInfo.username} to diabetes population`);
+                    populations.diabetes.push(userData);
                 } else {
-                    // Original categorization when no filters
-                    if (isPregnant) {
-                        console.log(`Adding ${userInfo.username} to pregnancy population`);
-                        populations.pregnancy.push(userData);
-                    } else if (hasDiabetes) {
-                        console.log(`Adding ${userInfo.username} to diabetes population`);
-                        populations.diabetes.push(userData);
-                    } else {
-                        console.log(`Adding ${userInfo.username} to general population`);
-                        populations.general.push(userData);
-                    }
+                    console.log(`Adding ${userInfo.username} to general population`);
+                    populations.general.push(userData);
                 }
-                
-            } catch (userError) {
-                console.warn(`Error processing user ${userInfo.username}:`, userError.message);
             }
+
         }
         
         // Calculate averages for each population
@@ -2912,7 +7388,12 @@ app.get('/api/population-analysis', authenticateToken, async (req, res) => {
             diabetes: diabetesStats,
             pregnancy: pregnancyStats,
             overall: { averageTimeInTarget: overallStats.averageTimeInTarget },
-            dateRange: dateRange
+            dateRange: dateRange,
+            unit,
+            ranges,
+            cleaning: combineCleaningSummaries(cleaningSummaries, cleaningSettings, raw),
+            computed_at: oldestComputedAt,
+            ...(dimension && { groupBy, groupLabel: dimension.label, groups: buildPopulationGroups(usersByGroup, dimension, conversion) })
         });
         
     } catch (error) {
@@ -2923,6 +7404,550 @@ app.get('/api/population-analysis', authenticateToken, async (req, res) => {
     }
 });
 
+// Cohort comparison statistics: two-sided tests at the 95% level. Differences are cohort B minus cohort A.
+const COHORT_CONFIDENCE_LEVEL = 0.95;
+// Population filters with their own meaning (other keys are matched as fields)
+const POPULATION_FILTER_KEYS = ['gender', 'ageMin', 'ageMax', 'diabetes', 'pregnant', 'smokes', 'drinks', 'high_bp'];
+
+// Helper function to get ln(Gamma(x)) for x > 0 (Lanczos approximation)
+function logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    for (const coefficient of coefficients) {
+        series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Helper function to get the regularized incomplete beta function I_x(a, b) (continued fraction, Lentz's method)
+function regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    // The continued fraction converges quickly only below (a + 1) / (a + b + 2); use the symmetry relation above it
+    if (x > (a + 1) / (a + b + 2)) {
+        return 1 - regularizedIncompleteBeta(1 - x, b, a);
+    }
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    let result = d;
+    for (let m = 1; m <= 200; m++) {
+        for (const numerator of [
+            m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+            -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+        ]) {
+            d = 1 + numerator * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            result *= c * d;
+        }
+        if (Math.abs(c * d - 1) < 1e-12) break;
+    }
+    return front * result / a;
+}
+
+// Helper function to get the two-sided p-value of a t statistic with df degrees of freedom
+function studentTTwoSidedP(t, df) {
+    return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Helper function to get the critical t value for a two-sided confidence level (bisection on the p-value)
+function studentTCritical(df, confidenceLevel) {
+    let low = 0;
+    let high = 1000;
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (studentTTwoSidedP(mid, df) > 1 - confidenceLevel) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Helper function to get the standard normal CDF (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Helper function to get the mean and sample variance of values
+function calculateMeanAndVariance(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1)
+        : 0;
+    return { mean, variance };
+}
+
+// Helper function to compare two samples: Welch's t-test with the confidence interval of the mean difference
+// (b - a), Mann-Whitney U (normal approximation with tie and continuity correction), Hedges' g and the
+// rank-biserial correlation (positive when b tends to be higher). Statistics that need more data are null.
+function compareSamples(a, b, confidenceLevel = COHORT_CONFIDENCE_LEVEL) {
+    const result = {
+        difference: null,
+        ciLower: null,
+        ciUpper: null,
+        welch: { t: null, df: null, p: null },
+        mannWhitney: { u: null, z: null, p: null },
+        effectSize: { hedgesG: null, rankBiserial: null }
+    };
+    if (a.length === 0 || b.length === 0) {
+        return result;
+    }
+
+    const { mean: meanA, variance: varA } = calculateMeanAndVariance(a);
+    const { mean: meanB, variance: varB } = calculateMeanAndVariance(b);
+    result.difference = meanB - meanA;
+
+    // Welch's t-test needs a variance estimate from both samples
+    const standardError = Math.sqrt(varA / a.length + varB / b.length);
+    if (a.length > 1 && b.length > 1 && standardError > 0) {
+        const df = Math.pow(standardError, 4) /
+            (Math.pow(varA / a.length, 2) / (a.length - 1) + Math.pow(varB / b.length, 2) / (b.length - 1));
+        const t = result.difference / standardError;
+        const margin = studentTCritical(df, confidenceLevel) * standardError;
+        result.ciLower = result.difference - margin;
+        result.ciUpper = result.difference + margin;
+        result.welch = { t, df, p: studentTTwoSidedP(t, df) };
+
+        const pooledSd = Math.sqrt(((a.length - 1) * varA + (b.length - 1) * varB) / (a.length + b.length - 2));
+        if (pooledSd > 0) {
+            // Cohen's d with the small-sample correction
+            result.effectSize.hedgesG = (result.difference / pooledSd) * (1 - 3 / (4 * (a.length + b.length) - 9));
+        }
+    }
+
+    // Mann-Whitney U from the mid-ranks of the combined samples
+    const combined = [...a.map(value => ({ value, fromB: false })), ...b.map(value => ({ value, fromB: true }))]
+        .sort((x, y) => x.value - y.value);
+    const total = combined.length;
+    let rankSumB = 0;
+    let tieCorrection = 0;
+    for (let i = 0; i < total;) {
+        let j = i;
+        while (j + 1 < total && combined[j + 1].value === combined[i].value) j++;
+        const midRank = (i + j) / 2 + 1;
+        const tied = j - i + 1;
+        for (let k = i; k <= j; k++) {
+            if (combined[k].fromB) rankSumB += midRank;
+        }
+        tieCorrection += Math.pow(tied, 3) - tied;
+        i = j + 1;
+    }
+    const u = rankSumB - b.length * (b.length + 1) / 2;
+    const meanU = a.length * b.length / 2;
+    const sdU = Math.sqrt(a.length * b.length / 12 * ((total + 1) - tieCorrection / (total * (total - 1 || 1))));
+    result.mannWhitney.u = u;
+    result.effectSize.rankBiserial = 2 * u / (a.length * b.length) - 1;
+    if (sdU > 0) {
+        const z = (u - meanU - Math.sign(u - meanU) * 0.5) / sdU;
+        result.mannWhitney = { u, z, p: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))) };
+    }
+    return result;
+}
+
+// Helper function to validate population filters (the keys in POPULATION_FILTER_KEYS, or any other field matched by
+// value; values as strings, empty values are dropped). Returns { filters } or { error }.
+function parsePopulationFilters(source) {
+    const filters = {};
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value === null || value === undefined || value === '') continue;
+        if ((key === 'ageMin' || key === 'ageMax') && isNaN(parseInt(value))) {
+            return { error: `Invalid filter "${key}": expected a number` };
+        }
+        if (!POPULATION_FILTER_KEYS.includes(key) && parseFilterExpression({ field: key, op: 'eq', value: String(value) }).error) {
+            return { error: `Invalid filter "${key}". Use one of ${POPULATION_FILTER_KEYS.join(', ')} or a field name` };
+        }
+        filters[key] = String(value);
+    }
+    return { filters };
+}
+
+// Helper function to validate a comparison cohort from the request body: { label?, filters?, query?, cohortId? }.
+// Returns { cohort: { label, filters, query, cohortId } } or { error }.
+function parseComparisonCohort(cohort, fallbackLabel) {
+    if (!cohort || typeof cohort !== 'object' || Array.isArray(cohort)) {
+        return { error: 'Each cohort must be an object with optional label, filters, query and cohortId' };
+    }
+    const { filters, error } = parsePopulationFilters(cohort.filters);
+    if (error) {
+        return { error };
+    }
+    const { expression: query, error: queryError } = cohort.query ? parseFilterExpression(cohort.query) : { expression: null };
+    if (queryError) {
+        return { error: queryError };
+    }
+    const label = typeof cohort.label === 'string' && cohort.label.trim() ? cohort.label.trim() : fallbackLabel;
+    return { cohort: { label, filters, query, cohortId: cohort.cohortId || null } };
+}
+
+// Helper function to round a statistic (null stays null); p-values keep 3 significant digits instead
+function roundStatistic(value, places) {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    return Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+}
+function roundPValue(p) {
+    return p === null || p === undefined || !isFinite(p) ? null : Number(p.toPrecision(3));
+}
+
+// POST /api/population-comparison
+// Compares two cohorts of accessible users, each selected by its own population filters
+// Body: { cohorts: [{ label, filters, query, cohortId }, { label, filters, query, cohortId }], raw } - filters and query
+// (filter expression) as in /api/population-analysis; cohortId limits a cohort to the members of a saved cohort (its
+// name is the default label)
+// Returns per metric (range buckets, mean glucose, GMI, CV) each cohort's distribution, the difference in means
+// (second cohort minus first) with its 95% confidence interval, Welch t-test and Mann-Whitney p-values and effect sizes
+// (Hedges' g, rank-biserial correlation). Users in both cohorts are counted in `overlap`.
+// Optional query: units=conventional|si, format=csv (the metrics table as a CSV download)
+app.post('/api/population-comparison', authenticateToken, async (req, res) => {
+    try {
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const conversion = getUnitConversion('glucose', unitSystem);
+
+        const { cohorts: requestedCohorts } = req.body || {};
+        if (!Array.isArray(requestedCohorts) || requestedCohorts.length !== 2) {
+            return res.status(400).json({ error: 'cohorts must be an array of two cohorts' });
+        }
+        const cohorts = [];
+        for (const [index, requestedCohort] of requestedCohorts.entries()) {
+            const { cohort, error } = parseComparisonCohort(requestedCohort, `Cohort ${index === 0 ? 'A' : 'B'}`);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            const { cohort: savedCohort, usernames, error: cohortError, status } = await resolveCohortParam(cohort.cohortId, req.user);
+            if (cohortError) {
+                return res.status(status).json({ error: cohortError });
+            }
+            const hasLabel = typeof requestedCohort.label === 'string' && requestedCohort.label.trim();
+            cohorts.push({ ...cohort, label: savedCohort && !hasLabel ? savedCohort.name : cohort.label, members: usernames });
+        }
+        const raw = req.body.raw === true || req.body.raw === 'true';
+
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        const allData = await getFileTrackerData();
+        const accessibleUsers = allData.filter(user => accessibleUsernames.includes(user.username));
+
+        // Users in both cohorts are summarized once
+        const cohortUsers = cohorts.map(cohort => accessibleUsers.filter(userInfo =>
+            (!cohort.members || cohort.members.includes(userInfo.username)) && matchesPopulationFilters(userInfo, cohort.filters, cohort.query)));
+        const uniqueUsers = [...new Map(cohortUsers.flat().map(userInfo => [userInfo.username, userInfo])).values()];
+        const cleaningSettings = await getCleaningSettings('glucose');
+        const userSummaries = (await loadPopulationUserSummaries(uniqueUsers, cleaningSettings, raw)).filter(Boolean);
+        const summariesByUsername = new Map(userSummaries.map(userSummary => [userSummary.userInfo.username, userSummary]));
+
+        // Per-user metrics of the users with sufficient data, per cohort
+        const cohortMetrics = cohortUsers.map(users => users
+            .map(userInfo => summariesByUsername.get(userInfo.username))
+            .filter(userSummary => userSummary?.summary.statistics)
+            .map(userSummary => ({ username: userSummary.userInfo.username, ...getPopulationUserMetrics(userSummary.summary.statistics) })));
+        const analyzedB = new Set(cohortMetrics[1].map(user => user.username));
+        const overlap = cohortMetrics[0].filter(user => analyzedB.has(user.username)).length;
+
+        const metrics = POPULATION_GROUP_METRICS.map(metric => {
+            const [a, b] = cohortMetrics.map(users => getPopulationMetricValues(users, metric, conversion));
+            const places = a.places;
+            const comparison = compareSamples(...[a, b].map(({ values }) => values.filter(value => typeof value === 'number' && !isNaN(value))));
+            return {
+                metric,
+                label: POPULATION_METRIC_LABELS[metric],
+                unit: metric === 'meanGlucose' ? conversion.unit : '%',
+                cohorts: [summarizeDistribution(a.values, places), summarizeDistribution(b.values, places)],
+                difference: roundStatistic(comparison.difference, places),
+                ci: { level: COHORT_CONFIDENCE_LEVEL * 100, lower: roundStatistic(comparison.ciLower, places), upper: roundStatistic(comparison.ciUpper, places) },
+                welch: { t: roundStatistic(comparison.welch.t, 3), df: roundStatistic(comparison.welch.df, 1), p: roundPValue(comparison.welch.p) },
+                mannWhitney: { u: roundStatistic(comparison.mannWhitney.u, 1), z: roundStatistic(comparison.mannWhitney.z, 3), p: roundPValue(comparison.mannWhitney.p) },
+                effectSize: { hedgesG: roundStatistic(comparison.effectSize.hedgesG, 3), rankBiserial: roundStatistic(comparison.effectSize.rankBiserial, 3) }
+            };
+        });
+
+        if (req.query.format === 'csv') {
+            const [labelA, labelB] = cohorts.map(cohort => cohort.label);
+            const fields = [
+                { label: 'Metric', value: 'label' },
+                { label: 'Unit', value: 'unit' },
+                ...[labelA, labelB].flatMap((label, index) => [
+                    { label: `${label} n`, value: row => row.cohorts[index].n },
+                    { label: `${label} mean`, value: row => row.cohorts[index].mean },
+                    { label: `${label} SD`, value: row => row.cohorts[index].sd },
+                    { label: `${label} median`, value: row => row.cohorts[index].median },
+                    { label: `${label} Q1`, value: row => row.cohorts[index].q1 },
+                    { label: `${label} Q3`, value: row => row.cohorts[index].q3 }
+                ]),
+                { label: `Difference (${labelB} - ${labelA})`, value: 'difference' },
+                { label: '95% CI lower', value: 'ci.lower' },
+                { label: '95% CI upper', value: 'ci.upper' },
+                { label: 'Welch t', value: 'welch.t' },
+                { label: 'Welch df', value: 'welch.df' },
+                { label: 'Welch p', value: 'welch.p' },
+                { label: 'Mann-Whitney U', value: 'mannWhitney.u' },
+                { label: 'Mann-Whitney p', value: 'mannWhitney.p' },
+                { label: "Hedges' g", value: 'effectSize.hedgesG' },
+                { label: 'Rank-biserial r', value: 'effectSize.rankBiserial' }
+            ];
+            const csv = new Parser({ fields }).parse(metrics);
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename="population_comparison_${new Date().toISOString().split('T')[0]}.csv"`);
+            return res.send(csv);
+        }
+
+        res.json({
+            unit: conversion.unit,
+            cohorts: cohorts.map(({ members, ...cohort }, index) => ({
+                ...cohort,
+                userCount: cohortUsers[index].length,
+                analyzedCount: cohortMetrics[index].length
+            })),
+            overlap,
+            metrics,
+            cleaning: combineCleaningSummaries(userSummaries.map(userSummary => userSummary.summary.cleaning), cleaningSettings, raw),
+            computed_at: userSummaries.reduce((oldest, userSummary) => !oldest || userSummary.computedAt < oldest ? userSummary.computedAt : oldest, null)
+        });
+    } catch (error) {
+        console.error('Error comparing population cohorts:', error);
+        res.status(500).json({ error: 'Failed to compare population cohorts' });
+    }
+});
+
+// Percentiles of the population AGP curves
+const POPULATION_AGP_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Helper function to load a user's cleaned readings of a biomarker (sensors merged, so every timestamp counts once)
+// grouped by hour of day in the user's timezone. Returns { hourly: [24 arrays], readingCount, cleaning }.
+async function loadUserHourlyReadings(userInfo, biomarkerType, cleaningSettings, raw) {
+    let readings = [];
+    if (userInfo.etag && await ensureEntryReadings(userInfo.etag)) {
+        readings = mergeSensorReadings(await queryReadings(userInfo.etag, biomarkerType))
+            .map(({ time, value }) => ({ timestamp: new Date(time), value }));
+    }
+    const { readings: cleanedReadings, cleaning } = cleanBiomarkerReadings(readings, cleaningSettings, { raw });
+
+    const timeZone = getUserTimezone(userInfo);
+    const hourly = Array.from({ length: 24 }, () => []);
+    cleanedReadings.forEach(reading => {
+        const hour = getLocalHour(reading.timestamp, timeZone);
+        if (!isNaN(hour)) hourly[hour].push(reading.value);
+    });
+    return { hourly, readingCount: cleanedReadings.length, cleaning };
+}
+
+// Helper function to build percentile curves (percentile_5 ... percentile_95, null for hours without values) from
+// values per hour, converted to the response unit system
+function buildHourlyPercentileCurves(hourlyValues, conversion) {
+    const sortedHours = hourlyValues.map(values => [...values].sort((a, b) => a - b));
+    return Object.fromEntries(POPULATION_AGP_PERCENTILES.map(p => [
+        `percentile_${p}`,
+        sortedHours.map(values => values.length > 0
+            ? roundStatistic(calculateQuantile(values, p) * conversion.factor, conversion.decimals + 1)
+            : null)
+    ]));
+}
+
+// GET /api/population-agp/:biomarker
+// Returns the ambulatory profile of the accessible users matching the population filters, by hour of day (each user's
+// timezone): `pooled` percentile curves over all readings (users with more data weigh more) and `medianOfMedians`,
+// the percentiles across users of each user's hourly median (every user weighs the same).
+// Readings are signal-cleaned unless raw=true; users with too few readings are left out.
+// Optional query: gender, ageMin, ageMax, diabetes, pregnant, smokes, drinks, high_bp (as in /api/population-analysis),
+// cohortId=<saved cohort> (only its members), query=<JSON filter expression>, units=conventional|si
+app.get('/api/population-agp/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { biomarker: biomarkerType } = req.params;
+        if (!isKnownBiomarker(biomarkerType)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const conversion = getUnitConversion(biomarkerType, unitSystem);
+
+        const { raw: rawParam, units, cohortId, query: queryParam, ...filterParams } = req.query;
+        const { filters, error: filtersError } = parsePopulationFilters(filterParams);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
+        }
+        const { expression: filterQuery, error: queryError } = parseFilterQueryParam(queryParam);
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+        const raw = rawParam === 'true';
+
+        const { usernames: cohortMembers, error: cohortError, status: cohortStatus } = await resolveCohortParam(cohortId, req.user);
+        if (cohortError) {
+            return res.status(cohortStatus).json({ error: cohortError });
+        }
+
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        const allData = await getFileTrackerData();
+        const matchingUsers = allData.filter(userInfo =>
+            accessibleUsernames.includes(userInfo.username) && (!cohortMembers || cohortMembers.includes(userInfo.username)) &&
+            matchesPopulationFilters(userInfo, filters, filterQuery));
+
+        const cleaningSettings = await getCleaningSettings(biomarkerType);
+        const pooledHourly = Array.from({ length: 24 }, () => []);
+        const userMediansHourly = Array.from({ length: 24 }, () => []);
+        const cleaningSummaries = [];
+        let analyzedCount = 0;
+
+        // Each user's readings are reduced to the pooled values and their hourly medians before the next is loaded
+        await mapWithConcurrency(matchingUsers, POPULATION_CONCURRENCY, async userInfo => {
+            try {
+                const { hourly, readingCount, cleaning } = await loadUserHourlyReadings(userInfo, biomarkerType, cleaningSettings, raw);
+                cleaningSummaries.push(cleaning);
+                if (readingCount < POPULATION_MIN_READINGS) {
+                    return;
+                }
+                analyzedCount++;
+                hourly.forEach((values, hour) => {
+                    if (values.length === 0) return;
+                    for (const value of values) pooledHourly[hour].push(value);
+                    userMediansHourly[hour].push(calculateQuantile(values.sort((a, b) => a - b), 50));
+                });
+            } catch (userError) {
+                console.warn(`Error processing user ${userInfo.username}:`, userError.message);
+            }
+        });
+
+        res.json({
+            biomarker: biomarkerType,
+            unit: conversion.unit,
+            filters,
+            query: filterQuery,
+            cohortId: cohortId || null,
+            userCount: matchingUsers.length,
+            analyzedCount,
+            ranges: convertRanges(BIOMARKER_REGISTRY[biomarkerType].defaultRanges, biomarkerType, unitSystem),
+            pooled: {
+                ...buildHourlyPercentileCurves(pooledHourly, conversion),
+                readingCounts: pooledHourly.map(values => values.length)
+            },
+            medianOfMedians: {
+                ...buildHourlyPercentileCurves(userMediansHourly, conversion),
+                userCounts: userMediansHourly.map(values => values.length)
+            },
+            cleaning: combineCleaningSummaries(cleaningSummaries, cleaningSettings, raw)
+        });
+    } catch (error) {
+        console.error('Error building population AGP:', error);
+        res.status(500).json({ error: 'Failed to build population AGP' });
+    }
+});
+
+// GET /api/reference-accuracy/:biomarker
+// Pools sensor accuracy against reference measurements over a cohort: the metrics of every pair of all matching
+// users with reference measurements (as in /user-reference-accuracy), and each user's own metrics
+// Optional query: the population filters (gender, ageMin, ageMax, ...), query (filter expression), cohortId,
+// window, method, parkesType, units=conventional|si
+app.get('/api/reference-accuracy/:biomarker', authenticateToken, async (req, res) => {
+    try {
+        const { biomarker: biomarkerType } = req.params;
+        if (!isKnownBiomarker(biomarkerType)) {
+            return res.status(400).json({ error: unknownBiomarkerError() });
+        }
+
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+        const conversion = getUnitConversion(biomarkerType, unitSystem);
+
+        const { units, cohortId, query: queryParam, window: windowParam, method, parkesType, ...filterParams } = req.query;
+        const { options, error: optionsError } = parseAccuracyOptions({ window: windowParam, method, parkesType });
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+        const { filters, error: filtersError } = parsePopulationFilters(filterParams);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
+        }
+        const { expression: filterQuery, error: queryError } = parseFilterQueryParam(queryParam);
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+
+        const { usernames: cohortMembers, error: cohortError, status: cohortStatus } = await resolveCohortParam(cohortId, req.user);
+        if (cohortError) {
+            return res.status(cohortStatus).json({ error: cohortError });
+        }
+
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        const allData = await getFileTrackerData();
+        const matchingUsers = allData.filter(userInfo =>
+            accessibleUsernames.includes(userInfo.username) && (!cohortMembers || cohortMembers.includes(userInfo.username)) &&
+            matchesPopulationFilters(userInfo, filters, filterQuery));
+
+        const db = client.db('s3-mongodb-db');
+        const measuredUsernames = await db.collection(REFERENCE_MEASUREMENTS_COLLECTION).distinct('username', {
+            username: { $in: matchingUsers.map(userInfo => userInfo.username) },
+            biomarker: biomarkerType,
+            ...(options.method && { method: options.method })
+        });
+
+        const users = [];
+        const pooledPairs = [];
+        await mapWithConcurrency(measuredUsernames, POPULATION_CONCURRENCY, async username => {
+            try {
+                const { measurements, pairDetails, error } = await loadUserReferencePairs(username, biomarkerType, options);
+                if (error) {
+                    console.warn(`Skipping reference accuracy of ${username}: ${error}`);
+                    return;
+                }
+                users.push({
+                    username,
+                    referenceCount: measurements.length,
+                    pairedReferences: new Set(pairDetails.map(p => p.timestamp)).size,
+                    metrics: calculateAccuracyMetrics(pairDetails)
+                });
+                for (const pair of pairDetails) pooledPairs.push({ username, ...pair });
+            } catch (userError) {
+                console.warn(`Error processing user ${username}:`, userError.message);
+            }
+        });
+        users.sort((a, b) => a.username.localeCompare(b.username));
+        pooledPairs.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        const { overall, channels } = calculateChannelAccuracy(pooledPairs);
+        res.json({
+            biomarker: biomarkerType,
+            unit: conversion.unit,
+            filters,
+            query: filterQuery,
+            cohortId: cohortId || null,
+            userCount: matchingUsers.length,
+            measuredCount: users.length,
+            analyzedCount: users.filter(user => user.metrics).length,
+            ...convertValueFields({
+                summary: {
+                    referenceCount: users.reduce((acc, user) => acc + user.referenceCount, 0),
+                    pairedReferences: users.reduce((acc, user) => acc + user.pairedReferences, 0),
+                    ...options,
+                    errorGrids: biomarkerHasFeature(biomarkerType, 'errorGrids')
+                },
+                criterion: BIOMARKER_REGISTRY[biomarkerType].accuracy,
+                overall,
+                channels,
+                users,
+                pairs: pooledPairs
+            }, ACCURACY_VALUE_KEYS, conversion),
+            errorGridLines: biomarkerHasFeature(biomarkerType, 'errorGrids') ? getErrorGridLines(options.parkesType, conversion) : null
+        });
+    } catch (error) {
+        console.error('Error calculating cohort reference accuracy:', error);
+        res.status(500).json({ error: 'Failed to calculate cohort reference accuracy' });
+    }
+});
+
 // GET /api/demographic-tags - Get all available demographic tags and their possible values
 app.get('/api/demographic-tags', authenticateToken, async (req, res) => {
     try {
@@ -3001,7 +8026,29 @@ app.get('/api/demographic-tags', authenticateToken, async (req, res) => {
     }
 });
 
+// Helper function to build the data entries query for demographic filters (the form filters of
+// POST /api/demographic-filter) and a filter expression, limited to the users `user` may see; extraConditions are
+// added to the filter conditions. Returns { query } or { error }.
+function buildDemographicFilterQuery(filters, filterQuery, user, extraConditions = []) {
+    const { expression: formExpression, error } = demographicFiltersToExpression(filters);
+    if (error) {
+        return { error };
+    }
+    const expression = combineFilterExpressions(formExpression, filterQuery);
+    const andConditions = [...(expression ? [compileFilterExpression(expression)] : []), ...extraConditions];
+
+    // Doctors can only see their patients, other non-admins only their own data
+    if (!user.admin) {
+        andConditions.push(user.doctor && user.patients
+            ? { username: { $in: user.patients } }
+            : { username: user.username });
+    }
+    return { query: andConditions.length > 0 ? { $and: andConditions } : {} };
+}
+
 // POST /api/demographic-filter - Filter users based on demographic criteria
+// Body: { filters, query, page, limit, cohortId } - query is a filter expression (see FILTER_FIELD_ALIASES) combined
+// with the form filters; cohortId limits the results to the members of a saved cohort
 app.post('/api/demographic-filter', authenticateToken, async (req, res) => {
     try {
         // Only admins and doctors can access demographic filtering
@@ -3009,7 +8056,7 @@ app.post('/api/demographic-filter', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to access demographic filtering' });
         }
 
-        const { filters, page = 0, limit = 25 } = req.body;
+        const { filters = {}, query: requestedQuery, page = 0, limit = 25, cohortId } = req.body;
         
         // Log the incoming request
         console.log('Demographic filter request:', {
@@ -3021,222 +8068,29 @@ app.post('/api/demographic-filter', authenticateToken, async (req, res) => {
             isDoctor: req.user.doctor
         });
         
-        if (!filters || Object.keys(filters).length === 0) {
+        if (Object.keys(filters).length === 0 && !requestedQuery && !cohortId) {
             console.log('No filters provided, returning empty result');
             return res.json({ users: [], totalCount: 0 });
         }
 
-        const db = client.db('s3-mongodb-db');
-        const collection = db.collection('s3-mongodb-data-entries');
-        
-        // Build MongoDB query from filters
-        const query = {};
-        const andConditions = [];
-        
-        for (const [filterKey, filterValue] of Object.entries(filters)) {
-            if (filterValue === null || filterValue === undefined) continue;
-            
-            switch (filterKey) {
-                case 'device_info.gender':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.gender': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'age_range':
-                    if (Array.isArray(filterValue) && filterValue.length === 2) {
-                        andConditions.push({
-                            $or: [
-                                { 'device_info.age': { $gte: filterValue[0], $lte: filterValue[1] } },
-                                { 'personal_information.age': { $gte: filterValue[0], $lte: filterValue[1] } }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.institution':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'personal_information.institution': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'personal_information.pregnant':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.pregnant': filterValue },
-                                { 'personal_information.Pregnant': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.diabetes':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.diabetes': filterValue },
-                                { 'personal_information.Diabete': filterValue },
-                                { 'personal_information.diabete': filterValue },
-                                { 'personal_information.Diabetes': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.high_bp':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.high_bp': filterValue },
-                                { 'personal_information.High BP': filterValue },
-                                { 'personal_information.High Blood Pressure': filterValue },
-                                { 'personal_information.hypertension': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.smokes':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({ 'personal_information.smokes': filterValue });
-                    }
-                    break;
-                    
-                case 'personal_information.drinks':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({ 'personal_information.drinks': filterValue });
-                    }
-                    break;
-                    
-                case 'personal_information.diet':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'personal_information.diet': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'device_info.deviceID':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.deviceID': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'device_info.arm':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.arm': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'conditions':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        const conditionQueries = [];
-                        for (const condition of filterValue) {
-                            switch (condition) {
-                                case 'Type 1 Diabetes':
-                                case 'Type 2 Diabetes':
-                                    conditionQueries.push({
-                                        $or: [
-                                            { 'personal_information.diabetes': true },
-                                            { 'personal_information.Diabete': true },
-                                            { 'personal_information.diabete': true },
-                                            { 'personal_information.Diabetes': true }
-                                        ]
-                                    });
-                                    break;
-                                case 'Hypertension':
-                                    conditionQueries.push({
-                                        $or: [
-                                            { 'personal_information.high_bp': true },
-                                            { 'personal_information.High BP': true },
-                                            { 'personal_information.High Blood Pressure': true },
-                                            { 'personal_information.hypertension': true }
-                                        ]
-                                    });
-                                    break;
-                                case 'Gestational Diabetes':
-                                    conditionQueries.push({
-                                        $and: [
-                                            {
-                                                $or: [
-                                                    { 'personal_information.pregnant': true },
-                                                    { 'personal_information.Pregnant': true }
-                                                ]
-                                            },
-                                            {
-                                                $or: [
-                                                    { 'personal_information.diabetes': true },
-                                                    { 'personal_information.Diabete': true },
-                                                    { 'personal_information.diabete': true },
-                                                    { 'personal_information.Diabetes': true }
-                                                ]
-                                            }
-                                        ]
-                                    });
-                                    break;
-                            }
-                        }
-                        if (conditionQueries.length > 0) {
-                            andConditions.push({ $or: conditionQueries });
-                        }
-                    }
-                    break;
-                    
-                case 'custom_search':
-                    if (typeof filterValue === 'string' && filterValue.trim()) {
-                        // Parse custom search format: "tag_name=value"
-                        const searchTerms = filterValue.split(',').map(term => term.trim());
-                        const customQueries = [];
-                        
-                        for (const term of searchTerms) {
-                            const [key, value] = term.split('=').map(s => s.trim());
-                            if (key && value !== undefined) {
-                                // Try to parse value as boolean, number, or keep as string
-                                let parsedValue = value;
-                                if (value === 'true') parsedValue = true;
-                                else if (value === 'false') parsedValue = false;
-                                else if (!isNaN(value)) parsedValue = parseFloat(value);
-                                
-                                customQueries.push({
-                                    $or: [
-                                        { [`personal_information.${key}`]: parsedValue },
-                                        { [`device_info.${key}`]: parsedValue }
-                                    ]
-                                });
-                            }
-                        }
-                        
-                        if (customQueries.length > 0) {
-                            andConditions.push({ $and: customQueries });
-                        }
-                    }
-                    break;
-            }
+        const { expression: filterQuery, error: queryError } = requestedQuery ? parseFilterExpression(requestedQuery) : { expression: null };
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
         }
-        
-        // Apply authorization filters
-        if (andConditions.length > 0) {
-            query.$and = andConditions;
+
+        const { usernames: cohortMembers, error: cohortError, status: cohortStatus } = await resolveCohortParam(cohortId, req.user);
+        if (cohortError) {
+            return res.status(cohortStatus).json({ error: cohortError });
         }
+
+        const db = client.db('s3-mongodb-db');
+        const collection = db.collection('s3-mongodb-data-entries');
         
-        // Add authorization conditions
-        if (!req.user.admin) {
-            // Doctors can only see their patients
-            if (req.user.doctor && req.user.patients) {
-                const authCondition = { username: { $in: req.user.patients } };
-                if (query.$and) {
-                    query.$and.push(authCondition);
-                } else {
-                    query.$and = [authCondition];
-                }
-            } else {
-                // Non-doctors can only see their own data
-                const authCondition = { username: req.user.username };
-                if (query.$and) {
-                    query.$and.push(authCondition);
-                } else {
-                    query.$and = [authCondition];
-                }
-            }
+        // Build MongoDB query from filters
+        const { query, error: filtersError } = buildDemographicFilterQuery(filters, filterQuery, req.user,
+            cohortMembers ? [{ username: { $in: cohortMembers } }] : []);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
         }
         
         console.log('Demographic filter query:', JSON.stringify(query, null, 2));
@@ -3270,7 +8124,262 @@ app.post('/api/demographic-filter', authenticateToken, async (req, res) => {
     }
 });
 
-// POST /api/demographic-filter/export - Export filtered results to CSV
+// Cohort exports (POST /api/demographic-filter/export, GET /filetracker/download-csv). Formats: csv (demographics),
+// xlsx (a Demographics and a Metrics sheet), ndjson (one user per line with their demographics and metrics) and
+// zip (demographics.csv and readings/<username>.csv for the date window). Users are written as they are read from
+// the database, so the file is never built in memory.
+const EXPORT_FORMATS = ['csv', 'xlsx', 'ndjson', 'zip'];
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ndjson: 'application/x-ndjson',
+    zip: 'application/zip'
+};
+// Users whose metrics are loaded together (calculated POPULATION_CONCURRENCY at a time)
+const EXPORT_METRICS_BATCH_SIZE = 50;
+
+// Demographic columns of POST /api/demographic-filter/export ({ label, value(record) })
+const DEMOGRAPHIC_EXPORT_COLUMNS = [
+    { label: 'Username', value: user => user.username || '' },
+    { label: 'Age', value: user => user.device_info?.age || user.personal_information?.age || '' },
+    { label: 'Gender', value: user => user.device_info?.gender || '' },
+    { label: 'Institution', value: user => user.personal_information?.institution || '' },
+    { label: 'Pregnant', value: user => user.personal_information?.pregnant ? 'Yes' : 'No' },
+    { label: 'Diabetes', value: user => (user.personal_information?.diabetes || user.personal_information?.Diabete || user.personal_information?.diabete) ? 'Yes' : 'No' },
+    { label: 'High BP', value: user => (user.personal_information?.high_bp || user.personal_information?.['High BP'] || user.personal_information?.hypertension) ? 'Yes' : 'No' },
+    { label: 'Smokes', value: user => user.personal_information?.smokes ? 'Yes' : 'No' },
+    { label: 'Drinks', value: user => user.personal_information?.drinks ? 'Yes' : 'No' },
+    { label: 'Device ID', value: user => user.device_info?.deviceID || '' },
+    { label: 'Arm', value: user => user.device_info?.arm || '' },
+    { label: 'Last Updated', value: user => user.updated_at ? new Date(user.updated_at).toISOString() : '' }
+];
+
+// Helper function to get the per-user metric columns of the xlsx Metrics sheet
+// (mean glucose in the export's glucose unit, the others in %)
+function getExportMetricColumns(conversion) {
+    return [
+        { label: 'Username', value: row => row.username },
+        { label: 'Readings', value: row => row.readingCount },
+        { label: 'First Reading', value: row => row.firstReading },
+        { label: 'Last Reading', value: row => row.lastReading },
+        ...POPULATION_GROUP_METRICS.map(metric => ({
+            label: `${POPULATION_METRIC_LABELS[metric]} (${metric === 'meanGlucose' ? conversion.unit : '%'})`,
+            value: row => row[metric]
+        }))
+    ];
+}
+
+// Helper function to validate the format, start and end options of a cohort export (format defaults to csv;
+// start and end limit the readings of the zip bundle). Returns { format, timeRange } or { error }
+function parseExportOptions({ format = 'csv', start, end }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` };
+    }
+    const timeRange = {
+        start: start ? parseWindowDate(start) : null,
+        end: end ? parseWindowDate(end, true) : null
+    };
+    if ((timeRange.start && isNaN(timeRange.start.getTime())) || (timeRange.end && isNaN(timeRange.end.getTime()))) {
+        return { error: 'Invalid start or end date' };
+    }
+    if (timeRange.start && timeRange.end && timeRange.start >= timeRange.end) {
+        return { error: 'start must be before end' };
+    }
+    return { format, timeRange };
+}
+
+// Helper function to format one CSV line, every field quoted
+function formatCsvLine(values) {
+    return values.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(',') + '\n';
+}
+
+// Helper function to write to a stream, waiting while its buffer is full; fails once the stream is closed
+async function writeToStream(stream, chunk) {
+    if (stream.destroyed) {
+        throw new Error('Export stream closed');
+    }
+    if (!stream.write(chunk)) {
+        await new Promise(resolve => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.on('drain', done);
+            stream.on('close', done);
+        });
+    }
+}
+
+// Helper function to read a cursor in batches of up to `size` records
+async function* readCursorBatches(cursor, size) {
+    let batch = [];
+    for await (const record of cursor) {
+        batch.push(record);
+        if (batch.length >= size) {
+            yield batch;
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        yield batch;
+    }
+}
+
+// Helper function to load the per-user metrics of a batch of user records (as in GET /api/population-analysis:
+// cleaned glucose, from the derived statistics cache); mean glucose is converted with the glucose unit conversion.
+// Metrics are null for users without enough readings.
+async function loadExportUserMetrics(records, cleaningSettings, conversion) {
+    const summaries = await loadPopulationUserSummaries(records, cleaningSettings, false);
+    return records.map((record, index) => {
+        const summary = summaries[index]?.summary;
+        const metrics = summary?.statistics ? getPopulationUserMetrics(summary.statistics) : {};
+        return {
+            username: record.username,
+            readingCount: summary?.readingCount ?? 0,
+            firstReading: summary?.firstDate ? new Date(summary.firstDate).toISOString() : null,
+            lastReading: summary?.lastDate ? new Date(summary.lastDate).toISOString() : null,
+            ...Object.fromEntries(POPULATION_GROUP_METRICS.map(metric => [metric, metrics[metric] ?? null])),
+            meanGlucose: convertBiomarkerValue(metrics.meanGlucose ?? null, { ...conversion, places: conversion.decimals + 1 })
+        };
+    });
+}
+
+// Helper function to stream a cohort export to the response.
+// openCursor returns a new cursor over the user records in username order (xlsx reads them twice);
+// columns are the demographic columns ({ label, value(record) }); timeRange limits the zip bundle's readings;
+// unitSystem is the unit system of the exported values (see resolveUnitSystem)
+async function streamCohortExport(res, { format, timeRange, unitSystem, filename, openCursor, columns }) {
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}_${new Date().toISOString().split('T')[0]}.${format}"`);
+    const cleaningSettings = format === 'xlsx' || format === 'ndjson' ? await getCleaningSettings('glucose') : null;
+    const glucoseConversion = getUnitConversion('glucose', unitSystem);
+
+    if (format === 'csv') {
+        await writeToStream(res, formatCsvLine(columns.map(column => column.label)));
+        for await (const record of openCursor()) {
+            await writeToStream(res, formatCsvLine(columns.map(column => column.value(record))));
+        }
+        res.end();
+        return;
+    }
+
+    if (format === 'ndjson') {
+        for await (const batch of readCursorBatches(openCursor(), EXPORT_METRICS_BATCH_SIZE)) {
+            const userMetrics = await loadExportUserMetrics(batch, cleaningSettings, glucoseConversion);
+            const lines = batch.map((record, index) => {
+                const { username, ...metrics } = userMetrics[index];
+                const demographics = Object.fromEntries(columns.map(column => [column.label, column.value(record)]));
+                return JSON.stringify({ username, demographics, metrics: { ...metrics, meanGlucoseUnit: glucoseConversion.unit } }) + '\n';
+            });
+            await writeToStream(res, lines.join(''));
+        }
+        res.end();
+        return;
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const demographicsSheet = workbook.addWorksheet('Demographics');
+        demographicsSheet.addRow(columns.map(column => column.label)).commit();
+        for await (const record of openCursor()) {
+            demographicsSheet.addRow(columns.map(column => column.value(record))).commit();
+        }
+        demographicsSheet.commit();
+
+        const metricsSheet = workbook.addWorksheet('Metrics');
+        const metricColumns = getExportMetricColumns(glucoseConversion);
+        metricsSheet.addRow(metricColumns.map(column => column.label)).commit();
+        for await (const batch of readCursorBatches(openCursor(), EXPORT_METRICS_BATCH_SIZE)) {
+            (await loadExportUserMetrics(batch, cleaningSettings, glucoseConversion)).forEach(row => {
+                metricsSheet.addRow(metricColumns.map(column => column.value(row))).commit();
+            });
+        }
+        metricsSheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    // zip: every file is a stream the archive reads in turn; a closed response aborts the archive
+    const archive = archiver('zip');
+    let entry = null;
+    const appendEntry = (name) => {
+        entry = new PassThrough();
+        archive.append(entry, { name });
+        return entry;
+    };
+    const archiveError = new Promise((resolve, reject) => archive.on('error', error => {
+        entry?.destroy();
+        reject(error);
+    }));
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            archive.abort();
+            entry?.destroy();
+        }
+    });
+    archive.pipe(res);
+
+    // Readings are converted to the export's unit system, each with its biomarker's unit
+    const readingConversions = Object.fromEntries(Object.keys(BIOMARKER_REGISTRY)
+        .map(biomarkerType => [biomarkerType, getUnitConversion(biomarkerType, unitSystem)]));
+
+    const build = async () => {
+        // The users' datasets are kept for their readings files (one per username)
+        const datasets = new Map();
+        const demographics = appendEntry('demographics.csv');
+        await writeToStream(demographics, formatCsvLine(columns.map(column => column.label)));
+        for await (const record of openCursor()) {
+            await writeToStream(demographics, formatCsvLine(columns.map(column => column.value(record))));
+            if (record.username && !datasets.has(record.username)) {
+                datasets.set(record.username, record.etag || null);
+            }
+        }
+        demographics.end();
+
+        // Usernames that sanitize to the same file name (e.g. a@b and a_b; compared ignoring case, as extracted on
+        // Windows and macOS) get a numbered suffix
+        const fileNames = new Set();
+        for (const [username, dataset] of datasets) {
+            const baseName = username.replace(/[^\w.-]/g, '_');
+            let fileName = baseName;
+            for (let suffix = 2; fileNames.has(fileName.toLowerCase()); suffix++) {
+                fileName = `${baseName}_${suffix}`;
+            }
+            fileNames.add(fileName.toLowerCase());
+            const readings = appendEntry(`readings/${fileName}.csv`);
+            await writeToStream(readings, formatCsvLine(['Timestamp', 'Biomarker', 'Sensor', 'Value', 'Unit']));
+            if (dataset && await ensureEntryReadings(dataset)) {
+                for await (const reading of await openReadingsCursor(dataset, null, timeRange)) {
+                    const conversion = readingConversions[reading.biomarker];
+                    await writeToStream(readings, formatCsvLine([
+                        new Date(reading.timestamp).toISOString(), reading.biomarker, reading.sensor,
+                        conversion ? convertBiomarkerValue(reading.value, conversion) : reading.value, conversion?.unit
+                    ]));
+                }
+            }
+            readings.end();
+        }
+        await archive.finalize();
+    };
+    await Promise.race([build(), archiveError]);
+}
+
+// Helper function to report a failed export: a JSON error while nothing has been sent, otherwise the download is cut off
+function sendExportError(res, message) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: message });
+}
+
+// POST /api/demographic-filter/export - Export filtered results
+// Body: { filters, query, cohortId } as in POST /api/demographic-filter, format=csv|xlsx|ndjson|zip (default csv; see
+// EXPORT_FORMATS), start, end (ISO dates, the readings window of the zip bundle), units=conventional|si (mean glucose
+// and readings; default: the user's preference)
 app.post('/api/demographic-filter/export', authenticateToken, async (req, res) => {
     try {
         // Only admins and doctors can export demographic data
@@ -3278,266 +8387,408 @@ app.post('/api/demographic-filter/export', authenticateToken, async (req, res) =
             return res.status(403).json({ error: 'Not authorized to export demographic data' });
         }
 
-        const { filters } = req.body;
+        const { filters = {}, query: requestedQuery, cohortId } = req.body;
         
-        if (!filters || Object.keys(filters).length === 0) {
+        if (Object.keys(filters).length === 0 && !requestedQuery && !cohortId) {
             return res.status(400).json({ error: 'No filters provided for export' });
         }
 
+        const { format, timeRange, error: optionsError } = parseExportOptions(req.body);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
+        const { unitSystem, error: unitsError } = await resolveUnitSystem(req);
+        if (unitsError) {
+            return res.status(400).json({ error: unitsError });
+        }
+
+        const { expression: filterQuery, error: queryError } = requestedQuery ? parseFilterExpression(requestedQuery) : { expression: null };
+        if (queryError) {
+            return res.status(400).json({ error: queryError });
+        }
+
+        const { usernames: cohortMembers, error: cohortError, status: cohortStatus } = await resolveCohortParam(cohortId, req.user);
+        if (cohortError) {
+            return res.status(cohortStatus).json({ error: cohortError });
+        }
+
         // Use the same filtering logic as the main filter endpoint
         // but without pagination to get all results
         const db = client.db('s3-mongodb-db');
         const collection = db.collection('s3-mongodb-data-entries');
         
         // Build MongoDB query from filters (same logic as filter endpoint)
-        const query = {};
-        const andConditions = [];
+        const { query, error: filtersError } = buildDemographicFilterQuery(filters, filterQuery, req.user,
+            cohortMembers ? [{ username: { $in: cohortMembers } }] : []);
+        if (filtersError) {
+            return res.status(400).json({ error: filtersError });
+        }
         
-        for (const [filterKey, filterValue] of Object.entries(filters)) {
-            if (filterValue === null || filterValue === undefined) continue;
-            
-            switch (filterKey) {
-                case 'device_info.gender':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.gender': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'age_range':
-                    if (Array.isArray(filterValue) && filterValue.length === 2) {
-                        andConditions.push({
-                            $or: [
-                                { 'device_info.age': { $gte: filterValue[0], $lte: filterValue[1] } },
-                                { 'personal_information.age': { $gte: filterValue[0], $lte: filterValue[1] } }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.institution':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'personal_information.institution': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'personal_information.pregnant':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.pregnant': filterValue },
-                                { 'personal_information.Pregnant': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.diabetes':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.diabetes': filterValue },
-                                { 'personal_information.Diabete': filterValue },
-                                { 'personal_information.diabete': filterValue },
-                                { 'personal_information.Diabetes': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.high_bp':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({
-                            $or: [
-                                { 'personal_information.high_bp': filterValue },
-                                { 'personal_information.High BP': filterValue },
-                                { 'personal_information.High Blood Pressure': filterValue },
-                                { 'personal_information.hypertension': filterValue }
-                            ]
-                        });
-                    }
-                    break;
-                    
-                case 'personal_information.smokes':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({ 'personal_information.smokes': filterValue });
-                    }
-                    break;
-                    
-                case 'personal_information.drinks':
-                    if (typeof filterValue === 'boolean') {
-                        andConditions.push({ 'personal_information.drinks': filterValue });
-                    }
-                    break;
-                    
-                case 'personal_information.diet':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'personal_information.diet': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'device_info.deviceID':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.deviceID': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'device_info.arm':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        andConditions.push({ 'device_info.arm': { $in: filterValue } });
-                    }
-                    break;
-                    
-                case 'conditions':
-                    if (Array.isArray(filterValue) && filterValue.length > 0) {
-                        const conditionQueries = [];
-                        for (const condition of filterValue) {
-                            switch (condition) {
-                                case 'Type 1 Diabetes':
-                                case 'Type 2 Diabetes':
-                                case 'Gestational Diabetes':
-                                    conditionQueries.push({
-                                        $or: [
-                                            { 'personal_information.diabetes': true },
-                                            { 'personal_information.Diabete': true },
-                                            { 'personal_information.diabete': true }
-                                        ]
-                                    });
-                                    break;
-                                case 'Hypertension':
-                                    conditionQueries.push({
-                                        $or: [
-                                            { 'personal_information.high_bp': true },
-                                            { 'personal_information.High BP': true },
-                                            { 'personal_information.hypertension': true }
-                                        ]
-                                    });
-                                    break;
-                            }
-                        }
-                        if (conditionQueries.length > 0) {
-                            andConditions.push({ $or: conditionQueries });
-                        }
-                    }
-                    break;
-                    
-                case 'custom_search':
-                    if (typeof filterValue === 'string' && filterValue.trim()) {
-                        const searchTerms = filterValue.split(',').map(term => term.trim());
-                        const customQueries = [];
-                        
-                        for (const term of searchTerms) {
-                            const [key, value] = term.split('=').map(s => s.trim());
-                            if (key && value !== undefined) {
-                                let parsedValue = value;
-                                if (value === 'true') parsedValue = true;
-                                else if (value === 'false') parsedValue = false;
-                                else if (!isNaN(value)) parsedValue = parseFloat(value);
-                                
-                                customQueries.push({
-                                    $or: [
-                                        { [`personal_information.${key}`]: parsedValue },
-                                        { [`device_info.${key}`]: parsedValue }
-                                    ]
-                                });
-                            }
-                        }
-                        
-                        if (customQueries.length > 0) {
-                            andConditions.push({ $and: customQueries });
-                        }
-                    }
-                    break;
+        await streamCohortExport(res, {
+            format,
+            timeRange,
+            unitSystem,
+            filename: 'demographic_filter',
+            columns: DEMOGRAPHIC_EXPORT_COLUMNS,
+            openCursor: () => collection
+                .find(query)
+                .project({
+                    username: 1,
+                    etag: 1,
+                    personal_information: 1,
+                    device_info: 1,
+                    updated_at: 1
+                })
+                .sort({ username: 1 })
+        });
+        
+    } catch (error) {
+        console.error('Error exporting demographic filter results:', error);
+        sendExportError(res, 'Failed to export demographic filter results');
+    }
+});
+
+// Saved cohorts: named population definitions stored on the server so colleagues can reuse them
+const COHORTS_COLLECTION = 's3-mongodb-cohorts';
+// private: the owner only; team: every admin and doctor; institution: admins and doctors of the owner's institution
+const COHORT_SCOPES = ['private', 'team', 'institution'];
+// demographic: filters as in POST /api/demographic-filter; population: filters as in /api/population-analysis
+const COHORT_DEFINITION_TYPES = ['demographic', 'population'];
+
+// Helper function to get a user's institution from their file tracker record (null when not set)
+async function getUserInstitution(username) {
+    const user = await findUser(username);
+    return user?.personal_information?.institution || null;
+}
+
+// Helper function to build the query for the cohorts a user can see (admins see every cohort)
+async function getVisibleCohortsQuery(user) {
+    if (user.admin) {
+        return {};
+    }
+    const institution = await getUserInstitution(user.username);
+    return {
+        $or: [
+            { owner: user.username },
+            { scope: 'team' },
+            ...(institution ? [{ scope: 'institution', institution }] : [])
+        ]
+    };
+}
+
+// Helper function to validate the cohort fields of a request body; with partial only the fields given are checked.
+// Returns { fields } or { error }.
+function parseCohortFields(body, partial = false) {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'name is required' };
+        }
+        fields.name = body.name.trim();
+    }
+    if (!partial || body.scope !== undefined) {
+        const scope = body.scope ?? 'private';
+        if (!COHORT_SCOPES.includes(scope)) {
+            return { error: `Invalid scope. Must be one of: ${COHORT_SCOPES.join(', ')}` };
+        }
+        fields.scope = scope;
+    }
+    if (!partial || body.definition !== undefined) {
+        const { type, filters = {}, query = null } = body.definition || {};
+        if (!COHORT_DEFINITION_TYPES.includes(type)) {
+            return { error: `Invalid definition type. Must be one of: ${COHORT_DEFINITION_TYPES.join(', ')}` };
+        }
+        if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+            return { error: 'definition.filters must be an object' };
+        }
+        const { expression, error: queryError } = query ? parseFilterExpression(query, 'definition.query') : { expression: null };
+        if (queryError) {
+            return { error: queryError };
+        }
+        if (type === 'population') {
+            const { filters: populationFilters, error } = parsePopulationFilters(filters);
+            if (error) {
+                return { error };
+            }
+            fields.definition = { type, filters: populationFilters, query: expression };
+        } else {
+            const { error } = demographicFiltersToExpression(filters);
+            if (error) {
+                return { error };
             }
+            fields.definition = { type, filters, query: expression };
         }
-        
-        // Apply filters
-        if (andConditions.length > 0) {
-            query.$and = andConditions;
+    }
+    return { fields };
+}
+
+// Helper function to evaluate a cohort definition now: the usernames matching its filters that `user` may see
+async function evaluateCohortDefinition(definition, user) {
+    if (definition.type === 'population') {
+        const accessibleUsernames = await getAccessibleUsers(user);
+        const allData = await getFileTrackerData();
+        return allData
+            .filter(userInfo => accessibleUsernames.includes(userInfo.username) &&
+                matchesPopulationFilters(userInfo, definition.filters, definition.query))
+            .map(userInfo => userInfo.username);
+    }
+    const collection = client.db('s3-mongodb-db').collection('s3-mongodb-data-entries');
+    const { query } = buildDemographicFilterQuery(definition.filters, definition.query || null, user);
+    return collection.distinct('username', query);
+}
+
+// Helper function to get a cohort's members as seen by `user`: its frozen snapshot when it has one, otherwise its
+// definition evaluated now - either way limited to the users `user` may see
+async function getCohortMembers(cohort, user) {
+    if (cohort.snapshot) {
+        const accessibleUsernames = await getAccessibleUsers(user);
+        return cohort.snapshot.usernames.filter(username => accessibleUsernames.includes(username));
+    }
+    return evaluateCohortDefinition(cohort.definition, user);
+}
+
+// Helper function to load a cohort the user can see. Returns { cohort } or { error, status }.
+async function findVisibleCohort(cohortId, user) {
+    if (!ObjectId.isValid(cohortId)) {
+        return { error: 'Cohort not found', status: 404 };
+    }
+    const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+    const cohort = await collection.findOne({ $and: [{ _id: new ObjectId(cohortId) }, await getVisibleCohortsQuery(user)] });
+    return cohort ? { cohort } : { error: 'Cohort not found', status: 404 };
+}
+
+// Helper function to resolve an optional cohortId request parameter to the cohort and its members.
+// Returns { cohort, usernames } (both null without a cohortId) or { error, status }.
+async function resolveCohortParam(cohortId, user) {
+    if (cohortId === undefined || cohortId === null || cohortId === '') {
+        return { cohort: null, usernames: null };
+    }
+    if (!user.admin && !user.doctor) {
+        return { error: 'Not authorized to use saved cohorts', status: 403 };
+    }
+    const { cohort, error, status } = await findVisibleCohort(String(cohortId), user);
+    if (error) {
+        return { error, status };
+    }
+    return { cohort, usernames: await getCohortMembers(cohort, user) };
+}
+
+// Helper function to shape a cohort for a response; snapshot members are limited to the users the requester may see
+function formatCohort(cohort, user, accessibleUsernames) {
+    const { _id, snapshot, ...rest } = cohort;
+    const visibleMembers = snapshot ? snapshot.usernames.filter(username => accessibleUsernames.includes(username)) : null;
+    return {
+        id: _id.toString(),
+        ...rest,
+        snapshot: snapshot ? { taken_at: snapshot.taken_at, memberCount: visibleMembers.length } : null,
+        editable: !!user.admin || cohort.owner === user.username
+    };
+}
+
+// Creates the saved cohorts indexes
+async function ensureCohortIndexes() {
+    const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+    await collection.createIndex({ owner: 1 });
+    await collection.createIndex({ scope: 1, institution: 1 });
+}
+
+// GET /api/cohorts
+// Returns the saved cohorts the user can see: their own, team cohorts and their institution's (admins see all)
+// Optional query: type=demographic|population (definition type)
+app.get('/api/cohorts', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user.admin && !req.user.doctor) {
+            return res.status(403).json({ error: 'Not authorized to access saved cohorts' });
         }
-        
-        // Apply authorization filters
-        if (!req.user.admin) {
-            if (req.user.doctor && req.user.patients) {
-                const authCondition = { username: { $in: req.user.patients } };
-                if (query.$and) {
-                    query.$and.push(authCondition);
-                } else {
-                    query.$and = [authCondition];
-                }
-            } else {
-                const authCondition = { username: req.user.username };
-                if (query.$and) {
-                    query.$and.push(authCondition);
-                } else {
-                    query.$and = [authCondition];
-                }
+
+        const query = await getVisibleCohortsQuery(req.user);
+        if (req.query.type) {
+            if (!COHORT_DEFINITION_TYPES.includes(req.query.type)) {
+                return res.status(400).json({ error: `Invalid type. Must be one of: ${COHORT_DEFINITION_TYPES.join(', ')}` });
             }
+            query['definition.type'] = req.query.type;
         }
-        
-        const users = await collection
-            .find(query)
-            .project({
-                username: 1,
-                personal_information: 1,
-                device_info: 1,
-                updated_at: 1
-            })
-            .sort({ username: 1 })
-            .toArray();
-        
-        // Convert to CSV format
-        const csvHeaders = [
-            'Username',
-            'Age', 
-            'Gender',
-            'Institution',
-            'Pregnant',
-            'Diabetes',
-            'High BP',
-            'Smokes',
-            'Drinks',
-            'Device ID',
-            'Arm',
-            'Last Updated'
-        ];
-        
-        const csvRows = users.map(user => [
-            user.username || '',
-            user.device_info?.age || user.personal_information?.age || '',
-            user.device_info?.gender || '',
-            user.personal_information?.institution || '',
-            user.personal_information?.pregnant ? 'Yes' : 'No',
-            (user.personal_information?.diabetes || user.personal_information?.Diabete || user.personal_information?.diabete) ? 'Yes' : 'No',
-            (user.personal_information?.high_bp || user.personal_information?.['High BP'] || user.personal_information?.hypertension) ? 'Yes' : 'No',
-            user.personal_information?.smokes ? 'Yes' : 'No',
-            user.personal_information?.drinks ? 'Yes' : 'No',
-            user.device_info?.deviceID || '',
-            user.device_info?.arm || '',
-            user.updated_at ? new Date(user.updated_at).toISOString() : ''
-        ]);
-        
-        const csvContent = [csvHeaders, ...csvRows]
-            .map(row => row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(','))
-            .join('\n');
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="demographic_filter_${new Date().toISOString().split('T')[0]}.csv"`);
-        res.send(csvContent);
-        
+
+        const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+        const cohorts = await collection.find(query).sort({ name: 1 }).toArray();
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        res.json({ cohorts: cohorts.map(cohort => formatCohort(cohort, req.user, accessibleUsernames)) });
     } catch (error) {
-        console.error('Error exporting demographic filter results:', error);
-        res.status(500).json({ error: 'Failed to export demographic filter results' });
+        console.error('Error fetching saved cohorts:', error);
+        res.status(500).json({ error: 'Failed to fetch saved cohorts' });
     }
 });
 
-// ... existing code ...
+// GET /api/cohorts/:id
+// Returns a saved cohort with its current members (the frozen snapshot, or the definition evaluated now)
+app.get('/api/cohorts/:id', authenticateToken, async (req, res) => {
+    try {
+        const { cohort, usernames, error, status } = await resolveCohortParam(req.params.id, req.user);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        res.json({ ...formatCohort(cohort, req.user, accessibleUsernames), members: usernames });
+    } catch (error) {
+        console.error('Error fetching saved cohort:', error);
+        res.status(500).json({ error: 'Failed to fetch saved cohort' });
+    }
+});
+
+// POST /api/cohorts
+// Saves a cohort owned by the user
+// Body: { name, scope: private|team|institution, definition: { type: demographic|population, filters, query }, freeze }
+// (query: an optional filter expression combined with the filters)
+// (freeze=true also stores the current members as a frozen snapshot)
+app.post('/api/cohorts', authenticateToken, async (req, res) => {
+    try {
+        if (!req.user.admin && !req.user.doctor) {
+            return res.status(403).json({ error: 'Not authorized to save cohorts' });
+        }
+
+        const { fields, error } = parseCohortFields(req.body || {});
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const now = new Date();
+        const cohort = {
+            ...fields,
+            owner: req.user.username,
+            institution: await getUserInstitution(req.user.username),
+            snapshot: req.body.freeze === true
+                ? { usernames: await evaluateCohortDefinition(fields.definition, req.user), taken_at: now }
+                : null,
+            created_at: now,
+            updated_at: now
+        };
+
+        const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+        const { insertedId } = await collection.insertOne(cohort);
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        res.status(201).json(formatCohort({ _id: insertedId, ...cohort }, req.user, accessibleUsernames));
+    } catch (error) {
+        console.error('Error saving cohort:', error);
+        res.status(500).json({ error: 'Failed to save cohort' });
+    }
+});
+
+// PUT /api/cohorts/:id
+// Updates a saved cohort (owner or admin); only the fields given change
+// Body: { name, scope, definition, freeze } - freeze=true takes a new snapshot, freeze=false drops the snapshot
+app.put('/api/cohorts/:id', authenticateToken, async (req, res) => {
+    try {
+        const { cohort, error: findError, status } = await resolveCohortParam(req.params.id, req.user);
+        if (findError) {
+            return res.status(status).json({ error: findError });
+        }
+        if (!req.user.admin && cohort.owner !== req.user.username) {
+            return res.status(403).json({ error: 'Only the owner or an administrator can change this cohort' });
+        }
+
+        const { fields, error } = parseCohortFields(req.body || {}, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const now = new Date();
+        const update = { ...fields, updated_at: now };
+        if (req.body.freeze === true) {
+            update.snapshot = { usernames: await evaluateCohortDefinition(fields.definition || cohort.definition, req.user), taken_at: now };
+        } else if (req.body.freeze === false) {
+            update.snapshot = null;
+        }
+
+        const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+        await collection.updateOne({ _id: cohort._id }, { $set: update });
+        const accessibleUsernames = await getAccessibleUsers(req.user);
+        res.json(formatCohort({ ...cohort, ...update }, req.user, accessibleUsernames));
+    } catch (error) {
+        console.error('Error updating cohort:', error);
+        res.status(500).json({ error: 'Failed to update cohort' });
+    }
+});
 
-// Connect to MongoDB when starting the server
-app.listen(port, async () => {
+// DELETE /api/cohorts/:id
+// Deletes a saved cohort (owner or admin)
+app.delete('/api/cohorts/:id', authenticateToken, async (req, res) => {
     try {
-        await client.connect();
-        console.log(`Server running at http://localhost:${port}`);
+        const { cohort, error, status } = await resolveCohortParam(req.params.id, req.user);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!req.user.admin && cohort.owner !== req.user.username) {
+            return res.status(403).json({ error: 'Only the owner or an administrator can delete this cohort' });
+        }
+
+        const collection = client.db('s3-mongodb-db').collection(COHORTS_COLLECTION);
+        await collection.deleteOne({ _id: cohort._id });
+        res.json({ message: 'Cohort deleted successfully' });
     } catch (error) {
-        console.error('Failed to connect to MongoDB:', error);
+        console.error('Error deleting cohort:', error);
+        res.status(500).json({ error: 'Failed to delete cohort' });
     }
 });
+
+// ... existing code ...
+
+// `node server.js --backfill-readings [--force]` (npm run backfill-readings) fills the readings store
+// from the existing data entries and versions, then exits instead of starting the server
+if (process.argv.includes('--backfill-readings')) {
+    (async () => {
+        try {
+            await client.connect();
+            await ensureReadingsIndexes();
+            const summary = await backfillReadings({ force: process.argv.includes('--force') });
+            console.log('Readings backfill complete:', summary);
+        } catch (error) {
+            console.error('Readings backfill failed:', error);
+            process.exitCode = 1;
+        } finally {
+            await client.close();
+        }
+    })();
+} else {
+    // Connect to MongoDB when starting the server
+    app.listen(port, async () => {
+        try {
+            await client.connect();
+            console.log(`Server running at http://localhost:${port}`);
+        } catch (error) {
+            console.error('Failed to connect to MongoDB:', error);
+            return;
+        }
+
+        try {
+            await ensureReadingsIndexes();
+            watchDataWrites();
+        } catch (error) {
+            console.error('Failed to set up the readings store:', error);
+        }
+
+        try {
+            await ensureDerivedStatsIndexes();
+            watchRangeConfigWrites();
+        } catch (error) {
+            console.error('Failed to set up the derived statistics cache:', error);
+        }
+
+        try {
+            await ensureCohortIndexes();
+        } catch (error) {
+            console.error('Failed to set up the saved cohorts collection:', error);
+        }
+
+        try {
+            await ensureReferenceImportIndexes();
+        } catch (error) {
+            console.error('Failed to set up the reference CGM imports collection:', error);
+        }
+
+        try {
+            await ensureReferenceMeasurementIndexes();
+        } catch (error) {
+            console.error('Failed to set up the reference measurements collection:', error);
+        }
+    });
+}
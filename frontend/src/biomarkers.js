@@ -0,0 +1,104 @@
+// frontend/src/biomarkers.js
+// Biomarker registry served by GET /biomarkers (labels, units, ranges, statistics and features).
+// Components read biomarker details from here instead of hard-coding glucose/cortisol.
+// Units, decimals, default ranges and chart maximum come in the user's preferred unit system;
+// canonicalUnit is the unit values are stored in.
+import { useState, useEffect } from 'react';
+import config from './config';
+
+// Used until the registry has loaded (or if the request fails)
+const FALLBACK_BIOMARKERS = {
+  glucose: {
+    label: 'Glucose',
+    unit: 'mg/dL',
+    canonicalUnit: 'mg/dL',
+    decimals: 0,
+    rangeCategories: ['veryLow', 'low', 'target', 'high', 'veryHigh'],
+    inRangeCategory: 'target',
+    defaultRanges: {
+      veryLow: { min: 0, max: 54 },
+      low: { min: 54, max: 70 },
+      target: { min: 70, max: 180 },
+      high: { min: 180, max: 250 },
+      veryHigh: { min: 250, max: 400 }
+    },
+    chartMax: 400,
+    profileName: 'Ambulatory Glucose Profile',
+    profileAbbreviation: 'AGP',
+    statistics: 'glycemic',
+    features: ['gmi', 'variability', 'episodes', 'errorGrids'],
+    accuracy: { defaultMethod: 'fingerstick', lowThreshold: 100, absoluteLimit: 20, percentLimit: 20 }
+  },
+  cortisol: {
+    label: 'Cortisol',
+    unit: 'ng/mL',
+    canonicalUnit: 'ng/mL',
+    decimals: 3,
+    rangeCategories: ['veryLow', 'low', 'normal', 'high', 'veryHigh'],
+    inRangeCategory: 'normal',
+    defaultRanges: {
+      veryLow: { min: 0, max: 2 },
+      low: { min: 2, max: 5 },
+      normal: { min: 5, max: 15 },
+      high: { min: 15, max: 20 },
+      veryHigh: { min: 20, max: 25 }
+    },
+    chartMax: 20,
+    profileName: 'Ambulatory Cortisol Profile',
+    profileAbbreviation: 'ACP',
+    statistics: 'range',
+    features: ['circadian'],
+    accuracy: { defaultMethod: 'lab', lowThreshold: 5, absoluteLimit: 1, percentLimit: 20 }
+  }
+};
+
+let registryRequest = null;
+// Token the cached registry was fetched with; the registry carries that user's unit system, so a login or
+// logout (a different or no token) fetches it again
+let registryToken = null;
+
+// Fetches the registry once per page load and signed-in user; later callers share the same request
+export const fetchBiomarkers = () => {
+  const token = localStorage.getItem('token');
+  if (!registryRequest || registryToken !== token) {
+    registryToken = token;
+    const request = fetch(`${config.API_URL}/biomarkers`, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load biomarkers (${response.status})`);
+        return response.json();
+      })
+      .then(data => data.biomarkers)
+      .catch(err => {
+        if (registryRequest === request) registryRequest = null; // Retry on the next call
+        throw err;
+      });
+    registryRequest = request;
+  }
+  return registryRequest;
+};
+
+// Drops the cached registry so the next fetch picks up a changed unit preference
+export const resetBiomarkers = () => {
+  registryRequest = null;
+};
+
+// Returns the biomarker registry keyed by biomarker type
+export const useBiomarkers = () => {
+  const [biomarkers, setBiomarkers] = useState(FALLBACK_BIOMARKERS);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBiomarkers()
+      .then(registry => {
+        if (!cancelled) setBiomarkers(registry);
+      })
+      .catch(err => console.warn('Biomarker registry fetch failed, using built-in defaults:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  return biomarkers;
+};
+
+export const hasFeature = (biomarker, feature) => !!biomarker?.features?.includes(feature);
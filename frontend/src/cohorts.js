@@ -0,0 +1,78 @@
+// frontend/src/cohorts.js
+// Saved cohorts served by /api/cohorts: named filter definitions (demographic or population filters) that are
+// private to their owner or shared with the team or the owner's institution, optionally with frozen membership.
+// Screens pass a cohort's id as cohortId to limit their results to its members.
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import config from './config';
+
+export const COHORT_SCOPES = [
+  { value: 'private', label: 'Only me' },
+  { value: 'team', label: 'All doctors and administrators' },
+  { value: 'institution', label: 'My institution' }
+];
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+// Hooks reload their lists when a cohort is created, changed or deleted anywhere on the page
+const changeListeners = new Set();
+const notifyChange = () => changeListeners.forEach(listener => listener());
+
+// Lists the cohorts the user can see; type limits them to one definition type (demographic or population)
+export const fetchCohorts = async (type) => {
+  const response = await axios.get(`${config.API_URL}/api/cohorts`, {
+    headers: authHeaders(),
+    params: type ? { type } : undefined
+  });
+  return response.data.cohorts;
+};
+
+// Saves a new cohort: { name, scope, definition: { type, filters }, freeze }
+export const createCohort = async (cohort) => {
+  const response = await axios.post(`${config.API_URL}/api/cohorts`, cohort, { headers: authHeaders() });
+  notifyChange();
+  return response.data;
+};
+
+// Changes a cohort (owner or admin); freeze true takes a new snapshot, false drops it
+export const updateCohort = async (id, changes) => {
+  const response = await axios.put(`${config.API_URL}/api/cohorts/${id}`, changes, { headers: authHeaders() });
+  notifyChange();
+  return response.data;
+};
+
+export const deleteCohort = async (id) => {
+  await axios.delete(`${config.API_URL}/api/cohorts/${id}`, { headers: authHeaders() });
+  notifyChange();
+};
+
+// Returns the visible cohorts (of one definition type if given) and a function to reload them
+export const useCohorts = (type) => {
+  const [cohorts, setCohorts] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      setCohorts(await fetchCohorts(type));
+    } catch (err) {
+      console.warn('Failed to load saved cohorts:', err);
+      setCohorts([]);
+    }
+  }, [type]);
+
+  useEffect(() => {
+    reload();
+    changeListeners.add(reload);
+    return () => changeListeners.delete(reload);
+  }, [reload]);
+
+  return [cohorts, reload];
+};
+
+// Describes a cohort's membership for lists and tooltips
+export const describeCohort = (cohort) => {
+  const scope = COHORT_SCOPES.find(option => option.value === cohort.scope)?.label || cohort.scope;
+  const membership = cohort.snapshot
+    ? `frozen ${new Date(cohort.snapshot.taken_at).toLocaleDateString()} (${cohort.snapshot.memberCount} users)`
+    : 'live';
+  return `${scope} · ${membership} · by ${cohort.owner}`;
+};
@@ -0,0 +1,268 @@
+/**
+ * FILE: AGPChart.js
+ * PURPOSE: Plotly chart of hourly percentile curves (AGP/ACP) for one or more profiles
+ * DESCRIPTION: Shared by the patient AGP report and the population AGP. A single profile is drawn
+ *              as the classic grey percentile bands; several profiles are overlaid in their own colours
+ *              (25-75% band, 5/95% dotted, median solid).
+ *
+ * FEATURES:
+ * - 5/25/50/75/95 percentile curves by hour of day with the in-range band shaded
+ * - Missing hours and flat-line artifacts are left as gaps
+ * - Optional cosinor fit (cortisol)
+ * - Overlay of several profiles (e.g. two cohorts) with a legend group per profile
+ *
+ * DEPENDENCIES:
+ * - react-plotly.js: Interactive charts and graphs
+ *
+ * ERROR HANDLING:
+ * - [LOW] Missing or malformed percentile arrays are drawn as empty curves
+ */
+
+import React from "react";
+import Plot from "react-plotly.js";
+
+const hourLabels = Array.from({ length: 24 }, (_, i) => `${i}:00`);
+
+// Values below these (in the stored unit) are treated as missing data
+const MISSING_DATA_THRESHOLDS = { glucose: 20, cortisol: 0.5 };
+
+// Profile colours when more than one profile is overlaid
+const OVERLAY_COLORS = ["#1976d2", "#d32f2f", "#388e3c", "#7b1fa2"];
+
+// Helper function to turn a hex colour into an rgba() string
+const withAlpha = (hex, alpha) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+};
+
+const AGPChart = ({ profiles, biomarker, biomarkerType, unit, ranges, cosinor, layout = {} }) => {
+  // Thresholds are in the stored unit; scale them when the chart shows the other unit system
+  const unitFactor = unit !== biomarker.canonicalUnit && biomarker.siFactor ? biomarker.siFactor : 1;
+  const missingThreshold = (MISSING_DATA_THRESHOLDS[biomarkerType] ?? 0) * unitFactor;
+
+  // More aggressive approach: Look for data variation and consecutive identical values
+  const processPercentileData = (yValues) => {
+    if (!yValues || !Array.isArray(yValues)) {
+      return new Array(24).fill(null);
+    }
+
+    const processedValues = yValues.map((value) => {
+      // Missing hours stay missing (Number(null) would be 0)
+      if (value === null || value === undefined) {
+        return null;
+      }
+
+      // Convert to number and check validity
+      const numValue = Number(value);
+      if (isNaN(numValue)) {
+        return null;
+      }
+
+      // Very low values are missing data
+      if (numValue < missingThreshold) {
+        return null;
+      }
+
+      return numValue;
+    });
+
+    // Check for flat lines (consecutive identical values) and convert to nulls
+    const result = [...processedValues];
+
+    for (let i = 0; i < result.length; i++) {
+      if (result[i] === null) continue;
+
+      // Look ahead to see if we have a sequence of identical values
+      let identicalCount = 1;
+      let j = i + 1;
+
+      while (j < result.length && result[j] === result[i]) {
+        identicalCount++;
+        j++;
+      }
+
+      // If we have 6+ consecutive identical values, it's likely a flat line artifact
+      if (identicalCount >= 6) {
+        console.log(`Found flat line of ${identicalCount} identical values (${result[i]}) from hour ${i} to ${j-1}`);
+        // Convert the flat line to nulls except for the first and last points
+        for (let k = i + 1; k < j - 1; k++) {
+          result[k] = null;
+        }
+        i = j - 1; // Skip ahead
+      }
+    }
+
+    return result;
+  };
+
+  const hover = (name) => `<b>${name}</b><br>%{x}: %{y:.${biomarker.decimals}f} ${unit}<extra></extra>`;
+
+  // Single profile: grey percentile bands
+  const singleProfileTraces = (percentages) => [
+    {
+      x: hourLabels,
+      y: processPercentileData(percentages.percentile_95),
+      name: "95th Percentile",
+      line: { color: "#e5e7eb", width: 1 },
+      mode: "lines",
+      fill: "tonexty",
+      fillcolor: "rgba(229, 231, 235, 0.2)",
+      connectgaps: false,
+      hovertemplate: hover("95th Percentile"),
+    },
+    {
+      x: hourLabels,
+      y: processPercentileData(percentages.percentile_75),
+      name: "75th Percentile",
+      line: { color: "#9ca3af", width: 1 },
+      mode: "lines",
+      fill: "tonexty",
+      fillcolor: "rgba(156, 163, 175, 0.3)",
+      connectgaps: false,
+      hovertemplate: hover("75th Percentile"),
+    },
+    {
+      x: hourLabels,
+      y: processPercentileData(percentages.percentile_50),
+      name: "Median (50th)",
+      line: { color: "#374151", width: 3 },
+      mode: "lines",
+      connectgaps: false,
+      hovertemplate: hover("Median"),
+    },
+    {
+      x: hourLabels,
+      y: processPercentileData(percentages.percentile_25),
+      name: "25th Percentile",
+      line: { color: "#9ca3af", width: 1 },
+      mode: "lines",
+      fill: "tonexty",
+      fillcolor: "rgba(156, 163, 175, 0.3)",
+      connectgaps: false,
+      hovertemplate: hover("25th Percentile"),
+    },
+    {
+      x: hourLabels,
+      y: processPercentileData(percentages.percentile_5),
+      name: "5th Percentile",
+      line: { color: "#e5e7eb", width: 1 },
+      mode: "lines",
+      fill: "tonexty",
+      fillcolor: "rgba(229, 231, 235, 0.2)",
+      connectgaps: false,
+      hovertemplate: hover("5th Percentile"),
+    },
+  ];
+
+  // Overlaid profiles: one colour each, the interquartile band filled
+  const overlayProfileTraces = (profile, index) => {
+    const color = profile.color || OVERLAY_COLORS[index % OVERLAY_COLORS.length];
+    const common = { x: hourLabels, mode: "lines", connectgaps: false, legendgroup: profile.label };
+    return [
+      {
+        ...common,
+        y: processPercentileData(profile.percentages.percentile_25),
+        name: `${profile.label} 25-75%`,
+        line: { color, width: 1 },
+        showlegend: false,
+        hovertemplate: hover(`${profile.label} 25th`),
+      },
+      {
+        ...common,
+        y: processPercentileData(profile.percentages.percentile_75),
+        name: `${profile.label} 25-75%`,
+        line: { color, width: 1 },
+        fill: "tonexty",
+        fillcolor: withAlpha(color, 0.15),
+        hovertemplate: hover(`${profile.label} 75th`),
+      },
+      {
+        ...common,
+        y: processPercentileData(profile.percentages.percentile_5),
+        name: `${profile.label} 5-95%`,
+        line: { color, width: 1, dash: "dot" },
+        hovertemplate: hover(`${profile.label} 5th`),
+      },
+      {
+        ...common,
+        y: processPercentileData(profile.percentages.percentile_95),
+        name: `${profile.label} 5-95%`,
+        line: { color, width: 1, dash: "dot" },
+        showlegend: false,
+        hovertemplate: hover(`${profile.label} 95th`),
+      },
+      {
+        ...common,
+        y: processPercentileData(profile.percentages.percentile_50),
+        name: `${profile.label} median`,
+        line: { color, width: 3 },
+        hovertemplate: hover(`${profile.label} median`),
+      },
+    ];
+  };
+
+  const data = profiles.length === 1
+    ? singleProfileTraces(profiles[0].percentages)
+    : profiles.flatMap(overlayProfileTraces);
+
+  // Fitted 24-hour cosinor curve over the profile percentiles (biomarkers with circadian metrics)
+  if (cosinor) {
+    data.push({
+      x: hourLabels,
+      y: cosinor.fittedCurve,
+      name: "Cosinor Fit",
+      line: { color: "#7c3aed", width: 2, dash: "dash" },
+      mode: "lines",
+      hovertemplate: `<b>Cosinor Fit</b><br>%{x}: %{y:.3f} ${unit}<extra></extra>`,
+    });
+  }
+
+  const agpLayout = {
+    title: {
+      text: `${biomarker.profileName} (${biomarker.profileAbbreviation})`,
+      font: { size: 16 },
+    },
+    xaxis: {
+      title: "Time of Day",
+      tickmode: "array",
+      tickvals: [0, 6, 12, 18, 23],
+      ticktext: ["12am", "6am", "12pm", "6pm", "11pm"],
+    },
+    yaxis: {
+      title: `${biomarker.label} (${unit})`,
+      range: [0, biomarker.chartMax],
+    },
+    margin: { l: 60, r: 40, t: 80, b: 60 },
+    height: 400,
+    showlegend: true,
+    legend: {
+      x: 0,
+      y: 1,
+      bgcolor: "rgba(255,255,255,0.8)",
+    },
+    shapes: [
+      {
+        type: "rect",
+        x0: 0,
+        x1: 23,
+        y0: ranges?.[biomarker.inRangeCategory]?.min ?? biomarker.defaultRanges[biomarker.inRangeCategory].min,
+        y1: ranges?.[biomarker.inRangeCategory]?.max ?? biomarker.defaultRanges[biomarker.inRangeCategory].max,
+        fillcolor: "rgba(16, 185, 129, 0.1)",
+        line: { color: "rgba(16, 185, 129, 0.3)", width: 1 },
+        layer: "below",
+      },
+    ],
+    ...layout,
+  };
+
+  return (
+    <Plot
+      data={data}
+      layout={agpLayout}
+      config={{ responsive: true, displayModeBar: false }}
+      style={{ width: "100%", height: "100%" }}
+    />
+  );
+};
+
+export default AGPChart;
@@ -7,7 +7,7 @@
  * - Dual AGP chart display with identical scaling for direct comparison
  * - Time-in-range percentage charts for both patients
  * - Statistics comparison table highlighting differences
- * - Biomarker type switching (glucose/cortisol) with proper range adaptations
+ * - Biomarker type switching (any biomarker in the registry) with proper range adaptations
  * - Responsive layout optimized for comparison viewing
  * 
  * DEPENDENCIES: 
@@ -26,6 +26,7 @@ import React, { useState, useEffect, useMemo, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import Plot from "react-plotly.js";
 import config from '../config';
+import { useBiomarkers } from '../biomarkers';
 import {
   Container,
   Typography,
@@ -58,25 +59,26 @@ function AGPComparison() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [biomarkerType, setBiomarkerType] = useState(paramBiomarkerType || 'glucose');
+  const biomarkers = useBiomarkers();
 
   /**
    * MEMOIZED CALCULATION: Chart Configuration
    * PURPOSE: Pre-calculate shared chart properties to prevent re-renders
-   * OPTIMIZATION: Expensive chart calculations only run when biomarkerType changes
+   * OPTIMIZATION: Expensive chart calculations only run when biomarkerType (or the registry) changes
    */
   const chartConfig = useMemo(() => {
-    const unit = biomarkerType === 'glucose' ? 'mg/dL' : 'ng/mL';
+    const biomarker = biomarkers[biomarkerType] || biomarkers.glucose;
     const hourLabels = Array.from({ length: 24 }, (_, i) => `${i}:00`);
     
     return {
-      unit,
+      biomarker,
+      isGlycemic: biomarker.statistics === 'glycemic',
+      unit: biomarker.unit,
       hourLabels,
-      yAxisRange: biomarkerType === 'glucose' ? [0, 400] : [0, 100],
-      targetRanges: biomarkerType === 'glucose' 
-        ? { min: 70, max: 180 }
-        : { min: 10, max: 30 }
+      yAxisRange: [0, biomarker.chartMax],
+      targetRanges: biomarker.defaultRanges[biomarker.inRangeCategory]
     };
-  }, [biomarkerType]);
+  }, [biomarkerType, biomarkers]);
 
   /**
    * EFFECT: Fetch Comparison Data
@@ -202,7 +204,7 @@ function AGPComparison() {
         mode: "lines",
         fill: "tonexty",
         fillcolor: "rgba(229, 231, 235, 0.2)",
-        hovertemplate: `<b>95th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
+        hovertemplate: `<b>95th Percentile</b><br>%{x}: %{y:.${chartConfig.biomarker.decimals}f} ${unit}<extra></extra>`,
       },
       {
         x: hourLabels,
@@ -212,7 +214,7 @@ function AGPComparison() {
         mode: "lines",
         fill: "tonexty",
         fillcolor: "rgba(156, 163, 175, 0.3)",
-        hovertemplate: `<b>75th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
+        hovertemplate: `<b>75th Percentile</b><br>%{x}: %{y:.${chartConfig.biomarker.decimals}f} ${unit}<extra></extra>`,
       },
       {
         x: hourLabels,
@@ -220,7 +222,7 @@ function AGPComparison() {
         name: "Median (50th)",
         line: { color: "#1f2937", width: 3 },
         mode: "lines",
-        hovertemplate: `<b>Median</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
+        hovertemplate: `<b>Median</b><br>%{x}: %{y:.${chartConfig.biomarker.decimals}f} ${unit}<extra></extra>`,
       },
       {
         x: hourLabels,
@@ -230,7 +232,7 @@ function AGPComparison() {
         mode: "lines",
         fill: "tonexty",
         fillcolor: "rgba(156, 163, 175, 0.3)",
-        hovertemplate: `<b>25th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
+        hovertemplate: `<b>25th Percentile</b><br>%{x}: %{y:.${chartConfig.biomarker.decimals}f} ${unit}<extra></extra>`,
       },
       {
         x: hourLabels,
@@ -240,7 +242,7 @@ function AGPComparison() {
         mode: "lines",
         fill: "tonexty",
         fillcolor: "rgba(229, 231, 235, 0.2)",
-        hovertemplate: `<b>5th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
+        hovertemplate: `<b>5th Percentile</b><br>%{x}: %{y:.${chartConfig.biomarker.decimals}f} ${unit}<extra></extra>`,
       },
     ];
 
@@ -261,7 +263,7 @@ function AGPComparison() {
         },
         yaxis: {
           title: {
-            text: `${biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'} (${unit})`,
+            text: `${chartConfig.biomarker.label} (${unit})`,
             font: { size: 14, weight: "bold" }
           },
           range: yAxisRange,
@@ -276,7 +278,7 @@ function AGPComparison() {
     };
 
     return <Plot data={agpData} layout={layout} style={{ width: "100%", height: "100%" }} config={{ responsive: true }} />;
-  }, [biomarkerType, chartConfig]);
+  }, [chartConfig]);
 
   /**
    * FUNCTION: createTimeInRangeChart
@@ -319,8 +321,10 @@ function AGPComparison() {
     }
 
     let rangeValues, rangeLabels, rangeColors;
+    const { veryLow: veryLowRange, low: lowRange, high: highRange } = chartConfig.biomarker.defaultRanges;
+    const inRange = chartConfig.targetRanges;
 
-    if (biomarkerType === 'glucose') {
+    if (chartConfig.isGlycemic) {
       // Safe percentage extraction with fallbacks
       const below54 = stats.percentBelow54 || 0;
       const between54And69 = Math.max(0, (stats.percentBelow70 || 0) - below54);
@@ -329,7 +333,13 @@ function AGPComparison() {
       const above250 = stats.percentAbove250 || 0;
       
       rangeValues = [below54, between54And69, targetRange, between181And250, above250];
-      rangeLabels = ["Very Low<br><54", "Low<br>54-69", "Target<br>70-180", "High<br>181-250", "Very High<br>>250"];
+      rangeLabels = [
+        `Very Low<br><${veryLowRange.max}`,
+        `Low<br>${lowRange.min}-${lowRange.max - 1}`,
+        `Target<br>${inRange.min}-${inRange.max}`,
+        `High<br>${highRange.min + 1}-${highRange.max}`,
+        `Very High<br>>${highRange.max}`
+      ];
       rangeColors = ["#dc2626", "#f59e0b", "#10b981", "#f59e0b", "#dc2626"];
     } else {
       // Cortisol ranges - using backend property names exactly as they are calculated
@@ -342,7 +352,13 @@ function AGPComparison() {
       const veryHigh = stats.percentAbove50 || 0; // >20
       
       rangeValues = [veryLow, low, normal, high, veryHigh];
-      rangeLabels = ["Very Low<br><2", "Low<br>2-5", "Normal<br>5-15", "High<br>15-20", "Very High<br>>20"];
+      rangeLabels = [
+        `Very Low<br><${veryLowRange.max}`,
+        `Low<br>${lowRange.min}-${lowRange.max}`,
+        `Normal<br>${inRange.min}-${inRange.max}`,
+        `High<br>${highRange.min}-${highRange.max}`,
+        `Very High<br>>${highRange.max}`
+      ];
       rangeColors = ["#3b82f6", "#60a5fa", "#10b981", "#f59e0b", "#dc2626"];
     }
 
@@ -381,7 +397,7 @@ function AGPComparison() {
       },
               xaxis: {
           title: {
-            text: `${biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'} Range (${chartConfig.unit})`,
+            text: `${chartConfig.biomarker.label} Range (${chartConfig.unit})`,
             font: { size: 13, weight: "bold" }
           },
           tickfont: { size: 11 }
@@ -403,7 +419,7 @@ function AGPComparison() {
     };
 
     return <Plot data={timeInRangeData} layout={layout} style={{ width: "100%", height: "100%" }} config={{ responsive: true }} />;
-  }, [biomarkerType, chartConfig]);
+  }, [chartConfig]);
 
   /**
    * FUNCTION: handleBiomarkerChange
@@ -436,7 +452,7 @@ function AGPComparison() {
     const stats1 = patient1Data?.data?.statistics?.statistics || {};
     const stats2 = patient2Data?.data?.statistics?.statistics || {};
     
-    const unit = biomarkerType === 'glucose' ? 'mg/dL' : 'ng/mL';
+    const { unit } = chartConfig;
     
     const formatValue = (value, isPercentage = false, decimals = 1) => {
       if (value === null || value === undefined || isNaN(value)) return 'N/A';
@@ -466,10 +482,10 @@ function AGPComparison() {
 
     let comparisonRows = [];
 
-    if (biomarkerType === 'glucose') {
+    if (chartConfig.isGlycemic) {
       comparisonRows = [
         {
-          metric: 'Average Glucose',
+          metric: `Average ${chartConfig.biomarker.label}`,
           patient1: formatValue(stats1.average),
           patient2: formatValue(stats2.average),
           difference: calculateDifference(stats1.average, stats2.average),
@@ -515,7 +531,7 @@ function AGPComparison() {
       // Cortisol metrics
       comparisonRows = [
         {
-          metric: 'Average Cortisol',
+          metric: `Average ${chartConfig.biomarker.label}`,
           patient1: formatValue(stats1.average),
           patient2: formatValue(stats2.average),
           difference: calculateDifference(stats1.average, stats2.average),
@@ -580,7 +596,7 @@ function AGPComparison() {
         </Table>
       </TableContainer>
     );
-  }, [biomarkerType, username1, username2]);
+  }, [chartConfig, username1, username2]);
 
   // Loading state
   if (loading) {
@@ -656,12 +672,11 @@ function AGPComparison() {
           aria-label="biomarker type"
           size="small"
         >
-          <ToggleButton value="glucose" aria-label="glucose">
-            Glucose
-          </ToggleButton>
-          <ToggleButton value="cortisol" aria-label="cortisol">
-            Cortisol
-          </ToggleButton>
+          {Object.entries(biomarkers).map(([type, entry]) => (
+            <ToggleButton key={type} value={type} aria-label={type}>
+              {entry.label}
+            </ToggleButton>
+          ))}
         </ToggleButtonGroup>
       </Box>
 
@@ -672,7 +687,7 @@ function AGPComparison() {
           AGP Comparison: {username1} vs {username2}
         </Typography>
         <Typography variant="subtitle1" color="text.secondary">
-          {biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'} Profile Comparison
+          {chartConfig.biomarker.label} Profile Comparison
         </Typography>
       </Paper>
 
@@ -748,7 +763,7 @@ function AGPComparison() {
           Statistics Comparison
         </Typography>
         <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
-          Side-by-side comparison of key {biomarkerType === 'glucose' ? 'glucose' : 'cortisol'} metrics. 
+          Side-by-side comparison of key {chartConfig.biomarker.label.toLowerCase()} metrics. 
           Green indicates improvement, red indicates deterioration compared to Patient 1.
         </Typography>
         <Box sx={{ mt: 3 }}>
@@ -8,16 +8,27 @@
  * FEATURES:
  * - Interactive AGP/ACP charts with percentile displays
  * - Time-in-range analysis with visual bar charts
+ * - Report period selection (last 7/14/30/90 days or custom dates)
+ * - Compare with previous period (statistics side by side with deltas)
+ * - Data sufficiency banner (days of data, % sensor active)
  * - Additional metrics dashboard (A1C, GMI, CV, etc.)
+ * - Daily profiles grid (one small chart per day with range-band shading)
+ * - Cortisol circadian rhythm metrics (CAR, cosinor peak/amplitude, slope, AUC, stability) with the cosinor fit on the ACP chart
+ * - Signal cleaning summary (readings removed and why) with a raw data toggle
+ * - Hypo/hyperglycemia episode table (level 1/2, prolonged, nocturnal)
+ * - Glycemic variability panel (MAGE, CONGA, MODD, LBGI/HBGI, ADRR) with GRI grid
  * - PDF report generation with html2canvas
  * - CSV export of additional metrics
- * - Biomarker switching (glucose/cortisol)
+ * - Reference CGM panel: imported Dexcom Clarity/LibreView readings plotted against the glucose sensors
+ * - HL7 FHIR R4 Bundle export of the glucose readings and summary metrics for the report period
+ * - Biomarker switching (any biomarker in the registry; labels, units and panels follow its entry)
  * - Custom range support with auto-detection
  * - Embed mode for integration in other components
  * 
  * DEPENDENCIES:
  * - @mui/material: UI components and theming
  * - react-plotly.js: Interactive charts and graphs
+ * - AGPChart: the AGP/ACP percentile chart (shared with the population AGP)
  * - html2canvas: PDF generation from DOM elements
  * - jspdf: PDF creation and download
  * 
@@ -35,6 +46,7 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import Plot from "react-plotly.js";
+import AGPChart from "./AGPChart";
 import config from "../config";
 import {
   Container,
@@ -49,13 +61,24 @@ import {
   Divider,
   ToggleButton,
   ToggleButtonGroup,
-  Paper
+  Paper,
+  TextField,
+  Switch,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
 } from "@mui/material";
 import ArrowBackIcon from "@mui/icons-material/ArrowBack";
 import DownloadIcon from "@mui/icons-material/Download";
 import AssessmentIcon from "@mui/icons-material/Assessment";
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
+import DailyProfilesGrid from './DailyProfilesGrid';
+import ReferenceCGMPanel from './ReferenceCGMPanel';
+import { useBiomarkers, hasFeature } from '../biomarkers';
 
 /**
  * COMPONENT: AGPReport
@@ -69,7 +92,7 @@ import jsPDF from 'jspdf';
  * - patientData: Complete patient biomarker data from API
  * - loading: Boolean for async operation states
  * - error: Error message string for user feedback
- * - biomarkerType: 'glucose' | 'cortisol' - Current biomarker being analyzed
+ * - biomarkerType: Current biomarker being analyzed (a key of the biomarker registry)
  * - customRanges: Custom range configuration when available
  * - applicableRanges: Auto-detected range settings
  * - isDownloading: Boolean for PDF generation state
@@ -91,11 +114,29 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
   const [applicableRanges, setApplicableRanges] = useState(null);
   const [rangeMessage, setRangeMessage] = useState('');
   const [isDownloading, setIsDownloading] = useState(false);
+  const [isExportingFhir, setIsExportingFhir] = useState(false);
   const [isPaidUser, setIsPaidUser] = useState(false);
   const [paidStatusChecked, setPaidStatusChecked] = useState(false);
   const [isAdmin, setIsAdmin] = useState(false);
+  const [variabilityData, setVariabilityData] = useState(null);
+  const [episodeData, setEpisodeData] = useState(null);
+  const [reportPeriod, setReportPeriod] = useState('all');
+  const [customStart, setCustomStart] = useState('');
+  const [customEnd, setCustomEnd] = useState('');
+  const [compareWithPrevious, setCompareWithPrevious] = useState(false);
+  const [wakeTime, setWakeTime] = useState('07:00');
+  const [bedTime, setBedTime] = useState('22:00');
+  const [showRawData, setShowRawData] = useState(false);
   const reportRef = useRef();
 
+  // Biomarker details (label, unit, ranges, which panels apply) come from the registry
+  const biomarkers = useBiomarkers();
+  const biomarker = biomarkers[biomarkerType] || biomarkers.glucose;
+  const isGlycemic = biomarker.statistics === 'glycemic';
+  const hasCircadian = hasFeature(biomarker, 'circadian');
+  const hasVariability = hasFeature(biomarker, 'variability');
+  const hasEpisodes = hasFeature(biomarker, 'episodes');
+
   /**
    * MEMOIZED CALCULATION: Range Thresholds and Chart Configuration
    * PURPOSE: Calculate range thresholds, labels, colors, and values for charts
@@ -113,7 +154,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         rangeValues: [],
         rangeLabels: [],
         rangeColors: [],
-        unit: biomarkerType === 'glucose' ? 'mg/dL' : 'ng/mL'
+        unit: biomarker.unit
       };
     }
 
@@ -124,32 +165,23 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
       ranges = customRanges;
       console.log('Using database ranges for', biomarkerType, ':', ranges);
     } else {
-      // Fallback to hardcoded defaults only if no database ranges are available
-      ranges = biomarkerType === 'glucose' ? {
-        veryLow: { min: 0, max: 54 },
-        low: { min: 54, max: 70 },
-        target: { min: 70, max: 180 },
-        high: { min: 180, max: 250 },
-        veryHigh: { min: 250, max: 400 }
-      } : {
-        veryLow: { min: 0, max: 5 },
-        low: { min: 5, max: 10 },
-        normal: { min: 10, max: 30 },
-        high: { min: 30, max: 50 },
-        veryHigh: { min: 50, max: 100 }
-      };
+      // Fallback to the registry defaults only if no database ranges are available
+      ranges = biomarker.defaultRanges;
       console.log('Using fallback ranges - no database ranges available:', ranges);
     }
 
-    let rangeValues, rangeLabels, rangeColors, unit;
+    let rangeValues, rangeLabels, rangeColors;
+    // The report comes back in the user's unit system; prefer its unit over the (possibly still loading) registry
+    const unit = patientData.unit || biomarker.unit;
     
-    if (biomarkerType === 'glucose') {
+    if (isGlycemic) {
       // Safe extraction of thresholds with fallbacks
-      const veryLowThreshold = ranges?.veryLow?.max || 54;
-      const lowThreshold = ranges?.low?.max || 70;
-      const targetMin = ranges?.target?.min || 70;
-      const targetMax = ranges?.target?.max || 180;
-      const highThreshold = ranges?.high?.max || 250;
+      const { defaultRanges } = biomarker;
+      const veryLowThreshold = ranges?.veryLow?.max || defaultRanges.veryLow.max;
+      const lowThreshold = ranges?.low?.max || defaultRanges.low.max;
+      const targetMin = ranges?.target?.min || defaultRanges.target.min;
+      const targetMax = ranges?.target?.max || defaultRanges.target.max;
+      const highThreshold = ranges?.high?.max || defaultRanges.high.max;
       
       // Extract percentages with safe fallbacks
       const stats = patientData.statistics;
@@ -168,14 +200,14 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         `Very High<br>>${highThreshold}`
       ];
       rangeColors = ["#dc2626", "#f59e0b", "#10b981", "#f59e0b", "#dc2626"];
-      unit = "mg/dL";
     } else {
-      // Cortisol configuration
-      const veryLowThreshold = ranges?.veryLow?.max || 2;
-      const lowThreshold = ranges?.low?.max || 5;
-      const normalMin = ranges?.normal?.min || 5;
-      const normalMax = ranges?.normal?.max || 15;
-      const highThreshold = ranges?.high?.max || 20;
+      // Range biomarker configuration (cortisol): in-range band is the registry's inRangeCategory
+      const { defaultRanges, inRangeCategory } = biomarker;
+      const veryLowThreshold = ranges?.veryLow?.max || defaultRanges.veryLow.max;
+      const lowThreshold = ranges?.low?.max || defaultRanges.low.max;
+      const normalMin = ranges?.[inRangeCategory]?.min || defaultRanges[inRangeCategory].min;
+      const normalMax = ranges?.[inRangeCategory]?.max || defaultRanges[inRangeCategory].max;
+      const highThreshold = ranges?.high?.max || defaultRanges.high.max;
       
       const stats = patientData.statistics;
       const veryLowPercent = stats.percentBelow5 || 0;
@@ -193,11 +225,10 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         `Very High<br>>${highThreshold}`
       ];
       rangeColors = ["#3b82f6", "#60a5fa", "#10b981", "#f59e0b", "#dc2626"];
-      unit = "ng/mL";
     }
 
     return { ranges, rangeValues, rangeLabels, rangeColors, unit };
-  }, [customRanges, biomarkerType, patientData?.statistics]);
+  }, [customRanges, biomarkerType, biomarker, isGlycemic, patientData?.statistics, patientData?.unit]);
 
   /**
    * FUNCTION: formatTime
@@ -215,6 +246,29 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
     return `${hours}h ${mins}min`;
   }, []);
 
+  /**
+   * FUNCTION: stepThreshold
+   * PURPOSE: Move a range threshold by one display step (1 mg/dL, 0.1 mmol/L) for the legend's band labels
+   * PARAMETERS: value - Threshold, direction - 1 for the next value up, -1 for the next value down
+   */
+  const stepThreshold = useCallback((value, direction) => {
+    const decimals = biomarker.decimals || 0;
+    return Number((value + direction * Math.pow(10, -decimals)).toFixed(decimals));
+  }, [biomarker.decimals]);
+
+  /**
+   * FUNCTION: formatClockHour
+   * PURPOSE: Convert fractional hours since midnight (e.g. 7.5) to a "7:30" clock time
+   * 
+   * ERROR HANDLING:
+   * - [LOW] Null inputs return "N/A"
+   */
+  const formatClockHour = useCallback((hour) => {
+    if (hour === null || hour === undefined || isNaN(hour)) return 'N/A';
+    const totalMinutes = Math.round(hour * 60) % (24 * 60);
+    return `${Math.floor(totalMinutes / 60)}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }, []);
+
   /**
    * FUNCTION: checkUserPermissions
    * PURPOSE: Check if current user has access for downloads (paid user or admin)
@@ -285,7 +339,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
    * 
    * PROCESS:
    * 1. Check if user has paid access
-   * 2. Calculate CGM active percentage from wear time vs. total possible time
+   * 2. Read CGM active percentage and data sufficiency from backend statistics
    * 3. Format date range from actual data timestamps
    * 4. Build metrics array with proper null handling
    * 5. Generate CSV content and trigger download
@@ -330,21 +384,10 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         dateRange = 'Date range unavailable';
       }
 
-      // Calculate CGM Active percentage with safe math
-      let cgmActivePercentage = 'N/A';
-      try {
-        if (startDate && endDate) {
-          const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-          const totalPossibleMinutes = totalDays * 24 * 60;
-          const actualWearTimeMinutes = patientData.statistics.totalWearTimeMinutes || 0;
-          
-          if (totalPossibleMinutes > 0) {
-            cgmActivePercentage = `${Math.round((actualWearTimeMinutes / totalPossibleMinutes) * 100)}%`;
-          }
-        }
-      } catch (calcError) {
-        console.warn('CGM percentage calculation failed:', calcError);
-      }
+      // CGM Active percentage is calculated by the backend from real timestamp gaps
+      const cgmActivePercentage = patientData.statistics.percentSensorActive !== undefined
+        ? `${patientData.statistics.percentSensorActive}%`
+        : 'N/A';
 
       // Safe value extraction with defaults
       const getStatValue = (key, defaultValue = 'N/A', unit = '') => {
@@ -357,15 +400,20 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         ['Metric', 'Value'],
         ['Date Range', dateRange],
         ['CGM Active', cgmActivePercentage],
+        ['Days of Data', getStatValue('daysOfData')],
         [
-          `Average ${biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'}`, 
-          getStatValue('average', 'N/A', ` ${biomarkerType === 'glucose' ? 'mg/dL' : 'ng/mL'}`)
+          'Sufficient for Clinical Interpretation',
+          patientData.statistics.sufficientForClinicalInterpretation ? 'Yes' : 'No'
+        ],
+        [
+          `Average ${biomarker.label}`, 
+          getStatValue('average', 'N/A', ` ${patientData.unit || biomarker.unit}`)
         ],
         ['Coefficient of Variation', getStatValue('coefficientOfVariationPercentage', 'N/A', '%')]
       ];
       
-      // Add glucose-specific metrics with null checks
-      if (biomarkerType === 'glucose') {
+      // Add GMI/A1C metrics with null checks
+      if (hasFeature(biomarker, 'gmi')) {
         metrics.push(['Estimated A1C', getStatValue('a1c', 'N/A', '%')]);
         metrics.push(['GMI', getStatValue('gmi', 'N/A', '%')]);
       }
@@ -411,7 +459,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         : 'Error generating CSV file. Please check your browser settings and try again.';
       alert(errorMessage);
     }
-  }, [patientData, biomarkerType, username, isPaidUser, isAdmin, checkUserPermissions]);
+  }, [patientData, biomarkerType, biomarker, username, isPaidUser, isAdmin, checkUserPermissions]);
 
   /**
    * FUNCTION: downloadPDF
@@ -548,10 +596,68 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
     }
   }, [patientData, biomarkerType, username, isPaidUser, isAdmin, checkUserPermissions]);
 
+  /**
+   * MEMOIZED CALCULATION: Report Period Query
+   * PURPOSE: start/end/period query parameters shared by every endpoint that follows the report period
+   *          (preset last N days, custom start/end, or nothing for all data)
+   */
+  const periodFilterQuery = useMemo(() => {
+    const params = new URLSearchParams();
+    if (reportPeriod === 'custom') {
+      if (customStart) params.set('start', customStart);
+      if (customEnd) params.set('end', customEnd);
+    } else if (reportPeriod !== 'all') {
+      params.set('period', reportPeriod);
+    }
+    return params.toString();
+  }, [reportPeriod, customStart, customEnd]);
+
+  /**
+   * FUNCTION: downloadFHIR
+   * PURPOSE: Download the patient's glucose data for the report period as an HL7 FHIR R4 Bundle
+   * DEPENDENCIES: username, periodFilterQuery, showRawData
+   * 
+   * ERROR HANDLING:
+   * - [MEDIUM] Server errors are shown with the server's message
+   */
+  const downloadFHIR = useCallback(async () => {
+    try {
+      setIsExportingFhir(true);
+      const params = new URLSearchParams(periodFilterQuery);
+      if (showRawData) {
+        params.set('raw', 'true');
+      }
+      const query = params.toString() ? `?${params.toString()}` : '';
+      const response = await fetch(`${config.API_URL}/user-fhir-bundle/${encodeURIComponent(username)}${query}`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem("token")}` }
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `FHIR export failed (${response.status})`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.setAttribute('href', url);
+      const patientName = (patientData?.patientInfo?.name || username || 'Patient')
+        .replace(/[^a-zA-Z0-9]/g, '_');
+      link.setAttribute('download', `${patientName}_Glucose_FHIR_Bundle_${new Date().toISOString().split('T')[0]}.json`);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting FHIR bundle:', error);
+      alert(`Error exporting FHIR bundle: ${error.message}`);
+    } finally {
+      setIsExportingFhir(false);
+    }
+  }, [username, patientData, periodFilterQuery, showRawData]);
+
   /**
    * EFFECT: Data Fetching for AGP/ACP Report
    * PURPOSE: Fetch patient biomarker data and applicable range configurations
-   * DEPENDENCIES: [username, biomarkerType] - Refetches when either changes
+   * DEPENDENCIES: [username, biomarkerType, report period settings, cortisol wake/bed time, raw data toggle] - Refetches when any change
    * 
    * PROCESS:
    * 1. Validate authentication token
@@ -588,9 +694,24 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         }
 
         // Construct API endpoints
-        const agpEndpoint = biomarkerType === 'glucose' 
-          ? `${config.API_URL}/user-glucose-agp/${encodeURIComponent(username)}`
-          : `${config.API_URL}/user-cortisol-agp/${encodeURIComponent(username)}`;
+        // Report period plus compare mode
+        const periodParams = new URLSearchParams(periodFilterQuery);
+        const canCompare = reportPeriod !== 'all' && (reportPeriod !== 'custom' || customStart);
+        if (compareWithPrevious && canCompare) {
+          periodParams.set('compare', 'previous');
+        }
+        // Raw mode skips the server-side signal cleaning
+        if (showRawData) {
+          periodParams.set('raw', 'true');
+        }
+        // Waking day for the circadian metrics
+        if (hasCircadian) {
+          periodParams.set('wakeTime', wakeTime);
+          periodParams.set('bedTime', bedTime);
+        }
+        const periodQuery = periodParams.toString() ? `?${periodParams.toString()}` : '';
+
+        const agpEndpoint = `${config.API_URL}/user-biomarker-agp/${encodeURIComponent(username)}/${biomarkerType}${periodQuery}`;
           
         const rangesEndpoint = `${config.API_URL}/user-applicable-ranges/${encodeURIComponent(username)}/${biomarkerType}`;
 
@@ -624,6 +745,9 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             throw new Error("Authentication expired. Please log in again.");
           } else if (agpResponse.status === 404) {
             throw new Error(`No data found for user: ${username}`);
+          } else if (agpResponse.status === 400) {
+            const errorBody = await agpResponse.json().catch(() => ({}));
+            throw new Error(errorBody.error || 'Invalid report period');
           } else if (agpResponse.status >= 500) {
             throw new Error("Server error. Please try again later.");
           } else {
@@ -699,7 +823,131 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
       setLoading(false);
       setError("No username provided");
     }
-  }, [username, biomarkerType, checkUserPermissions]);
+  }, [username, biomarkerType, checkUserPermissions, reportPeriod, customStart, customEnd, compareWithPrevious, periodFilterQuery, wakeTime, bedTime, showRawData, hasCircadian]);
+
+  /**
+   * EFFECT: Glycemic Variability Fetching
+   * PURPOSE: Fetch variability and risk metrics (MAGE, CONGA, MODD, LBGI/HBGI, ADRR, GRI)
+   * DEPENDENCIES: [username, hasVariability] - Biomarkers with the 'variability' feature (glucose)
+   * 
+   * ERROR HANDLING:
+   * - [LOW] Failures are non-blocking - the Variability panel is simply hidden
+   */
+  useEffect(() => {
+    if (!username || !hasVariability) {
+      setVariabilityData(null);
+      return;
+    }
+
+    const fetchVariability = async () => {
+      try {
+        const token = localStorage.getItem("token");
+        const response = await fetch(
+          `${config.API_URL}/user-glycemic-variability/${encodeURIComponent(username)}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!response.ok) {
+          throw new Error(`Failed to load variability metrics (${response.status})`);
+        }
+        const data = await response.json();
+        setVariabilityData(data.metrics || null);
+      } catch (error) {
+        console.warn('Variability fetch failed (non-critical):', error);
+        setVariabilityData(null);
+      }
+    };
+
+    fetchVariability();
+  }, [username, hasVariability]);
+
+  /**
+   * EFFECT: Glucose Episode Fetching
+   * PURPOSE: Fetch hypo/hyperglycemia episodes for the selected report period
+   * DEPENDENCIES: [username, hasEpisodes, periodFilterQuery] - Biomarkers with the 'episodes' feature (glucose)
+   * 
+   * ERROR HANDLING:
+   * - [LOW] Failures are non-blocking - the Episodes table is simply hidden
+   */
+  useEffect(() => {
+    if (!username || !hasEpisodes) {
+      setEpisodeData(null);
+      return;
+    }
+
+    const fetchEpisodes = async () => {
+      try {
+        const token = localStorage.getItem("token");
+        const query = periodFilterQuery ? `?${periodFilterQuery}` : '';
+        const response = await fetch(
+          `${config.API_URL}/user-glucose-episodes/${encodeURIComponent(username)}${query}`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        if (!response.ok) {
+          throw new Error(`Failed to load episodes (${response.status})`);
+        }
+        setEpisodeData(await response.json());
+      } catch (error) {
+        console.warn('Episodes fetch failed (non-critical):', error);
+        setEpisodeData(null);
+      }
+    };
+
+    fetchEpisodes();
+  }, [username, hasEpisodes, periodFilterQuery]);
+
+  /**
+   * MEMOIZED CALCULATION: GRI Grid Chart
+   * PURPOSE: Glycemia Risk Index grid - hypoglycemia component (x) vs hyperglycemia
+   *          component (y), shaded into risk zones A-E, with the patient's position marked
+   */
+  const griChart = useMemo(() => {
+    if (!variabilityData) return null;
+
+    // GRI = 3.0 * hypo + 1.6 * hyper; zone boundaries at 20, 40, 60 and 80
+    const x = Array.from({ length: 61 }, (_, i) => i * 0.5);
+    const y = Array.from({ length: 61 }, (_, i) => i);
+    const z = y.map(hyper => x.map(hypo => Math.min(100, 3.0 * hypo + 1.6 * hyper)));
+
+    return {
+      data: [
+        {
+          type: 'contour',
+          x,
+          y,
+          z,
+          hoverinfo: 'skip',
+          showscale: false,
+          contours: { start: 20, end: 80, size: 20, coloring: 'fill' },
+          colorscale: [
+            [0, '#c8e6c9'],
+            [0.25, '#fff9c4'],
+            [0.5, '#ffe0b2'],
+            [0.75, '#ffcdd2'],
+            [1, '#ef9a9a']
+          ],
+          line: { color: '#757575', width: 1 }
+        },
+        {
+          type: 'scatter',
+          mode: 'markers',
+          x: [Math.min(variabilityData.griHypoComponent, 30)],
+          y: [Math.min(variabilityData.griHyperComponent, 60)],
+          marker: { size: 12, color: '#000', symbol: 'circle' },
+          name: 'Patient',
+          hovertemplate: `GRI ${variabilityData.gri} (Zone ${variabilityData.griZone})<br>Hypo: %{x:.1f}<br>Hyper: %{y:.1f}<extra></extra>`
+        }
+      ],
+      layout: {
+        xaxis: { title: 'Hypoglycemia Component (%)', range: [0, 30] },
+        yaxis: { title: 'Hyperglycemia Component (%)', range: [0, 60] },
+        showlegend: false,
+        plot_bgcolor: 'white',
+        paper_bgcolor: 'white',
+        height: 320,
+        margin: { l: 60, r: 20, t: 20, b: 50 }
+      }
+    };
+  }, [variabilityData]);
 
   if (loading) {
     return (
@@ -714,7 +962,16 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
   if (error) {
     return (
       <Container maxWidth="xl" sx={{ py: 4 }}>
-        <Alert severity="error">Error loading AGP data: {error}</Alert>
+        <Alert
+          severity="error"
+          action={reportPeriod !== 'all' && (
+            <Button color="inherit" size="small" onClick={() => { setReportPeriod('all'); setCompareWithPrevious(false); }}>
+              Show all data
+            </Button>
+          )}
+        >
+          Error loading AGP data: {error}
+        </Alert>
       </Container>
     );
   }
@@ -730,212 +987,30 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
   // Destructure chart configuration for use in render
   const { ranges, rangeValues, rangeLabels, rangeColors, unit } = chartConfiguration;
 
-  // AGP Chart Data for Plotly - Filter out time points with no data
-  const hourLabels = Array.from({ length: 24 }, (_, i) => `${i}:00`);
-
-  // Helper function to filter out null/undefined/zero values and corresponding x values
-  const filterValidDataPoints = (xValues, yValues) => {
-    const validPairs = [];
-    for (let i = 0; i < xValues.length && i < yValues.length; i++) {
-      const yValue = yValues[i];
-      // Only include data points that have valid values (not null, undefined, NaN, or zero/very small values)
-      // For glucose, values should be > 10, for cortisol > 0.1 to be considered real data
-      const minThreshold = biomarkerType === 'glucose' ? 10 : 0.1;
-      if (yValue !== null && yValue !== undefined && !isNaN(yValue) && yValue > minThreshold) {
-        validPairs.push({ x: xValues[i], y: yValue });
-      }
-    }
-    return {
-      x: validPairs.map(pair => pair.x),
-      y: validPairs.map(pair => pair.y)
-    };
-  };
-
-  // Debug: Log the original data to see what we're working with
-  console.log('Original percentile data:', {
-    percentile_95: patientData.percentages.percentile_95,
-    percentile_75: patientData.percentages.percentile_75,
-    percentile_50: patientData.percentages.percentile_50,
-    percentile_25: patientData.percentages.percentile_25,
-    percentile_5: patientData.percentages.percentile_5
-  });
-
-  // More aggressive approach: Look for data variation and consecutive identical values
-  const processPercentileData = (yValues) => {
-    if (!yValues || !Array.isArray(yValues)) {
-      return new Array(24).fill(null);
-    }
-
-    const processedValues = yValues.map((value, index) => {
-      // Convert to number and check validity
-      const numValue = Number(value);
-      
-      // If it's not a valid number, return null
-      if (isNaN(numValue) || numValue === null || numValue === undefined) {
-        return null;
-      }
-
-      // For glucose, consider very low values as missing data
-      if (biomarkerType === 'glucose' && numValue < 20) {
-        return null;
-      }
-      
-      // For cortisol, consider very low values as missing data  
-      if (biomarkerType === 'cortisol' && numValue < 0.5) {
-        return null;
-      }
-
-      return numValue;
-    });
-
-    // Check for flat lines (consecutive identical values) and convert to nulls
-    const result = [...processedValues];
-    let flatLineStart = -1;
-    
-    for (let i = 0; i < result.length; i++) {
-      if (result[i] === null) continue;
-      
-      // Look ahead to see if we have a sequence of identical values
-      let identicalCount = 1;
-      let j = i + 1;
-      
-      while (j < result.length && result[j] === result[i]) {
-        identicalCount++;
-        j++;
-      }
-      
-      // If we have 6+ consecutive identical values, it's likely a flat line artifact
-      if (identicalCount >= 6) {
-        console.log(`Found flat line of ${identicalCount} identical values (${result[i]}) from hour ${i} to ${j-1}`);
-        // Convert the flat line to nulls except for the first and last points
-        for (let k = i + 1; k < j - 1; k++) {
-          result[k] = null;
-        }
-        i = j - 1; // Skip ahead
-      }
-    }
-
-    return result;
-  };
-
-  // Process data arrays to remove flat lines and invalid data
-  const percentile95Values = processPercentileData(patientData.percentages.percentile_95);
-  const percentile75Values = processPercentileData(patientData.percentages.percentile_75);
-  const percentile50Values = processPercentileData(patientData.percentages.percentile_50);
-  const percentile25Values = processPercentileData(patientData.percentages.percentile_25);
-  const percentile5Values = processPercentileData(patientData.percentages.percentile_5);
-
-  console.log('Processed percentile data:', {
-    percentile_95: percentile95Values,
-    percentile_50: percentile50Values,
-    percentile_5: percentile5Values
-  });
-
-  const agpData = [
-    {
-      x: hourLabels,
-      y: percentile95Values,
-      name: "95th Percentile",
-      line: { color: "#e5e7eb", width: 1 },
-      mode: "lines",
-      fill: "tonexty",
-      fillcolor: "rgba(229, 231, 235, 0.2)",
-      connectgaps: false,
-      hovertemplate: `<b>95th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
-    },
-    {
-      x: hourLabels,
-      y: percentile75Values,
-      name: "75th Percentile",
-      line: { color: "#9ca3af", width: 1 },
-      mode: "lines",
-      fill: "tonexty",
-      fillcolor: "rgba(156, 163, 175, 0.3)",
-      connectgaps: false,
-      hovertemplate: `<b>75th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
-    },
-    {
-      x: hourLabels,
-      y: percentile50Values,
-      name: "Median (50th)",
-      line: { color: "#374151", width: 3 },
-      mode: "lines",
-      connectgaps: false,
-      hovertemplate: `<b>Median</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
-    },
-    {
-      x: hourLabels,
-      y: percentile25Values,
-      name: "25th Percentile",
-      line: { color: "#9ca3af", width: 1 },
-      mode: "lines",
-      fill: "tonexty",
-      fillcolor: "rgba(156, 163, 175, 0.3)",
-      connectgaps: false,
-      hovertemplate: `<b>25th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
-    },
-    {
-      x: hourLabels,
-      y: percentile5Values,
-      name: "5th Percentile",
-      line: { color: "#e5e7eb", width: 1 },
-      mode: "lines",
-      fill: "tonexty",
-      fillcolor: "rgba(229, 231, 235, 0.2)",
-      connectgaps: false,
-      hovertemplate: `<b>5th Percentile</b><br>%{x}: %{y:.${biomarkerType === 'glucose' ? '0' : '3'}f} ${unit}<extra></extra>`,
-    },
+  // Metrics shown in the period comparison table; betterWhen colors the change
+  const comparisonRows = isGlycemic ? [
+    { key: 'percentBetween70And180', label: 'Time in Range', suffix: '%', betterWhen: 'higher' },
+    { key: 'percentBelow70', label: 'Time Below Range', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentBelow54', label: 'Time Very Low', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentAbove180', label: 'Time Above Range', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentAbove250', label: 'Time Very High', suffix: '%', betterWhen: 'lower' },
+    { key: 'average', label: `Average ${biomarker.label}`, suffix: ` ${unit}`, betterWhen: null },
+    { key: 'gmi', label: 'GMI', suffix: '%', betterWhen: 'lower' },
+    { key: 'coefficientOfVariationPercentage', label: 'Coefficient of Variation', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentSensorActive', label: 'CGM Active', suffix: '%', betterWhen: 'higher' }
+  ] : [
+    { key: 'percentBetween10And30', label: 'Time in Normal Range', suffix: '%', betterWhen: 'higher' },
+    { key: 'percentBelow10', label: 'Time Below Range', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentBelow5', label: 'Time Very Low', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentAbove30', label: 'Time Above Range', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentAbove50', label: 'Time Very High', suffix: '%', betterWhen: 'lower' },
+    { key: 'average', label: `Average ${biomarker.label}`, suffix: ` ${unit}`, betterWhen: null },
+    { key: 'coefficientOfVariationPercentage', label: 'Coefficient of Variation', suffix: '%', betterWhen: 'lower' },
+    { key: 'percentSensorActive', label: 'Sensor Active', suffix: '%', betterWhen: 'higher' }
   ];
 
-  const agpLayout = {
-    title: {
-      text: biomarkerType === 'glucose' 
-        ? "Ambulatory Glucose Profile (AGP)" 
-        : "Ambulatory Cortisol Profile (ACP)",
-      font: { size: 16 },
-    },
-    xaxis: {
-      title: "Time of Day",
-      tickmode: "array",
-      tickvals: [0, 6, 12, 18, 23],
-      ticktext: ["12am", "6am", "12pm", "6pm", "11pm"],
-    },
-    yaxis: {
-      title: `${biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'} (${unit})`,
-      range: biomarkerType === 'glucose' ? [0, 400] : [0, 20],
-    },
-    margin: { l: 60, r: 40, t: 80, b: 60 },
-    height: 400,
-    showlegend: true,
-    legend: {
-      x: 0,
-      y: 1,
-      bgcolor: "rgba(255,255,255,0.8)",
-    },
-    shapes: biomarkerType === 'glucose' ? [
-      {
-        type: "rect",
-        x0: 0,
-        x1: 23,
-        y0: ranges?.target?.min || 70,
-        y1: ranges?.target?.max || 180,
-        fillcolor: "rgba(16, 185, 129, 0.1)",
-        line: { color: "rgba(16, 185, 129, 0.3)", width: 1 },
-        layer: "below",
-      },
-    ] : [
-      {
-        type: "rect",
-        x0: 0,
-        x1: 23,
-        y0: ranges?.normal?.min || 5,
-        y1: ranges?.normal?.max || 15,
-        fillcolor: "rgba(16, 185, 129, 0.1)",
-        line: { color: "rgba(16, 185, 129, 0.3)", width: 1 },
-        layer: "below",
-      },
-    ],
-  };
+  // Fitted 24-hour cosinor curve over the profile percentiles (biomarkers with circadian metrics)
+  const cosinor = hasCircadian ? patientData.circadian?.cosinor : null;
 
   return (
     <Container maxWidth="xl" sx={{ py: embedMode ? 0 : 4 }}>
@@ -950,12 +1025,12 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
               <AssessmentIcon sx={{ fontSize: 40 }} />
               <Box sx={{ flex: 1 }}>
                 <Typography variant="h4" fontWeight="bold">
-                  {biomarkerType === 'glucose' ? 'AGP Report: Continuous Glucose Monitoring' : 'ACP Report: Continuous Cortisol Monitoring'}
+                  {`${biomarker.profileAbbreviation} Report: Continuous ${biomarker.label} Monitoring`}
                 </Typography>
                 <Typography variant="h6" sx={{ opacity: 0.9, mt: 1 }}>
                   {patientData.patientInfo ? 
                     `Patient: ${patientData.patientInfo.name} | Age: ${patientData.patientInfo.age} | Gender: ${patientData.patientInfo.gender}` :
-                    'Advanced ambulatory glucose profile analysis and reporting'
+                    `Advanced ${biomarker.profileName.toLowerCase()} analysis and reporting`
                   }
                 </Typography>
               </Box>
@@ -972,12 +1047,11 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                   size="small"
                   sx={{ bgcolor: 'rgba(255,255,255,0.1)' }}
                 >
-                  <ToggleButton value="glucose" aria-label="glucose" sx={{ color: 'white' }}>
-                    Glucose
-                  </ToggleButton>
-                  <ToggleButton value="cortisol" aria-label="cortisol" sx={{ color: 'white' }}>
-                    Cortisol
-                  </ToggleButton>
+                  {Object.entries(biomarkers).map(([type, entry]) => (
+                    <ToggleButton key={type} value={type} aria-label={type} sx={{ color: 'white' }}>
+                      {entry.label}
+                    </ToggleButton>
+                  ))}
                 </ToggleButtonGroup>
                 
                 {/* Auto-detected conditions display */}
@@ -1021,6 +1095,17 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
               Download CSV
               {!isPaidUser && !isAdmin && paidStatusChecked && <span style={{ marginLeft: '4px', fontSize: '0.8em' }}>🔒</span>}
             </Button>
+            {biomarkerType === 'glucose' && (
+              <Button
+                startIcon={<DownloadIcon />}
+                onClick={downloadFHIR}
+                disabled={isExportingFhir}
+                variant="outlined"
+                title="HL7 FHIR R4 Bundle of the report period's glucose readings and summary metrics"
+              >
+                {isExportingFhir ? 'Exporting FHIR...' : 'Download FHIR'}
+              </Button>
+            )}
           </Box>
           
           {patientData.patientInfo && (
@@ -1034,7 +1119,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             <strong>From:</strong> {new Date(patientData.startAt).toLocaleDateString()} - {new Date(patientData.endAt).toLocaleDateString()}
           </Typography>
           <Typography variant="body2" color="textSecondary">
-            15 minutes {biomarkerType} readings (mean of dual sensors)
+            {patientData.statistics.readingIntervalMinutes || 15} minutes {biomarkerType} readings (mean of dual sensors)
           </Typography>
           <Typography variant="body2" color="textSecondary" sx={{ fontWeight: 'bold' }}>
             <strong>Total Device Wear Time:</strong> {patientData.statistics.totalWearTimeHours?.toFixed(1) || 'N/A'} hours 
@@ -1062,12 +1147,11 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             aria-label="biomarker type"
             size="small"
           >
-            <ToggleButton value="glucose" aria-label="glucose">
-              Glucose
-            </ToggleButton>
-            <ToggleButton value="cortisol" aria-label="cortisol">
-              Cortisol
-            </ToggleButton>
+            {Object.entries(biomarkers).map(([type, entry]) => (
+              <ToggleButton key={type} value={type} aria-label={type}>
+                {entry.label}
+              </ToggleButton>
+            ))}
           </ToggleButtonGroup>
           
           {/* Download PDF Button for embed mode */}
@@ -1097,6 +1181,20 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             {!isPaidUser && !isAdmin && paidStatusChecked && <span style={{ marginLeft: '4px', fontSize: '0.8em' }}>🔒</span>}
           </Button>
           
+          {/* Download FHIR Button for embed mode */}
+          {biomarkerType === 'glucose' && (
+            <Button
+              startIcon={<DownloadIcon />}
+              onClick={downloadFHIR}
+              disabled={isExportingFhir}
+              variant="outlined"
+              size="small"
+              title="HL7 FHIR R4 Bundle of the report period's glucose readings and summary metrics"
+            >
+              {isExportingFhir ? 'Exporting FHIR...' : 'Download FHIR'}
+            </Button>
+          )}
+          
           {/* Auto-detected conditions display for embed mode */}
           {applicableRanges && !applicableRanges.useDefault && (
             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, px: 2, py: 1, bgcolor: 'info.main', color: 'white', borderRadius: 1 }}>
@@ -1108,6 +1206,113 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         </Box>
       )}
 
+      {/* Report Period Selection */}
+      <Box sx={{ mb: 3, display: 'flex', justifyContent: 'center', alignItems: 'center', gap: 2, flexWrap: 'wrap' }} className="pdf-hide">
+        <ToggleButtonGroup
+          value={reportPeriod}
+          exclusive
+          onChange={(event, newPeriod) => {
+            if (newPeriod !== null) {
+              setReportPeriod(newPeriod);
+            }
+          }}
+          aria-label="report period"
+          size="small"
+        >
+          <ToggleButton value="all">All Data</ToggleButton>
+          <ToggleButton value="7">7 Days</ToggleButton>
+          <ToggleButton value="14">14 Days</ToggleButton>
+          <ToggleButton value="30">30 Days</ToggleButton>
+          <ToggleButton value="90">90 Days</ToggleButton>
+          <ToggleButton value="custom">Custom</ToggleButton>
+        </ToggleButtonGroup>
+        
+        {reportPeriod === 'custom' && (
+          <>
+            <TextField
+              type="date"
+              label="Start"
+              size="small"
+              value={customStart}
+              onChange={(e) => setCustomStart(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ max: customEnd || undefined }}
+            />
+            <TextField
+              type="date"
+              label="End"
+              size="small"
+              value={customEnd}
+              onChange={(e) => setCustomEnd(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: customStart || undefined }}
+            />
+          </>
+        )}
+        
+        <FormControlLabel
+          control={
+            <Switch
+              checked={compareWithPrevious}
+              onChange={(e) => setCompareWithPrevious(e.target.checked)}
+              disabled={reportPeriod === 'all' || (reportPeriod === 'custom' && !customStart)}
+            />
+          }
+          label="Compare with previous period"
+        />
+        
+        <FormControlLabel
+          control={
+            <Switch
+              checked={showRawData}
+              onChange={(e) => setShowRawData(e.target.checked)}
+            />
+          }
+          label="Show raw data"
+        />
+      </Box>
+
+      {/* Signal Cleaning Summary */}
+      {patientData.cleaning && (
+        <Box sx={{ maxWidth: '1400px', margin: '0 auto', px: 2, mb: 2 }}>
+          <Alert severity="info">
+            {patientData.cleaning.applied ? (
+              <>
+                <strong>Cleaned data</strong> - {patientData.cleaning.removedReadings} of {patientData.cleaning.inputReadings} readings removed
+                {patientData.cleaning.removedReadings > 0 && ` (${[
+                  ['outOfRange', 'out of range'],
+                  ['warmup', 'sensor warm-up'],
+                  ['minGap', 'too close to the previous reading'],
+                  ['spike', 'spikes'],
+                  ['outlier', 'outliers']
+                ].filter(([key]) => patientData.cleaning.removedByReason[key] > 0)
+                  .map(([key, label]) => `${patientData.cleaning.removedByReason[key]} ${label}`)
+                  .join(', ')})`}
+                {patientData.cleaning.clampedReadings > 0 && `, ${patientData.cleaning.clampedReadings} clamped to the plausible range`}.
+              </>
+            ) : (
+              <>
+                <strong>{patientData.cleaning.raw ? 'Raw data' : 'Cleaning disabled'}</strong> - all {patientData.cleaning.inputReadings} readings are included, without signal cleaning.
+              </>
+            )}
+          </Alert>
+        </Box>
+      )}
+
+      {/* Data Sufficiency Banner */}
+      <Box sx={{ maxWidth: '1400px', margin: '0 auto', px: 2, mb: 3 }}>
+        <Alert severity={patientData.statistics.sufficientForClinicalInterpretation ? 'success' : 'warning'}>
+          <strong>
+            {patientData.statistics.sufficientForClinicalInterpretation
+              ? 'Sufficient data for clinical interpretation'
+              : 'Insufficient data for clinical interpretation'}
+          </strong>
+          {' '}- {patientData.statistics.daysOfData ?? 'N/A'} days of data, sensor active {patientData.statistics.percentSensorActive ?? 'N/A'}% of the time
+          (recommended: at least 14 days with at least 70% sensor activity).
+          {' '}Gaps longer than {patientData.statistics.maxGapMinutes || 30} minutes are not counted as wear time.
+        </Alert>
+      </Box>
+
       {/* Centered Grid Container */}
       <Grid container spacing={3} sx={{ 
         justifyContent: 'center', 
@@ -1188,13 +1393,13 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
           
           {/* Range Labels and Values - Ordered from highest to lowest values */}
           <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', gap: 2.5, ml: 2, minWidth: 280 }}>
-            {biomarkerType === 'glucose' ? (
+            {isGlycemic ? (
               <>
                 {/* Very High - highest values */}
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[4], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Very High <span style={{color: '#666', fontWeight: 'normal'}}>(&gt;{chartConfiguration.ranges?.high?.max || 250} mg/dL)</span>
+                    Very High <span style={{color: '#666', fontWeight: 'normal'}}>(&gt;{chartConfiguration.ranges?.high?.max || biomarker.defaultRanges.high.max} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[4]}% ({formatTime((patientData.statistics.timeVeryHighMinutes || 0))})
@@ -1205,7 +1410,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[3], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    High <span style={{color: '#666', fontWeight: 'normal'}}>({(chartConfiguration.ranges?.target?.max || 180) + 1}-{chartConfiguration.ranges?.high?.max || 250} mg/dL)</span>
+                    High <span style={{color: '#666', fontWeight: 'normal'}}>({stepThreshold(chartConfiguration.ranges?.target?.max || biomarker.defaultRanges.target.max, 1)}-{chartConfiguration.ranges?.high?.max || biomarker.defaultRanges.high.max} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[3]}% ({formatTime((patientData.statistics.timeHighMinutes || 0))})
@@ -1216,7 +1421,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[2], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Target Range <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.target?.min || 70}-{chartConfiguration.ranges?.target?.max || 180} mg/dL)</span>
+                    Target Range <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.target?.min || biomarker.defaultRanges.target.min}-{chartConfiguration.ranges?.target?.max || biomarker.defaultRanges.target.max} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[2]}% ({formatTime((patientData.statistics.timeTargetMinutes || 0))})
@@ -1227,7 +1432,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[1], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Low <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.veryLow?.max || 54}-{(chartConfiguration.ranges?.target?.min || 70) - 1} mg/dL)</span>
+                    Low <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.veryLow?.max || biomarker.defaultRanges.veryLow.max}-{stepThreshold(chartConfiguration.ranges?.target?.min || biomarker.defaultRanges.target.min, -1)} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[1]}% ({formatTime((patientData.statistics.timeLowMinutes || 0))})
@@ -1238,7 +1443,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[0], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Very Low <span style={{color: '#666', fontWeight: 'normal'}}>(&lt;{chartConfiguration.ranges?.veryLow?.max || 54} mg/dL)</span>
+                    Very Low <span style={{color: '#666', fontWeight: 'normal'}}>(&lt;{chartConfiguration.ranges?.veryLow?.max || biomarker.defaultRanges.veryLow.max} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[0]}% ({formatTime((patientData.statistics.timeVeryLowMinutes || 0))})
@@ -1252,7 +1457,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[4], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Very High <span style={{color: '#666', fontWeight: 'normal'}}>(&gt;{chartConfiguration.ranges?.high?.max || 50} ng/mL)</span>
+                    Very High <span style={{color: '#666', fontWeight: 'normal'}}>(&gt;{chartConfiguration.ranges?.high?.max || 50} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[4]}% ({formatTime((patientData.statistics.timeVeryHighMinutes || 0))})
@@ -1263,7 +1468,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[3], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    High <span style={{color: '#666', fontWeight: 'normal'}}>({(chartConfiguration.ranges?.normal?.max || 30) + 1}-{chartConfiguration.ranges?.high?.max || 50} ng/mL)</span>
+                    High <span style={{color: '#666', fontWeight: 'normal'}}>({(chartConfiguration.ranges?.[biomarker.inRangeCategory]?.max || 30) + 1}-{chartConfiguration.ranges?.high?.max || 50} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[3]}% ({formatTime((patientData.statistics.timeHighMinutes || 0))})
@@ -1274,7 +1479,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[2], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Normal Range <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.normal?.min || 10}-{chartConfiguration.ranges?.normal?.max || 30} ng/mL)</span>
+                    Normal Range <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.[biomarker.inRangeCategory]?.min || 10}-{chartConfiguration.ranges?.[biomarker.inRangeCategory]?.max || 30} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[2]}% ({formatTime((patientData.statistics.timeNormalMinutes || 0))})
@@ -1285,7 +1490,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[1], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Low <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.veryLow?.max || 5}-{(chartConfiguration.ranges?.normal?.min || 10) - 1} ng/mL)</span>
+                    Low <span style={{color: '#666', fontWeight: 'normal'}}>({chartConfiguration.ranges?.veryLow?.max || 5}-{(chartConfiguration.ranges?.[biomarker.inRangeCategory]?.min || 10) - 1} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[1]}% ({formatTime((patientData.statistics.timeLowMinutes || 0))})
@@ -1296,7 +1501,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                   <Box sx={{ width: 24, height: 24, backgroundColor: rangeColors[0], borderRadius: 0.5 }}></Box>
                   <Typography variant="body2" sx={{ fontWeight: 'bold', fontSize: '15px', lineHeight: 1.3 }}>
-                    Very Low <span style={{color: '#666', fontWeight: 'normal'}}>(&lt;{chartConfiguration.ranges?.veryLow?.max || 5} ng/mL)</span>
+                    Very Low <span style={{color: '#666', fontWeight: 'normal'}}>(&lt;{chartConfiguration.ranges?.veryLow?.max || 5} {unit})</span>
                     <br />
                     <span style={{color: '#666', fontWeight: 'normal', fontSize: '14px'}}>
                       {rangeValues[0]}% ({formatTime((patientData.statistics.timeVeryLowMinutes || 0))})
@@ -1325,25 +1530,25 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
           textAlign: 'center',
           width: '100%'
         }}>
-          {biomarkerType === 'glucose' ? 'GLUCOSE RANGES' : 'CORTISOL RANGES'}
+          {`${biomarker.label.toUpperCase()} RANGES`}
         </Typography>
          
          {/* Header Row */}
          <Box sx={{ display: 'flex', mb: 2, pb: 1, borderBottom: '2px solid #333', width: '90%' }}>
            <Typography variant="body2" fontWeight="bold" sx={{ flex: 2 }}>
-             {biomarkerType === 'glucose' ? 'Glucose Ranges' : 'Cortisol Ranges'}
+             {`${biomarker.label} Ranges`}
            </Typography>
            <Typography variant="body2" fontWeight="bold" sx={{ flex: 1.5, textAlign: 'center' }}>
              Targets [% of Readings (Time/Day)]
            </Typography>
          </Box>
         
-        {biomarkerType === 'glucose' ? (
+        {isGlycemic ? (
           <>
             {/* Target Range Row */}
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Target Range {chartConfiguration.ranges?.target?.min || 70}–{chartConfiguration.ranges?.target?.max || 180} mg/dL
+                Target Range {chartConfiguration.ranges?.target?.min || biomarker.defaultRanges.target.min}–{chartConfiguration.ranges?.target?.max || biomarker.defaultRanges.target.max} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Target &gt;70% ({formatTime((patientData.statistics.timeTargetMinutes || 0) * 0.7)})
@@ -1353,7 +1558,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Below {chartConfiguration.ranges?.target?.min || 70} mg/dL
+                Below {chartConfiguration.ranges?.target?.min || biomarker.defaultRanges.target.min} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 4% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.04)})
@@ -1363,7 +1568,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Below {chartConfiguration.ranges?.veryLow?.max || 54} mg/dL
+                Below {chartConfiguration.ranges?.veryLow?.max || biomarker.defaultRanges.veryLow.max} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 1% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.01)})
@@ -1373,7 +1578,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Above {chartConfiguration.ranges?.target?.max || 180} mg/dL
+                Above {chartConfiguration.ranges?.target?.max || biomarker.defaultRanges.target.max} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 25% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.25)})
@@ -1383,7 +1588,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Above {chartConfiguration.ranges?.high?.max || 250} mg/dL
+                Above {chartConfiguration.ranges?.high?.max || biomarker.defaultRanges.high.max} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 5% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.05)})
@@ -1393,7 +1598,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             {/* Clinical Note */}
             <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd', width: '90%' }}>
               <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center' }}>
-                Each 5% increase in time in range ({chartConfiguration.ranges?.target?.min || 70}-{chartConfiguration.ranges?.target?.max || 180} mg/dL) is clinically beneficial.
+                Each 5% increase in time in range ({chartConfiguration.ranges?.target?.min || biomarker.defaultRanges.target.min}-{chartConfiguration.ranges?.target?.max || biomarker.defaultRanges.target.max} {unit}) is clinically beneficial.
               </Typography>
             </Box>
           </>
@@ -1402,7 +1607,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             {/* Normal Range Row */}
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Normal Range {chartConfiguration.ranges?.normal?.min || 10}–{chartConfiguration.ranges?.normal?.max || 30} ng/mL
+                Normal Range {chartConfiguration.ranges?.[biomarker.inRangeCategory]?.min || 10}–{chartConfiguration.ranges?.[biomarker.inRangeCategory]?.max || 30} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Target 60-80% ({formatTime((patientData.statistics.timeNormalMinutes || 0) * 0.7)})
@@ -1412,7 +1617,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Below {chartConfiguration.ranges?.normal?.min || 10} ng/mL
+                Below {chartConfiguration.ranges?.[biomarker.inRangeCategory]?.min || 10} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 10% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.10)})
@@ -1422,7 +1627,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Below {chartConfiguration.ranges?.veryLow?.max || 5} ng/mL
+                Below {chartConfiguration.ranges?.veryLow?.max || 5} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 2% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.02)})
@@ -1432,7 +1637,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Above {chartConfiguration.ranges?.normal?.max || 30} ng/mL
+                Above {chartConfiguration.ranges?.[biomarker.inRangeCategory]?.max || 30} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 20% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.20)})
@@ -1442,7 +1647,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             
             <Box sx={{ display: 'flex', py: 1, alignItems: 'center', width: '90%' }}>
               <Typography variant="body2" sx={{ flex: 2 }}>
-                Above {chartConfiguration.ranges?.high?.max || 50} ng/mL
+                Above {chartConfiguration.ranges?.high?.max || 50} {unit}
               </Typography>
               <Typography variant="body2" sx={{ flex: 1.5, textAlign: 'center' }}>
                 Less than 5% ({formatTime((patientData.statistics.totalWearTimeMinutes || 0) * 0.05)})
@@ -1452,7 +1657,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             {/* Clinical Note */}
             <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd', width: '90%' }}>
               <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center' }}>
-                Maintaining cortisol in normal range ({chartConfiguration.ranges?.normal?.min || 10}-{chartConfiguration.ranges?.normal?.max || 30} ng/mL) is important for stress response and metabolic health.
+                Maintaining cortisol in normal range ({chartConfiguration.ranges?.[biomarker.inRangeCategory]?.min || 10}-{chartConfiguration.ranges?.[biomarker.inRangeCategory]?.max || 30} {unit}) is important for stress response and metabolic health.
               </Typography>
             </Box>
           </>
@@ -1464,6 +1669,70 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
   </Grid>
 </Grid>
 
+      {/* Period Comparison - current vs previous period */}
+      {patientData.comparison && (
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+          <Card sx={{ width: '80%', maxWidth: 1200 }}>
+            <CardContent sx={{ py: 3 }}>
+              <Typography variant="h6" gutterBottom fontWeight="bold" sx={{ 
+                backgroundColor: '#333', 
+                color: 'white', 
+                p: 1.5, 
+                mb: 3,
+                fontSize: '16px',
+                letterSpacing: '2px',
+                textAlign: 'center'
+              }}>
+                PERIOD COMPARISON
+              </Typography>
+              
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold' }}>Metric</TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                      Previous ({new Date(patientData.comparison.previousWindow.start).toLocaleDateString()} - {new Date(patientData.comparison.previousWindow.end).toLocaleDateString()})
+                    </TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>
+                      Current ({new Date(patientData.dateWindow.start).toLocaleDateString()} - {new Date(patientData.dateWindow.end).toLocaleDateString()})
+                    </TableCell>
+                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Change</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {comparisonRows.map(row => {
+                    const delta = patientData.comparison.deltas[row.key];
+                    const improved = row.betterWhen === 'higher' ? delta > 0 : row.betterWhen === 'lower' ? delta < 0 : null;
+                    return (
+                      <TableRow key={row.key}>
+                        <TableCell>{row.label}</TableCell>
+                        <TableCell align="right">{patientData.comparison.previousStatistics[row.key]}{row.suffix}</TableCell>
+                        <TableCell align="right">{patientData.statistics[row.key]}{row.suffix}</TableCell>
+                        <TableCell
+                          align="right"
+                          sx={{
+                            fontWeight: 'bold',
+                            color: delta === 0 || improved === null ? 'text.primary' : improved ? 'success.main' : 'error.main'
+                          }}
+                        >
+                          {delta > 0 ? '+' : ''}{delta}{row.suffix}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+              
+              {patientData.comparison.previousTotalReadings === 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  No readings were recorded in the previous period.
+                </Alert>
+              )}
+            </CardContent>
+          </Card>
+        </Box>
+      )}
+
       {/* Additional Metrics - Horizontal Section */}
       <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
         <Card sx={{ width: '80%', maxWidth: 1200 }}>
@@ -1499,17 +1768,12 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                   <Typography variant="body2" color="textSecondary" gutterBottom>
                     CGM Active
                   </Typography>
-                  <Typography variant="h5" fontWeight="bold" color="success.main">
-                    {(() => {
-                      // Calculate CGM Active percentage from wear time
-                      const startDate = new Date(patientData.startAt);
-                      const endDate = new Date(patientData.endAt);
-                      const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-                      const totalPossibleMinutes = totalDays * 24 * 60;
-                      const actualWearTimeMinutes = patientData.statistics.totalWearTimeMinutes || 0;
-                      const cgmActivePercentage = Math.round((actualWearTimeMinutes / totalPossibleMinutes) * 100);
-                      return `${cgmActivePercentage}%`;
-                    })()}
+                  <Typography
+                    variant="h5"
+                    fontWeight="bold"
+                    color={patientData.statistics.percentSensorActive >= 70 ? 'success.main' : 'warning.main'}
+                  >
+                    {patientData.statistics.percentSensorActive ?? 'N/A'}%
                   </Typography>
                 </Box>
               </Grid>
@@ -1518,7 +1782,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
               <Grid item xs={12} sm={6} md={2.4}>
                 <Box sx={{ textAlign: 'center', p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
                   <Typography variant="body2" color="textSecondary" gutterBottom>
-                    Average {biomarkerType === 'glucose' ? 'Glucose' : 'Cortisol'}
+                    Average {biomarker.label}
                   </Typography>
                   <Typography variant="h5" fontWeight="bold" color="primary">
                     {patientData.statistics.average} {unit}
@@ -1526,8 +1790,8 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 </Box>
               </Grid>
               
-              {/* A1C - Only for Glucose */}
-              {biomarkerType === 'glucose' && (
+              {/* A1C - Only for biomarkers with GMI (glucose) */}
+              {hasFeature(biomarker, 'gmi') && (
                 <Grid item xs={12} sm={6} md={2.4}>
                   <Box sx={{ textAlign: 'center', p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
                     <Typography variant="body2" color="textSecondary" gutterBottom>
@@ -1540,8 +1804,8 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
                 </Grid>
               )}
               
-              {/* GMI - Only for Glucose */}
-              {biomarkerType === 'glucose' && ( 
+              {/* GMI - Only for biomarkers with GMI (glucose) */}
+              {hasFeature(biomarker, 'gmi') && ( 
                 <Grid item xs={12} sm={6} md={2.4}>
                   <Box sx={{ textAlign: 'center', p: 2, border: '1px solid #e0e0e0', borderRadius: 2 }}>
                     <Typography variant="body2" color="textSecondary" gutterBottom>
@@ -1571,7 +1835,7 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             {/* Clinical Note */}
             <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd' }}>
               <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center', color: 'textSecondary' }}>
-                {biomarkerType === 'glucose' 
+                {isGlycemic 
                   ? 'Lower coefficient of variation indicates more stable glucose levels. A1C reflects average glucose over 2-3 months.'
                   : 'Coefficient of variation reflects cortisol variability. Normal cortisol follows circadian rhythm patterns.'
                 }
@@ -1581,6 +1845,363 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
         </Card>
       </Box>
 
+      {/* Circadian Rhythm - biomarkers with circadian metrics (cortisol) */}
+      {hasCircadian && (
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+          <Card sx={{ width: '80%', maxWidth: 1200 }}>
+            <CardContent sx={{ py: 3 }}>
+              <Typography variant="h6" gutterBottom fontWeight="bold" sx={{ 
+                backgroundColor: '#333', 
+                color: 'white', 
+                p: 1.5, 
+                mb: 3,
+                fontSize: '16px',
+                letterSpacing: '2px',
+                textAlign: 'center'
+              }}>
+                CIRCADIAN RHYTHM
+              </Typography>
+
+              {/* Waking day used for CAR, slope and AUC */}
+              <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2, mb: 3 }}>
+                <TextField
+                  type="time"
+                  label="Wake Time"
+                  size="small"
+                  value={wakeTime}
+                  onChange={(e) => e.target.value && setWakeTime(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+                <TextField
+                  type="time"
+                  label="Bed Time"
+                  size="small"
+                  value={bedTime}
+                  onChange={(e) => e.target.value && setBedTime(e.target.value)}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Box>
+
+              {!patientData.circadian ? (
+                <Typography variant="body2" color="textSecondary" sx={{ textAlign: 'center' }}>
+                  No cortisol readings in this period.
+                </Typography>
+              ) : (
+                <Grid container spacing={2} sx={{ justifyContent: 'center' }}>
+                  {[
+                    {
+                      label: 'Awakening Response (CAR)',
+                      value: patientData.circadian.awakeningResponse.meanIncrease !== null
+                        ? `+${patientData.circadian.awakeningResponse.meanIncrease} ${unit}`
+                        : 'N/A',
+                      detail: patientData.circadian.awakeningResponse.meanPercentIncrease !== null
+                        ? `${patientData.circadian.awakeningResponse.meanPercentIncrease}% rise, peak at ${patientData.circadian.awakeningResponse.meanMinutesToPeak} min`
+                        : `No reading within 15 min of waking`
+                    },
+                    {
+                      label: 'Peak Time (Cosinor)',
+                      value: formatClockHour(patientData.circadian.cosinor?.peakHour),
+                      detail: patientData.circadian.cosinor ? `R² ${patientData.circadian.cosinor.rSquared}` : 'Not enough coverage'
+                    },
+                    {
+                      label: 'Amplitude',
+                      value: patientData.circadian.cosinor ? `${patientData.circadian.cosinor.amplitude} ${unit}` : 'N/A',
+                      detail: patientData.circadian.cosinor ? `MESOR ${patientData.circadian.cosinor.mesor} ${unit}` : ''
+                    },
+                    {
+                      label: 'Diurnal Slope',
+                      value: patientData.circadian.diurnalSlope.meanSlopePerHour !== null
+                        ? `${patientData.circadian.diurnalSlope.meanSlopePerHour} ${unit}/h`
+                        : 'N/A',
+                      detail: `${patientData.circadian.diurnalSlope.days} day(s)`
+                    },
+                    {
+                      label: 'AUCg',
+                      value: patientData.circadian.areaUnderCurve.meanAUCg !== null
+                        ? `${patientData.circadian.areaUnderCurve.meanAUCg} ${unit}·h`
+                        : 'N/A',
+                      detail: 'Area with respect to ground'
+                    },
+                    {
+                      label: 'AUCi',
+                      value: patientData.circadian.areaUnderCurve.meanAUCi !== null
+                        ? `${patientData.circadian.areaUnderCurve.meanAUCi} ${unit}·h`
+                        : 'N/A',
+                      detail: 'Area with respect to increase'
+                    },
+                    {
+                      label: 'Interdaily Stability',
+                      value: patientData.circadian.stability.interdailyStability ?? 'N/A',
+                      detail: '0 (none) to 1 (identical days)'
+                    },
+                    {
+                      label: 'Peak Time Variation',
+                      value: patientData.circadian.stability.peakTimeStdDevHours !== null
+                        ? `±${patientData.circadian.stability.peakTimeStdDevHours} h`
+                        : 'N/A',
+                      detail: `${patientData.circadian.stability.daysWithDailyFit} day(s) with a daily fit`
+                    }
+                  ].map(item => (
+                    <Grid item xs={6} sm={3} key={item.label}>
+                      <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2, height: '100%' }}>
+                        <Typography variant="body2" color="textSecondary" gutterBottom>
+                          {item.label}
+                        </Typography>
+                        <Typography variant="h6" fontWeight="bold" color="primary">
+                          {item.value}
+                        </Typography>
+                        <Typography variant="caption" color="textSecondary">
+                          {item.detail}
+                        </Typography>
+                      </Box>
+                    </Grid>
+                  ))}
+                </Grid>
+              )}
+
+              {/* Clinical Note */}
+              <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd' }}>
+                <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center', color: 'textSecondary' }}>
+                  CAR is the rise from waking to the peak within the first hour. Slope and AUC cover the waking day ({wakeTime}-{bedTime}) and are averaged over days.
+                  The cosinor fit (dashed on the ACP chart) is a 24-hour cosine model of all readings.
+                </Typography>
+              </Box>
+            </CardContent>
+          </Card>
+        </Box>
+      )}
+
+      {/* Variability - biomarkers with variability metrics (glucose) */}
+      {hasVariability && variabilityData && (
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+          <Card sx={{ width: '80%', maxWidth: 1200 }}>
+            <CardContent sx={{ py: 3 }}>
+              <Typography variant="h6" gutterBottom fontWeight="bold" sx={{ 
+                backgroundColor: '#333', 
+                color: 'white', 
+                p: 1.5, 
+                mb: 3,
+                fontSize: '16px',
+                letterSpacing: '2px',
+                textAlign: 'center'
+              }}>
+                VARIABILITY
+              </Typography>
+
+              <Grid container spacing={3} sx={{ justifyContent: 'center' }}>
+                {/* Variability and Risk Metrics */}
+                <Grid item xs={12} md={6}>
+                  <Grid container spacing={2}>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        Standard Deviation
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.standardDeviation} {unit}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        MAGE
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.mage} {unit}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        CONGA-{variabilityData.congaHours}
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.conga} {unit}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        MODD
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.modd} {unit}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        J-Index
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.jIndex}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        LBGI
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.lbgi}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        HBGI
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.hbgi}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        ADRR
+                      </Typography>
+                      <Typography variant="h6" fontWeight="bold" color="primary">
+                        {variabilityData.adrr}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  </Grid>
+                </Grid>
+
+                {/* GRI Grid */}
+                <Grid item xs={12} md={6}>
+                  <Box sx={{ textAlign: 'center', mb: 1 }}>
+                    <Typography variant="body2" color="textSecondary">
+                      Glycemia Risk Index (GRI)
+                    </Typography>
+                    <Typography variant="h5" fontWeight="bold" color={variabilityData.gri > 40 ? 'error.main' : 'success.main'}>
+                      {variabilityData.gri} (Zone {variabilityData.griZone})
+                    </Typography>
+                    <Typography variant="caption" color="textSecondary">
+                      Hypo component {variabilityData.griHypoComponent}% · Hyper component {variabilityData.griHyperComponent}%
+                    </Typography>
+                  </Box>
+                  {griChart && (
+                    <Plot
+                      data={griChart.data}
+                      layout={griChart.layout}
+                      config={{ responsive: true, displayModeBar: false }}
+                      style={{ width: "100%" }}
+                    />
+                  )}
+                </Grid>
+              </Grid>
+
+              {/* Clinical Note */}
+              <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd' }}>
+                <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center', color: 'textSecondary' }}>
+                  LBGI and HBGI estimate the risk of low and high glucose. GRI zones run from A (lowest risk) to E (highest risk).
+                </Typography>
+              </Box>
+            </CardContent>
+          </Card>
+        </Box>
+      )}
+
+      {/* Glucose Episodes */}
+      {hasEpisodes && episodeData && (
+        <Box sx={{ mt: 3, display: 'flex', justifyContent: 'center' }}>
+          <Card sx={{ width: '80%', maxWidth: 1200 }}>
+            <CardContent sx={{ py: 3 }}>
+              <Typography variant="h6" gutterBottom fontWeight="bold" sx={{ 
+                backgroundColor: '#333', 
+                color: 'white', 
+                p: 1.5, 
+                mb: 3,
+                fontSize: '16px',
+                letterSpacing: '2px',
+                textAlign: 'center'
+              }}>
+                EPISODES
+              </Typography>
+              
+              <Grid container spacing={2} sx={{ mb: 2, justifyContent: 'center' }}>
+                {[
+                  { label: 'Level 1 Hypo', value: episodeData.summary.hypoglycemiaLevel1, color: '#ff6b6b' },
+                  { label: 'Level 2 Hypo', value: episodeData.summary.hypoglycemiaLevel2, color: '#c62828' },
+                  { label: 'Nocturnal Hypo', value: episodeData.summary.nocturnalHypoglycemia, color: '#6a1b9a' },
+                  { label: 'Level 1 Hyper', value: episodeData.summary.hyperglycemiaLevel1, color: '#ffa000' },
+                  { label: 'Level 2 Hyper', value: episodeData.summary.hyperglycemiaLevel2, color: '#e65100' },
+                  { label: 'Prolonged Hyper', value: episodeData.summary.prolongedHyperglycemia, color: '#bf360c' }
+                ].map(item => (
+                  <Grid item xs={6} sm={4} md={2} key={item.label}>
+                    <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                      <Typography variant="body2" color="textSecondary" gutterBottom>
+                        {item.label}
+                      </Typography>
+                      <Typography variant="h5" fontWeight="bold" sx={{ color: item.color }}>
+                        {item.value}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                ))}
+              </Grid>
+              
+              {episodeData.episodes.length === 0 ? (
+                <Typography variant="body2" color="textSecondary" sx={{ textAlign: 'center' }}>
+                  No episodes detected in this period.
+                </Typography>
+              ) : (
+                <Box sx={{ maxHeight: 400, overflowY: 'auto' }}>
+                  <Table size="small" stickyHeader>
+                    <TableHead>
+                      <TableRow>
+                        <TableCell sx={{ fontWeight: 'bold' }}>Type</TableCell>
+                        <TableCell sx={{ fontWeight: 'bold' }}>Start</TableCell>
+                        <TableCell sx={{ fontWeight: 'bold' }}>End</TableCell>
+                        <TableCell align="right" sx={{ fontWeight: 'bold' }}>Duration</TableCell>
+                        <TableCell align="right" sx={{ fontWeight: 'bold' }}>Nadir / Peak ({unit})</TableCell>
+                        <TableCell sx={{ fontWeight: 'bold' }}>Flags</TableCell>
+                      </TableRow>
+                    </TableHead>
+                    <TableBody>
+                      {episodeData.episodes.map(episode => (
+                        <TableRow key={`${episode.type}-${episode.start}`}>
+                          <TableCell>
+                            Level {episode.level} {episode.type === 'hypoglycemia' ? 'Hypoglycemia' : 'Hyperglycemia'}
+                          </TableCell>
+                          <TableCell>{new Date(episode.start).toLocaleString()}</TableCell>
+                          <TableCell>{new Date(episode.end).toLocaleString()}</TableCell>
+                          <TableCell align="right">
+                            {episode.durationMinutes >= 60
+                              ? `${Math.floor(episode.durationMinutes / 60)}h ${episode.durationMinutes % 60}m`
+                              : `${episode.durationMinutes}m`}
+                          </TableCell>
+                          <TableCell align="right">{episode.type === 'hypoglycemia' ? episode.nadir : episode.peak}</TableCell>
+                          <TableCell>
+                            {[episode.nocturnal && 'Nocturnal', episode.prolonged && 'Prolonged'].filter(Boolean).join(', ') || '-'}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </Box>
+              )}
+              
+              {/* Clinical Note */}
+              <Box sx={{ mt: 3, pt: 2, borderTop: '1px solid #ddd' }}>
+                <Typography variant="body2" sx={{ fontStyle: 'italic', fontSize: '0.875rem', textAlign: 'center', color: 'textSecondary' }}>
+                  Episodes last at least 15 minutes and end after 15 minutes back in range. Level 1: &lt;{episodeData.thresholds.lowMax} or &gt;{episodeData.thresholds.targetMax} {unit};
+                  Level 2: &lt;{episodeData.thresholds.veryLowMax} or &gt;{episodeData.thresholds.highMax} {unit}. Prolonged: &gt;{episodeData.thresholds.highMax} {unit} for over 2 hours. Nocturnal: midnight-6am.
+                </Typography>
+              </Box>
+            </CardContent>
+          </Card>
+        </Box>
+      )}
+
       {/* AGP Chart */}
       <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
         <Card sx={{ height: 500, width: '80%', maxWidth: 900 }}>
@@ -1594,26 +2215,27 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
               letterSpacing: '2px',
               textAlign: 'center'
             }}>
-              {biomarkerType === 'glucose' ? 'AMBULATORY GLUCOSE PROFILE (AGP)' : 'AMBULATORY CORTISOL PROFILE (ACP)'}
+              {`${biomarker.profileName.toUpperCase()} (${biomarker.profileAbbreviation})`}
             </Typography>
             <Typography variant="body2" color="textSecondary" sx={{ mb: 3, textAlign: 'center' }}>
-              {biomarkerType === 'glucose' 
-                ? 'AGP is a summary of glucose values from the report period, with median (50%) and other percentiles shown as if they occurred in a single day.'
-                : 'ACP is a summary of cortisol values from the report period, with median (50%) and other percentiles shown as if they occurred in a single day.'
-              }
+              {`${biomarker.profileAbbreviation} is a summary of ${biomarker.label.toLowerCase()} values from the report period, with median (50%) and other percentiles shown as if they occurred in a single day.`}
+              {patientData.timezone && ` Times are shown in the patient's timezone (${patientData.timezone}).`}
+              {patientData.computed_at && ` Statistics calculated ${new Date(patientData.computed_at).toLocaleString()}.`}
             </Typography>
             <Box sx={{ flex: 1, minHeight: 0, display: 'flex', justifyContent: 'center' }}>
               <Box sx={{ width: '100%', maxWidth: 800 }}>
-                <Plot
-                  data={agpData}
+                <AGPChart
+                  profiles={[{ percentages: patientData.percentages }]}
+                  biomarker={biomarker}
+                  biomarkerType={biomarkerType}
+                  unit={unit}
+                  ranges={ranges}
+                  cosinor={cosinor}
                   layout={{
-                    ...agpLayout,
                     height: 350,
                     width: 800,
                     margin: { l: 60, r: 40, t: 40, b: 60 }
                   }}
-                  config={{ responsive: true, displayModeBar: false }}
-                  style={{ width: "100%", height: "100%" }}
                 />
               </Box>
             </Box>
@@ -1622,8 +2244,8 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
       </Box>
 
       {/* Daily Glucose Profiles */}
-      <Card sx={{ mt: 3, height: 300 }}>
-        <CardContent sx={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
+      <Card sx={{ mt: 3 }}>
+        <CardContent>
           <Typography variant="h6" gutterBottom fontWeight="bold" sx={{ 
             backgroundColor: '#333', 
             color: 'white', 
@@ -1633,23 +2255,25 @@ function AGPReport({ username: usernameProp, embedMode = false }) {
             letterSpacing: '2px',
             textAlign: 'center'
           }}>
-            {biomarkerType === 'glucose' ? 'DAILY GLUCOSE PROFILES' : 'DAILY CORTISOL PROFILES'}
+            {`DAILY ${biomarker.label.toUpperCase()} PROFILES`}
           </Typography>
           <Typography variant="body2" color="textSecondary" sx={{ mb: 3, textAlign: 'center' }}>
             Each day represents a midnight-to-midnight period.
           </Typography>
-          <Box sx={{ flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
-            <Box sx={{ textAlign: 'center' }}>
-              <Typography color="textSecondary" sx={{ fontSize: '16px', fontWeight: 500 }}>
-                Daily {biomarkerType} profiles would show individual day overlays
-              </Typography>
-              <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
-                (Implementation would require daily breakdown data)
-              </Typography>
-            </Box>
-          </Box>
+          <DailyProfilesGrid username={username} biomarkerType={biomarkerType} />
         </CardContent>
       </Card>
+
+      {/* Reference CGM (commercial CGM worn alongside) over the report period */}
+      {biomarkerType === 'glucose' && (
+        <Box sx={{ mt: 3 }} className="pdf-hide">
+          <ReferenceCGMPanel
+            username={username}
+            start={patientData.dateWindow?.start || null}
+            end={patientData.dateWindow?.end || null}
+          />
+        </Box>
+      )}
       </Box>
     </Container>
   );
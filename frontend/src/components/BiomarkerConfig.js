@@ -8,6 +8,7 @@
  * - Condition-specific range viewing for glucose and cortisol biomarkers
  * - Visual range preview with color-coded thresholds
  * - Automatic refresh from database
+ * - Editable per-biomarker signal cleaning settings (range clipping, warm-up, minimum gap, spikes, outliers)
  * 
  * DEPENDENCIES:
  * - Material-UI for comprehensive display components
@@ -21,6 +22,7 @@
 
 import React, { useState, useEffect } from 'react';
 import config from '../config';
+import { useBiomarkers } from '../biomarkers';
 import {
     Container,
     Paper,
@@ -36,15 +38,31 @@ import {
     MenuItem,
     Chip,
     Alert,
-    CircularProgress
+    CircularProgress,
+    TextField,
+    Switch,
+    FormControlLabel
 } from '@mui/material';
 import {
     Refresh as RefreshIcon,
     Science as ScienceIcon,
     Bloodtype as BloodtypeIcon,
-    Visibility as VisibilityIcon
+    Visibility as VisibilityIcon,
+    Save as SaveIcon
 } from '@mui/icons-material';
 
+// Numeric cleaning settings shown in the editor, in display order
+const CLEANING_FIELDS = [
+    { key: 'minValue', label: 'Minimum plausible value', unit: true },
+    { key: 'maxValue', label: 'Maximum plausible value', unit: true },
+    { key: 'warmupMinutes', label: 'Sensor warm-up (min)' },
+    { key: 'sessionGapMinutes', label: 'New sensor session after gap (min)' },
+    { key: 'minGapMinutes', label: 'Minimum gap between readings (min)' },
+    { key: 'spikeRatePerMinute', label: 'Spike rate limit (per min)', unit: true },
+    { key: 'outlierMadThreshold', label: 'Outlier threshold (MADs, 0 = off)' },
+    { key: 'outlierWindowSize', label: 'Outlier window (readings)' }
+];
+
 const BiomarkerConfig = () => {
     const [configs, setConfigs] = useState({
         glucose: {
@@ -61,11 +79,65 @@ const BiomarkerConfig = () => {
     const [selectedCondition, setSelectedCondition] = useState('default');
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState({ text: '', type: '' });
+    const [cleaningSettings, setCleaningSettings] = useState(null);
+    const [cleaningSaving, setCleaningSaving] = useState(false);
+    const biomarkers = useBiomarkers();
+    const selectedConfig = configs[selectedBiomarker] || { default: {}, conditions: {} };
 
     useEffect(() => {
         fetchConfigs();
+        fetchCleaningSettings();
     }, []);
 
+    const fetchCleaningSettings = async () => {
+        try {
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${config.API_URL}/admin/cleaning-settings`, {
+                headers: { 'Authorization': `Bearer ${token}` }
+            });
+            if (response.ok) {
+                const data = await response.json();
+                setCleaningSettings(data.settings);
+            }
+        } catch (error) {
+            console.error('Error fetching cleaning settings:', error);
+        }
+    };
+
+    const updateCleaningSetting = (key, value) => {
+        setCleaningSettings(prev => ({
+            ...prev,
+            [selectedBiomarker]: { ...prev[selectedBiomarker], [key]: value }
+        }));
+    };
+
+    const saveCleaningSettings = async () => {
+        try {
+            setCleaningSaving(true);
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${config.API_URL}/admin/cleaning-settings/${selectedBiomarker}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ settings: cleaningSettings[selectedBiomarker] })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (response.ok) {
+                setCleaningSettings(prev => ({ ...prev, [selectedBiomarker]: data.settings }));
+                setMessage({ text: data.message || 'Cleaning settings saved', type: 'success' });
+            } else {
+                setMessage({ text: data.error || 'Error saving cleaning settings', type: 'error' });
+            }
+        } catch (error) {
+            console.error('Error saving cleaning settings:', error);
+            setMessage({ text: 'Error connecting to database', type: 'error' });
+        } finally {
+            setCleaningSaving(false);
+        }
+    };
+
     const fetchConfigs = async () => {
         try {
             setLoading(true);
@@ -97,17 +169,12 @@ const BiomarkerConfig = () => {
 
     const getCurrentRanges = () => {
         if (selectedCondition === 'default') {
-            return configs[selectedBiomarker].default;
+            return selectedConfig.default;
         }
-        return configs[selectedBiomarker].conditions[selectedCondition]?.ranges || {};
+        return selectedConfig.conditions[selectedCondition]?.ranges || {};
     };
 
-    const getRangeLabels = (biomarker) => {
-        if (biomarker === 'glucose') {
-            return ['veryLow', 'low', 'target', 'high', 'veryHigh'];
-        }
-        return ['veryLow', 'low', 'normal', 'high', 'veryHigh'];
-    };
+    const getRangeLabels = (biomarker) => biomarkers[biomarker]?.rangeCategories || [];
 
     const getRangeDisplayName = (key) => {
         const names = {
@@ -133,7 +200,9 @@ const BiomarkerConfig = () => {
         return colors[key] || '#6b7280';
     };
 
-    const getUnit = (biomarker) => biomarker === 'glucose' ? 'mg/dL' : 'ng/mL';
+    const getUnit = (biomarker) => biomarkers[biomarker]?.unit || '';
+    // Cleaning settings are applied to the stored values, so they stay in the conventional unit
+    const getCanonicalUnit = (biomarker) => biomarkers[biomarker]?.canonicalUnit || getUnit(biomarker);
 
     const hasRangeData = () => {
         const ranges = getCurrentRanges();
@@ -151,7 +220,7 @@ const BiomarkerConfig = () => {
                             Biomarker Range Configuration
                         </Typography>
                         <Typography variant="h6" sx={{ opacity: 0.9, mt: 1 }}>
-                            View and manage biomarker ranges for glucose and cortisol analysis
+                            View and manage biomarker ranges for {Object.values(biomarkers).map(entry => entry.label.toLowerCase()).join(', ')} analysis
                         </Typography>
                     </Box>
                 </Box>
@@ -177,26 +246,19 @@ const BiomarkerConfig = () => {
                             <CardContent>
                                 <Typography variant="h6" gutterBottom>Select Biomarker</Typography>
                                 <Box sx={{ display: 'flex', gap: 2 }}>
-                                    <Button
-                                        variant={selectedBiomarker === 'glucose' ? 'contained' : 'outlined'}
-                                        startIcon={<ScienceIcon />}
-                                        onClick={() => {
-                                            setSelectedBiomarker('glucose');
-                                            setSelectedCondition('default');
-                                        }}
-                                    >
-                                        Glucose (mg/dL)
-                                    </Button>
-                                    <Button
-                                        variant={selectedBiomarker === 'cortisol' ? 'contained' : 'outlined'}
-                                        startIcon={<BloodtypeIcon />}
-                                        onClick={() => {
-                                            setSelectedBiomarker('cortisol');
-                                            setSelectedCondition('default');
-                                        }}
-                                    >
-                                        Cortisol (ng/mL)
-                                    </Button>
+                                    {Object.entries(biomarkers).map(([type, entry]) => (
+                                        <Button
+                                            key={type}
+                                            variant={selectedBiomarker === type ? 'contained' : 'outlined'}
+                                            startIcon={type === 'cortisol' ? <BloodtypeIcon /> : <ScienceIcon />}
+                                            onClick={() => {
+                                                setSelectedBiomarker(type);
+                                                setSelectedCondition('default');
+                                            }}
+                                        >
+                                            {entry.label} ({entry.unit})
+                                        </Button>
+                                    ))}
                                 </Box>
                             </CardContent>
                         </Card>
@@ -218,7 +280,7 @@ const BiomarkerConfig = () => {
                                                 General Population
                                             </Box>
                                         </MenuItem>
-                                        {Object.entries(configs[selectedBiomarker].conditions).map(([key, condition]) => (
+                                        {Object.entries(selectedConfig.conditions).map(([key, condition]) => (
                                             <MenuItem key={key} value={key}>
                                                 <Box>
                                                     <Typography variant="body2">{condition.name}</Typography>
@@ -232,7 +294,7 @@ const BiomarkerConfig = () => {
                                         ))}
                                     </Select>
                                 </FormControl>
-                                {Object.keys(configs[selectedBiomarker].conditions).length === 0 && (
+                                {Object.keys(selectedConfig.conditions).length === 0 && (
                                     <Typography variant="body2" color="text.secondary">
                                         No specific conditions configured for {selectedBiomarker} in the database.
                                     </Typography>
@@ -244,7 +306,7 @@ const BiomarkerConfig = () => {
                         <Card>
                             <CardContent>
                                 <Typography variant="h6" gutterBottom>
-                                    Current Ranges - {selectedCondition === 'default' ? 'Default' : configs[selectedBiomarker].conditions[selectedCondition]?.name}
+                                    Current Ranges - {selectedCondition === 'default' ? 'Default' : selectedConfig.conditions[selectedCondition]?.name}
                                 </Typography>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
                                     Ranges sourced from database. Unit: {getUnit(selectedBiomarker)}
@@ -306,6 +368,66 @@ const BiomarkerConfig = () => {
                                 )}
                             </CardContent>
                         </Card>
+                        {/* Signal Cleaning Settings */}
+                        {cleaningSettings?.[selectedBiomarker] && (
+                            <Card sx={{ mt: 3 }}>
+                                <CardContent>
+                                    <Typography variant="h6" gutterBottom>Signal Cleaning</Typography>
+                                    <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                                        Applied to {selectedBiomarker} readings before AGP, comparison and population statistics.
+                                        Reports state how many readings were removed and can show the raw data instead.
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', gap: 3, mb: 2, flexWrap: 'wrap' }}>
+                                        <FormControlLabel
+                                            control={
+                                                <Switch
+                                                    checked={cleaningSettings[selectedBiomarker].enabled}
+                                                    onChange={(e) => updateCleaningSetting('enabled', e.target.checked)}
+                                                />
+                                            }
+                                            label="Cleaning enabled"
+                                        />
+                                        <FormControl size="small" sx={{ minWidth: 220 }}>
+                                            <InputLabel>Out-of-range values</InputLabel>
+                                            <Select
+                                                value={cleaningSettings[selectedBiomarker].clipMode}
+                                                label="Out-of-range values"
+                                                onChange={(e) => updateCleaningSetting('clipMode', e.target.value)}
+                                            >
+                                                <MenuItem value="remove">Remove</MenuItem>
+                                                <MenuItem value="clamp">Clamp to limit</MenuItem>
+                                            </Select>
+                                        </FormControl>
+                                    </Box>
+                                    <Grid container spacing={2}>
+                                        {CLEANING_FIELDS.map(field => (
+                                            <Grid item xs={12} sm={6} md={3} key={field.key}>
+                                                <TextField
+                                                    type="number"
+                                                    size="small"
+                                                    fullWidth
+                                                    label={field.unit ? `${field.label} (${getCanonicalUnit(selectedBiomarker)})` : field.label}
+                                                    value={cleaningSettings[selectedBiomarker][field.key]}
+                                                    onChange={(e) => updateCleaningSetting(field.key, e.target.value === '' ? '' : Number(e.target.value))}
+                                                    inputProps={{ min: 0 }}
+                                                    disabled={!cleaningSettings[selectedBiomarker].enabled}
+                                                />
+                                            </Grid>
+                                        ))}
+                                    </Grid>
+                                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+                                        <Button
+                                            variant="contained"
+                                            startIcon={cleaningSaving ? <CircularProgress size={20} /> : <SaveIcon />}
+                                            onClick={saveCleaningSettings}
+                                            disabled={cleaningSaving}
+                                        >
+                                            Save Cleaning Settings
+                                        </Button>
+                                    </Box>
+                                </CardContent>
+                            </Card>
+                        )}
                     </Grid>
 
                     {/* Right Panel - Actions & Preview */}
@@ -0,0 +1,256 @@
+/**
+ * DailyProfilesGrid.js
+ *
+ * PURPOSE: Small-multiple grid of per-day biomarker traces (midnight to midnight)
+ *
+ * FEATURES:
+ * - One compact chart per calendar day on a shared time-of-day and value scale
+ * - Range-band shading (below / in / above range) from the user's applicable ranges
+ * - Per-day time in range, mean and min/max summary under each chart
+ * - Days split at midnight in the patient's timezone
+ * - Glucose hypo/hyperglycemia episodes marked on each day's trace
+ * - Works for any biomarker in the registry
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for the daily charts
+ * - /user-daily-profiles/:username/:biomarker API endpoint
+ * - /user-glucose-episodes/:username API endpoint (glucose only)
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error instead of the grid
+ * - [LOW] Days without readings are simply not returned by the API
+ * - [LOW] Episode fetch failures just leave the traces unmarked
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import { useBiomarkers, hasFeature } from '../biomarkers';
+import {
+    Box,
+    Grid,
+    Typography,
+    Alert,
+    CircularProgress
+} from '@mui/material';
+
+// Band colors match the time-in-range colors used in AGPReport
+const BAND_COLORS = {
+    below: 'rgba(255, 107, 107, 0.15)',
+    target: 'rgba(76, 175, 80, 0.15)',
+    above: 'rgba(255, 193, 7, 0.15)'
+};
+
+const EPISODE_COLORS = {
+    hypoglycemia: 'rgba(198, 40, 40, 0.25)',
+    hyperglycemia: 'rgba(230, 81, 0, 0.25)'
+};
+
+// Fractional hours since midnight; the API gives this in the patient's timezone,
+// falling back to browser local time for older responses
+const toHourOfDay = (point) => {
+    if (point.hourOfDay !== undefined) return point.hourOfDay;
+    const date = new Date(point.timestamp);
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+};
+
+const DailyProfilesGrid = ({ username, biomarkerType = 'glucose' }) => {
+    const [profileData, setProfileData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [episodes, setEpisodes] = useState([]);
+    const biomarker = useBiomarkers()[biomarkerType];
+    const hasEpisodes = hasFeature(biomarker, 'episodes');
+
+    useEffect(() => {
+        const fetchDailyProfiles = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const token = localStorage.getItem('token');
+                const response = await fetch(
+                    `${config.API_URL}/user-daily-profiles/${encodeURIComponent(username)}/${biomarkerType}`,
+                    { headers: { Authorization: `Bearer ${token}` } }
+                );
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || `Failed to load daily profiles (${response.status})`);
+                }
+                setProfileData(data);
+            } catch (err) {
+                console.error('Error fetching daily profiles:', err);
+                setError(err.message);
+                setProfileData(null);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        if (username) {
+            fetchDailyProfiles();
+        }
+    }, [username, biomarkerType]);
+
+    useEffect(() => {
+        const fetchEpisodes = async () => {
+            try {
+                const token = localStorage.getItem('token');
+                const response = await fetch(
+                    `${config.API_URL}/user-glucose-episodes/${encodeURIComponent(username)}`,
+                    { headers: { Authorization: `Bearer ${token}` } }
+                );
+                if (!response.ok) {
+                    throw new Error(`Failed to load episodes (${response.status})`);
+                }
+                const data = await response.json();
+                setEpisodes(data.episodes || []);
+            } catch (err) {
+                console.warn('Episodes fetch failed (non-critical):', err);
+                setEpisodes([]);
+            }
+        };
+
+        if (username && hasEpisodes) {
+            fetchEpisodes();
+        } else {
+            setEpisodes([]);
+        }
+    }, [username, hasEpisodes]);
+
+    // Episode shading per day; an episode crossing midnight is split across both days
+    const episodeShapesByDay = useMemo(() => {
+        const shapesByDay = {};
+        if (!profileData) return shapesByDay;
+
+        profileData.days.forEach(day => {
+            shapesByDay[day.date] = episodes
+                .filter(episode => episode.localStart.date <= day.date && episode.localEnd.date >= day.date)
+                .map(episode => ({
+                    type: 'rect',
+                    xref: 'x',
+                    yref: 'paper',
+                    x0: episode.localStart.date === day.date ? episode.localStart.hourOfDay : 0,
+                    x1: episode.localEnd.date === day.date ? episode.localEnd.hourOfDay : 24,
+                    y0: 0,
+                    y1: 1,
+                    fillcolor: EPISODE_COLORS[episode.type],
+                    line: { width: 0 },
+                    layer: 'below'
+                }));
+        });
+        return shapesByDay;
+    }, [profileData, episodes]);
+
+    // Shared y-axis scale and range-band shapes for every day
+    const chartScale = useMemo(() => {
+        if (!profileData || profileData.days.length === 0) return null;
+
+        const { ranges } = profileData;
+        const dataMax = Math.max(...profileData.days.map(day => day.max));
+        const yMax = Math.max(ranges.highMax * 1.1, dataMax * 1.05);
+
+        const band = (y0, y1, fillcolor) => ({
+            type: 'rect',
+            xref: 'x',
+            yref: 'y',
+            x0: 0,
+            x1: 24,
+            y0,
+            y1,
+            fillcolor,
+            line: { width: 0 },
+            layer: 'below'
+        });
+
+        return {
+            yMax,
+            shapes: [
+                band(0, ranges.targetMin, BAND_COLORS.below),
+                band(ranges.targetMin, ranges.targetMax, BAND_COLORS.target),
+                band(ranges.targetMax, yMax, BAND_COLORS.above)
+            ]
+        };
+    }, [profileData]);
+
+    if (loading) {
+        return (
+            <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
+                <CircularProgress />
+            </Box>
+        );
+    }
+
+    if (error) {
+        return <Alert severity="error">Error loading daily profiles: {error}</Alert>;
+    }
+
+    if (!profileData || profileData.days.length === 0) {
+        return <Alert severity="info">No daily {biomarkerType} data available.</Alert>;
+    }
+
+    const { unit, ranges } = profileData;
+    const decimals = biomarker?.decimals ?? 2;
+
+    return (
+        <Box>
+            <Typography variant="body2" color="textSecondary" sx={{ mb: 2, textAlign: 'center' }}>
+                Shaded bands: below range (&lt;{ranges.targetMin}), in range ({ranges.targetMin}-{ranges.targetMax}), above range (&gt;{ranges.targetMax}) {unit}
+                {profileData.usingCustomRanges ? ' - personalized ranges' : ''}
+                {profileData.timezone ? ` - times in ${profileData.timezone}` : ''}
+                {episodes.length > 0 ? ' - dark red: hypoglycemia episode, dark orange: hyperglycemia episode' : ''}
+            </Typography>
+            <Grid container spacing={1}>
+                {profileData.days.map(day => (
+                    <Grid item xs={12} sm={6} md={3} key={day.date}>
+                        <Box sx={{ border: '1px solid #e0e0e0', borderRadius: 1, p: 1 }}>
+                            <Typography variant="body2" fontWeight="bold" sx={{ textAlign: 'center' }}>
+                                {new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                            </Typography>
+                            <Plot
+                                data={[{
+                                    x: day.points.map(point => toHourOfDay(point)),
+                                    y: day.points.map(point => point.value),
+                                    type: 'scatter',
+                                    mode: 'lines',
+                                    line: { color: '#1976d2', width: 1.5 },
+                                    hovertemplate: `%{y:.${decimals}f} ${unit}<extra></extra>`
+                                }]}
+                                layout={{
+                                    height: 140,
+                                    margin: { l: 30, r: 5, t: 5, b: 20 },
+                                    showlegend: false,
+                                    xaxis: {
+                                        range: [0, 24],
+                                        tickvals: [0, 6, 12, 18, 24],
+                                        ticktext: ['12a', '6a', '12p', '6p', '12a'],
+                                        tickfont: { size: 9 },
+                                        fixedrange: true
+                                    },
+                                    yaxis: {
+                                        range: [0, chartScale.yMax],
+                                        tickfont: { size: 9 },
+                                        fixedrange: true
+                                    },
+                                    shapes: [...chartScale.shapes, ...(episodeShapesByDay[day.date] || [])],
+                                    plot_bgcolor: 'white',
+                                    paper_bgcolor: 'white'
+                                }}
+                                config={{ displayModeBar: false, responsive: true }}
+                                style={{ width: '100%' }}
+                            />
+                            <Typography variant="caption" component="div" sx={{ textAlign: 'center' }}>
+                                TIR {day.percentInRange}% · Mean {day.mean.toFixed(decimals)}
+                            </Typography>
+                            <Typography variant="caption" component="div" color="textSecondary" sx={{ textAlign: 'center' }}>
+                                Min {day.min.toFixed(decimals)} · Max {day.max.toFixed(decimals)} {unit}
+                            </Typography>
+                        </Box>
+                    </Grid>
+                ))}
+            </Grid>
+        </Box>
+    );
+};
+
+export default DailyProfilesGrid;
@@ -8,9 +8,10 @@
  * - String/categorical filtering (location: "Stanford", "Harvard")
  * - Numerical range filtering (age: 18-65)
  * - Multi-value tag filtering (conditions: multiple selections)
+ * - Visual query builder: AND/OR/NOT groups, comparisons (age >= 40), lists and exists/missing on any field
  * - Real-time filter preview with result counts
- * - Exportable filter results
- * - Saved filter presets
+ * - Exportable filter results: CSV, Excel with per-user metrics, NDJSON or a ZIP bundle of readings
+ * - Saved cohorts shared with the team (server-side), applied as filters or as a fixed set of users
  * 
  * ARCHITECTURE:
  * - Tag-based system supporting multiple data types
@@ -48,10 +49,6 @@ import {
     TableHead,
     TableRow,
     TablePagination,
-    Dialog,
-    DialogTitle,
-    DialogContent,
-    DialogActions,
     Autocomplete,
     ToggleButton,
     ToggleButtonGroup,
@@ -74,10 +71,16 @@ import {
     TrendingUp as TrendingUpIcon,
     Visibility as VisibilityIcon,
     Settings as SettingsIcon,
-    Refresh as RefreshIcon
+    Refresh as RefreshIcon,
+    Delete as DeleteIcon,
+    Groups as GroupsIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 import config from '../config';
+import { useCohorts, createCohort, deleteCohort, describeCohort } from '../cohorts';
+import SaveCohortDialog from './SaveCohortDialog';
+import FilterQueryBuilder, { EMPTY_QUERY, toFilterExpression, fromFilterExpression } from './FilterQueryBuilder';
+import ExportFormatPicker, { DEFAULT_EXPORT_OPTIONS, toExportParams, saveExport, readExportError } from './ExportFormatPicker';
 
 const DemographicFilter = () => {
     // State management
@@ -89,6 +92,9 @@ const DemographicFilter = () => {
         custom: []
     });
     const [activeFilters, setActiveFilters] = useState({});
+    // Query builder tree; the filter expression sent with the form filters
+    const [queryTree, setQueryTree] = useState(EMPTY_QUERY);
+    const filterQuery = useMemo(() => toFilterExpression(queryTree), [queryTree]);
     const [filteredUsers, setFilteredUsers] = useState([]);
     const [resultCount, setResultCount] = useState(0);
     const [loading, setLoading] = useState(false);
@@ -98,8 +104,11 @@ const DemographicFilter = () => {
     
     // Dialog states
     const [saveDialogOpen, setSaveDialogOpen] = useState(false);
-    const [presetName, setPresetName] = useState('');
-    const [savedPresets, setSavedPresets] = useState([]);
+    const [savedCohorts] = useCohorts();
+    // Saved cohort whose members limit the results (frozen or population cohorts)
+    const [selectedCohort, setSelectedCohort] = useState(null);
+    // Export format (and the readings window of ZIP bundles)
+    const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
     
     // UI states
     const [expandedSections, setExpandedSections] = useState({
@@ -111,11 +120,11 @@ const DemographicFilter = () => {
     });
 
     /**
-     * EFFECT: Load available tags and presets on component mount
+     * EFFECT: Load available tags and move old browser presets to the server on component mount
      */
     useEffect(() => {
         loadAvailableTags();
-        loadSavedPresets();
+        migrateLocalPresets();
     }, []);
 
     /**
@@ -169,15 +178,27 @@ const DemographicFilter = () => {
     }, []);
 
     /**
-     * FUNCTION: loadSavedPresets
-     * PURPOSE: Load saved filter presets from localStorage
+     * FUNCTION: migrateLocalPresets
+     * PURPOSE: Save presets kept in localStorage by earlier versions as private cohorts, then drop them
      */
-    const loadSavedPresets = useCallback(() => {
+    const migrateLocalPresets = useCallback(async () => {
         try {
             const presets = JSON.parse(localStorage.getItem('demographicFilterPresets') || '[]');
-            setSavedPresets(presets);
+            if (presets.length === 0) return;
+
+            // Presets are dropped one by one so a failure part way does not save the same preset twice
+            for (const [index, preset] of presets.entries()) {
+                await createCohort({
+                    name: preset.name,
+                    scope: 'private',
+                    definition: { type: 'demographic', filters: preset.filters }
+                });
+                localStorage.setItem('demographicFilterPresets', JSON.stringify(presets.slice(index + 1)));
+            }
+            localStorage.removeItem('demographicFilterPresets');
+            console.log(`Moved ${presets.length} saved presets to the server`);
         } catch (error) {
-            console.warn('Failed to load saved presets:', error);
+            console.warn('Failed to move saved presets to the server:', error);
         }
     }, []);
 
@@ -186,7 +207,7 @@ const DemographicFilter = () => {
      * PURPOSE: Apply current filters and fetch filtered user data
      */
     const applyFilters = useCallback(async () => {
-        if (Object.keys(activeFilters).length === 0) {
+        if (Object.keys(activeFilters).length === 0 && !filterQuery && !selectedCohort) {
             console.log('No filters active, clearing results');
             setFilteredUsers([]);
             setResultCount(0);
@@ -208,7 +229,9 @@ const DemographicFilter = () => {
             const requestData = {
                 filters: activeFilters,
                 page: page,
-                limit: rowsPerPage
+                limit: rowsPerPage,
+                ...(filterQuery && { query: filterQuery }),
+                ...(selectedCohort && { cohortId: selectedCohort.id })
             };
             
             console.log('Request data:', requestData);
@@ -231,7 +254,10 @@ const DemographicFilter = () => {
             });
             
             let errorMessage = 'Failed to apply demographic filters';
-            if (error.response?.status === 401) {
+            if (error.response?.status === 400 && error.response.data?.error) {
+                // Invalid filters or query
+                errorMessage = error.response.data.error;
+            } else if (error.response?.status === 401) {
                 errorMessage = 'Authentication failed. Please log in again.';
             } else if (error.response?.status === 403) {
                 errorMessage = 'You do not have permission to access demographic filtering.';
@@ -247,7 +273,7 @@ const DemographicFilter = () => {
         } finally {
             setLoading(false);
         }
-    }, [activeFilters, page, rowsPerPage]);
+    }, [activeFilters, filterQuery, selectedCohort, page, rowsPerPage]);
 
     /**
      * EFFECT: Apply filters when they change
@@ -287,52 +313,52 @@ const DemographicFilter = () => {
     const clearAllFilters = useCallback(() => {
         console.log('Clearing all filters');
         setActiveFilters({});
+        setQueryTree(EMPTY_QUERY);
+        setSelectedCohort(null);
         setFilteredUsers([]);
         setResultCount(0);
         setPage(0);
     }, []);
 
     /**
-     * FUNCTION: savePreset
-     * PURPOSE: Save current filter configuration as a preset
+     * FUNCTION: loadCohort
+     * PURPOSE: Apply a saved cohort - a live demographic cohort loads its filters, any other cohort
+     * (frozen membership or population filters) limits the results to its members
      */
-    const savePreset = useCallback(() => {
-        if (!presetName.trim()) return;
-
-        const newPreset = {
-            id: Date.now(),
-            name: presetName.trim(),
-            filters: { ...activeFilters },
-            created: new Date().toISOString()
-        };
-
-        try {
-            const updatedPresets = [...savedPresets, newPreset];
-            setSavedPresets(updatedPresets);
-            localStorage.setItem('demographicFilterPresets', JSON.stringify(updatedPresets));
-            
-            setPresetName('');
-            setSaveDialogOpen(false);
-            console.log('Preset saved successfully:', newPreset.name);
-        } catch (error) {
-            console.error('Error saving preset:', error);
-            setError('Failed to save preset');
+    const loadCohort = useCallback((cohort) => {
+        console.log('Loading cohort:', cohort.name);
+        if (cohort.definition.type === 'demographic' && !cohort.snapshot) {
+            setActiveFilters(cohort.definition.filters);
+            setQueryTree(fromFilterExpression(cohort.definition.query));
+            setSelectedCohort(null);
+        } else {
+            setActiveFilters({});
+            setQueryTree(EMPTY_QUERY);
+            setSelectedCohort(cohort);
         }
-    }, [presetName, activeFilters, savedPresets]);
+        setPage(0);
+    }, []);
 
     /**
-     * FUNCTION: loadPreset
-     * PURPOSE: Load a saved filter preset
+     * FUNCTION: removeCohort
+     * PURPOSE: Delete a saved cohort (owner or admin)
      */
-    const loadPreset = useCallback((preset) => {
-        console.log('Loading preset:', preset.name);
-        setActiveFilters(preset.filters);
-        setPage(0);
-    }, []);
+    const removeCohort = useCallback(async (cohort) => {
+        if (!window.confirm(`Delete the saved cohort "${cohort.name}"?`)) return;
+        try {
+            await deleteCohort(cohort.id);
+            if (selectedCohort?.id === cohort.id) {
+                setSelectedCohort(null);
+            }
+        } catch (error) {
+            console.error('Error deleting cohort:', error);
+            setError(error.response?.data?.error || 'Failed to delete cohort');
+        }
+    }, [selectedCohort]);
 
     /**
      * FUNCTION: exportResults
-     * PURPOSE: Export filtered results to CSV
+     * PURPOSE: Export filtered results in the selected format
      */
     const exportResults = useCallback(async () => {
         try {
@@ -340,28 +366,24 @@ const DemographicFilter = () => {
             console.log('Exporting results with filters:', activeFilters);
             const token = localStorage.getItem('token');
             const response = await axios.post(`${config.API_URL}/api/demographic-filter/export`, {
-                filters: activeFilters
+                filters: activeFilters,
+                ...(filterQuery && { query: filterQuery }),
+                ...(selectedCohort && { cohortId: selectedCohort.id }),
+                ...toExportParams(exportOptions)
             }, {
                 headers: { Authorization: `Bearer ${token}` },
                 responseType: 'blob'
             });
 
-            const url = window.URL.createObjectURL(new Blob([response.data]));
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', `demographic_filter_${new Date().toISOString().split('T')[0]}.csv`);
-            document.body.appendChild(link);
-            link.click();
-            link.remove();
-            window.URL.revokeObjectURL(url);
+            saveExport(response, 'demographic_filter', exportOptions.format);
             console.log('Export completed successfully');
         } catch (error) {
             console.error('Error exporting results:', error);
-            setError('Failed to export results');
+            setError(await readExportError(error, 'Failed to export results'));
         } finally {
             setLoading(false);
         }
-    }, [activeFilters]);
+    }, [activeFilters, filterQuery, selectedCohort, exportOptions]);
 
     /**
      * COMPONENT: FilterSection
@@ -564,10 +586,10 @@ const DemographicFilter = () => {
                                 Filters
                             </Typography>
                             <Box>
-                                <Tooltip title="Save Current Filters">
+                                <Tooltip title="Save Current Filters as a Cohort">
                                     <IconButton 
                                         onClick={() => setSaveDialogOpen(true)}
-                                        disabled={Object.keys(activeFilters).length === 0}
+                                        disabled={Object.keys(activeFilters).length === 0 && !filterQuery}
                                     >
                                         <SaveIcon />
                                     </IconButton>
@@ -575,7 +597,7 @@ const DemographicFilter = () => {
                                 <Tooltip title="Clear All Filters">
                                     <IconButton 
                                         onClick={clearAllFilters}
-                                        disabled={Object.keys(activeFilters).length === 0}
+                                        disabled={Object.keys(activeFilters).length === 0 && !filterQuery && !selectedCohort}
                                     >
                                         <ClearIcon />
                                     </IconButton>
@@ -608,23 +630,44 @@ const DemographicFilter = () => {
                             </Box>
                         )}
 
-                        {/* Saved Presets */}
-                        {savedPresets.length > 0 && (
+                        {/* Saved cohort limiting the results */}
+                        {selectedCohort && (
+                            <Box sx={{ mb: 3 }}>
+                                <Chip
+                                    icon={<GroupsIcon />}
+                                    label={`Cohort: ${selectedCohort.name}`}
+                                    onDelete={() => setSelectedCohort(null)}
+                                    color="primary"
+                                    size="small"
+                                />
+                            </Box>
+                        )}
+
+                        {/* Saved Cohorts */}
+                        {savedCohorts.length > 0 && (
                             <Box sx={{ mb: 3 }}>
                                 <Typography variant="subtitle2" gutterBottom>
-                                    Saved Presets
+                                    Saved Cohorts
                                 </Typography>
                                 <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-                                    {savedPresets.map((preset) => (
-                                        <Button
-                                            key={preset.id}
-                                            variant="outlined"
-                                            size="small"
-                                            onClick={() => loadPreset(preset)}
-                                            sx={{ justifyContent: 'flex-start' }}
-                                        >
-                                            {preset.name}
-                                        </Button>
+                                    {savedCohorts.map((cohort) => (
+                                        <Box key={cohort.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                            <Tooltip title={describeCohort(cohort)}>
+                                                <Button
+                                                    variant={selectedCohort?.id === cohort.id ? 'contained' : 'outlined'}
+                                                    size="small"
+                                                    onClick={() => loadCohort(cohort)}
+                                                    sx={{ justifyContent: 'flex-start', flexGrow: 1 }}
+                                                >
+                                                    {cohort.name}
+                                                </Button>
+                                            </Tooltip>
+                                            {cohort.editable && (
+                                                <IconButton size="small" onClick={() => removeCohort(cohort)}>
+                                                    <DeleteIcon fontSize="small" />
+                                                </IconButton>
+                                            )}
+                                        </Box>
                                     ))}
                                 </Box>
                             </Box>
@@ -758,20 +801,41 @@ const DemographicFilter = () => {
 
                 {/* Results Panel */}
                 <Grid item xs={12} lg={8}>
+                    {/* Query Builder */}
+                    <Accordion sx={{ mb: 2 }} defaultExpanded={false}>
+                        <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                <SettingsIcon />
+                                <Typography variant="h6">Query Builder</Typography>
+                                {filterQuery && <Chip label="active" size="small" color="primary" variant="outlined" />}
+                            </Box>
+                        </AccordionSummary>
+                        <AccordionDetails>
+                            <FilterQueryBuilder
+                                value={queryTree}
+                                onChange={(tree) => {
+                                    setQueryTree(tree);
+                                    setPage(0);
+                                }}
+                            />
+                        </AccordionDetails>
+                    </Accordion>
+
                     <Paper sx={{ p: 2 }}>
                         {/* Results Header */}
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
                             <Typography variant="h6">
                                 Results ({resultCount} users)
                             </Typography>
-                            <Box>
+                            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                                <ExportFormatPicker value={exportOptions} onChange={setExportOptions} />
                                 <Button
                                     startIcon={<DownloadIcon />}
                                     onClick={exportResults}
                                     disabled={resultCount === 0}
                                     variant="outlined"
                                 >
-                                    Export CSV
+                                    Export
                                 </Button>
                             </Box>
                         </Box>
@@ -844,8 +908,8 @@ const DemographicFilter = () => {
                             <Box sx={{ textAlign: 'center', py: 4 }}>
                                 <PeopleIcon sx={{ fontSize: 64, color: 'text.secondary', mb: 2 }} />
                                 <Typography variant="h6" color="text.secondary" gutterBottom>
-                                    {Object.keys(activeFilters).length === 0 
-                                        ? 'Configure filters to see results'
+                                    {Object.keys(activeFilters).length === 0 && !filterQuery && !selectedCohort
+                                        ? 'Configure filters or choose a saved cohort to see results'
                                         : 'No users match the selected criteria'
                                     }
                                 </Typography>
@@ -860,32 +924,14 @@ const DemographicFilter = () => {
                 </Grid>
             </Grid>
 
-            {/* Save Preset Dialog */}
-            <Dialog open={saveDialogOpen} onClose={() => setSaveDialogOpen(false)}>
-                <DialogTitle>Save Filter Preset</DialogTitle>
-                <DialogContent>
-                    <TextField
-                        autoFocus
-                        margin="dense"
-                        label="Preset Name"
-                        fullWidth
-                        variant="outlined"
-                        value={presetName}
-                        onChange={(e) => setPresetName(e.target.value)}
-                        placeholder="e.g., Pregnant Diabetic Women"
-                    />
-                </DialogContent>
-                <DialogActions>
-                    <Button onClick={() => setSaveDialogOpen(false)}>Cancel</Button>
-                    <Button 
-                        onClick={savePreset} 
-                        variant="contained"
-                        disabled={!presetName.trim()}
-                    >
-                        Save
-                    </Button>
-                </DialogActions>
-            </Dialog>
+            {/* Save Cohort Dialog */}
+            <SaveCohortDialog
+                open={saveDialogOpen}
+                onClose={() => setSaveDialogOpen(false)}
+                definitionType="demographic"
+                filters={activeFilters}
+                query={filterQuery}
+            />
         </Container>
     );
 };
@@ -6,7 +6,7 @@
  * FEATURES:
  * - Real-time data grid displaying all user files with filtering and sorting
  * - User role-based interface elements (Admin, Doctor, User)
- * - CSV export functionality for data analysis
+ * - Export for data analysis: CSV, Excel with per-user metrics, NDJSON or a ZIP bundle of readings
  * - Navigation to individual user versions and detailed views
  * - Status tracking for active/inactive patient records
  * - Responsive data grid with custom cell renderers
@@ -20,7 +20,7 @@
  * ERROR HANDLING:
  * - [CRITICAL] Authentication token validation prevents unauthorized access
  * - [HIGH] API failures show user-friendly error messages
- * - [MEDIUM] CSV download errors handled with specific feedback
+ * - [MEDIUM] Download errors handled with specific feedback
  * - [LOW] Date formatting errors default to 'N/A' display
  */
 
@@ -53,6 +53,7 @@ import SettingsIcon from '@mui/icons-material/Settings';
 import BarChartIcon from '@mui/icons-material/BarChart';
 import AccountBalanceIcon from '@mui/icons-material/AccountBalance';
 import FilterListIcon from '@mui/icons-material/FilterList';
+import ExportFormatPicker, { DEFAULT_EXPORT_OPTIONS, toExportParams, saveExport, readExportError } from './ExportFormatPicker';
 
 
 const FileTracker = () => {
@@ -60,6 +61,8 @@ const FileTracker = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [user, setUser] = useState(null);
+    // Download format (and the readings window of ZIP bundles)
+    const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
     const navigate = useNavigate();
 
     /**
@@ -208,57 +211,46 @@ const FileTracker = () => {
     }, [navigate]);
 
     /**
-     * FUNCTION: handleDownloadCSV
-     * PURPOSE: Download file tracker data as CSV file
+     * FUNCTION: handleDownload
+     * PURPOSE: Download file tracker data in the selected format
      * 
      * PROCESS:
      * 1. Validate authentication token
-     * 2. Request CSV data from server
+     * 2. Request the export from the server
      * 3. Create blob and trigger download
-     * 4. Clean up resources
      * 
      * ERROR HANDLING:
      * - [HIGH] Authentication failures provide clear feedback
      * - [MEDIUM] Download errors show specific retry instructions
      * - [LOW] Blob creation failures handled gracefully
      */
-    const handleDownloadCSV = useCallback(async () => {
+    const handleDownload = useCallback(async () => {
         try {
             const token = localStorage.getItem('token');
             if (!token) {
-                setError('Authentication required for CSV download');
+                setError('Authentication required for download');
                 return;
             }
 
             const response = await axios.get(`${config.API_URL}/filetracker/download-csv`, {
                 headers: { 'Authorization': `Bearer ${token}` },
+                params: toExportParams(exportOptions),
                 responseType: 'blob',
-                timeout: 60000 // 60 second timeout for large files
+                timeout: 300000 // 5 minute timeout: metrics and readings bundles of large cohorts take a while
             });
 
-            // Create download blob
-            const blob = new Blob([response.data], { type: 'text/csv' });
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `filetracker-data-${new Date().toISOString().split('T')[0]}.csv`;
-            document.body.appendChild(a);
-            a.click();
-            
-            // Cleanup
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
+            saveExport(response, 'filetracker-data', exportOptions.format);
             
         } catch (err) {
-            console.error('CSV download error:', err);
+            console.error('Download error:', err);
             
             if (err.code === 'ECONNABORTED') {
                 setError('Download timed out. The file may be too large. Please try again or contact support.');
             } else {
-                setError('Error downloading CSV: ' + (err.response?.data?.error || err.message));
+                setError('Error downloading export: ' + await readExportError(err, err.message));
             }
         }
-    }, []);
+    }, [exportOptions]);
 
     /**
      * MEMOIZED CALCULATION: Data Grid Rows
@@ -487,16 +479,19 @@ const FileTracker = () => {
                     />
                 </Box>
                 
-                {/* Download CSV Button */}
+                {/* Download Button */}
                 {user?.admin && (
-                    <Button
-                        variant="contained"
-                        startIcon={<DownloadIcon />}
-                        onClick={handleDownloadCSV}
-                        color="primary"
-                    >
-                        Download CSV
-                    </Button>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                        <ExportFormatPicker value={exportOptions} onChange={setExportOptions} />
+                        <Button
+                            variant="contained"
+                            startIcon={<DownloadIcon />}
+                            onClick={handleDownload}
+                            color="primary"
+                        >
+                            Download
+                        </Button>
+                    </Box>
                 )}
             </Box>
         </Container>
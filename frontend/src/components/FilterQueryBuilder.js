@@ -0,0 +1,262 @@
+/**
+ * FilterQueryBuilder.js
+ *
+ * PURPOSE: Visual builder for filter expressions of the server's filter language
+ *
+ * FEATURES:
+ * - AND/OR groups that can be nested and negated (NOT)
+ * - Conditions on any personal_information or device_info field, with suggestions for common fields
+ * - Operators: equals, not equals, greater/less than (or equal), is one of, is not one of, exists, is missing
+ * - Readable summary of the expression being built
+ *
+ * FILTER LANGUAGE:
+ * - Condition: { field, op, value }; group: { and: [...] }, { or: [...] } or { not: expression }
+ * - The builder keeps condition values as typed text; toFilterExpression turns true/false and numbers into
+ *   booleans and numbers (text in double quotes stays text) and leaves out unfinished conditions and empty groups
+ *
+ * DEPENDENCIES:
+ * - Material-UI for the form controls
+ *
+ * ERROR HANDLING:
+ * - [LOW] Unfinished conditions are not sent; the server reports invalid expressions, shown by the parent
+ */
+
+import React from 'react';
+import {
+    Box,
+    Typography,
+    Button,
+    IconButton,
+    TextField,
+    Select,
+    MenuItem,
+    FormControl,
+    FormControlLabel,
+    Checkbox,
+    Autocomplete,
+    ToggleButton,
+    ToggleButtonGroup,
+    Tooltip
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    AccountTree as GroupIcon,
+    Close as CloseIcon
+} from '@mui/icons-material';
+
+export const EMPTY_QUERY = { and: [] };
+
+// Short field names the server resolves to every field the value is stored under
+const FIELD_SUGGESTIONS = [
+    'age', 'gender', 'bmi', 'institution', 'diabetes', 'pregnant', 'high_bp', 'smokes', 'drinks', 'diet', 'arm', 'deviceID'
+];
+
+const OPERATORS = [
+    { value: 'eq', label: '=', text: '=' },
+    { value: 'ne', label: '≠', text: '!=' },
+    { value: 'gt', label: '>', text: '>' },
+    { value: 'gte', label: '≥', text: '>=' },
+    { value: 'lt', label: '<', text: '<' },
+    { value: 'lte', label: '≤', text: '<=' },
+    { value: 'in', label: 'is one of', text: 'IN' },
+    { value: 'nin', label: 'is not one of', text: 'NOT IN' },
+    { value: 'exists', label: 'exists', text: 'EXISTS' },
+    { value: 'missing', label: 'is missing', text: 'IS MISSING' }
+];
+const LIST_OPERATORS = ['in', 'nin'];
+const VALUELESS_OPERATORS = ['exists', 'missing'];
+
+const parseValueText = (text) => {
+    const trimmed = String(text).trim();
+    if (/^".*"$/.test(trimmed)) return trimmed.slice(1, -1);
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    if (trimmed !== '' && !isNaN(trimmed)) return Number(trimmed);
+    return trimmed;
+};
+
+const formatValueText = (value) => {
+    // Text that would be read as a boolean or number keeps its quotes
+    if (typeof value === 'string' && parseValueText(value) !== value) return `"${value}"`;
+    return String(value);
+};
+
+const isGroup = (node) => 'and' in node || 'or' in node || 'not' in node;
+
+// Builder tree -> filter expression (null when nothing is complete)
+export const toFilterExpression = (node) => {
+    if ('not' in node) {
+        const inner = toFilterExpression(node.not);
+        return inner ? { not: inner } : null;
+    }
+    if (isGroup(node)) {
+        const combinator = 'and' in node ? 'and' : 'or';
+        const children = node[combinator].map(toFilterExpression).filter(Boolean);
+        if (children.length === 0) return null;
+        return children.length === 1 ? children[0] : { [combinator]: children };
+    }
+
+    const field = (node.field || '').trim();
+    if (!field) return null;
+    if (VALUELESS_OPERATORS.includes(node.op)) return { field, op: node.op };
+    if (LIST_OPERATORS.includes(node.op)) {
+        const values = String(node.value || '').split(',').map(part => part.trim()).filter(Boolean).map(parseValueText);
+        return values.length > 0 ? { field, op: node.op, value: values } : null;
+    }
+    if (String(node.value ?? '').trim() === '') return null;
+    return { field, op: node.op || 'eq', value: parseValueText(node.value) };
+};
+
+// Filter expression -> builder tree (the root is always a group)
+export const fromFilterExpression = (expression) => {
+    const convert = (node) => {
+        if ('not' in node) return { not: convert(node.not) };
+        if (isGroup(node)) {
+            const combinator = 'and' in node ? 'and' : 'or';
+            return { [combinator]: node[combinator].map(convert) };
+        }
+        const op = node.op || 'eq';
+        const value = LIST_OPERATORS.includes(op)
+            ? node.value.map(formatValueText).join(', ')
+            : VALUELESS_OPERATORS.includes(op) ? '' : formatValueText(node.value);
+        return { field: node.field, op, value };
+    };
+
+    if (!expression) return EMPTY_QUERY;
+    const tree = convert(expression);
+    return 'and' in tree || 'or' in tree ? tree : { and: [tree] };
+};
+
+// Filter expression -> readable text, e.g. age >= 40 AND (gender = F OR NOT (pregnant = true))
+export const formatFilterExpression = (expression, nested = false) => {
+    if (!expression) return '';
+    if ('not' in expression) return `NOT (${formatFilterExpression(expression.not)})`;
+    if (isGroup(expression)) {
+        const combinator = 'and' in expression ? 'and' : 'or';
+        const text = expression[combinator].map(child => formatFilterExpression(child, true)).join(` ${combinator.toUpperCase()} `);
+        return nested && expression[combinator].length > 1 ? `(${text})` : text;
+    }
+    const operator = OPERATORS.find(option => option.value === expression.op)?.text || '=';
+    if (VALUELESS_OPERATORS.includes(expression.op)) return `${expression.field} ${operator}`;
+    const value = Array.isArray(expression.value)
+        ? `(${expression.value.map(formatValueText).join(', ')})`
+        : formatValueText(expression.value);
+    return `${expression.field} ${operator} ${value}`;
+};
+
+const ConditionEditor = ({ condition, onChange, onRemove }) => (
+    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+        <Autocomplete
+            freeSolo
+            size="small"
+            options={FIELD_SUGGESTIONS}
+            inputValue={condition.field}
+            onInputChange={(event, field) => onChange({ ...condition, field })}
+            renderInput={(params) => <TextField {...params} label="Field" placeholder="e.g. age" />}
+            sx={{ minWidth: 200, flex: 1, bgcolor: 'white' }}
+        />
+        <FormControl size="small" sx={{ minWidth: 120, bgcolor: 'white' }}>
+            <Select value={condition.op} onChange={(e) => onChange({ ...condition, op: e.target.value })}>
+                {OPERATORS.map(option => (
+                    <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+            </Select>
+        </FormControl>
+        {!VALUELESS_OPERATORS.includes(condition.op) && (
+            <TextField
+                size="small"
+                label="Value"
+                placeholder={LIST_OPERATORS.includes(condition.op) ? 'a, b, c' : 'e.g. 40, true, Stanford'}
+                value={condition.value}
+                onChange={(e) => onChange({ ...condition, value: e.target.value })}
+                sx={{ minWidth: 160, flex: 1, bgcolor: 'white' }}
+            />
+        )}
+        <IconButton size="small" onClick={onRemove}>
+            <CloseIcon fontSize="small" />
+        </IconButton>
+    </Box>
+);
+
+const GroupEditor = ({ node, onChange, onRemove, depth }) => {
+    const negated = 'not' in node;
+    const group = negated ? node.not : node;
+    const combinator = 'and' in group ? 'and' : 'or';
+    const children = group[combinator];
+
+    const update = (nextCombinator, nextChildren, nextNegated = negated) => {
+        const nextGroup = { [nextCombinator]: nextChildren };
+        onChange(nextNegated ? { not: nextGroup } : nextGroup);
+    };
+    const updateChild = (index, child) => update(combinator, children.map((current, i) => (i === index ? child : current)));
+    const removeChild = (index) => update(combinator, children.filter((current, i) => i !== index));
+
+    return (
+        <Box sx={{ p: 1.5, border: '1px solid', borderColor: negated ? 'error.light' : 'grey.300', borderRadius: 1, bgcolor: depth % 2 === 0 ? 'grey.50' : 'white' }}>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap', mb: children.length > 0 ? 1.5 : 0 }}>
+                <FormControlLabel
+                    control={<Checkbox size="small" checked={negated} onChange={(e) => update(combinator, children, e.target.checked)} />}
+                    label="NOT"
+                />
+                <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={combinator}
+                    onChange={(event, value) => value && update(value, children)}
+                >
+                    <ToggleButton value="and">All (AND)</ToggleButton>
+                    <ToggleButton value="or">Any (OR)</ToggleButton>
+                </ToggleButtonGroup>
+                <Button size="small" startIcon={<AddIcon />} onClick={() => update(combinator, [...children, { field: '', op: 'eq', value: '' }])}>
+                    Condition
+                </Button>
+                <Button size="small" startIcon={<GroupIcon />} onClick={() => update(combinator, [...children, { and: [] }])}>
+                    Group
+                </Button>
+                {onRemove && (
+                    <Tooltip title="Remove group">
+                        <IconButton size="small" onClick={onRemove} sx={{ ml: 'auto' }}>
+                            <CloseIcon fontSize="small" />
+                        </IconButton>
+                    </Tooltip>
+                )}
+            </Box>
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                {children.map((child, index) => (isGroup(child) ? (
+                    <GroupEditor
+                        key={index}
+                        node={child}
+                        depth={depth + 1}
+                        onChange={(updated) => updateChild(index, updated)}
+                        onRemove={() => removeChild(index)}
+                    />
+                ) : (
+                    <ConditionEditor
+                        key={index}
+                        condition={child}
+                        onChange={(updated) => updateChild(index, updated)}
+                        onRemove={() => removeChild(index)}
+                    />
+                )))}
+            </Box>
+        </Box>
+    );
+};
+
+// value: builder tree (EMPTY_QUERY to start); onChange receives the new tree
+const FilterQueryBuilder = ({ value, onChange }) => {
+    const expression = toFilterExpression(value);
+
+    return (
+        <Box>
+            <GroupEditor node={value} onChange={onChange} depth={0} />
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                {expression
+                    ? `Query: ${formatFilterExpression(expression)}`
+                    : 'Add conditions on any personal_information or device_info field, e.g. age ≥ 40 or bmi < 30. Values true/false and numbers are matched as such; put text in double quotes to match it literally.'}
+            </Typography>
+        </Box>
+    );
+};
+
+export default FilterQueryBuilder;
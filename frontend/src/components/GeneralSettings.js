@@ -8,9 +8,19 @@ import {
     FormControlLabel, 
     Divider,
     Alert,
-    Button
+    Button,
+    Radio,
+    RadioGroup
 } from '@mui/material';
 import { Settings as SettingsIcon, Save as SaveIcon } from '@mui/icons-material';
+import config from '../config';
+import { resetBiomarkers } from '../biomarkers';
+
+// Unit systems offered for biomarker values (stored server-side, used by every report)
+const UNIT_OPTIONS = [
+    { value: 'conventional', label: 'Conventional (mg/dL, ng/mL)' },
+    { value: 'si', label: 'SI (mmol/L, nmol/L)' }
+];
 
 const GeneralSettings = () => {
     const [user, setUser] = useState(null);
@@ -21,6 +31,8 @@ const GeneralSettings = () => {
         compactView: false
     });
     const [saved, setSaved] = useState(false);
+    const [units, setUnits] = useState('conventional');
+    const [unitsError, setUnitsError] = useState(null);
 
     useEffect(() => {
         try {
@@ -37,6 +49,18 @@ const GeneralSettings = () => {
         } catch (error) {
             console.warn('Failed to load settings:', error);
         }
+
+        // Unit preference is stored with the user on the server
+        const token = localStorage.getItem('token');
+        fetch(`${config.API_URL}/user-preferences`, {
+            headers: { Authorization: `Bearer ${token}` }
+        })
+            .then(response => {
+                if (!response.ok) throw new Error(`Failed to load preferences (${response.status})`);
+                return response.json();
+            })
+            .then(data => setUnits(data.preferences.units))
+            .catch(error => console.warn('Failed to load unit preference:', error));
     }, []);
 
     const handleSettingChange = (setting) => (event) => {
@@ -56,6 +80,33 @@ const GeneralSettings = () => {
         }
     };
 
+    const handleSaveUnits = async () => {
+        try {
+            setUnitsError(null);
+            const token = localStorage.getItem('token');
+            const response = await fetch(`${config.API_URL}/user-preferences`, {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ units })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `Failed to save preferences (${response.status})`);
+            }
+
+            // Reports load the registry again so their labels and ranges use the new units
+            resetBiomarkers();
+            setSaved(true);
+            setTimeout(() => setSaved(false), 3000);
+        } catch (error) {
+            console.error('Failed to save unit preference:', error);
+            setUnitsError(error.message);
+        }
+    };
+
     return (
         <Container maxWidth="xl" sx={{ py: 4 }}>
             {/* Page Header */}
@@ -97,6 +148,35 @@ const GeneralSettings = () => {
                 </Box>
             </Paper>
 
+            {/* Units */}
+            <Paper sx={{ p: 3, mb: 3 }}>
+                <Typography variant="h6" gutterBottom>
+                    Units
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                    Unit system for biomarker values, ranges and exports in every report
+                </Typography>
+                <Divider sx={{ my: 2 }} />
+                {unitsError && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {unitsError}
+                    </Alert>
+                )}
+                <RadioGroup value={units} onChange={(event) => setUnits(event.target.value)}>
+                    {UNIT_OPTIONS.map(option => (
+                        <FormControlLabel
+                            key={option.value}
+                            value={option.value}
+                            control={<Radio />}
+                            label={option.label}
+                        />
+                    ))}
+                </RadioGroup>
+                <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSaveUnits} sx={{ mt: 2 }}>
+                    Save Units
+                </Button>
+            </Paper>
+
         </Container>
     );
 };
@@ -0,0 +1,342 @@
+/**
+ * GlucoseCortisolCoupling.js
+ *
+ * PURPOSE: Per-patient view relating the glucose and cortisol channels recorded on the same device
+ *
+ * FEATURES:
+ * - Lagged cross-correlation of cortisol against glucose, with the strongest lag highlighted
+ * - Both series on one time axis (glucose left, cortisol right) with cortisol rises shaded
+ * - Table of cortisol rises and whether a glucose excursion followed
+ * - Adjustable maximum lag
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for charts
+ * - /user-glucose-cortisol-coupling/:username API endpoint
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures (including a missing channel) show an inline error
+ * - [LOW] No lag with enough aligned readings shows "N/A" for the strongest lag
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import {
+    Box,
+    Grid,
+    Paper,
+    Typography,
+    Alert,
+    CircularProgress,
+    TextField,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+
+// Shading for cortisol rises: followed by a glucose excursion or not
+const RISE_COLORS = {
+    followed: 'rgba(230, 81, 0, 0.18)',
+    notFollowed: 'rgba(124, 58, 237, 0.10)'
+};
+
+const formatLag = (minutes) => {
+    if (minutes === 0) return 'simultaneous';
+    const direction = minutes > 0 ? 'glucose follows cortisol' : 'glucose leads cortisol';
+    return `${Math.abs(minutes)} min (${direction})`;
+};
+
+/**
+ * COMPONENT: CouplingTimeline
+ * PURPOSE: Plot the merged glucose and cortisol traces on a shared time axis, loaded from the daily profiles
+ *          endpoint so the traces match the Daily Profiles tab
+ */
+const CouplingTimeline = ({ username, cortisolRises, units, thresholds }) => {
+    const [traces, setTraces] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchTraces = async () => {
+            try {
+                setError(null);
+                const token = localStorage.getItem('token');
+                const [glucose, cortisol] = await Promise.all(['glucose', 'cortisol'].map(biomarker =>
+                    axios.get(
+                        `${config.API_URL}/user-daily-profiles/${encodeURIComponent(username)}/${biomarker}`,
+                        { headers: { 'Authorization': `Bearer ${token}` } }
+                    )
+                ));
+                const flatten = data => data.days.flatMap(day => day.points);
+                setTraces({ glucose: flatten(glucose.data), cortisol: flatten(cortisol.data) });
+            } catch (err) {
+                console.error('Error fetching coupling traces:', err);
+                setError(err.response?.data?.error || 'Failed to load traces');
+            }
+        };
+
+        if (username) {
+            fetchTraces();
+        }
+    }, [username]);
+
+    if (error) return <Alert severity="error">{error}</Alert>;
+    if (!traces) {
+        return (
+            <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
+                <CircularProgress />
+            </Box>
+        );
+    }
+
+    return (
+        <Plot
+            data={[
+                {
+                    x: traces.glucose.map(point => new Date(point.timestamp)),
+                    y: traces.glucose.map(point => point.value),
+                    type: 'scattergl',
+                    mode: 'lines',
+                    name: `Glucose (${units.glucose})`,
+                    line: { color: '#1976d2', width: 1 }
+                },
+                {
+                    x: traces.cortisol.map(point => new Date(point.timestamp)),
+                    y: traces.cortisol.map(point => point.value),
+                    type: 'scattergl',
+                    mode: 'lines',
+                    name: `Cortisol (${units.cortisol})`,
+                    line: { color: '#7c3aed', width: 1 },
+                    yaxis: 'y2'
+                }
+            ]}
+            layout={{
+                height: 360,
+                margin: { l: 60, r: 60, t: 20, b: 50 },
+                yaxis: { title: `Glucose (${units.glucose})` },
+                yaxis2: { title: `Cortisol (${units.cortisol})`, overlaying: 'y', side: 'right', showgrid: false },
+                shapes: [
+                    {
+                        type: 'line',
+                        xref: 'paper',
+                        yref: 'y',
+                        x0: 0,
+                        x1: 1,
+                        y0: thresholds.targetMax,
+                        y1: thresholds.targetMax,
+                        line: { color: '#ffa000', width: 1, dash: 'dot' }
+                    },
+                    ...cortisolRises.map(rise => ({
+                        type: 'rect',
+                        xref: 'x',
+                        yref: 'paper',
+                        x0: new Date(rise.start),
+                        x1: new Date(rise.followedByExcursion ? rise.glucosePeakTime : rise.peakTime),
+                        y0: 0,
+                        y1: 1,
+                        fillcolor: rise.followedByExcursion ? RISE_COLORS.followed : RISE_COLORS.notFollowed,
+                        line: { width: 0 },
+                        layer: 'below'
+                    }))
+                ],
+                legend: { orientation: 'h', y: -0.2 }
+            }}
+            config={{ responsive: true }}
+            style={{ width: '100%' }}
+        />
+    );
+};
+
+const GlucoseCortisolCoupling = ({ username }) => {
+    const [couplingData, setCouplingData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [maxLag, setMaxLag] = useState(240);
+
+    useEffect(() => {
+        const fetchCoupling = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const token = localStorage.getItem('token');
+                const response = await axios.get(
+                    `${config.API_URL}/user-glucose-cortisol-coupling/${encodeURIComponent(username)}`,
+                    {
+                        headers: { 'Authorization': `Bearer ${token}` },
+                        params: { maxLag }
+                    }
+                );
+                setCouplingData(response.data);
+            } catch (err) {
+                console.error('Error fetching glucose-cortisol coupling:', err);
+                setError(err.response?.data?.error || 'Failed to load glucose-cortisol analysis');
+                setCouplingData(null);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        if (username && maxLag >= 15) {
+            fetchCoupling();
+        }
+    }, [username, maxLag]);
+
+    const maxLagInput = (
+        <TextField
+            type="number"
+            label="Maximum lag (min)"
+            size="small"
+            value={maxLag}
+            onChange={(e) => setMaxLag(parseInt(e.target.value) || 0)}
+            inputProps={{ min: 15, max: 1440, step: 15 }}
+            sx={{ width: 180 }}
+        />
+    );
+
+    // Keep the lag input mounted while reloading so typing isn't interrupted
+    if (loading || error || !couplingData) {
+        return (
+            <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>{maxLagInput}</Box>
+                {loading ? (
+                    <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
+                        <CircularProgress />
+                    </Box>
+                ) : error ? (
+                    <Alert severity="error">{error}</Alert>
+                ) : null}
+            </Box>
+        );
+    }
+
+    const { summary, strongestLag, crossCorrelation, cortisolRises, units, thresholds } = couplingData;
+
+    const summaryBoxes = [
+        { label: 'Aligned Intervals', value: `${summary.alignedBins} × ${summary.binMinutes} min` },
+        { label: 'Strongest Lag', value: strongestLag ? `${strongestLag.lagMinutes} min` : 'N/A' },
+        { label: 'Correlation at Lag (r)', value: strongestLag ? strongestLag.correlation : 'N/A' },
+        { label: 'Cortisol Rises', value: summary.cortisolRises },
+        { label: 'Followed by Glucose Excursion', value: summary.percentFollowedByExcursion !== null ? `${summary.percentFollowedByExcursion}%` : 'N/A' },
+        { label: 'Mean Time to Glucose Peak', value: summary.meanMinutesToGlucosePeak !== null ? `${summary.meanMinutesToGlucosePeak} min` : 'N/A' }
+    ];
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 2 }}>
+                <Typography variant="body2" color="textSecondary">
+                    Both channels are averaged into {summary.binMinutes}-minute intervals. A positive lag means glucose moves after cortisol.
+                    {strongestLag && ` Strongest coupling: ${formatLag(strongestLag.lagMinutes)}.`}
+                </Typography>
+                {maxLagInput}
+            </Box>
+
+            <Grid container spacing={2} sx={{ mb: 3 }}>
+                {summaryBoxes.map(box => (
+                    <Grid item xs={6} sm={4} md={2} key={box.label}>
+                        <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                            <Typography variant="body2" color="textSecondary" gutterBottom>
+                                {box.label}
+                            </Typography>
+                            <Typography variant="h6" fontWeight="bold" color="primary">
+                                {box.value}
+                            </Typography>
+                        </Box>
+                    </Grid>
+                ))}
+            </Grid>
+
+            <Grid container spacing={3}>
+                {/* Cross-correlation by lag */}
+                <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">
+                            Cross-Correlation by Lag
+                        </Typography>
+                        <Plot
+                            data={[{
+                                x: crossCorrelation.map(result => result.lagMinutes),
+                                y: crossCorrelation.map(result => result.correlation),
+                                customdata: crossCorrelation.map(result => result.pairs),
+                                type: 'bar',
+                                marker: {
+                                    color: crossCorrelation.map(result =>
+                                        strongestLag && result.lagMinutes === strongestLag.lagMinutes ? '#e65100' : '#1976d2')
+                                },
+                                hovertemplate: 'Lag %{x} min<br>r = %{y}<br>%{customdata} pairs<extra></extra>'
+                            }]}
+                            layout={{
+                                height: 300,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                xaxis: { title: 'Lag (minutes, positive = glucose after cortisol)', zeroline: true },
+                                yaxis: { title: 'Correlation (r)', range: [-1, 1] },
+                                showlegend: false
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* Both series over time */}
+                <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">
+                            Glucose and Cortisol Over Time (shaded: cortisol rises)
+                        </Typography>
+                        <CouplingTimeline username={username} cortisolRises={cortisolRises} units={units} thresholds={thresholds} />
+                    </Paper>
+                </Grid>
+
+                {/* Cortisol rises */}
+                <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                            Cortisol Rises ({cortisolRises.length})
+                        </Typography>
+                        {cortisolRises.length === 0 ? (
+                            <Typography variant="body2" color="textSecondary">
+                                No cortisol rises detected.
+                            </Typography>
+                        ) : (
+                            <Box sx={{ maxHeight: 400, overflowY: 'auto' }}>
+                                <Table size="small" stickyHeader>
+                                    <TableHead>
+                                        <TableRow>
+                                            <TableCell>Start</TableCell>
+                                            <TableCell align="right">Cortisol ({units.cortisol})</TableCell>
+                                            <TableCell align="right">Rise (%)</TableCell>
+                                            <TableCell align="right">Glucose Baseline ({units.glucose})</TableCell>
+                                            <TableCell align="right">Glucose Peak ({units.glucose})</TableCell>
+                                            <TableCell align="right">Time to Peak (min)</TableCell>
+                                            <TableCell>Glucose Excursion</TableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {cortisolRises.map(rise => (
+                                            <TableRow key={rise.start}>
+                                                <TableCell>{new Date(rise.start).toLocaleString()}</TableCell>
+                                                <TableCell align="right">{rise.cortisolStart} → {rise.cortisolPeak}</TableCell>
+                                                <TableCell align="right">{rise.cortisolRisePercent}</TableCell>
+                                                <TableCell align="right">{rise.glucoseBaseline ?? '-'}</TableCell>
+                                                <TableCell align="right">{rise.glucosePeak ?? '-'}</TableCell>
+                                                <TableCell align="right">{rise.minutesToGlucosePeak ?? '-'}</TableCell>
+                                                <TableCell sx={{ color: rise.followedByExcursion ? '#e65100' : 'inherit', fontWeight: rise.followedByExcursion ? 'bold' : 'normal' }}>
+                                                    {rise.glucoseRise === null ? 'No glucose data' : rise.followedByExcursion ? 'Yes' : 'No'}
+                                                </TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </Box>
+                        )}
+                    </Paper>
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default GlucoseCortisolCoupling;
@@ -5,7 +5,7 @@
  * 
  * FEATURES:
  * - Dual patient selection with dropdowns showing patient metadata
- * - Biomarker type switching (glucose/cortisol) for appropriate comparisons
+ * - Biomarker type switching (any biomarker in the registry) for appropriate comparisons
  * - Input validation preventing invalid comparisons (same patient, missing selections)
  * - Patient availability checking with helpful feedback messages
  * - Responsive grid layout optimized for various screen sizes
@@ -41,12 +41,14 @@ import {
     Compare as CompareIcon,
     Person as PersonIcon
 } from '@mui/icons-material';
+import { useBiomarkers } from '../biomarkers';
 
 const PatientComparison = ({ patients }) => {
     const [patient1, setPatient1] = useState('');
     const [patient2, setPatient2] = useState('');
     const [biomarkerType, setBiomarkerType] = useState('glucose');
     const [error, setError] = useState('');
+    const biomarkers = useBiomarkers();
     const navigate = useNavigate();
 
     /**
@@ -219,8 +221,9 @@ const PatientComparison = ({ patients }) => {
                         size="small"
                         fullWidth
                     >
-                        <ToggleButton value="glucose">Glucose</ToggleButton>
-                        <ToggleButton value="cortisol">Cortisol</ToggleButton>
+                        {Object.entries(biomarkers).map(([type, entry]) => (
+                            <ToggleButton key={type} value={type}>{entry.label}</ToggleButton>
+                        ))}
                     </ToggleButtonGroup>
                 </Grid>
 
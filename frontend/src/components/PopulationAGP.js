@@ -0,0 +1,193 @@
+/**
+ * PopulationAGP.js
+ *
+ * PURPOSE: Ambulatory profile (AGP/ACP) of a whole cohort, optionally overlaid with a second cohort
+ *
+ * FEATURES:
+ * - Hourly 5/25/50/75/95 percentile curves for all users matching a cohort's filters
+ * - Pooled (all readings) or median-of-medians (each user's hourly median, every user weighs the same)
+ * - Glucose or cortisol
+ * - Overlay of a second cohort with its own filters
+ * - Cohorts can be limited to saved cohorts
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - AGPChart for the percentile chart (shared with the AGP report)
+ * - /api/population-agp/:biomarker API endpoint
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import AGPChart from './AGPChart';
+import { CohortFilters } from './PopulationCohortComparison';
+import {
+    Box,
+    Paper,
+    Grid,
+    Typography,
+    Alert,
+    Button,
+    CircularProgress,
+    FormControlLabel,
+    Checkbox,
+    ToggleButton,
+    ToggleButtonGroup
+} from '@mui/material';
+import { ShowChart as ChartIcon } from '@mui/icons-material';
+
+const VARIANT_DESCRIPTIONS = {
+    pooled: 'Percentiles of all readings of the cohort by hour of day; users with more data weigh more.',
+    medianOfMedians: "Percentiles across users of each user's hourly median; every user weighs the same."
+};
+
+const PopulationAGP = ({ showRawData = false }) => {
+    const biomarkers = useBiomarkers();
+    const [biomarkerType, setBiomarkerType] = useState('glucose');
+    const [variant, setVariant] = useState('pooled');
+    const [overlay, setOverlay] = useState(false);
+    const [cohorts, setCohorts] = useState([
+        { label: 'Cohort A', filters: {} },
+        { label: 'Cohort B', filters: {} }
+    ]);
+    // Cohorts of the profile on screen; starts with the whole population
+    const [requestedCohorts, setRequestedCohorts] = useState([{ label: 'All users', filters: {} }]);
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const biomarker = biomarkers[biomarkerType] || biomarkers.glucose;
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchProfiles = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const token = localStorage.getItem('token');
+                const responses = await Promise.all(requestedCohorts.map(cohort =>
+                    axios.get(`${config.API_URL}/api/population-agp/${biomarkerType}`, {
+                        headers: { Authorization: `Bearer ${token}` },
+                        params: {
+                            ...cohort.filters,
+                            ...(cohort.cohortId && { cohortId: cohort.cohortId }),
+                            ...(showRawData && { raw: 'true' })
+                        }
+                    })
+                ));
+                if (!cancelled) {
+                    setResults(responses.map((response, index) => ({ label: requestedCohorts[index].label, ...response.data })));
+                }
+            } catch (err) {
+                console.error('Error fetching population AGP:', err);
+                if (!cancelled) setError(err.response?.data?.error || 'Failed to load population profile');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchProfiles();
+        return () => { cancelled = true; };
+    }, [requestedCohorts, biomarkerType, showRawData]);
+
+    const updateCohort = (index, cohort) => {
+        setCohorts(prev => prev.map((current, i) => (i === index ? cohort : current)));
+    };
+
+    const showProfiles = () => {
+        setRequestedCohorts((overlay ? cohorts : cohorts.slice(0, 1)).map((cohort, index) => ({
+            ...cohort,
+            label: cohort.label.trim() || `Cohort ${index === 0 ? 'A' : 'B'}`
+        })));
+    };
+
+    const analyzed = results?.filter(result => result.analyzedCount > 0) || [];
+
+    return (
+        <Paper sx={{ p: 3, mb: 4 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                <Typography variant="h6" fontWeight="bold">
+                    Population {biomarker.profileAbbreviation}
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+                    <ToggleButtonGroup
+                        size="small"
+                        exclusive
+                        value={biomarkerType}
+                        onChange={(event, value) => value && setBiomarkerType(value)}
+                    >
+                        {Object.entries(biomarkers).map(([type, entry]) => (
+                            <ToggleButton key={type} value={type}>{entry.label}</ToggleButton>
+                        ))}
+                    </ToggleButtonGroup>
+                    <ToggleButtonGroup
+                        size="small"
+                        exclusive
+                        value={variant}
+                        onChange={(event, value) => value && setVariant(value)}
+                    >
+                        <ToggleButton value="pooled">Pooled</ToggleButton>
+                        <ToggleButton value="medianOfMedians">Median of medians</ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
+            </Box>
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                {(overlay ? cohorts : cohorts.slice(0, 1)).map((cohort, index) => (
+                    <Grid item xs={12} md={overlay ? 6 : 12} key={index}>
+                        <CohortFilters cohort={cohort} onChange={(updated) => updateCohort(index, updated)} />
+                    </Grid>
+                ))}
+            </Grid>
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+                <Button
+                    variant="contained"
+                    startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <ChartIcon />}
+                    onClick={showProfiles}
+                    disabled={loading}
+                >
+                    Show Profile
+                </Button>
+                <FormControlLabel
+                    control={<Checkbox checked={overlay} onChange={(e) => setOverlay(e.target.checked)} size="small" />}
+                    label="Overlay a second cohort"
+                />
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {!error && results && (
+                <>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {VARIANT_DESCRIPTIONS[variant]}
+                        {' '}
+                        {results.map(result => `${result.label}: ${result.analyzedCount} of ${result.userCount} users`).join(' · ')}
+                    </Typography>
+                    {analyzed.length > 0 ? (
+                        <Box sx={{ width: '100%' }}>
+                            <AGPChart
+                                profiles={analyzed.map(result => ({ label: result.label, percentages: result[variant] }))}
+                                biomarker={biomarker}
+                                biomarkerType={biomarkerType}
+                                unit={analyzed[0].unit}
+                                ranges={analyzed[0].ranges}
+                                layout={{ height: 420, margin: { l: 60, r: 40, t: 40, b: 60 } }}
+                            />
+                        </Box>
+                    ) : (
+                        <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 3 }}>
+                            No users with sufficient {biomarker.label.toLowerCase()} data in this cohort.
+                        </Typography>
+                    )}
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default PopulationAGP;
@@ -0,0 +1,231 @@
+/**
+ * PopulationAccuracy.js
+ *
+ * PURPOSE: Sensor accuracy against reference measurements pooled across a cohort
+ *
+ * FEATURES:
+ * - Cohort chosen with the population filters or a saved cohort
+ * - Glucose (fingerstick or lab) or cortisol (lab assays), with a configurable pairing window
+ * - Pooled MARD, MAD, bias, %20/20 agreement and, for glucose, Clarke and Parkes error grids over every pair
+ * - Per-patient table of the same metrics
+ * - Sensor readings are used as recorded (the raw data switch does not apply)
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - CohortFilters for the cohort, AccuracyMetricsTable and AccuracyPlots (shared with the patient report)
+ * - /api/reference-accuracy/:biomarker API endpoint
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import { CohortFilters } from './PopulationCohortComparison';
+import { REFERENCE_METHODS, AccuracyMetricsTable, AccuracyPlots } from './ReferenceAccuracy';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    Button,
+    CircularProgress,
+    TextField,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    ToggleButton,
+    ToggleButtonGroup,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import { Rule as AccuracyIcon } from '@mui/icons-material';
+
+const PopulationAccuracy = () => {
+    const biomarkers = useBiomarkers();
+    const [biomarkerType, setBiomarkerType] = useState('glucose');
+    const [cohort, setCohort] = useState({ label: 'All users', filters: {} });
+    const [windowMinutes, setWindowMinutes] = useState(15);
+    const [method, setMethod] = useState('');
+    const [parkesType, setParkesType] = useState(1);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const biomarker = biomarkers[biomarkerType] || biomarkers.glucose;
+    // Differences get one more decimal than the readings themselves
+    const decimals = (biomarker.decimals ?? 2) + 1;
+
+    const fetchReport = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const token = localStorage.getItem('token');
+            const response = await axios.get(`${config.API_URL}/api/reference-accuracy/${biomarkerType}`, {
+                headers: { Authorization: `Bearer ${token}` },
+                params: {
+                    ...cohort.filters,
+                    ...(cohort.cohortId && { cohortId: cohort.cohortId }),
+                    window: windowMinutes,
+                    ...(method && { method }),
+                    ...(biomarkerType === 'glucose' && { parkesType })
+                }
+            });
+            setReport({ label: cohort.label.trim() || 'Cohort', ...response.data });
+        } catch (err) {
+            console.error('Error fetching cohort reference accuracy:', err);
+            setError(err.response?.data?.error || 'Failed to load the accuracy report');
+            setReport(null);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Paper sx={{ p: 3, mb: 4 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                <Typography variant="h6" fontWeight="bold">
+                    Sensor Accuracy Against Reference Measurements
+                </Typography>
+                <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={biomarkerType}
+                    onChange={(event, value) => {
+                        if (value) {
+                            setBiomarkerType(value);
+                            setReport(null);
+                        }
+                    }}
+                >
+                    {Object.entries(biomarkers).map(([type, entry]) => (
+                        <ToggleButton key={type} value={type}>{entry.label}</ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            <Box sx={{ mb: 2 }}>
+                <CohortFilters cohort={cohort} onChange={setCohort} />
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                <TextField
+                    type="number"
+                    label="Pairing window (min)"
+                    size="small"
+                    value={windowMinutes}
+                    onChange={(e) => setWindowMinutes(parseFloat(e.target.value) || 0)}
+                    inputProps={{ min: 1, max: 60, step: 1 }}
+                    sx={{ width: 180 }}
+                />
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                    <InputLabel>Reference method</InputLabel>
+                    <Select value={method} label="Reference method" onChange={(e) => setMethod(e.target.value)}>
+                        <MenuItem value="">All methods</MenuItem>
+                        {REFERENCE_METHODS.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                {biomarkerType === 'glucose' && (
+                    <FormControl size="small" sx={{ minWidth: 160 }}>
+                        <InputLabel>Parkes grid</InputLabel>
+                        <Select value={parkesType} label="Parkes grid" onChange={(e) => setParkesType(e.target.value)}>
+                            <MenuItem value={1}>Type 1 diabetes</MenuItem>
+                            <MenuItem value={2}>Type 2 diabetes</MenuItem>
+                        </Select>
+                    </FormControl>
+                )}
+                <Button
+                    variant="contained"
+                    startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <AccuracyIcon />}
+                    onClick={fetchReport}
+                    disabled={loading || windowMinutes <= 0}
+                >
+                    Show Accuracy
+                </Button>
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {!error && report && (
+                <>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        {report.label}: {report.measuredCount} of {report.userCount} users have {biomarker.label.toLowerCase()} reference
+                        values; {report.summary.pairedReferences} of {report.summary.referenceCount} values have a sensor reading
+                        within {report.summary.windowMinutes} minutes. MARD is relative to the reference.
+                    </Typography>
+                    {report.overall ? (
+                        <>
+                            <Paper variant="outlined" sx={{ mb: 3, overflowX: 'auto' }}>
+                                <AccuracyMetricsTable report={report} decimals={decimals} />
+                            </Paper>
+                            <Box sx={{ mb: 3 }}>
+                                <AccuracyPlots report={report} decimals={decimals} />
+                            </Box>
+                            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                                Per Patient
+                            </Typography>
+                            <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+                                <Table size="small">
+                                    <TableHead>
+                                        <TableRow>
+                                            <TableCell sx={{ fontWeight: 'bold' }}>User</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>References</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Pairs</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>MARD</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>MAD ({report.unit})</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Bias ({report.unit})</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Within %20/20</TableCell>
+                                            {report.overall.clarke && (
+                                                <>
+                                                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Clarke A + B</TableCell>
+                                                    <TableCell align="right" sx={{ fontWeight: 'bold' }}>Parkes A + B</TableCell>
+                                                </>
+                                            )}
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {report.users.map(user => (
+                                            <TableRow key={user.username}>
+                                                <TableCell>{user.username}</TableCell>
+                                                <TableCell align="right">{user.referenceCount}</TableCell>
+                                                <TableCell align="right">{user.metrics?.pairs ?? 0}</TableCell>
+                                                <TableCell align="right">{user.metrics ? `${user.metrics.mard}%` : '-'}</TableCell>
+                                                <TableCell align="right">{user.metrics ? user.metrics.mad.toFixed(decimals) : '-'}</TableCell>
+                                                <TableCell align="right">{user.metrics ? user.metrics.bias.toFixed(decimals) : '-'}</TableCell>
+                                                <TableCell align="right">{user.metrics ? `${user.metrics.percentWithinAgreement}%` : '-'}</TableCell>
+                                                {report.overall.clarke && (
+                                                    <>
+                                                        <TableCell align="right">
+                                                            {user.metrics ? `${Math.round((user.metrics.clarke.A + user.metrics.clarke.B) * 10) / 10}%` : '-'}
+                                                        </TableCell>
+                                                        <TableCell align="right">
+                                                            {user.metrics ? `${Math.round((user.metrics.parkes.A + user.metrics.parkes.B) * 10) / 10}%` : '-'}
+                                                        </TableCell>
+                                                    </>
+                                                )}
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </Paper>
+                        </>
+                    ) : (
+                        <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 3 }}>
+                            No {biomarker.label.toLowerCase()} reference values with a sensor reading in the pairing window in this cohort.
+                        </Typography>
+                    )}
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default PopulationAccuracy;
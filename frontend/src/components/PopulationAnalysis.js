@@ -31,7 +31,9 @@ import {
     ListItem,
     ListItemText,
     ListItemSecondaryAction,
-    TextField
+    TextField,
+    ToggleButton,
+    ToggleButtonGroup
 } from '@mui/material';
 import {
     ExpandMore as ExpandMoreIcon,
@@ -48,6 +50,13 @@ import {
     Save as SaveIcon
 } from '@mui/icons-material';
 import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import PopulationGroupBoxPlots from './PopulationGroupBoxPlots';
+import PopulationCohortComparison from './PopulationCohortComparison';
+import PopulationAGP from './PopulationAGP';
+import PopulationAccuracy from './PopulationAccuracy';
+import SavedCohortSelect from './SavedCohortSelect';
+import SaveCohortDialog from './SaveCohortDialog';
 
 const PopulationAnalysis = () => {
     const [populationData, setPopulationData] = useState(null);
@@ -64,11 +73,32 @@ const PopulationAnalysis = () => {
     const [maxGraphs] = useState(3);
     const [showGraphLimitDialog, setShowGraphLimitDialog] = useState(false);
     const [pendingGraphData, setPendingGraphData] = useState(null);
+    const [showRawData, setShowRawData] = useState(false);
+    // 'population' shows the population graphs, 'cohorts' compares two filtered cohorts, 'agp' shows cohort profiles
+    const [viewMode, setViewMode] = useState('population');
+    // Name of the saved cohort in activeFilters.cohortId, for titles and chips
+    const [selectedCohortName, setSelectedCohortName] = useState(null);
+    const [cohortDialogOpen, setCohortDialogOpen] = useState(false);
+
+    // Population time in range uses the default glucose bands, shown in the user's units
+    const glucose = useBiomarkers().glucose;
+    const glucoseTargetRanges = {
+        targetMin: glucose.defaultRanges.target.min,
+        targetMax: glucose.defaultRanges.target.max,
+        targetGoal: 70,
+        highMin: glucose.defaultRanges.high.min,
+        veryHighMin: glucose.defaultRanges.veryHigh.min,
+        lowMax: glucose.defaultRanges.low.max,
+        veryLowMax: glucose.defaultRanges.veryLow.max,
+        highLimit: 25,
+        lowLimit: 4,
+        unit: glucose.unit
+    };
 
     useEffect(() => {
-        // Only fetch initial data without filters
+        // Only fetch initial data without filters (again when the raw data toggle changes)
         fetchPopulationData();
-    }, []); // Empty dependency array - only runs once on mount
+    }, [showRawData]);
 
     const fetchPopulationData = async (filters = {}) => {
         try {
@@ -76,6 +106,7 @@ const PopulationAnalysis = () => {
             const token = localStorage.getItem('token');
             
             const url = new URL(`${config.API_URL}/api/population-analysis`);
+            if (showRawData) url.searchParams.append('raw', 'true');
             
             // Add filters as query parameters
             if (Object.keys(filters).length > 0) {
@@ -126,6 +157,7 @@ const PopulationAnalysis = () => {
             const token = localStorage.getItem('token');
             
             const url = new URL(`${config.API_URL}/api/population-analysis`);
+            if (showRawData) url.searchParams.append('raw', 'true');
             
             // Add filters as query parameters
             Object.entries(filters).forEach(([key, value]) => {
@@ -189,7 +221,9 @@ const PopulationAnalysis = () => {
         const filterDescriptions = [];
         
         Object.entries(filters).forEach(([key, value]) => {
-            if (value === 'true') {
+            if (key === 'cohortId') {
+                filterDescriptions.push(selectedCohortName || 'Saved cohort');
+            } else if (value === 'true') {
                 filterDescriptions.push(key.replace('_', ' ').replace(/\b\w/g, l => l.toUpperCase()));
             } else if (value === 'false') {
                 filterDescriptions.push(`Non-${key.replace('_', ' ')}`);
@@ -509,23 +543,23 @@ const PopulationAnalysis = () => {
                     {/* Range Labels */}
                     <Box sx={{ mt: 1 }}>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
-                            <Typography variant="caption">&gt;{targetRanges.veryHighMin} mg/dL</Typography>
+                            <Typography variant="caption">&gt;{targetRanges.veryHighMin} {targetRanges.unit}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
-                            <Typography variant="caption">&gt;{targetRanges.highMin} mg/dL</Typography>
+                            <Typography variant="caption">&gt;{targetRanges.highMin} {targetRanges.unit}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
                             <Typography variant="caption" fontWeight="bold">
-                                Target Range: {targetRanges.targetMin}-{targetRanges.targetMax} mg/dL
+                                Target Range: {targetRanges.targetMin}-{targetRanges.targetMax} {targetRanges.unit}
                             </Typography>
                             <Typography variant="caption">
                             </Typography>
                         </Box>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 0.5 }}>
-                            <Typography variant="caption">&lt;{targetRanges.lowMax} mg/dL</Typography>
+                            <Typography variant="caption">&lt;{targetRanges.lowMax} {targetRanges.unit}</Typography>
                         </Box>
                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                            <Typography variant="caption">&lt;{targetRanges.veryLowMax} mg/dL</Typography>
+                            <Typography variant="caption">&lt;{targetRanges.veryLowMax} {targetRanges.unit}</Typography>
                         </Box>
                     </Box>
                 </CardContent>
@@ -568,298 +602,341 @@ const PopulationAnalysis = () => {
                 </Box>
             </Paper>
 
-            {/* Filter Panel */}
-            <Paper sx={{ mb: 4, overflow: 'hidden' }}>
-                <Accordion 
-                    expanded={filterExpanded}
-                    onChange={(e, isExpanded) => setFilterExpanded(isExpanded)}
-                    sx={{ boxShadow: 'none' }}
+            {/* View Mode */}
+            <Box sx={{ display: 'flex', justifyContent: 'center', mb: 4 }}>
+                <ToggleButtonGroup
+                    exclusive
+                    value={viewMode}
+                    onChange={(event, value) => value && setViewMode(value)}
                 >
-                    <AccordionSummary 
-                        expandIcon={<ExpandMoreIcon />}
-                        sx={{ 
-                            bgcolor: 'white', 
-                            borderBottom: filterExpanded ? '1px solid' : 'none',
-                            borderColor: 'divider',
-                            '&:hover': { bgcolor: 'grey.50' }
-                        }}
+                    <ToggleButton value="population">Population Overview</ToggleButton>
+                    <ToggleButton value="cohorts">Compare Two Cohorts</ToggleButton>
+                    <ToggleButton value="agp">Population AGP</ToggleButton>
+                    <ToggleButton value="accuracy">Sensor Accuracy</ToggleButton>
+                </ToggleButtonGroup>
+            </Box>
+
+            {/* Filter Panel */}
+            {viewMode === 'population' && (
+                <Paper sx={{ mb: 4, overflow: 'hidden' }}>
+                    <Accordion 
+                        expanded={filterExpanded}
+                        onChange={(e, isExpanded) => setFilterExpanded(isExpanded)}
+                        sx={{ boxShadow: 'none' }}
                     >
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, width: '100%' }}>
-                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
-                                <FilterIcon />
-                                <Typography variant="h6" fontWeight="bold">Population Filters</Typography>
-                                {Object.keys(activeFilters).length > 0 && (
-                                    <Chip 
-                                        label={`${Object.keys(activeFilters).length} active`} 
-                                        variant="outlined"
-                                        size="small"
-                                        sx={{ fontWeight: 'bold', borderColor: 'grey.400' }}
-                                    />
-                                )}
-                            </Box>
-                            <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
-                                {Object.keys(activeFilters).length > 0 && (
-                                    <Tooltip title="Clear All Filters">
+                        <AccordionSummary 
+                            expandIcon={<ExpandMoreIcon />}
+                            sx={{ 
+                                bgcolor: 'white', 
+                                borderBottom: filterExpanded ? '1px solid' : 'none',
+                                borderColor: 'divider',
+                                '&:hover': { bgcolor: 'grey.50' }
+                            }}
+                        >
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, width: '100%' }}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+                                    <FilterIcon />
+                                    <Typography variant="h6" fontWeight="bold">Population Filters</Typography>
+                                    {Object.keys(activeFilters).length > 0 && (
+                                        <Chip 
+                                            label={`${Object.keys(activeFilters).length} active`} 
+                                            variant="outlined"
+                                            size="small"
+                                            sx={{ fontWeight: 'bold', borderColor: 'grey.400' }}
+                                        />
+                                    )}
+                                </Box>
+                                <Box sx={{ ml: 'auto', display: 'flex', gap: 1 }}>
+                                    {Object.keys(activeFilters).length > 0 && (
+                                        <Tooltip title="Clear All Filters">
+                                            <IconButton 
+                                                size="small"
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    clearAllFilters();
+                                                }}
+                                                sx={{ 
+                                                    '&:hover': { bgcolor: 'grey.100' }
+                                                }}
+                                            >
+                                                <ClearIcon />
+                                            </IconButton>
+                                        </Tooltip>
+                                    )}
+                                    <Tooltip title="Refresh Data">
                                         <IconButton 
                                             size="small"
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                clearAllFilters();
+                                                fetchPopulationData();
                                             }}
                                             sx={{ 
                                                 '&:hover': { bgcolor: 'grey.100' }
                                             }}
                                         >
-                                            <ClearIcon />
+                                            <RefreshIcon />
                                         </IconButton>
                                     </Tooltip>
-                                )}
-                                <Tooltip title="Refresh Data">
-                                    <IconButton 
-                                        size="small"
-                                        onClick={(e) => {
-                                            e.stopPropagation();
-                                            fetchPopulationData();
-                                        }}
-                                        sx={{ 
-                                            '&:hover': { bgcolor: 'grey.100' }
-                                        }}
-                                    >
-                                        <RefreshIcon />
-                                    </IconButton>
-                                </Tooltip>
+                                </Box>
                             </Box>
-                        </Box>
-                    </AccordionSummary>
-                    <AccordionDetails sx={{ p: 2 }}>
-                        <Grid container spacing={2}>
-                            {/* Demographics Section */}
-                            <Grid item xs={12}>
-                                <Box sx={{ 
-                                    p: 1.5, 
-                                    bgcolor: 'grey.50', 
-                                    borderRadius: 1, 
-                                    border: '1px solid',
-                                    borderColor: 'grey.300'
-                                }}>
-                                    <Typography variant="subtitle1" sx={{ 
-                                        display: 'flex', 
-                                        alignItems: 'center', 
-                                        gap: 1, 
-                                        mb: 2,
-                                        color: 'text.primary',
-                                        fontWeight: 'bold'
+                        </AccordionSummary>
+                        <AccordionDetails sx={{ p: 2 }}>
+                            <Grid container spacing={2}>
+                                {/* Saved Cohorts */}
+                                <Grid item xs={12} md={8}>
+                                    <SavedCohortSelect
+                                        value={activeFilters.cohortId || ''}
+                                        onChange={(cohortId, cohort) => {
+                                            setSelectedCohortName(cohort?.name || null);
+                                            updateFilter('cohortId', cohortId);
+                                        }}
+                                    />
+                                </Grid>
+                                <Grid item xs={12} md={4}>
+                                    <Tooltip title={activeFilters.cohortId ? 'Clear the saved cohort to save these filters' : 'Save these filters as a cohort'}>
+                                        <span>
+                                            <Button
+                                                fullWidth
+                                                variant="outlined"
+                                                startIcon={<SaveIcon />}
+                                                onClick={() => setCohortDialogOpen(true)}
+                                                disabled={Object.keys(activeFilters).length === 0 || !!activeFilters.cohortId}
+                                            >
+                                                Save as Cohort
+                                            </Button>
+                                        </span>
+                                    </Tooltip>
+                                </Grid>
+                                {/* Demographics Section */}
+                                <Grid item xs={12}>
+                                    <Box sx={{ 
+                                        p: 1.5, 
+                                        bgcolor: 'grey.50', 
+                                        borderRadius: 1, 
+                                        border: '1px solid',
+                                        borderColor: 'grey.300'
                                     }}>
-                                        <PeopleIcon fontSize="small" />
-                                        Demographics
-                                    </Typography>
-                                    <Grid container spacing={2}>
-                                        <SelectFilter
-                                            label="Gender"
-                                            filterKey="gender"
-                                            options={['M', 'F', 'Other']}
-                                            description="Filter by gender"
-                                        />
-                                        <Grid item xs={12} sm={6} md={4}>
-                                            <Box sx={{ 
-                                                p: 2, 
-                                                bgcolor: 'white', 
-                                                borderRadius: 1,
-                                                border: '1px solid',
-                                                borderColor: 'grey.300'
-                                            }}>
-                                                <Typography variant="subtitle2" sx={{ mb: 2, fontWeight: 'bold' }}>
-                                                    Age Range
-                                                </Typography>
-                                                <Box sx={{ display: 'flex', gap: 1 }}>
-                                                    <TextField
-                                                        label="Min Age"
-                                                        type="number"
-                                                        size="small"
-                                                        value={activeFilters.ageMin || ''}
-                                                        onChange={e => updateFilter('ageMin', e.target.value ? Number(e.target.value) : '')}
-                                                        inputProps={{ min: 0, max: 120 }}
-                                                        fullWidth
-                                                    />
-                                                    <TextField
-                                                        label="Max Age"
-                                                        type="number"
-                                                        size="small"
-                                                        value={activeFilters.ageMax || ''}
-                                                        onChange={e => updateFilter('ageMax', e.target.value ? Number(e.target.value) : '')}
-                                                        inputProps={{ min: 0, max: 120 }}
-                                                        fullWidth
-                                                    />
+                                        <Typography variant="subtitle1" sx={{ 
+                                            display: 'flex', 
+                                            alignItems: 'center', 
+                                            gap: 1, 
+                                            mb: 2,
+                                            color: 'text.primary',
+                                            fontWeight: 'bold'
+                                        }}>
+                                            <PeopleIcon fontSize="small" />
+                                            Demographics
+                                        </Typography>
+                                        <Grid container spacing={2}>
+                                            <SelectFilter
+                                                label="Gender"
+                                                filterKey="gender"
+                                                options={['M', 'F', 'Other']}
+                                                description="Filter by gender"
+                                            />
+                                            <Grid item xs={12} sm={6} md={4}>
+                                                <Box sx={{ 
+                                                    p: 2, 
+                                                    bgcolor: 'white', 
+                                                    borderRadius: 1,
+                                                    border: '1px solid',
+                                                    borderColor: 'grey.300'
+                                                }}>
+                                                    <Typography variant="subtitle2" sx={{ mb: 2, fontWeight: 'bold' }}>
+                                                        Age Range
+                                                    </Typography>
+                                                    <Box sx={{ display: 'flex', gap: 1 }}>
+                                                        <TextField
+                                                            label="Min Age"
+                                                            type="number"
+                                                            size="small"
+                                                            value={activeFilters.ageMin || ''}
+                                                            onChange={e => updateFilter('ageMin', e.target.value ? Number(e.target.value) : '')}
+                                                            inputProps={{ min: 0, max: 120 }}
+                                                            fullWidth
+                                                        />
+                                                        <TextField
+                                                            label="Max Age"
+                                                            type="number"
+                                                            size="small"
+                                                            value={activeFilters.ageMax || ''}
+                                                            onChange={e => updateFilter('ageMax', e.target.value ? Number(e.target.value) : '')}
+                                                            inputProps={{ min: 0, max: 120 }}
+                                                            fullWidth
+                                                        />
+                                                    </Box>
+                                                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                                                        Filter by custom age range (0-120 years)
+                                                    </Typography>
                                                 </Box>
-                                                <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                                                    Filter by custom age range (0-120 years)
-                                                </Typography>
-                                            </Box>
+                                            </Grid>
+                                            <SelectFilter
+                                                label="Institution"
+                                                filterKey="institution"
+                                                options={['Stanford', 'Harvard', 'Mayo Clinic', 'Johns Hopkins', 'Other']}
+                                                description="Filter by institution"
+                                            />
                                         </Grid>
-                                        <SelectFilter
-                                            label="Institution"
-                                            filterKey="institution"
-                                            options={['Stanford', 'Harvard', 'Mayo Clinic', 'Johns Hopkins', 'Other']}
-                                            description="Filter by institution"
-                                        />
-                                    </Grid>
-                                </Box>
-                            </Grid>
+                                    </Box>
+                                </Grid>
 
-                            {/* Medical Conditions Section */}
-                            <Grid item xs={12}>
-                                <Box sx={{ 
-                                    p: 1.5, 
-                                    bgcolor: 'grey.50', 
-                                    borderRadius: 1,
-                                    border: '1px solid',
-                                    borderColor: 'grey.300'
-                                }}>
-                                    <Typography variant="subtitle1" sx={{ 
-                                        display: 'flex', 
-                                        alignItems: 'center', 
-                                        gap: 1, 
-                                        mb: 2,
-                                        color: 'text.primary',
-                                        fontWeight: 'bold'
+                                {/* Medical Conditions Section */}
+                                <Grid item xs={12}>
+                                    <Box sx={{ 
+                                        p: 1.5, 
+                                        bgcolor: 'grey.50', 
+                                        borderRadius: 1,
+                                        border: '1px solid',
+                                        borderColor: 'grey.300'
                                     }}>
-                                        <MedicalIcon fontSize="small" />
-                                        Medical Conditions
-                                    </Typography>
-                                    <Grid container spacing={2}>
-                                        <BooleanFilter
-                                            label="Diabetes"
-                                            filterKey="diabetes"
-                                            description="Type 1 or Type 2 diabetes"
-                                        />
-                                        <BooleanFilter
-                                            label="High Blood Pressure"
-                                            filterKey="high_bp"
-                                            description="Hypertension diagnosis"
-                                        />
-                                        <BooleanFilter
-                                            label="Pregnant"
-                                            filterKey="pregnant"
-                                            description="Currently pregnant"
-                                        />
-                                        <BooleanFilter
-                                            label="Army Personnel"
-                                            filterKey="army"
-                                            description="Military service member"
-                                        />
-                                    </Grid>
-                                </Box>
-                            </Grid>
+                                        <Typography variant="subtitle1" sx={{ 
+                                            display: 'flex', 
+                                            alignItems: 'center', 
+                                            gap: 1, 
+                                            mb: 2,
+                                            color: 'text.primary',
+                                            fontWeight: 'bold'
+                                        }}>
+                                            <MedicalIcon fontSize="small" />
+                                            Medical Conditions
+                                        </Typography>
+                                        <Grid container spacing={2}>
+                                            <BooleanFilter
+                                                label="Diabetes"
+                                                filterKey="diabetes"
+                                                description="Type 1 or Type 2 diabetes"
+                                            />
+                                            <BooleanFilter
+                                                label="High Blood Pressure"
+                                                filterKey="high_bp"
+                                                description="Hypertension diagnosis"
+                                            />
+                                            <BooleanFilter
+                                                label="Pregnant"
+                                                filterKey="pregnant"
+                                                description="Currently pregnant"
+                                            />
+                                            <BooleanFilter
+                                                label="Army Personnel"
+                                                filterKey="army"
+                                                description="Military service member"
+                                            />
+                                        </Grid>
+                                    </Box>
+                                </Grid>
 
-                            {/* Lifestyle Section */}
-                            <Grid item xs={12}>
-                                <Box sx={{ 
-                                    p: 1.5, 
-                                    bgcolor: 'grey.50', 
-                                    borderRadius: 1,
-                                    border: '1px solid',
-                                    borderColor: 'grey.300'
-                                }}>
-                                    <Typography variant="subtitle1" sx={{ 
-                                        display: 'flex', 
-                                        alignItems: 'center', 
-                                        gap: 1, 
-                                        mb: 2,
-                                        color: 'text.primary',
-                                        fontWeight: 'bold'
+                                {/* Lifestyle Section */}
+                                <Grid item xs={12}>
+                                    <Box sx={{ 
+                                        p: 1.5, 
+                                        bgcolor: 'grey.50', 
+                                        borderRadius: 1,
+                                        border: '1px solid',
+                                        borderColor: 'grey.300'
                                     }}>
-                                        <DrinkIcon fontSize="small" />
-                                        Lifestyle Factors
-                                    </Typography>
-                                    <Grid container spacing={2}>
-                                        <BooleanFilter
-                                            label="Smoker"
-                                            filterKey="smokes"
-                                            description="Current smoking status"
-                                            icon={<SmokeIcon />}
-                                        />
-                                        <BooleanFilter
-                                            label="Drinks Alcohol"
-                                            filterKey="drinks"
-                                            description="Regular alcohol consumption"
-                                            icon={<DrinkIcon />}
-                                        />
-                                        <SelectFilter
-                                            label="Physical Activity"
-                                            filterKey="activity_level"
-                                            options={['Low', 'Moderate', 'High', 'Very High']}
-                                            description="Exercise frequency"
-                                        />
-                                    </Grid>
-                                </Box>
+                                        <Typography variant="subtitle1" sx={{ 
+                                            display: 'flex', 
+                                            alignItems: 'center', 
+                                            gap: 1, 
+                                            mb: 2,
+                                            color: 'text.primary',
+                                            fontWeight: 'bold'
+                                        }}>
+                                            <DrinkIcon fontSize="small" />
+                                            Lifestyle Factors
+                                        </Typography>
+                                        <Grid container spacing={2}>
+                                            <BooleanFilter
+                                                label="Smoker"
+                                                filterKey="smokes"
+                                                description="Current smoking status"
+                                                icon={<SmokeIcon />}
+                                            />
+                                            <BooleanFilter
+                                                label="Drinks Alcohol"
+                                                filterKey="drinks"
+                                                description="Regular alcohol consumption"
+                                                icon={<DrinkIcon />}
+                                            />
+                                            <SelectFilter
+                                                label="Physical Activity"
+                                                filterKey="activity_level"
+                                                options={['Low', 'Moderate', 'High', 'Very High']}
+                                                description="Exercise frequency"
+                                            />
+                                        </Grid>
+                                    </Box>
+                                </Grid>
                             </Grid>
-                        </Grid>
 
-                        {/* Active Filters Summary */}
-                        {Object.keys(activeFilters).length > 0 && (
-                            <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1 }}>
-                                <Typography variant="subtitle2" gutterBottom>
-                                    Active Filters:
-                                </Typography>
-                                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
-                                    {Object.entries(activeFilters).map(([key, value]) => (
-                                        <Chip
-                                            key={key}
-                                            label={`${key.replace('_', ' ')}: ${value === 'true' ? 'Yes' : value === 'false' ? 'No' : value}`}
-                                            onDelete={() => updateFilter(key, null)}
-                                            size="small"
-                                            color="primary"
-                                            variant="outlined"
-                                        />
-                                    ))}
+                            {/* Active Filters Summary */}
+                            {Object.keys(activeFilters).length > 0 && (
+                                <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1 }}>
+                                    <Typography variant="subtitle2" gutterBottom>
+                                        Active Filters:
+                                    </Typography>
+                                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                                        {Object.entries(activeFilters).map(([key, value]) => (
+                                            <Chip
+                                                key={key}
+                                                label={key === 'cohortId'
+                                                    ? `Cohort: ${selectedCohortName || value}`
+                                                    : `${key.replace('_', ' ')}: ${value === 'true' ? 'Yes' : value === 'false' ? 'No' : value}`}
+                                                onDelete={() => updateFilter(key, null)}
+                                                size="small"
+                                                color="primary"
+                                                variant="outlined"
+                                            />
+                                        ))}
+                                    </Box>
+                                    <Typography variant="caption" color="text.secondary">
+                                        Graph will be titled: "{generateGraphTitle(activeFilters)}"
+                                    </Typography>
                                 </Box>
-                                <Typography variant="caption" color="text.secondary">
-                                    Graph will be titled: "{generateGraphTitle(activeFilters)}"
-                                </Typography>
-                            </Box>
-                        )}
+                            )}
 
-                        {/* Create Graph Button */}
-                        {Object.keys(activeFilters).length > 0 && (
-                            <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1, border: '1px solid', borderColor: 'grey.300' }}>
-                                <Typography variant="subtitle2" gutterBottom align="center">
-                                    Ready to Create: "{generateGraphTitle(activeFilters)}"
-                                </Typography>
-                                <Box sx={{ textAlign: 'center' }}>
-                                    <Button
-                                        variant="contained"
-                                        startIcon={<AddIcon />}
-                                        onClick={createNewGraph}
-                                        disabled={savedGraphs.length >= maxGraphs || loading}
-                                        size="large"
-                                        sx={{ bgcolor: 'grey.800', '&:hover': { bgcolor: 'grey.700' }, '&:disabled': { bgcolor: 'grey.400' } }}
-                                    >
-                                        {loading ? 'Creating...' : `Create Graph (${savedGraphs.length}/${maxGraphs})`}
-                                    </Button>
-                                </Box>
-                                {savedGraphs.length >= maxGraphs && (
-                                    <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1, textAlign: 'center' }}>
-                                        Maximum graphs reached. Delete a graph to create a new one.
+                            {/* Create Graph Button */}
+                            {Object.keys(activeFilters).length > 0 && (
+                                <Box sx={{ mt: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1, border: '1px solid', borderColor: 'grey.300' }}>
+                                    <Typography variant="subtitle2" gutterBottom align="center">
+                                        Ready to Create: "{generateGraphTitle(activeFilters)}"
                                     </Typography>
-                                )}
-                            </Box>
-                        )}
+                                    <Box sx={{ textAlign: 'center' }}>
+                                        <Button
+                                            variant="contained"
+                                            startIcon={<AddIcon />}
+                                            onClick={createNewGraph}
+                                            disabled={savedGraphs.length >= maxGraphs || loading}
+                                            size="large"
+                                            sx={{ bgcolor: 'grey.800', '&:hover': { bgcolor: 'grey.700' }, '&:disabled': { bgcolor: 'grey.400' } }}
+                                        >
+                                            {loading ? 'Creating...' : `Create Graph (${savedGraphs.length}/${maxGraphs})`}
+                                        </Button>
+                                    </Box>
+                                    {savedGraphs.length >= maxGraphs && (
+                                        <Typography variant="caption" display="block" color="text.secondary" sx={{ mt: 1, textAlign: 'center' }}>
+                                            Maximum graphs reached. Delete a graph to create a new one.
+                                        </Typography>
+                                    )}
+                                </Box>
+                            )}
 
-                        {/* Filter Instructions */}
-                        {Object.keys(activeFilters).length === 0 && (
-                            <Box sx={{ mt: 3, textAlign: 'center' }}>
-                                <Typography variant="body2" color="text.secondary">
-                                    Select filters above and click "Create Graph" to generate filtered comparison graphs.
-                                    The main graph will always show general population data.
-                                </Typography>
-                            </Box>
-                        )}
-                    </AccordionDetails>
-                </Accordion>
-            </Paper>
+                            {/* Filter Instructions */}
+                            {Object.keys(activeFilters).length === 0 && (
+                                <Box sx={{ mt: 3, textAlign: 'center' }}>
+                                    <Typography variant="body2" color="text.secondary">
+                                        Select filters above and click "Create Graph" to generate filtered comparison graphs.
+                                        The main graph will always show general population data.
+                                    </Typography>
+                                </Box>
+                            )}
+                        </AccordionDetails>
+                    </Accordion>
+                </Paper>
+            )}
 
             {/* Saved Graphs Info */}
-            {savedGraphs.length > 0 && (
+            {viewMode === 'population' && savedGraphs.length > 0 && (
                 <Box sx={{ mb: 3, p: 2, bgcolor: 'grey.50', borderRadius: 1, border: '1px solid', borderColor: 'grey.300' }}>
                     <Typography variant="h6" gutterBottom>
                         Comparison Graphs ({savedGraphs.length}/{maxGraphs})
@@ -880,7 +957,7 @@ const PopulationAnalysis = () => {
             )}
 
             {/* Filter Status Alert */}
-            {Object.keys(activeFilters).length > 0 && (
+            {viewMode === 'population' && Object.keys(activeFilters).length > 0 && (
                 <Alert severity="info" sx={{ mb: 3, bgcolor: 'grey.50', color: 'text.primary' }}>
                     <Typography variant="body2">
                         <strong>Filters Selected:</strong> You have selected filters for "{generateGraphTitle(activeFilters)}". 
@@ -889,93 +966,126 @@ const PopulationAnalysis = () => {
                 </Alert>
             )}
 
-            {/* Dynamic Graphs Section */}
-            <Grid container spacing={4}>
-                {/* Main Population Display - General or Filtered */}
-                <Grid item xs={12} md={savedGraphs.length === 0 ? 12 : savedGraphs.length === 1 ? 6 : 4}>
-                    <PopulationCard
-                        title="General Population"
-                        data={populationData?.general}
-                        targetRanges={{
-                            targetMin: 70,
-                            targetMax: 180,
-                            targetGoal: 70,
-                            highMin: 180,
-                            veryHighMin: 250,
-                            lowMax: 70,
-                            veryLowMax: 54,
-                            highLimit: 25,
-                            lowLimit: 4
-                        }}
-                        isGeneral={true}
-                    />
-                </Grid>
+            {/* Signal Cleaning Summary */}
+            {populationData?.cleaning && (
+                <Alert
+                    severity="info"
+                    sx={{ mb: 3 }}
+                    action={
+                        <FormControlLabel
+                            control={<Checkbox checked={showRawData} onChange={(e) => setShowRawData(e.target.checked)} size="small" />}
+                            label="Show raw data"
+                        />
+                    }
+                >
+                    <Typography variant="body2">
+                        {populationData.cleaning.applied ? (
+                            <>
+                                <strong>Cleaned data:</strong> {populationData.cleaning.removedReadings} of {populationData.cleaning.inputReadings} glucose readings removed
+                                ({populationData.cleaning.removedByReason.outOfRange} out of range, {populationData.cleaning.removedByReason.warmup} sensor warm-up,
+                                {' '}{populationData.cleaning.removedByReason.minGap} too close together, {populationData.cleaning.removedByReason.spike} spikes,
+                                {' '}{populationData.cleaning.removedByReason.outlier} outliers).
+                            </>
+                        ) : (
+                            <>
+                                <strong>{populationData.cleaning.raw ? 'Raw data:' : 'Cleaning disabled:'}</strong> all {populationData.cleaning.inputReadings} glucose readings are included.
+                            </>
+                        )}
+                    </Typography>
+                </Alert>
+            )}
 
-                {/* Dynamic Filtered Graphs */}
-                {savedGraphs.map((graph) => (
-                    <Grid key={graph.id} item xs={12} md={savedGraphs.length === 1 ? 6 : 4}>
-                        <PopulationCard
-                            title={graph.title}
-                            data={graph.data?.general}
-                            targetRanges={{
-                                targetMin: 70,
-                                targetMax: 180,
-                                targetGoal: 70,
-                                highMin: 180,
-                                veryHighMin: 250,
-                                lowMax: 70,
-                                veryLowMax: 54,
-                                highLimit: 25,
-                                lowLimit: 4
-                            }}
+            {/* Two-Cohort Comparison */}
+            {viewMode === 'cohorts' && (
+                <PopulationCohortComparison showRawData={showRawData} />
+            )}
+
+            {/* Population Ambulatory Profile */}
+            {viewMode === 'agp' && (
+                <PopulationAGP showRawData={showRawData} />
+            )}
+
+            {/* Sensor accuracy against reference measurements */}
+            {viewMode === 'accuracy' && (
+                <PopulationAccuracy />
+            )}
+
+            {viewMode === 'population' && (
+                <>
+                    {/* Dynamic Graphs Section */}
+                    <Grid container spacing={4}>
+                        {/* Main Population Display - General or Filtered */}
+                        <Grid item xs={12} md={savedGraphs.length === 0 ? 12 : savedGraphs.length === 1 ? 6 : 4}>
+                            <PopulationCard
+                                title="General Population"
+                                data={populationData?.general}
+                                targetRanges={glucoseTargetRanges}
+                                isGeneral={true}
+                            />
+                        </Grid>
+
+                        {/* Dynamic Filtered Graphs */}
+                        {savedGraphs.map((graph) => (
+                            <Grid key={graph.id} item xs={12} md={savedGraphs.length === 1 ? 6 : 4}>
+                                <PopulationCard
+                                    title={graph.title}
+                                    data={graph.data?.general}
+                                    targetRanges={glucoseTargetRanges}
                             
-                            onDelete={deleteGraph}
-                            graphId={graph.id}
-                            isGeneral={false}
-                        />
+                                    onDelete={deleteGraph}
+                                    graphId={graph.id}
+                                    isGeneral={false}
+                                />
+                            </Grid>
+                        ))}
                     </Grid>
-                ))}
-            </Grid>
 
             
-            {/* Legend */}
-            <Box sx={{ mt: 4, p: 2, backgroundColor: 'grey.50', borderRadius: 1 }}>
-                <Typography variant="subtitle2" gutterBottom fontWeight="bold">
-                    Legend:
-                </Typography>
-                <Grid container spacing={2}>
-                    <Grid item xs={12} sm={6} md={2.4}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Box sx={{ width: 20, height: 20, backgroundColor: '#d32f2f' }}></Box>
-                            <Typography variant="caption">Very Low</Typography>
-                        </Box>
-                    </Grid>
-                    <Grid item xs={12} sm={6} md={2.4}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Box sx={{ width: 20, height: 20, backgroundColor: '#f44336' }}></Box>
-                            <Typography variant="caption">Low</Typography>
-                        </Box>
-                    </Grid>
-                    <Grid item xs={12} sm={6} md={2.4}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Box sx={{ width: 20, height: 20, backgroundColor: '#4caf50' }}></Box>
-                            <Typography variant="caption">Target Range</Typography>
-                        </Box>
-                    </Grid>
-                    <Grid item xs={12} sm={6} md={2.4}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Box sx={{ width: 20, height: 20, backgroundColor: '#ffeb3b' }}></Box>
-                            <Typography variant="caption">High</Typography>
-                        </Box>
-                    </Grid>
-                    <Grid item xs={12} sm={6} md={2.4}>
-                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                            <Box sx={{ width: 20, height: 20, backgroundColor: '#ff9800' }}></Box>
-                            <Typography variant="caption">Very High</Typography>
-                        </Box>
-                    </Grid>
-                </Grid>
-            </Box>
+                    {/* Grouped Distributions */}
+                    <Box sx={{ mt: 4 }}>
+                        <PopulationGroupBoxPlots showRawData={showRawData} />
+                    </Box>
+
+                    {/* Legend */}
+                    <Box sx={{ mt: 4, p: 2, backgroundColor: 'grey.50', borderRadius: 1 }}>
+                        <Typography variant="subtitle2" gutterBottom fontWeight="bold">
+                            Legend:
+                        </Typography>
+                        <Grid container spacing={2}>
+                            <Grid item xs={12} sm={6} md={2.4}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Box sx={{ width: 20, height: 20, backgroundColor: '#d32f2f' }}></Box>
+                                    <Typography variant="caption">Very Low</Typography>
+                                </Box>
+                            </Grid>
+                            <Grid item xs={12} sm={6} md={2.4}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Box sx={{ width: 20, height: 20, backgroundColor: '#f44336' }}></Box>
+                                    <Typography variant="caption">Low</Typography>
+                                </Box>
+                            </Grid>
+                            <Grid item xs={12} sm={6} md={2.4}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Box sx={{ width: 20, height: 20, backgroundColor: '#4caf50' }}></Box>
+                                    <Typography variant="caption">Target Range</Typography>
+                                </Box>
+                            </Grid>
+                            <Grid item xs={12} sm={6} md={2.4}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Box sx={{ width: 20, height: 20, backgroundColor: '#ffeb3b' }}></Box>
+                                    <Typography variant="caption">High</Typography>
+                                </Box>
+                            </Grid>
+                            <Grid item xs={12} sm={6} md={2.4}>
+                                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <Box sx={{ width: 20, height: 20, backgroundColor: '#ff9800' }}></Box>
+                                    <Typography variant="caption">Very High</Typography>
+                                </Box>
+                            </Grid>
+                        </Grid>
+                    </Box>
+                </>
+            )}
 
             {/* Graph Limit Dialog */}
             <Dialog open={showGraphLimitDialog} onClose={cancelPendingGraph} maxWidth="md">
@@ -1018,6 +1128,14 @@ const PopulationAnalysis = () => {
                     <Button onClick={cancelPendingGraph} sx={{ color: 'grey.700' }}>Cancel</Button>
                 </DialogActions>
             </Dialog>
+
+            {/* Save Cohort Dialog */}
+            <SaveCohortDialog
+                open={cohortDialogOpen}
+                onClose={() => setCohortDialogOpen(false)}
+                definitionType="population"
+                filters={activeFilters}
+            />
         </Container>
     );
 };
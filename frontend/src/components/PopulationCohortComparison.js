@@ -0,0 +1,327 @@
+/**
+ * PopulationCohortComparison.js
+ *
+ * PURPOSE: Statistical comparison of two cohorts of the population, each selected by its own filters
+ *
+ * FEATURES:
+ * - Side-by-side filter sets (gender, age range, conditions, lifestyle) with editable cohort labels
+ * - Either cohort can be limited to a saved cohort; the filters then narrow its members
+ * - Per-metric table: each cohort's mean ± SD and median [IQR], the difference in means with its 95% CI,
+ *   Welch t-test and Mann-Whitney p-values, Hedges' g and rank-biserial correlation
+ * - CSV export of the comparison table
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - SavedCohortSelect for choosing saved cohorts
+ * - /api/population-comparison API endpoint (format=csv for the export)
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ */
+
+import React, { useState } from 'react';
+import axios from 'axios';
+import config from '../config';
+import SavedCohortSelect from './SavedCohortSelect';
+import {
+    Box,
+    Paper,
+    Grid,
+    Typography,
+    Alert,
+    Button,
+    CircularProgress,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    TextField,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Tooltip
+} from '@mui/material';
+import {
+    CompareArrows as CompareIcon,
+    Download as DownloadIcon
+} from '@mui/icons-material';
+
+// Yes/No filters a cohort can use (the keys the population analysis understands)
+const BOOLEAN_FILTERS = [
+    { key: 'diabetes', label: 'Diabetes' },
+    { key: 'high_bp', label: 'High Blood Pressure' },
+    { key: 'pregnant', label: 'Pregnant' },
+    { key: 'smokes', label: 'Smoker' },
+    { key: 'drinks', label: 'Drinks Alcohol' }
+];
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const formatPValue = (p) => {
+    if (p === null || p === undefined) return '–';
+    return p < 0.001 ? '<0.001' : p.toFixed(3);
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '–' : value);
+
+// Filter panel for one cohort (also used by the population AGP and accuracy reports): { label, filters, cohortId }
+export const CohortFilters = ({ cohort, onChange }) => {
+    const updateFilter = (key, value) => {
+        const { [key]: removed, ...rest } = cohort.filters;
+        onChange({ ...cohort, filters: value === '' || value === null ? rest : { ...rest, [key]: value } });
+    };
+
+    return (
+        <Box sx={{ p: 2, bgcolor: 'grey.50', borderRadius: 1, border: '1px solid', borderColor: 'grey.300' }}>
+            <TextField
+                label="Cohort name"
+                size="small"
+                fullWidth
+                value={cohort.label}
+                onChange={(e) => onChange({ ...cohort, label: e.target.value })}
+                sx={{ mb: 2, bgcolor: 'white' }}
+            />
+            <SavedCohortSelect
+                value={cohort.cohortId || ''}
+                onChange={(cohortId, savedCohort) => onChange({
+                    ...cohort,
+                    cohortId: cohortId || null,
+                    label: savedCohort ? savedCohort.name : cohort.label
+                })}
+                sx={{ mb: 2, bgcolor: 'white' }}
+            />
+            <Grid container spacing={1.5}>
+                <Grid item xs={12} sm={4}>
+                    <FormControl fullWidth size="small" sx={{ bgcolor: 'white' }}>
+                        <InputLabel>Gender</InputLabel>
+                        <Select
+                            value={cohort.filters.gender || ''}
+                            label="Gender"
+                            onChange={(e) => updateFilter('gender', e.target.value)}
+                        >
+                            <MenuItem value="">Any</MenuItem>
+                            {['M', 'F', 'Other'].map(option => (
+                                <MenuItem key={option} value={option}>{option}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                </Grid>
+                <Grid item xs={6} sm={4}>
+                    <TextField
+                        label="Min Age"
+                        type="number"
+                        size="small"
+                        fullWidth
+                        value={cohort.filters.ageMin ?? ''}
+                        onChange={(e) => updateFilter('ageMin', e.target.value ? Number(e.target.value) : '')}
+                        inputProps={{ min: 0, max: 120 }}
+                        sx={{ bgcolor: 'white' }}
+                    />
+                </Grid>
+                <Grid item xs={6} sm={4}>
+                    <TextField
+                        label="Max Age"
+                        type="number"
+                        size="small"
+                        fullWidth
+                        value={cohort.filters.ageMax ?? ''}
+                        onChange={(e) => updateFilter('ageMax', e.target.value ? Number(e.target.value) : '')}
+                        inputProps={{ min: 0, max: 120 }}
+                        sx={{ bgcolor: 'white' }}
+                    />
+                </Grid>
+                {BOOLEAN_FILTERS.map(filter => (
+                    <Grid item xs={12} sm={4} key={filter.key}>
+                        <FormControl fullWidth size="small" sx={{ bgcolor: 'white' }}>
+                            <InputLabel>{filter.label}</InputLabel>
+                            <Select
+                                value={cohort.filters[filter.key] || ''}
+                                label={filter.label}
+                                onChange={(e) => updateFilter(filter.key, e.target.value)}
+                            >
+                                <MenuItem value="">Any</MenuItem>
+                                <MenuItem value="true">Yes</MenuItem>
+                                <MenuItem value="false">No</MenuItem>
+                            </Select>
+                        </FormControl>
+                    </Grid>
+                ))}
+            </Grid>
+        </Box>
+    );
+};
+
+const PopulationCohortComparison = ({ showRawData = false }) => {
+    const [cohorts, setCohorts] = useState([
+        { label: 'Cohort A', filters: {} },
+        { label: 'Cohort B', filters: {} }
+    ]);
+    const [comparison, setComparison] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const updateCohort = (index, cohort) => {
+        setCohorts(prev => prev.map((current, i) => (i === index ? cohort : current)));
+    };
+
+    const requestBody = () => ({ cohorts, raw: showRawData });
+
+    const runComparison = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            const token = localStorage.getItem('token');
+            const response = await axios.post(`${config.API_URL}/api/population-comparison`, requestBody(), {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            setComparison(response.data);
+        } catch (err) {
+            console.error('Error comparing cohorts:', err);
+            setError(err.response?.data?.error || 'Failed to compare cohorts');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const exportComparison = async () => {
+        try {
+            setExporting(true);
+            const token = localStorage.getItem('token');
+            const response = await axios.post(`${config.API_URL}/api/population-comparison`, requestBody(), {
+                headers: { Authorization: `Bearer ${token}` },
+                params: { format: 'csv' },
+                responseType: 'blob'
+            });
+
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `population_comparison_${new Date().toISOString().split('T')[0]}.csv`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Error exporting cohort comparison:', err);
+            setError('Failed to export comparison');
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const [resultA, resultB] = comparison?.cohorts || [];
+
+    return (
+        <Paper sx={{ p: 3, mb: 4 }}>
+            <Typography variant="h6" fontWeight="bold" gutterBottom>
+                Cohort Comparison
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Choose the filters for each cohort. Every user contributes one value per metric; differences are {cohorts[1].label || 'Cohort B'} minus {cohorts[0].label || 'Cohort A'}.
+            </Typography>
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+                {cohorts.map((cohort, index) => (
+                    <Grid item xs={12} md={6} key={index}>
+                        <CohortFilters cohort={cohort} onChange={(updated) => updateCohort(index, updated)} />
+                    </Grid>
+                ))}
+            </Grid>
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+                <Button
+                    variant="contained"
+                    startIcon={loading ? <CircularProgress size={18} color="inherit" /> : <CompareIcon />}
+                    onClick={runComparison}
+                    disabled={loading}
+                >
+                    Compare Cohorts
+                </Button>
+                {comparison && (
+                    <Button
+                        variant="outlined"
+                        startIcon={<DownloadIcon />}
+                        onClick={exportComparison}
+                        disabled={exporting}
+                    >
+                        Export CSV
+                    </Button>
+                )}
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {comparison && (
+                <>
+                    <Typography variant="body2" sx={{ mb: 1 }}>
+                        <strong>{resultA.label}:</strong> {resultA.analyzedCount} of {resultA.userCount} users with sufficient data
+                        {' · '}
+                        <strong>{resultB.label}:</strong> {resultB.analyzedCount} of {resultB.userCount} users with sufficient data
+                    </Typography>
+                    {comparison.overlap > 0 && (
+                        <Alert severity="warning" sx={{ mb: 2 }}>
+                            {comparison.overlap} user{comparison.overlap > 1 ? 's are' : ' is'} in both cohorts. The tests assume independent cohorts, so the p-values are not reliable.
+                        </Alert>
+                    )}
+
+                    <Box sx={{ overflowX: 'auto' }}>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Metric</TableCell>
+                                    <TableCell align="right">{resultA.label}<br />mean ± SD / median [IQR]</TableCell>
+                                    <TableCell align="right">{resultB.label}<br />mean ± SD / median [IQR]</TableCell>
+                                    <TableCell align="right">Difference (95% CI)</TableCell>
+                                    <TableCell align="right">Welch p</TableCell>
+                                    <TableCell align="right">Mann-Whitney p</TableCell>
+                                    <TableCell align="right">
+                                        <Tooltip title="Hedges' g (standardized mean difference) / rank-biserial correlation">
+                                            <span>Effect size (g / r)</span>
+                                        </Tooltip>
+                                    </TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {comparison.metrics.map(row => {
+                                    const significant = row.welch.p !== null && row.welch.p < SIGNIFICANCE_LEVEL;
+                                    return (
+                                        <TableRow key={row.metric} sx={significant ? { bgcolor: 'action.hover' } : undefined}>
+                                            <TableCell>{row.label} ({row.unit})</TableCell>
+                                            {row.cohorts.map((stats, index) => (
+                                                <TableCell align="right" key={index}>
+                                                    {stats.n > 0
+                                                        ? <>{stats.mean} ± {stats.sd}<br />{stats.median} [{stats.q1} - {stats.q3}]</>
+                                                        : '–'}
+                                                </TableCell>
+                                            ))}
+                                            <TableCell align="right">
+                                                {formatValue(row.difference)}
+                                                {row.ci.lower !== null && ` (${row.ci.lower} to ${row.ci.upper})`}
+                                            </TableCell>
+                                            <TableCell align="right" sx={significant ? { fontWeight: 'bold' } : undefined}>
+                                                {formatPValue(row.welch.p)}
+                                            </TableCell>
+                                            <TableCell align="right">{formatPValue(row.mannWhitney.p)}</TableCell>
+                                            <TableCell align="right">
+                                                {formatValue(row.effectSize.hedgesG)} / {formatValue(row.effectSize.rankBiserial)}
+                                            </TableCell>
+                                        </TableRow>
+                                    );
+                                })}
+                            </TableBody>
+                        </Table>
+                    </Box>
+                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                        Highlighted rows have a Welch p-value below {SIGNIFICANCE_LEVEL}. Mann-Whitney p-values use the normal approximation;
+                        with only a few users per cohort, treat all results as exploratory.
+                    </Typography>
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default PopulationCohortComparison;
@@ -0,0 +1,219 @@
+/**
+ * PopulationGroupBoxPlots.js
+ *
+ * PURPOSE: Population statistics grouped by a demographic or device field, shown as box plots per group
+ *
+ * FEATURES:
+ * - Group by gender, age band, institution, arm, sensor combination or any personal information field
+ * - Box plot per group (median, IQR, min/max, mean and SD) for each time in range bucket, mean glucose, GMI and CV
+ * - Table with n, median [IQR], range and SD per group
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for the box plots
+ * - /api/population-analysis API endpoint (groupBy)
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ */
+
+import React, { useState, useEffect } from 'react';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    CircularProgress,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    TextField,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+
+const GROUP_DIMENSIONS = [
+    { value: 'gender', label: 'Gender' },
+    { value: 'ageBand', label: 'Age band' },
+    { value: 'institution', label: 'Institution' },
+    { value: 'arm', label: 'Arm' },
+    { value: 'sensorCombination', label: 'Sensor combination' },
+    { value: 'custom', label: 'Other personal information field' }
+];
+
+// Metrics in the grouped response; unit null means the user's glucose unit
+const GROUP_METRICS = [
+    { key: 'timeInTarget', label: 'Time in target range', unit: '%', color: '#4caf50' },
+    { key: 'timeHigh', label: 'Time high', unit: '%', color: '#fbc02d' },
+    { key: 'timeVeryHigh', label: 'Time very high', unit: '%', color: '#ff9800' },
+    { key: 'timeLow', label: 'Time low', unit: '%', color: '#f44336' },
+    { key: 'timeVeryLow', label: 'Time very low', unit: '%', color: '#d32f2f' },
+    { key: 'meanGlucose', label: 'Mean glucose', unit: null, color: '#1976d2' },
+    { key: 'gmi', label: 'GMI', unit: '%', color: '#7b1fa2' },
+    { key: 'cv', label: 'Coefficient of variation', unit: '%', color: '#455a64' }
+];
+
+const PopulationGroupBoxPlots = ({ showRawData = false }) => {
+    const [dimension, setDimension] = useState('gender');
+    const [customField, setCustomField] = useState('');
+    const [metricKey, setMetricKey] = useState('timeInTarget');
+    const [groupData, setGroupData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const groupBy = dimension === 'custom'
+        ? (customField.trim() ? `personal_information.${customField.trim()}` : null)
+        : dimension;
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchGroups = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const token = localStorage.getItem('token');
+                const url = new URL(`${config.API_URL}/api/population-analysis`);
+                url.searchParams.append('groupBy', groupBy);
+                if (showRawData) url.searchParams.append('raw', 'true');
+
+                const response = await fetch(url.toString(), {
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to fetch grouped population data');
+                }
+                if (!cancelled) setGroupData(data);
+            } catch (err) {
+                console.error('Error fetching grouped population data:', err);
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        if (groupBy) {
+            fetchGroups();
+        }
+        return () => { cancelled = true; };
+    }, [groupBy, showRawData]);
+
+    const metric = GROUP_METRICS.find(m => m.key === metricKey);
+    const unit = metric.unit || groupData?.unit || '';
+    // Groups without a value for the metric have nothing to plot
+    const groups = (groupData?.groups || []).filter(group => group.metrics[metricKey].n > 0);
+    const stats = groups.map(group => group.metrics[metricKey]);
+
+    return (
+        <Paper sx={{ p: 3, mb: 4 }}>
+            <Typography variant="h6" fontWeight="bold" gutterBottom>
+                Distribution by Group
+            </Typography>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+                <FormControl size="small" sx={{ minWidth: 220 }}>
+                    <InputLabel>Group by</InputLabel>
+                    <Select value={dimension} label="Group by" onChange={(e) => setDimension(e.target.value)}>
+                        {GROUP_DIMENSIONS.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                {dimension === 'custom' && (
+                    <TextField
+                        size="small"
+                        label="Field name"
+                        placeholder="e.g. activity_level"
+                        value={customField}
+                        onChange={(e) => setCustomField(e.target.value)}
+                    />
+                )}
+                <FormControl size="small" sx={{ minWidth: 240 }}>
+                    <InputLabel>Metric</InputLabel>
+                    <Select value={metricKey} label="Metric" onChange={(e) => setMetricKey(e.target.value)}>
+                        {GROUP_METRICS.map(option => (
+                            <MenuItem key={option.key} value={option.key}>{option.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                {loading && <CircularProgress size={24} sx={{ alignSelf: 'center' }} />}
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {!error && groupData && groups.length === 0 && (
+                <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 3 }}>
+                    No users with sufficient data to group.
+                </Typography>
+            )}
+
+            {!error && groups.length > 0 && (
+                <>
+                    {/* Box plots from the server's per-group statistics (whiskers at min and max) */}
+                    <Plot
+                        data={[{
+                            type: 'box',
+                            name: metric.label,
+                            x: groups.map(group => `${group.group} (n=${group.n})`),
+                            q1: stats.map(s => s.q1),
+                            median: stats.map(s => s.median),
+                            q3: stats.map(s => s.q3),
+                            lowerfence: stats.map(s => s.min),
+                            upperfence: stats.map(s => s.max),
+                            mean: stats.map(s => s.mean),
+                            sd: stats.map(s => s.sd),
+                            boxmean: 'sd',
+                            marker: { color: metric.color },
+                            line: { color: metric.color }
+                        }]}
+                        layout={{
+                            height: 400,
+                            margin: { l: 60, r: 20, t: 20, b: 80 },
+                            xaxis: { title: groupData.groupLabel },
+                            yaxis: { title: `${metric.label} (${unit})`, zeroline: false },
+                            showlegend: false
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        style={{ width: '100%' }}
+                    />
+
+                    <Table size="small" sx={{ mt: 2 }}>
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>{groupData.groupLabel}</TableCell>
+                                <TableCell align="right">n</TableCell>
+                                <TableCell align="right">Median [IQR]</TableCell>
+                                <TableCell align="right">Min - Max</TableCell>
+                                <TableCell align="right">Mean ± SD</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {groups.map(group => {
+                                const s = group.metrics[metricKey];
+                                return (
+                                    <TableRow key={group.group}>
+                                        <TableCell>{group.group}</TableCell>
+                                        <TableCell align="right">{s.n}</TableCell>
+                                        <TableCell align="right">{s.median} [{s.q1} - {s.q3}]</TableCell>
+                                        <TableCell align="right">{s.min} - {s.max}</TableCell>
+                                        <TableCell align="right">{s.mean} ± {s.sd}</TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                        Values in {unit}. Each user contributes one value per metric; users with fewer than 10 glucose readings are left out.
+                    </Typography>
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default PopulationGroupBoxPlots;
@@ -0,0 +1,559 @@
+/**
+ * ReferenceAccuracy.js
+ *
+ * PURPOSE: Per-patient accuracy report of the sensors against fingerstick or lab reference measurements
+ *
+ * FEATURES:
+ * - Reference values uploaded as CSV (timestamp, value and optional biomarker, method, unit, note columns)
+ *   or entered one at a time; the stored values are listed and can be deleted
+ * - Each reference is paired with the nearest reading of each sensor within a configurable window
+ * - MARD, median ARD, MAD, bias with limits of agreement and %20/20 agreement, over all pairs and per sensor
+ * - Glucose: Clarke and Parkes (type 1 or 2) error grids with zone percentages
+ * - Cortisol (against lab assays): reference vs sensor scatter with the agreement band
+ * - Difference vs reference plot with the %20/20 limits
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for charts
+ * - /user-reference-measurements/:username and /user-reference-accuracy/:username/:biomarker API endpoints
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ * - [LOW] Rows skipped by an upload are listed with their errors
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import {
+    Box,
+    Grid,
+    Paper,
+    Typography,
+    Alert,
+    Button,
+    IconButton,
+    CircularProgress,
+    TextField,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    Collapse,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+import {
+    UploadFile as UploadFileIcon,
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    ExpandMore as ExpandMoreIcon,
+    ExpandLess as ExpandLessIcon
+} from '@mui/icons-material';
+
+export const REFERENCE_METHODS = [
+    { value: 'fingerstick', label: 'Fingerstick' },
+    { value: 'lab', label: 'Lab assay' }
+];
+
+const ZONE_COLORS = { A: '#2e7d32', B: '#1976d2', C: '#f9a825', D: '#ef6c00', E: '#c62828' };
+const CHANNEL_COLORS = { 1: '#1976d2', 2: '#9c27b0' };
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const formatZones = (zones) => ['A', 'B', 'C', 'D', 'E'].map(zone => zones[zone]).join(' / ');
+
+// Metrics table of an accuracy report (as returned by /user-reference-accuracy or /api/reference-accuracy):
+// all pairs and each sensor channel
+export const AccuracyMetricsTable = ({ report, decimals }) => {
+    const { overall, channels, criterion, unit } = report;
+    const columns = [
+        { key: 'overall', label: 'All pairs', metrics: overall },
+        ...Object.entries(channels).map(([channel, metrics]) => ({ key: channel, label: `Sensor ${channel}`, metrics }))
+    ];
+    const rows = [
+        { label: 'Pairs', value: m => m.pairs },
+        { label: 'MARD', value: m => `${m.mard}%` },
+        { label: 'Median ARD', value: m => `${m.medianArd}%` },
+        { label: `MAD (${unit})`, value: m => m.mad.toFixed(decimals) },
+        { label: `Bias, sensor - reference (${unit})`, value: m => m.bias.toFixed(decimals) },
+        { label: 'Limits of agreement', value: m => `${m.lowerLimitOfAgreement.toFixed(decimals)} to ${m.upperLimitOfAgreement.toFixed(decimals)}` },
+        {
+            label: `Within ${criterion.absoluteLimit} ${unit} (below ${criterion.lowThreshold}) / ${criterion.percentLimit}%`,
+            value: m => `${m.percentWithinAgreement}%`
+        },
+        ...(overall.clarke ? [
+            { label: 'Clarke zones A / B / C / D / E (%)', value: m => formatZones(m.clarke) },
+            { label: 'Clarke A + B', value: m => `${Math.round((m.clarke.A + m.clarke.B) * 10) / 10}%` },
+            { label: 'Parkes zones A / B / C / D / E (%)', value: m => formatZones(m.parkes) },
+            { label: 'Parkes A + B', value: m => `${Math.round((m.parkes.A + m.parkes.B) * 10) / 10}%` }
+        ] : [])
+    ];
+
+    return (
+        <Table size="small">
+            <TableHead>
+                <TableRow>
+                    <TableCell sx={{ fontWeight: 'bold' }}>Metric</TableCell>
+                    {columns.map(column => (
+                        <TableCell key={column.key} align="right" sx={{ fontWeight: 'bold' }}>{column.label}</TableCell>
+                    ))}
+                </TableRow>
+            </TableHead>
+            <TableBody>
+                {rows.map(row => (
+                    <TableRow key={row.label}>
+                        <TableCell>{row.label}</TableCell>
+                        {columns.map(column => (
+                            <TableCell key={column.key} align="right">{column.metrics ? row.value(column.metrics) : '-'}</TableCell>
+                        ))}
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    );
+};
+
+// Error grids (glucose) or reference vs sensor scatter, and the difference vs reference plot of an accuracy report
+export const AccuracyPlots = ({ report, decimals }) => {
+    const { pairs, criterion, unit, errorGridLines } = report;
+    const maxValue = Math.max(...pairs.map(p => Math.max(p.reference, p.sensor)));
+    const hovertemplate = `Reference %{x:.${decimals}f}<br>Sensor %{y:.${decimals}f} ${unit}%{text}<extra></extra>`;
+    const hoverText = pairs.map(p => `<br>${new Date(p.timestamp).toLocaleString()}${p.username ? `<br>${p.username}` : ''}`);
+
+    const lineTraces = (lines) => lines.map(points => ({
+        x: points.map(point => point[0]),
+        y: points.map(point => point[1]),
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#555', width: 1 },
+        hoverinfo: 'skip'
+    }));
+    const identityTrace = (max) => ({
+        x: [0, max],
+        y: [0, max],
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#999', dash: 'dot' },
+        hoverinfo: 'skip'
+    });
+
+    const gridPlot = (title, lines, zoneKey) => {
+        const gridMax = Math.max(maxValue, ...lines.flat().map(point => point[0]));
+        return {
+            title,
+            data: [
+                ...lineTraces(lines),
+                identityTrace(gridMax),
+                {
+                    x: pairs.map(p => p.reference),
+                    y: pairs.map(p => p.sensor),
+                    text: hoverText.map((text, i) => `${text}<br>Zone ${pairs[i][zoneKey]}`),
+                    type: 'scattergl',
+                    mode: 'markers',
+                    marker: { size: 6, color: pairs.map(p => ZONE_COLORS[p[zoneKey]]), opacity: 0.7 },
+                    hovertemplate
+                }
+            ],
+            range: [0, gridMax]
+        };
+    };
+
+    // %20/20 band: within absoluteLimit below lowThreshold, within percentLimit % above it
+    const bandX = [0, criterion.lowThreshold, criterion.lowThreshold, maxValue * 1.05];
+    const bandY = [
+        criterion.absoluteLimit,
+        criterion.absoluteLimit,
+        criterion.lowThreshold * criterion.percentLimit / 100,
+        maxValue * 1.05 * criterion.percentLimit / 100
+    ];
+    const bandTraces = (offset) => [1, -1].map(sign => ({
+        x: bandX,
+        y: bandX.map((x, i) => offset(x) + sign * bandY[i]),
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#ff9800', dash: 'dash', width: 1.5 },
+        hoverinfo: 'skip'
+    }));
+
+    const plots = errorGridLines ? [
+        gridPlot('Clarke Error Grid', errorGridLines.clarke, 'clarkeZone'),
+        gridPlot(`Parkes Error Grid (type ${report.summary.parkesType})`, errorGridLines.parkes, 'parkesZone')
+    ] : [{
+        title: 'Reference vs Sensor',
+        data: [
+            ...bandTraces(x => x),
+            identityTrace(maxValue * 1.05),
+            {
+                x: pairs.map(p => p.reference),
+                y: pairs.map(p => p.sensor),
+                text: hoverText,
+                type: 'scattergl',
+                mode: 'markers',
+                marker: { size: 6, color: pairs.map(p => CHANNEL_COLORS[p.channel] || '#1976d2'), opacity: 0.7 },
+                hovertemplate
+            }
+        ],
+        range: [0, maxValue * 1.05]
+    }];
+
+    return (
+        <Grid container spacing={3}>
+            {plots.map(plot => (
+                <Grid item xs={12} md={6} key={plot.title}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">{plot.title}</Typography>
+                        <Plot
+                            data={plot.data}
+                            layout={{
+                                height: 380,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                xaxis: { title: `Reference (${unit})`, range: plot.range },
+                                yaxis: { title: `Sensor (${unit})`, range: plot.range },
+                                showlegend: false
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    </Paper>
+                </Grid>
+            ))}
+            <Grid item xs={12} md={6}>
+                <Paper variant="outlined" sx={{ p: 2 }}>
+                    <Typography variant="subtitle1" fontWeight="bold" align="center">Difference vs Reference</Typography>
+                    <Plot
+                        data={[
+                            ...bandTraces(() => 0),
+                            {
+                                x: pairs.map(p => p.reference),
+                                y: pairs.map(p => p.difference),
+                                text: hoverText,
+                                type: 'scattergl',
+                                mode: 'markers',
+                                marker: { size: 6, color: pairs.map(p => (p.withinAgreement ? '#1976d2' : '#d32f2f')), opacity: 0.7 },
+                                hovertemplate: `Reference %{x:.${decimals}f}<br>Sensor - reference %{y:.${decimals}f} ${unit}%{text}<extra></extra>`
+                            }
+                        ]}
+                        layout={{
+                            height: 380,
+                            margin: { l: 60, r: 20, t: 20, b: 50 },
+                            xaxis: { title: `Reference (${unit})`, range: [0, maxValue * 1.05] },
+                            yaxis: { title: `Sensor - reference (${unit})`, zeroline: true },
+                            showlegend: false
+                        }}
+                        config={{ displayModeBar: false, responsive: true }}
+                        style={{ width: '100%' }}
+                    />
+                </Paper>
+            </Grid>
+        </Grid>
+    );
+};
+
+const ReferenceAccuracy = ({ username, biomarkerType = 'glucose' }) => {
+    const biomarker = useBiomarkers()[biomarkerType];
+    const [report, setReport] = useState(null);
+    const [measurements, setMeasurements] = useState([]);
+    const [showMeasurements, setShowMeasurements] = useState(false);
+    const [windowMinutes, setWindowMinutes] = useState(15);
+    const [method, setMethod] = useState('');
+    const [parkesType, setParkesType] = useState(1);
+    const [entry, setEntry] = useState({ timestamp: '', value: '', method: '' });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const [uploadResult, setUploadResult] = useState(null);
+    // Bumped after uploads and deletions to reload the report and the list
+    const [revision, setRevision] = useState(0);
+
+    const loadMeasurements = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/user-reference-measurements/${encodeURIComponent(username)}`, {
+                headers: authHeaders(),
+                params: { biomarker: biomarkerType }
+            });
+            setMeasurements(response.data.measurements);
+        } catch (err) {
+            console.error('Error loading reference measurements:', err);
+            setError(err.response?.data?.error || 'Failed to load reference measurements');
+        }
+    }, [username, biomarkerType]);
+
+    useEffect(() => {
+        if (username) {
+            loadMeasurements();
+        }
+    }, [username, loadMeasurements, revision]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchReport = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await axios.get(
+                    `${config.API_URL}/user-reference-accuracy/${encodeURIComponent(username)}/${biomarkerType}`,
+                    {
+                        headers: authHeaders(),
+                        params: {
+                            window: windowMinutes,
+                            ...(method && { method }),
+                            ...(biomarkerType === 'glucose' && { parkesType })
+                        }
+                    }
+                );
+                if (!cancelled) setReport(response.data);
+            } catch (err) {
+                console.error('Error fetching reference accuracy:', err);
+                if (!cancelled) {
+                    setError(err.response?.data?.error || 'Failed to load the accuracy report');
+                    setReport(null);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        if (username && windowMinutes > 0) {
+            fetchReport();
+        }
+        return () => { cancelled = true; };
+    }, [username, biomarkerType, windowMinutes, method, parkesType, revision]);
+
+    const saveMeasurements = async (body) => {
+        try {
+            setSaving(true);
+            setError(null);
+            setUploadResult(null);
+            const response = await axios.post(`${config.API_URL}/user-reference-measurements/${encodeURIComponent(username)}`, body, {
+                headers: authHeaders()
+            });
+            setUploadResult(response.data);
+            setRevision(current => current + 1);
+            return true;
+        } catch (err) {
+            console.error('Error saving reference measurements:', err);
+            setError(err.response?.data?.error || 'Failed to save reference measurements');
+            setUploadResult(err.response?.data?.skipped ? err.response.data : null);
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const uploadFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('csvFile', file);
+        formData.append('biomarker', biomarkerType);
+        if (biomarker?.unit) formData.append('unit', biomarker.unit);
+        await saveMeasurements(formData);
+    };
+
+    const addEntry = async () => {
+        const saved = await saveMeasurements({
+            biomarker: biomarkerType,
+            unit: biomarker?.unit,
+            measurements: [{ timestamp: entry.timestamp, value: entry.value, ...(entry.method && { method: entry.method }) }]
+        });
+        if (saved) {
+            setEntry(current => ({ ...current, timestamp: '', value: '' }));
+        }
+    };
+
+    const deleteMeasurement = async (measurement) => {
+        try {
+            await axios.delete(`${config.API_URL}/user-reference-measurements/${encodeURIComponent(username)}/${measurement.id}`, {
+                headers: authHeaders()
+            });
+            setRevision(current => current + 1);
+        } catch (err) {
+            console.error('Error deleting reference measurement:', err);
+            setError(err.response?.data?.error || 'Failed to delete the reference measurement');
+        }
+    };
+
+    const unit = biomarker?.unit || '';
+    // Differences get one more decimal than the readings themselves
+    const decimals = (biomarker?.decimals ?? 2) + 1;
+
+    return (
+        <Box>
+            <Typography variant="h6" gutterBottom>
+                Accuracy Against Reference Measurements
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                {biomarkerType === 'cortisol'
+                    ? 'Lab assay (or other reference) cortisol values compared with the nearest sensor readings.'
+                    : 'Fingerstick or lab glucose values compared with the nearest sensor readings.'}
+                {' '}Times without a UTC offset are the patient's local time.
+            </Typography>
+
+            {/* Reference values: upload, single entry and list */}
+            <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    <Button
+                        component="label"
+                        variant="outlined"
+                        startIcon={saving ? <CircularProgress size={16} /> : <UploadFileIcon />}
+                        disabled={saving}
+                    >
+                        Upload CSV
+                        <input type="file" accept=".csv,text/csv" hidden onChange={uploadFile} />
+                    </Button>
+                    <TextField
+                        size="small"
+                        type="datetime-local"
+                        label="Time"
+                        value={entry.timestamp}
+                        onChange={(e) => setEntry({ ...entry, timestamp: e.target.value })}
+                        InputLabelProps={{ shrink: true }}
+                    />
+                    <TextField
+                        size="small"
+                        type="number"
+                        label={`Value (${unit})`}
+                        value={entry.value}
+                        onChange={(e) => setEntry({ ...entry, value: e.target.value })}
+                        sx={{ width: 140 }}
+                    />
+                    <FormControl size="small" sx={{ minWidth: 140 }}>
+                        <InputLabel>Method</InputLabel>
+                        <Select value={entry.method} label="Method" onChange={(e) => setEntry({ ...entry, method: e.target.value })}>
+                            <MenuItem value="">Default</MenuItem>
+                            {REFERENCE_METHODS.map(option => (
+                                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                    <Button
+                        variant="contained"
+                        startIcon={<AddIcon />}
+                        onClick={addEntry}
+                        disabled={saving || !entry.timestamp || entry.value === ''}
+                    >
+                        Add
+                    </Button>
+                    <Button
+                        sx={{ ml: 'auto' }}
+                        endIcon={showMeasurements ? <ExpandLessIcon /> : <ExpandMoreIcon />}
+                        onClick={() => setShowMeasurements(!showMeasurements)}
+                    >
+                        Reference values ({measurements.length})
+                    </Button>
+                </Box>
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                    CSV columns: timestamp, value (in {unit} unless a unit column says otherwise), optional method
+                    (fingerstick or lab) and note. Uploading a corrected file replaces values at the same times.
+                </Typography>
+
+                {uploadResult && (
+                    <Alert severity={uploadResult.skippedCount ? 'warning' : 'success'} sx={{ mt: 2 }} onClose={() => setUploadResult(null)}>
+                        {uploadResult.insertedCount !== undefined && `Added ${uploadResult.insertedCount}, updated ${uploadResult.updatedCount}. `}
+                        {uploadResult.skippedCount > 0 && `Skipped ${uploadResult.skippedCount}: `}
+                        {uploadResult.skipped?.map(row => `row ${row.row} (${row.error})`).join('; ')}
+                    </Alert>
+                )}
+
+                <Collapse in={showMeasurements}>
+                    <Box sx={{ maxHeight: 300, overflow: 'auto', mt: 2 }}>
+                        <Table size="small" stickyHeader>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Time</TableCell>
+                                    <TableCell align="right">Value ({unit})</TableCell>
+                                    <TableCell>Method</TableCell>
+                                    <TableCell>Note</TableCell>
+                                    <TableCell />
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {measurements.map(measurement => (
+                                    <TableRow key={measurement.id}>
+                                        <TableCell>{new Date(measurement.timestamp).toLocaleString()}</TableCell>
+                                        <TableCell align="right">{measurement.value.toFixed(biomarker?.decimals ?? 2)}</TableCell>
+                                        <TableCell>{REFERENCE_METHODS.find(option => option.value === measurement.method)?.label || measurement.method}</TableCell>
+                                        <TableCell>{measurement.note}</TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small" onClick={() => deleteMeasurement(measurement)}>
+                                                <DeleteIcon fontSize="small" />
+                                            </IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </Box>
+                </Collapse>
+            </Paper>
+
+            {/* Report options */}
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+                <TextField
+                    type="number"
+                    label="Pairing window (min)"
+                    size="small"
+                    value={windowMinutes}
+                    onChange={(e) => setWindowMinutes(parseFloat(e.target.value) || 0)}
+                    inputProps={{ min: 1, max: 60, step: 1 }}
+                    sx={{ width: 180 }}
+                />
+                <FormControl size="small" sx={{ minWidth: 160 }}>
+                    <InputLabel>Reference method</InputLabel>
+                    <Select value={method} label="Reference method" onChange={(e) => setMethod(e.target.value)}>
+                        <MenuItem value="">All methods</MenuItem>
+                        {REFERENCE_METHODS.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                {biomarkerType === 'glucose' && (
+                    <FormControl size="small" sx={{ minWidth: 160 }}>
+                        <InputLabel>Parkes grid</InputLabel>
+                        <Select value={parkesType} label="Parkes grid" onChange={(e) => setParkesType(e.target.value)}>
+                            <MenuItem value={1}>Type 1 diabetes</MenuItem>
+                            <MenuItem value={2}>Type 2 diabetes</MenuItem>
+                        </Select>
+                    </FormControl>
+                )}
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+
+            {loading ? (
+                <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
+                    <CircularProgress />
+                </Box>
+            ) : report && (
+                report.overall ? (
+                    <>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                            {report.summary.pairedReferences} of {report.summary.referenceCount} reference values have a sensor
+                            reading within {report.summary.windowMinutes} minutes. MARD is relative to the reference.
+                        </Typography>
+                        <Paper variant="outlined" sx={{ mb: 3, overflowX: 'auto' }}>
+                            <AccuracyMetricsTable report={report} decimals={decimals} />
+                        </Paper>
+                        <AccuracyPlots report={report} decimals={decimals} />
+                    </>
+                ) : (
+                    <Alert severity="info">
+                        {report.summary.referenceCount === 0
+                            ? `No ${biomarker?.label.toLowerCase() || biomarkerType} reference values yet. Upload a CSV or add values above.`
+                            : `None of the ${report.summary.referenceCount} reference values has a sensor reading within ${report.summary.windowMinutes} minutes.`}
+                    </Alert>
+                )
+            )}
+        </Box>
+    );
+};
+
+export default ReferenceAccuracy;
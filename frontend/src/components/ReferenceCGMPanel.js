@@ -0,0 +1,279 @@
+/**
+ * ReferenceCGMPanel.js
+ *
+ * PURPOSE: Side-by-side plot of a patient's glucose sensors and a commercial CGM worn as a reference
+ *
+ * FEATURES:
+ * - Imports Dexcom Clarity and LibreView CSV exports (format recognised by the server, values in mg/dL)
+ * - Lists the patient's reference imports with their device and time span; imports can be deleted
+ * - Overlaid time series of Glucose 1/2 and the selected reference stream over the reference's time span
+ *   (limited to the report window when one is given)
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for the chart
+ * - /user-reference-cgm/:username (import, list, readings, delete) and /user-readings/:username endpoints
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] Import and loading failures show the server's message inline
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    Button,
+    IconButton,
+    CircularProgress,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    ListItemText,
+    Tooltip
+} from '@mui/material';
+import {
+    UploadFile as UploadFileIcon,
+    Delete as DeleteIcon
+} from '@mui/icons-material';
+
+// Reference points in the chart - about one per horizontal pixel
+const CHART_MAX_POINTS = 1500;
+
+const SENSOR_COLORS = ['#1976d2', '#64b5f6'];
+const REFERENCE_COLOR = '#ef6c00';
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const describeImport = (item) =>
+    `${item.device || item.label} · ${new Date(item.firstReading).toLocaleDateString()} - ${new Date(item.lastReading).toLocaleDateString()} · ${item.readingCount} readings`;
+
+// start/end: optional report window (ISO dates) the plot is limited to
+const ReferenceCGMPanel = ({ username, start = null, end = null }) => {
+    const [imports, setImports] = useState([]);
+    const [selectedId, setSelectedId] = useState('');
+    const [chartData, setChartData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState(null);
+    const [message, setMessage] = useState(null);
+
+    const loadImports = useCallback(async () => {
+        try {
+            const response = await axios.get(`${config.API_URL}/user-reference-cgm/${encodeURIComponent(username)}`, {
+                headers: authHeaders()
+            });
+            setImports(response.data.imports);
+            setSelectedId(current => (response.data.imports.some(item => item.id === current)
+                ? current
+                : response.data.imports[0]?.id || ''));
+        } catch (err) {
+            console.error('Error loading reference imports:', err);
+            setError(err.response?.data?.error || 'Failed to load reference CGM imports');
+        }
+    }, [username]);
+
+    useEffect(() => {
+        if (username) {
+            loadImports();
+        }
+    }, [username, loadImports]);
+
+    // Both streams over the reference's time span within the report window
+    useEffect(() => {
+        const selected = imports.find(item => item.id === selectedId);
+        if (!selected) {
+            setChartData(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const fetchStreams = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const windowStart = start && new Date(start) > new Date(selected.firstReading) ? start : selected.firstReading;
+                const windowEnd = end && new Date(end) < new Date(selected.lastReading) ? end : selected.lastReading;
+                const [sensorResponse, referenceResponse] = await Promise.all([
+                    axios.get(`${config.API_URL}/user-readings/${encodeURIComponent(username)}`, {
+                        headers: authHeaders(),
+                        params: { biomarker: 'glucose', start: windowStart, end: windowEnd }
+                    }).catch(err => {
+                        console.warn('No sensor readings for the reference window:', err.response?.data?.error);
+                        return { data: { rows: [] } };
+                    }),
+                    axios.get(`${config.API_URL}/user-reference-cgm/${encodeURIComponent(username)}/${selected.id}`, {
+                        headers: authHeaders(),
+                        params: { start: windowStart, end: windowEnd, maxPoints: CHART_MAX_POINTS }
+                    })
+                ]);
+                if (!cancelled) {
+                    setChartData({ sensorRows: sensorResponse.data.rows, referenceRows: referenceResponse.data.rows, reference: selected });
+                }
+            } catch (err) {
+                console.error('Error loading reference readings:', err);
+                if (!cancelled) setError(err.response?.data?.error || 'Failed to load reference readings');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchStreams();
+        return () => { cancelled = true; };
+    }, [username, imports, selectedId, start, end]);
+
+    const importFile = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            setImporting(true);
+            setError(null);
+            setMessage(null);
+            const formData = new FormData();
+            formData.append('csvFile', file);
+            const response = await axios.post(`${config.API_URL}/user-reference-cgm/${encodeURIComponent(username)}`, formData, {
+                headers: { ...authHeaders(), 'Content-Type': 'multipart/form-data' }
+            });
+            const imported = response.data;
+            setMessage(`Imported ${imported.readingCount} ${imported.label} readings` +
+                (imported.skippedCount ? ` (${imported.skippedCount} without a numeric value skipped)` : ''));
+            await loadImports();
+            setSelectedId(imported.id);
+        } catch (err) {
+            console.error('Error importing reference CGM export:', err);
+            setError(err.response?.data?.error || 'Failed to import the file');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const deleteImport = async () => {
+        const selected = imports.find(item => item.id === selectedId);
+        if (!selected || !window.confirm(`Delete the ${selected.label} import "${selected.filename}"?`)) return;
+        try {
+            await axios.delete(`${config.API_URL}/user-reference-cgm/${encodeURIComponent(username)}/${selected.id}`, {
+                headers: authHeaders()
+            });
+            setSelectedId('');
+            await loadImports();
+        } catch (err) {
+            console.error('Error deleting reference import:', err);
+            setError(err.response?.data?.error || 'Failed to delete the import');
+        }
+    };
+
+    const traces = chartData ? [
+        ...['glucose1', 'glucose2'].map((field, index) => {
+            const points = chartData.sensorRows.filter(row => row[field] !== undefined);
+            return {
+                x: points.map(row => new Date(row.timestamp)),
+                y: points.map(row => row[field]),
+                type: 'scattergl',
+                mode: 'lines',
+                name: `Glucose ${index + 1}`,
+                line: { color: SENSOR_COLORS[index], width: 1 }
+            };
+        }).filter(trace => trace.x.length > 0),
+        {
+            x: chartData.referenceRows.map(row => new Date(row.timestamp)),
+            y: chartData.referenceRows.map(row => row.glucose1),
+            type: 'scattergl',
+            mode: 'lines+markers',
+            name: `${chartData.reference.label} (reference)`,
+            line: { color: REFERENCE_COLOR, width: 2 },
+            marker: { size: 3 }
+        }
+    ] : [];
+
+    return (
+        <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                <Box>
+                    <Typography variant="h6">Reference CGM</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                        Commercial CGM worn alongside the sensors (Dexcom Clarity or LibreView CSV export), in mg/dL
+                    </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+                    {imports.length > 0 && (
+                        <FormControl size="small" sx={{ minWidth: 280 }}>
+                            <InputLabel>Reference stream</InputLabel>
+                            <Select
+                                value={selectedId}
+                                label="Reference stream"
+                                onChange={(e) => setSelectedId(e.target.value)}
+                                renderValue={(selected) => {
+                                    const item = imports.find(option => option.id === selected);
+                                    return item ? `${item.label}: ${item.filename}` : '';
+                                }}
+                            >
+                                {imports.map(item => (
+                                    <MenuItem key={item.id} value={item.id}>
+                                        <ListItemText primary={`${item.label}: ${item.filename}`} secondary={describeImport(item)} />
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    )}
+                    {selectedId && (
+                        <Tooltip title="Delete this import">
+                            <IconButton size="small" onClick={deleteImport}>
+                                <DeleteIcon fontSize="small" />
+                            </IconButton>
+                        </Tooltip>
+                    )}
+                    <Button
+                        component="label"
+                        variant="outlined"
+                        startIcon={importing ? <CircularProgress size={16} /> : <UploadFileIcon />}
+                        disabled={importing}
+                    >
+                        Import CSV
+                        <input type="file" accept=".csv,text/csv" hidden onChange={importFile} />
+                    </Button>
+                </Box>
+            </Box>
+
+            {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>}
+            {message && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>{message}</Alert>}
+
+            {loading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+                    <CircularProgress />
+                </Box>
+            ) : chartData ? (
+                chartData.referenceRows.length > 0 ? (
+                    <Plot
+                        data={traces}
+                        layout={{
+                            height: 400,
+                            margin: { l: 60, r: 20, t: 20, b: 50 },
+                            xaxis: { type: 'date' },
+                            yaxis: { title: 'Glucose (mg/dL)' },
+                            legend: { orientation: 'h', y: -0.2 }
+                        }}
+                        config={{ displayModeBar: true, responsive: true }}
+                        style={{ width: '100%' }}
+                    />
+                ) : (
+                    <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 4 }}>
+                        The reference stream has no readings in this window.
+                    </Typography>
+                )
+            ) : (
+                <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 4 }}>
+                    No reference CGM data yet. Import a Dexcom Clarity or LibreView CSV export to compare it with the sensors.
+                </Typography>
+            )}
+        </Paper>
+    );
+};
+
+export default ReferenceCGMPanel;
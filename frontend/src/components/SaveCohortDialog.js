@@ -0,0 +1,110 @@
+/**
+ * SaveCohortDialog.js
+ *
+ * PURPOSE: Dialog that saves the current filters as a server-side cohort
+ *
+ * FEATURES:
+ * - Cohort name and sharing scope (only me, all doctors and administrators, my institution)
+ * - Optional frozen membership: the users matching now are stored and later data changes do not alter the cohort
+ *
+ * DEPENDENCIES:
+ * - Material-UI for the dialog
+ * - cohorts.js for the /api/cohorts requests
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] Save failures are shown inside the dialog, which stays open
+ */
+
+import React, { useState } from 'react';
+import { COHORT_SCOPES, createCohort } from '../cohorts';
+import {
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Button,
+    TextField,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    FormControlLabel,
+    Checkbox,
+    Alert
+} from '@mui/material';
+
+// definitionType: 'demographic' (demographic filter keys) or 'population' (population analysis filter keys);
+// query: optional filter expression saved with the filters
+const SaveCohortDialog = ({ open, onClose, onSaved, definitionType, filters, query = null }) => {
+    const [name, setName] = useState('');
+    const [scope, setScope] = useState('private');
+    const [freeze, setFreeze] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const close = () => {
+        setError(null);
+        onClose();
+    };
+
+    const save = async () => {
+        try {
+            setSaving(true);
+            setError(null);
+            const cohort = await createCohort({
+                name: name.trim(),
+                scope,
+                definition: { type: definitionType, filters, query },
+                freeze
+            });
+            setName('');
+            setFreeze(false);
+            onSaved?.(cohort);
+            onClose();
+        } catch (err) {
+            console.error('Error saving cohort:', err);
+            setError(err.response?.data?.error || 'Failed to save cohort');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onClose={close} fullWidth maxWidth="xs">
+            <DialogTitle>Save Cohort</DialogTitle>
+            <DialogContent>
+                {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+                <TextField
+                    autoFocus
+                    margin="dense"
+                    label="Cohort Name"
+                    fullWidth
+                    variant="outlined"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g., Pregnant Diabetic Women"
+                />
+                <FormControl fullWidth margin="dense">
+                    <InputLabel>Shared with</InputLabel>
+                    <Select value={scope} label="Shared with" onChange={(e) => setScope(e.target.value)}>
+                        {COHORT_SCOPES.map(option => (
+                            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                <FormControlLabel
+                    control={<Checkbox checked={freeze} onChange={(e) => setFreeze(e.target.checked)} />}
+                    label="Freeze membership (keep the users matching now)"
+                />
+            </DialogContent>
+            <DialogActions>
+                <Button onClick={close}>Cancel</Button>
+                <Button onClick={save} variant="contained" disabled={!name.trim() || saving}>
+                    Save
+                </Button>
+            </DialogActions>
+        </Dialog>
+    );
+};
+
+export default SaveCohortDialog;
@@ -0,0 +1,52 @@
+/**
+ * SavedCohortSelect.js
+ *
+ * PURPOSE: Select for limiting a screen to the members of a saved cohort
+ *
+ * FEATURES:
+ * - Lists the cohorts the user can see (own, team and institution cohorts) with their scope and membership
+ * - "None" clears the selection
+ *
+ * DEPENDENCIES:
+ * - Material-UI for the select
+ * - cohorts.js for the list of saved cohorts
+ *
+ * ERROR HANDLING:
+ * - [LOW] If the cohorts cannot be loaded the select only offers "None"
+ */
+
+import React from 'react';
+import { useCohorts, describeCohort } from '../cohorts';
+import {
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    ListItemText
+} from '@mui/material';
+
+// value is the selected cohort id ('' for none); onChange receives the id and the cohort (null for none)
+const SavedCohortSelect = ({ value, onChange, size = 'small', sx }) => {
+    const [cohorts] = useCohorts();
+
+    return (
+        <FormControl fullWidth size={size} sx={sx}>
+            <InputLabel>Saved cohort</InputLabel>
+            <Select
+                value={cohorts.some(cohort => cohort.id === value) ? value : ''}
+                label="Saved cohort"
+                onChange={(e) => onChange(e.target.value, cohorts.find(cohort => cohort.id === e.target.value) || null)}
+                renderValue={(selected) => cohorts.find(cohort => cohort.id === selected)?.name || 'None'}
+            >
+                <MenuItem value="">None</MenuItem>
+                {cohorts.map(cohort => (
+                    <MenuItem key={cohort.id} value={cohort.id}>
+                        <ListItemText primary={cohort.name} secondary={describeCohort(cohort)} />
+                    </MenuItem>
+                ))}
+            </Select>
+        </FormControl>
+    );
+};
+
+export default SavedCohortSelect;
@@ -0,0 +1,332 @@
+/**
+ * SensorAgreement.js
+ *
+ * PURPOSE: Per-patient agreement report between the two sensor channels (sensor 1 vs sensor 2)
+ *
+ * FEATURES:
+ * - Time-paired readings from both channels
+ * - MARD between channels, bias and limits of agreement, correlation
+ * - Bland-Altman plot and sensor 1 vs sensor 2 scatter with identity line
+ * - Channel traces over time with divergence periods shaded
+ * - Table of periods where the channels diverge beyond a configurable threshold
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for charts
+ * - /user-sensor-agreement/:username/:biomarker API endpoint
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error
+ * - [LOW] Single-channel data shows an explanatory message instead of the charts
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import {
+    Box,
+    Grid,
+    Paper,
+    Typography,
+    Alert,
+    CircularProgress,
+    TextField,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+
+const SensorAgreement = ({ username, biomarkerType = 'glucose' }) => {
+    const [agreementData, setAgreementData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [threshold, setThreshold] = useState(20);
+    const biomarker = useBiomarkers()[biomarkerType];
+
+    useEffect(() => {
+        const fetchAgreement = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const token = localStorage.getItem('token');
+                const response = await axios.get(
+                    `${config.API_URL}/user-sensor-agreement/${encodeURIComponent(username)}/${biomarkerType}`,
+                    {
+                        headers: { 'Authorization': `Bearer ${token}` },
+                        params: { threshold }
+                    }
+                );
+                setAgreementData(response.data);
+            } catch (err) {
+                console.error('Error fetching sensor agreement:', err);
+                setError(err.response?.data?.error || 'Failed to load sensor agreement');
+                setAgreementData(null);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        if (username && threshold > 0) {
+            fetchAgreement();
+        }
+    }, [username, biomarkerType, threshold]);
+
+    const thresholdInput = (
+        <TextField
+            type="number"
+            label="Divergence threshold (%)"
+            size="small"
+            value={threshold}
+            onChange={(e) => setThreshold(parseFloat(e.target.value) || 0)}
+            inputProps={{ min: 1, step: 1 }}
+            sx={{ width: 200 }}
+        />
+    );
+
+    // Keep the threshold input mounted while reloading so typing isn't interrupted
+    if (loading || error || !agreementData) {
+        return (
+            <Box>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>{thresholdInput}</Box>
+                {loading ? (
+                    <Box display="flex" justifyContent="center" alignItems="center" minHeight="200px">
+                        <CircularProgress />
+                    </Box>
+                ) : error ? (
+                    <Alert severity="error">{error}</Alert>
+                ) : null}
+            </Box>
+        );
+    }
+
+    const { summary, agreement, pairs, divergencePeriods, unit } = agreementData;
+
+    if (!agreement) {
+        return (
+            <Alert severity="info">
+                Sensor agreement needs readings from both channels. Found {summary.sensor1Readings} sensor 1
+                and {summary.sensor2Readings} sensor 2 {biomarkerType} readings, with no pairs
+                within {summary.pairingToleranceMinutes} minutes.
+            </Alert>
+        );
+    }
+
+    // Differences get one more decimal than the readings themselves
+    const decimals = (biomarker?.decimals ?? 2) + 1;
+    const means = pairs.map(p => p.mean);
+    const xMin = Math.min(...means);
+    const xMax = Math.max(...means);
+    const channelMax = Math.max(...pairs.map(p => Math.max(p.sensor1, p.sensor2)));
+    const isDiverging = p => Math.abs(p.percentDifference) > summary.divergenceThresholdPercent;
+
+    const horizontalLine = (y, color, dash) => ({
+        type: 'line',
+        xref: 'x',
+        yref: 'y',
+        x0: xMin,
+        x1: xMax,
+        y0: y,
+        y1: y,
+        line: { color, width: 1.5, dash }
+    });
+
+    const summaryBoxes = [
+        { label: 'Paired Readings', value: summary.pairedReadings },
+        { label: 'MARD Between Channels', value: `${agreement.mard}%` },
+        { label: 'Bias (S1 - S2)', value: `${agreement.bias.toFixed(decimals)} ${unit}` },
+        { label: 'Limits of Agreement', value: `${agreement.lowerLimitOfAgreement.toFixed(decimals)} to ${agreement.upperLimitOfAgreement.toFixed(decimals)}` },
+        { label: 'Correlation (r)', value: agreement.correlation ?? 'N/A' },
+        { label: 'Diverging Pairs', value: `${summary.percentDiverging}%` }
+    ];
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 2 }}>
+                <Typography variant="body2" color="textSecondary">
+                    Readings paired within {summary.pairingToleranceMinutes} minutes. MARD is relative to the mean of both channels.
+                </Typography>
+                {thresholdInput}
+            </Box>
+
+            <Grid container spacing={2} sx={{ mb: 3 }}>
+                {summaryBoxes.map(box => (
+                    <Grid item xs={6} sm={4} md={2} key={box.label}>
+                        <Box sx={{ textAlign: 'center', p: 1.5, border: '1px solid #e0e0e0', borderRadius: 2 }}>
+                            <Typography variant="body2" color="textSecondary" gutterBottom>
+                                {box.label}
+                            </Typography>
+                            <Typography variant="h6" fontWeight="bold" color="primary">
+                                {box.value}
+                            </Typography>
+                        </Box>
+                    </Grid>
+                ))}
+            </Grid>
+
+            <Grid container spacing={3}>
+                {/* Bland-Altman Plot */}
+                <Grid item xs={12} md={6}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">Bland-Altman</Typography>
+                        <Plot
+                            data={[{
+                                x: means,
+                                y: pairs.map(p => p.difference),
+                                type: 'scattergl',
+                                mode: 'markers',
+                                marker: { size: 4, color: pairs.map(p => isDiverging(p) ? '#d32f2f' : '#1976d2'), opacity: 0.6 },
+                                hovertemplate: `Mean %{x:.${decimals}f}<br>Difference %{y:.${decimals}f} ${unit}<extra></extra>`
+                            }]}
+                            layout={{
+                                height: 350,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                xaxis: { title: `Mean of channels (${unit})` },
+                                yaxis: { title: `Sensor 1 - Sensor 2 (${unit})` },
+                                shapes: [
+                                    horizontalLine(agreement.bias, '#333', 'solid'),
+                                    horizontalLine(agreement.upperLimitOfAgreement, '#ff9800', 'dash'),
+                                    horizontalLine(agreement.lowerLimitOfAgreement, '#ff9800', 'dash')
+                                ],
+                                showlegend: false
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* Correlation Plot */}
+                <Grid item xs={12} md={6}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">
+                            Sensor 1 vs Sensor 2 (r = {agreement.correlation ?? 'N/A'})
+                        </Typography>
+                        <Plot
+                            data={[
+                                {
+                                    x: pairs.map(p => p.sensor1),
+                                    y: pairs.map(p => p.sensor2),
+                                    type: 'scattergl',
+                                    mode: 'markers',
+                                    marker: { size: 4, color: '#1976d2', opacity: 0.5 },
+                                    name: 'Pairs'
+                                },
+                                {
+                                    x: [0, channelMax],
+                                    y: [0, channelMax],
+                                    type: 'scatter',
+                                    mode: 'lines',
+                                    line: { color: '#999', dash: 'dot' },
+                                    name: 'Identity',
+                                    hoverinfo: 'skip'
+                                }
+                            ]}
+                            layout={{
+                                height: 350,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                xaxis: { title: `Sensor 1 (${unit})`, range: [0, channelMax * 1.05] },
+                                yaxis: { title: `Sensor 2 (${unit})`, range: [0, channelMax * 1.05] },
+                                showlegend: false
+                            }}
+                            config={{ displayModeBar: false, responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* Channel Traces with divergence periods */}
+                <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" align="center">
+                            Channels Over Time (shaded: divergence &gt; {summary.divergenceThresholdPercent}%)
+                        </Typography>
+                        <Plot
+                            data={[
+                                {
+                                    x: pairs.map(p => new Date(p.timestamp)),
+                                    y: pairs.map(p => p.sensor1),
+                                    type: 'scattergl',
+                                    mode: 'lines',
+                                    name: 'Sensor 1',
+                                    line: { color: '#1976d2', width: 1 }
+                                },
+                                {
+                                    x: pairs.map(p => new Date(p.timestamp)),
+                                    y: pairs.map(p => p.sensor2),
+                                    type: 'scattergl',
+                                    mode: 'lines',
+                                    name: 'Sensor 2',
+                                    line: { color: '#9c27b0', width: 1 }
+                                }
+                            ]}
+                            layout={{
+                                height: 320,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                yaxis: { title: unit },
+                                shapes: divergencePeriods.map(period => ({
+                                    type: 'rect',
+                                    xref: 'x',
+                                    yref: 'paper',
+                                    x0: new Date(period.start),
+                                    x1: new Date(period.end),
+                                    y0: 0,
+                                    y1: 1,
+                                    fillcolor: 'rgba(211, 47, 47, 0.15)',
+                                    line: { width: 0 }
+                                })),
+                                legend: { orientation: 'h', y: -0.2 }
+                            }}
+                            config={{ responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    </Paper>
+                </Grid>
+
+                {/* Divergence Periods */}
+                <Grid item xs={12}>
+                    <Paper variant="outlined" sx={{ p: 2 }}>
+                        <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                            Divergence Periods ({divergencePeriods.length})
+                        </Typography>
+                        {divergencePeriods.length === 0 ? (
+                            <Typography variant="body2" color="textSecondary">
+                                The channels never diverged by more than {summary.divergenceThresholdPercent}%.
+                            </Typography>
+                        ) : (
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Start</TableCell>
+                                        <TableCell>End</TableCell>
+                                        <TableCell align="right">Duration (min)</TableCell>
+                                        <TableCell align="right">Pairs</TableCell>
+                                        <TableCell align="right">Mean Difference (%)</TableCell>
+                                        <TableCell align="right">Max Difference (%)</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {divergencePeriods.map(period => (
+                                        <TableRow key={period.start}>
+                                            <TableCell>{new Date(period.start).toLocaleString()}</TableCell>
+                                            <TableCell>{new Date(period.end).toLocaleString()}</TableCell>
+                                            <TableCell align="right">{period.durationMinutes}</TableCell>
+                                            <TableCell align="right">{period.pairs}</TableCell>
+                                            <TableCell align="right">{period.meanPercentDifference}</TableCell>
+                                            <TableCell align="right">{period.maxPercentDifference}</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </Paper>
+                </Grid>
+            </Grid>
+        </Box>
+    );
+};
+
+export default SensorAgreement;
@@ -0,0 +1,298 @@
+/**
+ * SensorDataExplorer.js
+ *
+ * PURPOSE: Zoomable chart and table of a recording's raw sensor readings that stays fast for multi-week recordings
+ *
+ * FEATURES:
+ * - Overview chart downsampled on the server (LTTB or min/max per bucket)
+ * - Zooming refetches the visible window at full detail (again downsampled if still too dense)
+ * - Readings table for the visible window, fetched a page at a time
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components, MUI X DataGrid for the table
+ * - react-plotly.js for the chart
+ * - /user-sensor-data/:etag or /version-data/:versionId API endpoint (start, end, maxPoints, limit, cursor)
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show an inline error next to the chart or the table, whichever failed (the other stays usable)
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    Button,
+    CircularProgress,
+    ToggleButton,
+    ToggleButtonGroup
+} from '@mui/material';
+import { DataGrid } from '@mui/x-data-grid';
+
+// Points per channel in the chart - about one per horizontal pixel
+const CHART_MAX_POINTS = 1500;
+// Rows fetched per table page
+const TABLE_PAGE_SIZE = 500;
+
+const CHANNEL_COLORS = ['#1976d2', '#64b5f6', '#d32f2f', '#ef9a9a', '#388e3c', '#81c784'];
+
+// Splits a row column (e.g. glucose2) into its biomarker and sensor
+const parseField = (field) => {
+    const match = field.match(/^(.*?)(\d+)$/);
+    return match ? { biomarkerType: match[1], sensor: match[2] } : { biomarkerType: field, sensor: '' };
+};
+
+// Plotly reports zoomed ranges as local wall-clock strings ("2024-01-02 03:04:05.678")
+const parsePlotlyDate = (value) => new Date(typeof value === 'string' ? value.replace(' ', 'T') : value);
+
+const SensorDataExplorer = ({ dataUrl }) => {
+    const biomarkers = useBiomarkers();
+    const [chartData, setChartData] = useState(null);
+    const [chartLoading, setChartLoading] = useState(true);
+    const [chartError, setChartError] = useState(null);
+    const [method, setMethod] = useState('lttb');
+    // Visible time window ({ start, end } ISO strings); null shows the whole recording
+    const [timeWindow, setTimeWindow] = useState(null);
+    const [tableRows, setTableRows] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [tableLoading, setTableLoading] = useState(false);
+    const [tableError, setTableError] = useState(null);
+    // Bumped whenever the table starts over (new window), so a late "load more" response for the old window is dropped
+    const tableGeneration = useRef(0);
+
+    // Chart: the visible window, downsampled on the server
+    useEffect(() => {
+        let cancelled = false;
+        const fetchChartData = async () => {
+            try {
+                setChartLoading(true);
+                setChartError(null);
+                const token = localStorage.getItem('token');
+                const response = await axios.get(`${config.API_URL}${dataUrl}`, {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    params: { maxPoints: CHART_MAX_POINTS, downsample: method, ...timeWindow }
+                });
+                if (!cancelled) setChartData(response.data);
+            } catch (err) {
+                console.error('Error fetching sensor data:', err);
+                if (!cancelled) setChartError(err.response?.data?.error || 'Failed to load sensor data');
+            } finally {
+                if (!cancelled) setChartLoading(false);
+            }
+        };
+
+        if (dataUrl) {
+            fetchChartData();
+        }
+        return () => { cancelled = true; };
+    }, [dataUrl, method, timeWindow]);
+
+    // Table: first page of the visible window at full resolution
+    useEffect(() => {
+        let cancelled = false;
+        tableGeneration.current += 1;
+        const fetchFirstPage = async () => {
+            try {
+                setTableLoading(true);
+                setTableError(null);
+                const token = localStorage.getItem('token');
+                const response = await axios.get(`${config.API_URL}${dataUrl}`, {
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    params: { limit: TABLE_PAGE_SIZE, ...timeWindow }
+                });
+                if (!cancelled) {
+                    setTableRows(response.data.rows);
+                    setNextCursor(response.data.nextCursor);
+                }
+            } catch (err) {
+                console.error('Error fetching sensor readings:', err);
+                if (!cancelled) setTableError(err.response?.data?.error || 'Failed to load sensor readings');
+            } finally {
+                if (!cancelled) setTableLoading(false);
+            }
+        };
+
+        if (dataUrl) {
+            fetchFirstPage();
+        }
+        return () => { cancelled = true; };
+    }, [dataUrl, timeWindow]);
+
+    const loadMoreRows = async () => {
+        const generation = tableGeneration.current;
+        const isCurrent = () => tableGeneration.current === generation;
+        try {
+            setTableLoading(true);
+            setTableError(null);
+            const token = localStorage.getItem('token');
+            const response = await axios.get(`${config.API_URL}${dataUrl}`, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                params: { limit: TABLE_PAGE_SIZE, cursor: nextCursor, ...timeWindow }
+            });
+            if (!isCurrent()) return;
+            setTableRows(prev => [...prev, ...response.data.rows]);
+            setNextCursor(response.data.nextCursor);
+        } catch (err) {
+            console.error('Error fetching sensor readings:', err);
+            if (isCurrent()) setTableError(err.response?.data?.error || 'Failed to load sensor readings');
+        } finally {
+            if (isCurrent()) setTableLoading(false);
+        }
+    };
+
+    const handleRelayout = (event) => {
+        if (event['xaxis.autorange']) {
+            setTimeWindow(null);
+        } else if (event['xaxis.range[0]'] !== undefined && event['xaxis.range[1]'] !== undefined) {
+            setTimeWindow({
+                start: parsePlotlyDate(event['xaxis.range[0]']).toISOString(),
+                end: parsePlotlyDate(event['xaxis.range[1]']).toISOString()
+            });
+        }
+    };
+
+    // Channels with at least one reading, each biomarker on its own y axis (the table's columns if the chart failed)
+    const fields = chartData
+        ? chartData.fields.filter(field => chartData.rows.some(row => row[field] !== undefined))
+        : [...new Set(tableRows.flatMap(row => Object.keys(row)).filter(field => field !== 'timestamp'))];
+    const biomarkerTypes = [...new Set(fields.map(field => parseField(field).biomarkerType))];
+    const axisName = (biomarkerType) => biomarkerTypes.indexOf(biomarkerType) === 0 ? 'y' : `y${biomarkerTypes.indexOf(biomarkerType) + 1}`;
+    const fieldLabel = (field) => {
+        const { biomarkerType, sensor } = parseField(field);
+        return `${biomarkers[biomarkerType]?.label || biomarkerType} ${sensor}`.trim();
+    };
+    const axisTitle = (biomarkerType) => {
+        const entry = biomarkers[biomarkerType];
+        return entry ? `${entry.label} (${entry.canonicalUnit || entry.unit})` : biomarkerType;
+    };
+
+    const traces = !chartData ? [] : fields.map((field, index) => {
+        const points = chartData.rows.filter(row => row[field] !== undefined);
+        return {
+            x: points.map(row => new Date(row.timestamp)),
+            y: points.map(row => row[field]),
+            type: 'scattergl',
+            mode: 'lines',
+            name: fieldLabel(field),
+            yaxis: axisName(parseField(field).biomarkerType),
+            line: { color: CHANNEL_COLORS[index % CHANNEL_COLORS.length], width: 1 }
+        };
+    });
+
+    const layout = {
+        height: 420,
+        margin: { l: 60, r: 60, t: 20, b: 50 },
+        // Keeps the user's zoom while the zoomed window's data is loading
+        uirevision: dataUrl,
+        xaxis: { type: 'date' },
+        legend: { orientation: 'h', y: -0.2 }
+    };
+    biomarkerTypes.forEach((biomarkerType, index) => {
+        const key = index === 0 ? 'yaxis' : `yaxis${index + 1}`;
+        layout[key] = index === 0
+            ? { title: axisTitle(biomarkerType) }
+            : { title: axisTitle(biomarkerType), overlaying: 'y', side: 'right' };
+    });
+
+    const columns = [
+        {
+            field: 'timestamp',
+            headerName: 'Date & Time',
+            width: 220,
+            valueFormatter: (value) => new Date(value).toLocaleString()
+        },
+        ...fields.map(field => ({
+            field,
+            headerName: fieldLabel(field),
+            type: 'number',
+            width: 150,
+            valueFormatter: (value) => value === undefined || value === null ? '' : Number(value.toFixed(3))
+        }))
+    ];
+    const rows = tableRows.map(row => ({ id: row.timestamp, ...row }));
+
+    const downsampling = chartData?.downsampling;
+
+    return (
+        <Box>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 1 }}>
+                <Typography variant="body2" color="text.secondary">
+                    {!chartData ? '' : downsampling?.downsampled
+                        ? `Showing ${downsampling.returnedReadings.toLocaleString()} of ${downsampling.sourceReadings.toLocaleString()} readings - zoom in for more detail`
+                        : `Showing all ${(downsampling?.sourceReadings ?? 0).toLocaleString()} readings`}
+                    {timeWindow && ' in the zoomed window (double-click the chart to reset)'}
+                </Typography>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {chartLoading && <CircularProgress size={20} />}
+                    <ToggleButtonGroup
+                        size="small"
+                        exclusive
+                        value={method}
+                        onChange={(event, value) => value && setMethod(value)}
+                    >
+                        <ToggleButton value="lttb">LTTB</ToggleButton>
+                        <ToggleButton value="minmax">Min/Max</ToggleButton>
+                    </ToggleButtonGroup>
+                </Box>
+            </Box>
+
+            <Paper variant="outlined" sx={{ p: 1, mb: 3 }}>
+                {chartError ? (
+                    <Alert severity="error">{chartError}</Alert>
+                ) : !chartData ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+                        <CircularProgress />
+                    </Box>
+                ) : traces.length > 0 ? (
+                    <Plot
+                        data={traces}
+                        layout={layout}
+                        config={{ displayModeBar: true, responsive: true }}
+                        style={{ width: '100%' }}
+                        onRelayout={handleRelayout}
+                    />
+                ) : (
+                    <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 4 }}>
+                        No readings in this time window.
+                    </Typography>
+                )}
+            </Paper>
+
+            <Typography variant="h6" gutterBottom>
+                Readings
+            </Typography>
+            {tableError && <Alert severity="error" sx={{ mb: 1 }} onClose={() => setTableError(null)}>{tableError}</Alert>}
+            <Paper sx={{ height: 500, width: '100%' }}>
+                <DataGrid
+                    rows={rows}
+                    columns={columns}
+                    loading={tableLoading}
+                    initialState={{
+                        pagination: {
+                            paginationModel: { page: 0, pageSize: 25 },
+                        },
+                    }}
+                    pageSizeOptions={[25, 50, 100]}
+                    disableRowSelectionOnClick
+                />
+            </Paper>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 1 }}>
+                <Typography variant="caption" color="text.secondary">
+                    {rows.length.toLocaleString()} rows loaded{nextCursor ? '' : ' (all in this window)'}
+                </Typography>
+                {nextCursor && (
+                    <Button size="small" onClick={loadMoreRows} disabled={tableLoading}>
+                        Load {TABLE_PAGE_SIZE} more
+                    </Button>
+                )}
+            </Box>
+        </Box>
+    );
+};
+
+export default SensorDataExplorer;
@@ -22,12 +22,23 @@ import {
     styled,
     Chip,
     Stack,
-    Divider
+    Divider,
+    Autocomplete,
+    TextField,
+    Button,
+    Alert
 } from '@mui/material';
-import { DataGrid } from '@mui/x-data-grid';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 
 import AGPReport from './AGPReport';
+import DailyProfilesGrid from './DailyProfilesGrid';
+import SensorAgreement from './SensorAgreement';
+import GlucoseCortisolCoupling from './GlucoseCortisolCoupling';
+import SensorDataExplorer from './SensorDataExplorer';
+import ReferenceCGMPanel from './ReferenceCGMPanel';
+import ReferenceAccuracy from './ReferenceAccuracy';
+import VersionDiff from './VersionDiff';
+import { useBiomarkers } from '../biomarkers';
 
 // Styled components
 const StyledTableCell = styled(TableCell)(({ theme }) => ({
@@ -56,6 +67,9 @@ const StyledTableRow = styled(TableRow)(({ theme }) => ({
     }
 }));
 
+// Points per channel fetched with the sensor data summary (the Sensor Data tab fetches its own detail)
+const SUMMARY_MAX_POINTS = 200;
+
 const UserVersions = () => {
     const [versions, setVersions] = useState([]);
     const [dataVersions, setDataVersions] = useState([]);
@@ -65,6 +79,12 @@ const UserVersions = () => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [currentTab, setCurrentTab] = useState(0);
+    const [dailyProfilesBiomarker, setDailyProfilesBiomarker] = useState('glucose');
+    const [agreementBiomarker, setAgreementBiomarker] = useState('glucose');
+    const biomarkers = useBiomarkers();
+    const [timezoneInput, setTimezoneInput] = useState('');
+    const [timezoneSaving, setTimezoneSaving] = useState(false);
+    const [timezoneMessage, setTimezoneMessage] = useState(null);
     const { username, versionId } = useParams();
     const navigate = useNavigate();
 
@@ -82,7 +102,8 @@ const UserVersions = () => {
                     console.log('Fetching specific version data for versionId:', versionId);
                     try {
                         const versionDataResponse = await axios.get(`${config.API_URL}/version-data/${versionId}`, {
-                            headers: { 'Authorization': `Bearer ${token}` }
+                            headers: { 'Authorization': `Bearer ${token}` },
+                            params: { maxPoints: SUMMARY_MAX_POINTS }
                         });
                         console.log('Version data response:', versionDataResponse.data);
                         setSensorData(versionDataResponse.data);
@@ -102,6 +123,7 @@ const UserVersions = () => {
                 });
 
                 setUserDeviceInfo(deviceInfoResponse.data);
+                setTimezoneInput(deviceInfoResponse.data.device_info?.timezone || '');
 
                 // Fetch personal information
                 try {
@@ -128,7 +150,8 @@ const UserVersions = () => {
                 if (deviceInfoResponse.data.etag) {
                     promises.push(
                         axios.get(`${config.API_URL}/user-sensor-data/${deviceInfoResponse.data.etag}`, {
-                            headers: { 'Authorization': `Bearer ${token}` }
+                            headers: { 'Authorization': `Bearer ${token}` },
+                            params: { maxPoints: SUMMARY_MAX_POINTS }
                         }).catch(err => {
                             console.warn('No sensor data found for etag:', err.response?.data?.error);
                             return { data: null };
@@ -233,6 +256,40 @@ const UserVersions = () => {
         setCurrentTab(newValue);
     };
 
+    // Only admins and doctors can change a patient's timezone
+    const canEditTimezone = (() => {
+        try {
+            const storedUser = JSON.parse(localStorage.getItem('user') || '{}');
+            return !!(storedUser.admin || storedUser.doctor);
+        } catch (error) {
+            return false;
+        }
+    })();
+
+    // IANA timezone names for the timezone picker (empty in older browsers - free text still works)
+    const timezoneOptions = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+    const handleSaveTimezone = async () => {
+        setTimezoneSaving(true);
+        setTimezoneMessage(null);
+        try {
+            const token = localStorage.getItem('token');
+            const response = await axios.post(`${config.API_URL}/user-timezone/${username}`,
+                { timezone: timezoneInput || null },
+                { headers: { 'Authorization': `Bearer ${token}` } }
+            );
+            setUserDeviceInfo(prev => ({
+                ...prev,
+                device_info: { ...prev?.device_info, timezone: response.data.timezone || undefined }
+            }));
+            setTimezoneMessage({ severity: 'success', text: response.data.timezone ? `Timezone set to ${response.data.timezone}` : 'Timezone cleared - server time will be used' });
+        } catch (err) {
+            setTimezoneMessage({ severity: 'error', text: err.response?.data?.error || 'Failed to update timezone' });
+        } finally {
+            setTimezoneSaving(false);
+        }
+    };
+
     const prepareGraphData = () => {
         if (!versions || versions.length === 0) return [];
         return versions.map(version => ({
@@ -247,83 +304,6 @@ const UserVersions = () => {
         }));  // Removed .reverse() to maintain the ascending order
     };
 
-    const prepareSensorTableData = () => {
-        // Handle both current sensor data and version data formats
-        let dataPoints;
-        if (versionId && sensorData?.data_snapshot?.data_points) {
-            // Version data format
-            dataPoints = sensorData.data_snapshot.data_points;
-        } else if (sensorData?.data?.data_points) {
-            // Current sensor data format
-            dataPoints = sensorData.data.data_points;
-        } else {
-            return [];
-        }
-        
-        // Debug: Log the first data point to understand the structure
-        if (dataPoints.length > 0) {
-            console.log('First sensor data point:', dataPoints[0]);
-        }
-        
-        return dataPoints.map((point, index) => {
-            let timestamp;
-            let dateTime;
-            
-            try {
-                // Handle different timestamp formats
-                if (point.timestamp?.$date?.$numberLong) {
-                    timestamp = parseInt(point.timestamp.$date.$numberLong);
-                } else if (point.timestamp?.$date) {
-                    timestamp = new Date(point.timestamp.$date).getTime();
-                } else if (point.timestamp) {
-                    timestamp = new Date(point.timestamp).getTime();
-                } else if (point.time) {
-                    // Use time field if timestamp is not available
-                    const timeValue = point.time?.$numberInt || point.time;
-                    timestamp = parseInt(timeValue) * 1000; // Convert seconds to milliseconds
-                } else {
-                    timestamp = Date.now() + (index * 1000); // Fallback with incremental time
-                }
-                
-                dateTime = new Date(timestamp);
-            } catch (error) {
-                console.warn('Error parsing timestamp for point:', point, error);
-                timestamp = Date.now() + (index * 1000);
-                dateTime = new Date(timestamp);
-            }
-            
-            // Extract sensor values
-            const cortisol1 = point['Cortisol(ng/mL)']?.$numberDouble || point['Cortisol(ng/mL)'];
-            const glucose1 = point['Glucose(mg/dL)']?.$numberDouble || point['Glucose(mg/dL)'];
-            const cortisol2 = point['Cortisol(ng/mL)_2']?.$numberDouble || point['Cortisol(ng/mL)_2'];
-            const glucose2 = point['Glucose(mg/dL)_2']?.$numberDouble || point['Glucose(mg/dL)_2'];
-            
-            return {
-                id: index,
-                reading: index + 1,
-                timestamp: timestamp,
-                dateTime: dateTime.toLocaleString('en-US', {
-                    year: 'numeric',
-                    month: 'short',
-                    day: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit'
-                }),
-                time: dateTime.toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit'
-                }),
-                cortisol1: cortisol1 !== null && cortisol1 !== undefined && !isNaN(cortisol1) ? Number(cortisol1).toFixed(3) : null,
-                glucose1: glucose1 !== null && glucose1 !== undefined && !isNaN(glucose1) ? Number(glucose1).toFixed(2) : null,
-                cortisol2: cortisol2 !== null && cortisol2 !== undefined && !isNaN(cortisol2) ? Number(cortisol2).toFixed(3) : null,
-                glucose2: glucose2 !== null && glucose2 !== undefined && !isNaN(glucose2) ? Number(glucose2).toFixed(2) : null,
-                status: (cortisol1 || cortisol2 || glucose1 || glucose2) ? 'Valid' : 'No Data'
-            };
-        }).sort((a, b) => a.timestamp - b.timestamp);
-    };
-
     if (loading) return (
         <Box display="flex" justifyContent="center" alignItems="center" minHeight="100vh">
             <Typography>Loading...</Typography>
@@ -337,7 +317,14 @@ const UserVersions = () => {
     );
 
     const graphData = prepareGraphData();
-    const sensorTableData = prepareSensorTableData();
+    // Downsampled rows (one per timestamp, a column per biomarker channel) - enough to tell which biomarkers were recorded
+    const sensorRows = sensorData?.rows || [];
+    // The glucose-cortisol view only applies when the device recorded both biomarkers
+    const hasBothBiomarkers = sensorRows.some(row => row.glucose1 !== undefined || row.glucose2 !== undefined) &&
+        sensorRows.some(row => row.cortisol1 !== undefined || row.cortisol2 !== undefined);
+    const sensorDataUrl = versionId
+        ? `/version-data/${versionId}`
+        : userDeviceInfo?.etag ? `/user-sensor-data/${userDeviceInfo.etag}` : null;
 
     return (
         <Container maxWidth={false} sx={{ mb: 4, px: 4 }}>
@@ -365,6 +352,10 @@ const UserVersions = () => {
                     <Tab label="Device Info" />
                     {!versionId && <Tab label="Past Data" />}
                     <Tab label="AGP Report" />
+                    <Tab label="Daily Profiles" />
+                    <Tab label="Sensor Agreement" />
+                    <Tab label="Sensor Data" />
+                    {hasBothBiomarkers && <Tab label="Glucose & Cortisol" />}
                 </Tabs>
 
                 <Box sx={{ mt: 3 }}>
@@ -446,6 +437,39 @@ const UserVersions = () => {
                                                                     <Typography variant="body2" sx={{ fontWeight: 'medium', minWidth: '140px' }}>Epoch:</Typography>
                                                                     <Typography variant="body2" sx={{ textAlign: 'right', fontFamily: 'monospace' }}>{deviceInfo?.epoch || 'N/A'}</Typography>
                                                                 </Box>
+                                                                <Divider />
+                                                                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 0.5 }}>
+                                                                    <Typography variant="body2" sx={{ fontWeight: 'medium', minWidth: '140px' }}>Timezone:</Typography>
+                                                                    <Typography variant="body2" sx={{ textAlign: 'right' }}>{deviceInfo?.timezone || 'Not set (server time)'}</Typography>
+                                                                </Box>
+                                                                {!versionId && canEditTimezone && (
+                                                                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', py: 0.5 }}>
+                                                                        <Autocomplete
+                                                                            freeSolo
+                                                                            size="small"
+                                                                            options={timezoneOptions}
+                                                                            value={timezoneInput}
+                                                                            onInputChange={(event, newValue) => setTimezoneInput(newValue)}
+                                                                            sx={{ flex: 1 }}
+                                                                            renderInput={(params) => (
+                                                                                <TextField {...params} label="Patient timezone" placeholder="e.g. America/New_York" />
+                                                                            )}
+                                                                        />
+                                                                        <Button
+                                                                            variant="contained"
+                                                                            size="small"
+                                                                            onClick={handleSaveTimezone}
+                                                                            disabled={timezoneSaving || timezoneInput === (deviceInfo?.timezone || '')}
+                                                                        >
+                                                                            {timezoneSaving ? 'Saving...' : 'Save'}
+                                                                        </Button>
+                                                                    </Box>
+                                                                )}
+                                                                {timezoneMessage && (
+                                                                    <Alert severity={timezoneMessage.severity} onClose={() => setTimezoneMessage(null)}>
+                                                                        {timezoneMessage.text}
+                                                                    </Alert>
+                                                                )}
                                                                 {!versionId && (
                                                                     <>
                                                                         <Divider />
@@ -491,7 +515,7 @@ const UserVersions = () => {
                                                                         <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', py: 0.5 }}>
                                                                             <Typography variant="body2" sx={{ fontWeight: 'medium', minWidth: '140px' }}>Total Readings:</Typography>
                                                                             <Typography variant="body2" sx={{ textAlign: 'right', fontFamily: 'monospace' }}>
-                                                                                {sensorData?.data_snapshot?.total_readings?.$numberInt || sensorData?.data_snapshot?.data_points?.length || 'N/A'}
+                                                                                {sensorData?.data_snapshot?.total_readings?.$numberInt || sensorData?.dataPointCount || 'N/A'}
                                                                             </Typography>
                                                                         </Box>
                                                                     </>
@@ -574,65 +598,70 @@ const UserVersions = () => {
                             console.log('Has data?', hasData);
                             return hasData;
                         })() ? (
-                            <TableContainer 
-                                component={Paper} 
-                                sx={{ 
-                                    maxHeight: 'calc(100vh - 250px)',
-                                    overflow: 'auto',
-                                    width: '100.3%',
-                                    '& .MuiTable-root': {
-                                        tableLayout: 'fixed',  // Fixed table layout
-                                        width: '100%',  // Full width
-                                        borderCollapse: 'separate',
-                                        borderSpacing: '0',
-                                    }
-                                }}
-                            >
-                                <Table stickyHeader>
-                                    <TableHead>
-                                        <TableRow>
-                                            <StyledTableCell width="15%">Version</StyledTableCell>
-                                            <StyledTableCell width="25%">Date Created</StyledTableCell>
-                                            <StyledTableCell width="20%">Patient ID</StyledTableCell>
-                                            <StyledTableCell width="15%">Total Readings</StyledTableCell>
-                                            <StyledTableCell width="25%">Data Range</StyledTableCell>
-                                        </TableRow>
-                                    </TableHead>
-                                    <TableBody>
-                                        {dataVersions.map((version) => (
-                                            <StyledTableRow 
-                                                key={version._id.$oid || version._id}
-                                                sx={{ 
-                                                    cursor: 'pointer',
-                                                    '&:hover': {
-                                                        backgroundColor: 'action.hover',
-                                                    }
-                                                }}
-                                                onClick={() => {
-                                                    const vId = version._id.$oid || version._id;
-                                                    console.log('Clicking on version, ID:', vId, 'Full version object:', version);
-                                                    navigate(`/user-versions/${username}/version/${vId}`);
-                                                }}
-                                            >
-                                                <StyledTableCell>{version.version_number}</StyledTableCell>
-                                                <StyledTableCell sx={{ whiteSpace: 'nowrap' }}>
-                                                    {formatDate(version.versioned_at)}
-                                                </StyledTableCell>
-                                                <StyledTableCell>{version.patient_id}</StyledTableCell>
-                                                <StyledTableCell align="center">
-                                                    {version.data_snapshot?.total_readings?.$numberInt || version.data_snapshot?.data_points?.length || 'N/A'}
-                                                </StyledTableCell>
-                                                <StyledTableCell>
-                                                    {version.data_snapshot?.start_time && version.data_snapshot?.end_time ? 
-                                                        `${formatDate(version.data_snapshot.start_time)} - ${formatDate(version.data_snapshot.end_time)}` :
-                                                        'N/A'
-                                                    }
-                                                </StyledTableCell>
-                                            </StyledTableRow>
-                                        ))}
-                                    </TableBody>
-                                </Table>
-                            </TableContainer>
+                            <>
+                                <TableContainer 
+                                    component={Paper} 
+                                    sx={{ 
+                                        maxHeight: 'calc(100vh - 250px)',
+                                        overflow: 'auto',
+                                        width: '100.3%',
+                                        '& .MuiTable-root': {
+                                            tableLayout: 'fixed',  // Fixed table layout
+                                            width: '100%',  // Full width
+                                            borderCollapse: 'separate',
+                                            borderSpacing: '0',
+                                        }
+                                    }}
+                                >
+                                    <Table stickyHeader>
+                                        <TableHead>
+                                            <TableRow>
+                                                <StyledTableCell width="15%">Version</StyledTableCell>
+                                                <StyledTableCell width="25%">Date Created</StyledTableCell>
+                                                <StyledTableCell width="20%">Patient ID</StyledTableCell>
+                                                <StyledTableCell width="15%">Total Readings</StyledTableCell>
+                                                <StyledTableCell width="25%">Data Range</StyledTableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {dataVersions.map((version) => (
+                                                <StyledTableRow 
+                                                    key={version._id.$oid || version._id}
+                                                    sx={{ 
+                                                        cursor: 'pointer',
+                                                        '&:hover': {
+                                                            backgroundColor: 'action.hover',
+                                                        }
+                                                    }}
+                                                    onClick={() => {
+                                                        const vId = version._id.$oid || version._id;
+                                                        console.log('Clicking on version, ID:', vId, 'Full version object:', version);
+                                                        navigate(`/user-versions/${username}/version/${vId}`);
+                                                    }}
+                                                >
+                                                    <StyledTableCell>{version.version_number}</StyledTableCell>
+                                                    <StyledTableCell sx={{ whiteSpace: 'nowrap' }}>
+                                                        {formatDate(version.versioned_at)}
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>{version.patient_id}</StyledTableCell>
+                                                    <StyledTableCell align="center">
+                                                        {version.data_snapshot?.total_readings?.$numberInt || version.data_snapshot?.data_points?.length || 'N/A'}
+                                                    </StyledTableCell>
+                                                    <StyledTableCell>
+                                                        {version.data_snapshot?.start_time && version.data_snapshot?.end_time ? 
+                                                            `${formatDate(version.data_snapshot.start_time)} - ${formatDate(version.data_snapshot.end_time)}` :
+                                                            'N/A'
+                                                        }
+                                                    </StyledTableCell>
+                                                </StyledTableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </TableContainer>
+                                {dataVersions.length > 1 && (
+                                    <VersionDiff versions={dataVersions} formatDate={formatDate} />
+                                )}
+                            </>
                         ) : (
                             <Container maxWidth="md">
                                 <Paper sx={{ p: 4, mt: 2 }}>
@@ -647,7 +676,7 @@ const UserVersions = () => {
                         )
                     ) : (currentTab === (versionId ? 1 : 2)) ? (
                         // AGP Report Tab
-                        sensorData && sensorTableData.length > 0 ? (
+                        sensorData && sensorRows.length > 0 ? (
                             <AGPReport 
                                 username={username}
                                 embedMode={true}
@@ -664,6 +693,92 @@ const UserVersions = () => {
                                 </Paper>
                             </Container>
                         )
+                    ) : (currentTab === (versionId ? 2 : 3)) ? (
+                        // Daily Profiles Tab
+                        <Container maxWidth="xl">
+                            <Paper sx={{ p: 3, mt: 2, boxShadow: 1 }}>
+                                <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1, mb: 3 }}>
+                                    {Object.entries(biomarkers).map(([biomarker, entry]) => (
+                                        <Chip
+                                            key={biomarker}
+                                            label={entry.label}
+                                            color={dailyProfilesBiomarker === biomarker ? 'primary' : 'default'}
+                                            variant={dailyProfilesBiomarker === biomarker ? 'filled' : 'outlined'}
+                                            onClick={() => setDailyProfilesBiomarker(biomarker)}
+                                        />
+                                    ))}
+                                </Box>
+                                <DailyProfilesGrid
+                                    username={username}
+                                    biomarkerType={dailyProfilesBiomarker}
+                                />
+                            </Paper>
+                        </Container>
+                    ) : (currentTab === (versionId ? 3 : 4)) ? (
+                        // Sensor Agreement Tab
+                        <Container maxWidth="xl">
+                            <Paper sx={{ p: 3, mt: 2, boxShadow: 1 }}>
+                                <Typography variant="h5" gutterBottom align="center" sx={{ mb: 2, fontWeight: 'bold' }}>
+                                    Sensor Agreement
+                                </Typography>
+                                <Box sx={{ display: 'flex', justifyContent: 'center', gap: 1, mb: 3 }}>
+                                    {Object.entries(biomarkers).map(([biomarker, entry]) => (
+                                        <Chip
+                                            key={biomarker}
+                                            label={entry.label}
+                                            color={agreementBiomarker === biomarker ? 'primary' : 'default'}
+                                            variant={agreementBiomarker === biomarker ? 'filled' : 'outlined'}
+                                            onClick={() => setAgreementBiomarker(biomarker)}
+                                        />
+                                    ))}
+                                </Box>
+                                <SensorAgreement
+                                    username={username}
+                                    biomarkerType={agreementBiomarker}
+                                />
+                            </Paper>
+                            {/* Accuracy against fingerstick/lab values, paired with the current data (not shown for past versions) */}
+                            {!versionId && (
+                                <Paper sx={{ p: 3, mt: 3, boxShadow: 1 }}>
+                                    <ReferenceAccuracy
+                                        username={username}
+                                        biomarkerType={agreementBiomarker}
+                                    />
+                                </Paper>
+                            )}
+                        </Container>
+                    ) : (currentTab === (versionId ? 4 : 5)) ? (
+                        // Sensor Data Tab
+                        <Container maxWidth="xl">
+                            <Paper sx={{ p: 3, mt: 2, boxShadow: 1 }}>
+                                <Typography variant="h5" gutterBottom align="center" sx={{ mb: 2, fontWeight: 'bold' }}>
+                                    Sensor Data
+                                </Typography>
+                                {sensorDataUrl ? (
+                                    <SensorDataExplorer dataUrl={sensorDataUrl} />
+                                ) : (
+                                    <Typography variant="body2" align="center" color="text.secondary">
+                                        No sensor data available for this user.
+                                    </Typography>
+                                )}
+                            </Paper>
+                            {/* Reference CGM plotted against the current data (not shown for past versions) */}
+                            {!versionId && (
+                                <Box sx={{ mt: 3 }}>
+                                    <ReferenceCGMPanel username={username} />
+                                </Box>
+                            )}
+                        </Container>
+                    ) : (hasBothBiomarkers && currentTab === (versionId ? 5 : 6)) ? (
+                        // Glucose & Cortisol Tab
+                        <Container maxWidth="xl">
+                            <Paper sx={{ p: 3, mt: 2, boxShadow: 1 }}>
+                                <Typography variant="h5" gutterBottom align="center" sx={{ mb: 2, fontWeight: 'bold' }}>
+                                    Glucose & Cortisol Coupling
+                                </Typography>
+                                <GlucoseCortisolCoupling username={username} />
+                            </Paper>
+                        </Container>
                     ) : null}
                 </Box>
             </Box>
@@ -0,0 +1,350 @@
+/**
+ * VersionDiff.js
+ *
+ * PURPOSE: Shows what changed between two data versions of a patient
+ *
+ * FEATURES:
+ * - Any two versions can be picked (defaults to the newest version against the one before it)
+ * - Added, removed and changed readings per biomarker and sensor, with the first changes listed
+ * - Changed device_info fields
+ * - Shift of the headline statistics (time in range, mean, CV) from the earlier version to the later one
+ * - Overlaid time series of both versions with the changed segments shaded
+ *
+ * DEPENDENCIES:
+ * - Material-UI for layout components
+ * - react-plotly.js for the overlay chart
+ * - /version-diff/:versionId/:otherVersionId API endpoint
+ *
+ * ERROR HANDLING:
+ * - [MEDIUM] API failures show the server's message inline
+ */
+
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import Plot from 'react-plotly.js';
+import config from '../config';
+import { useBiomarkers } from '../biomarkers';
+import {
+    Box,
+    Paper,
+    Typography,
+    Alert,
+    Chip,
+    CircularProgress,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    ToggleButton,
+    ToggleButtonGroup,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow
+} from '@mui/material';
+
+// Overlay points per version - about one per horizontal pixel
+const CHART_MAX_POINTS = 1500;
+
+const BEFORE_COLOR = '#9e9e9e';
+const AFTER_COLOR = '#1976d2';
+const SEGMENT_COLOR = '#ef6c00';
+
+const CHANGE_COLORS = { added: 'success', removed: 'error', changed: 'warning' };
+
+// Half the width given to a segment with a single changed reading, so it still shows in the chart
+const SEGMENT_PADDING_MS = 2.5 * 60000;
+
+const versionIdOf = (version) => version._id.$oid || version._id;
+
+// Statistics compared between the versions; the in-range key depends on the biomarker's statistics type
+const getStatisticRows = (biomarker) => [
+    {
+        key: biomarker.statistics === 'glycemic' ? 'percentBetween70And180' : 'percentBetween10And30',
+        label: `Time in ${biomarker.inRangeCategory} range`,
+        unit: '%',
+        decimals: 1
+    },
+    { key: 'average', label: 'Mean', unit: biomarker.unit, decimals: biomarker.decimals ?? 2 },
+    { key: 'coefficientOfVariationPercentage', label: 'CV', unit: '%', decimals: 1 }
+];
+
+const formatNumber = (value, decimals) => (typeof value === 'number' ? value.toFixed(decimals) : '-');
+
+const formatDelta = (value, decimals) => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(decimals)}` : '-');
+
+const formatField = (value) => {
+    if (value === null || value === undefined) return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// versions: the patient's data versions (newest first); formatDate: formats a version's versioned_at
+const VersionDiff = ({ versions, formatDate }) => {
+    const biomarkers = useBiomarkers();
+    const [beforeId, setBeforeId] = useState(versions[1] ? versionIdOf(versions[1]) : '');
+    const [afterId, setAfterId] = useState(versions[0] ? versionIdOf(versions[0]) : '');
+    const [biomarkerType, setBiomarkerType] = useState('glucose');
+    const [diff, setDiff] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!beforeId || !afterId || beforeId === afterId) {
+            setDiff(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        const fetchDiff = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await axios.get(`${config.API_URL}/version-diff/${beforeId}/${afterId}`, {
+                    headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+                    params: { biomarker: biomarkerType, maxPoints: CHART_MAX_POINTS }
+                });
+                if (!cancelled) setDiff(response.data);
+            } catch (err) {
+                console.error('Error comparing data versions:', err);
+                if (!cancelled) {
+                    setError(err.response?.data?.error || 'Failed to compare the versions');
+                    setDiff(null);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchDiff();
+        return () => { cancelled = true; };
+    }, [beforeId, afterId, biomarkerType]);
+
+    const biomarker = biomarkers[biomarkerType] || biomarkers.glucose;
+    const result = diff?.biomarkers[0];
+
+    const describeOption = (version) => `Version ${version.version_number} · ${formatDate(version.versioned_at)}`;
+
+    const renderVersionSelect = (label, value, onChange) => (
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+            <InputLabel>{label}</InputLabel>
+            <Select value={value} label={label} onChange={(e) => onChange(e.target.value)}>
+                {versions.map(version => (
+                    <MenuItem key={versionIdOf(version)} value={versionIdOf(version)}>{describeOption(version)}</MenuItem>
+                ))}
+            </Select>
+        </FormControl>
+    );
+
+    const traces = result ? [
+        {
+            x: result.overlay.before.map(point => new Date(point.timestamp)),
+            y: result.overlay.before.map(point => point.value),
+            type: 'scattergl',
+            mode: 'lines',
+            name: `Version ${diff.before.versionNumber}`,
+            line: { color: BEFORE_COLOR, width: 2 }
+        },
+        {
+            x: result.overlay.after.map(point => new Date(point.timestamp)),
+            y: result.overlay.after.map(point => point.value),
+            type: 'scattergl',
+            mode: 'lines',
+            name: `Version ${diff.after.versionNumber}`,
+            line: { color: AFTER_COLOR, width: 1 }
+        }
+    ] : [];
+
+    const segmentShapes = result ? result.segments.map(segment => ({
+        type: 'rect',
+        xref: 'x',
+        yref: 'paper',
+        x0: new Date(new Date(segment.start).getTime() - SEGMENT_PADDING_MS),
+        x1: new Date(new Date(segment.end).getTime() + SEGMENT_PADDING_MS),
+        y0: 0,
+        y1: 1,
+        fillcolor: SEGMENT_COLOR,
+        opacity: 0.15,
+        line: { width: 0 },
+        layer: 'below'
+    })) : [];
+
+    return (
+        <Paper sx={{ p: 3, mt: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+                <Box>
+                    <Typography variant="h6">Compare Versions</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                        Changes from the earlier version to the later one
+                    </Typography>
+                </Box>
+                <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={biomarkerType}
+                    onChange={(event, value) => value && setBiomarkerType(value)}
+                >
+                    {Object.entries(biomarkers).map(([type, entry]) => (
+                        <ToggleButton key={type} value={type}>{entry.label}</ToggleButton>
+                    ))}
+                </ToggleButtonGroup>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap', mb: 2 }}>
+                {renderVersionSelect('Earlier version', beforeId, setBeforeId)}
+                {renderVersionSelect('Later version', afterId, setAfterId)}
+            </Box>
+
+            {beforeId === afterId && (
+                <Alert severity="info" sx={{ mb: 2 }}>Pick two different versions to compare.</Alert>
+            )}
+            {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+            {loading ? (
+                <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+                    <CircularProgress />
+                </Box>
+            ) : result && (
+                <>
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center', mb: 1 }}>
+                        {Object.entries(CHANGE_COLORS).map(([type, color]) => (
+                            <Chip key={type} size="small" color={color} label={`${result.counts[type]} ${type}`} />
+                        ))}
+                        <Chip size="small" variant="outlined" label={`${result.counts.unchanged} unchanged`} />
+                        <Typography variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                            {result.segments.length} changed segment{result.segments.length === 1 ? '' : 's'}
+                        </Typography>
+                    </Box>
+                    {result.sensors.length > 0 && (
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                            {result.sensors.map(sensor =>
+                                `Sensor ${sensor.sensor}: ${sensor.added} added, ${sensor.removed} removed, ${sensor.changed} changed`).join(' · ')}
+                        </Typography>
+                    )}
+
+                    {result.overlay.before.length + result.overlay.after.length > 0 ? (
+                        <Plot
+                            data={traces}
+                            layout={{
+                                height: 400,
+                                margin: { l: 60, r: 20, t: 20, b: 50 },
+                                xaxis: { type: 'date' },
+                                yaxis: { title: `${biomarker.label} (${result.unit})` },
+                                legend: { orientation: 'h', y: -0.2 },
+                                shapes: segmentShapes
+                            }}
+                            config={{ displayModeBar: true, responsive: true }}
+                            style={{ width: '100%' }}
+                        />
+                    ) : (
+                        <Typography variant="body2" color="text.secondary" align="center" sx={{ p: 4 }}>
+                            Neither version has {biomarker.label.toLowerCase()} readings.
+                        </Typography>
+                    )}
+
+                    <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', mt: 2 }}>
+                        <Box sx={{ flex: '1 1 320px' }}>
+                            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                                Statistics
+                            </Typography>
+                            <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+                                <Table size="small">
+                                    <TableHead>
+                                        <TableRow>
+                                            <TableCell sx={{ fontWeight: 'bold' }}>Metric</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Version {diff.before.versionNumber}</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Version {diff.after.versionNumber}</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Change</TableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {getStatisticRows(biomarker).map(row => (
+                                            <TableRow key={row.key}>
+                                                <TableCell>{row.label} ({row.unit})</TableCell>
+                                                <TableCell align="right">{formatNumber(result.statistics.before?.[row.key], row.decimals)}</TableCell>
+                                                <TableCell align="right">{formatNumber(result.statistics.after?.[row.key], row.decimals)}</TableCell>
+                                                <TableCell align="right">{formatDelta(result.statistics.deltas?.[row.key], row.decimals)}</TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </Paper>
+                        </Box>
+                        <Box sx={{ flex: '1 1 320px' }}>
+                            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                                Device Information
+                            </Typography>
+                            {diff.deviceInfo.length > 0 ? (
+                                <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+                                    <Table size="small">
+                                        <TableHead>
+                                            <TableRow>
+                                                <TableCell sx={{ fontWeight: 'bold' }}>Field</TableCell>
+                                                <TableCell sx={{ fontWeight: 'bold' }}>Version {diff.before.versionNumber}</TableCell>
+                                                <TableCell sx={{ fontWeight: 'bold' }}>Version {diff.after.versionNumber}</TableCell>
+                                            </TableRow>
+                                        </TableHead>
+                                        <TableBody>
+                                            {diff.deviceInfo.map(change => (
+                                                <TableRow key={change.field}>
+                                                    <TableCell>{change.field}</TableCell>
+                                                    <TableCell>{formatField(change.before)}</TableCell>
+                                                    <TableCell>{formatField(change.after)}</TableCell>
+                                                </TableRow>
+                                            ))}
+                                        </TableBody>
+                                    </Table>
+                                </Paper>
+                            ) : (
+                                <Typography variant="body2" color="text.secondary">
+                                    No device information fields changed.
+                                </Typography>
+                            )}
+                        </Box>
+                    </Box>
+
+                    {result.changes.length > 0 && (
+                        <Box sx={{ mt: 3 }}>
+                            <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+                                Changed Readings
+                            </Typography>
+                            {result.truncated && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                                    Showing the first {result.changes.length} changes; the counts and segments above cover all of them.
+                                </Typography>
+                            )}
+                            <Paper variant="outlined" sx={{ maxHeight: 320, overflow: 'auto' }}>
+                                <Table size="small" stickyHeader>
+                                    <TableHead>
+                                        <TableRow>
+                                            <TableCell sx={{ fontWeight: 'bold' }}>Time</TableCell>
+                                            <TableCell sx={{ fontWeight: 'bold' }}>Sensor</TableCell>
+                                            <TableCell sx={{ fontWeight: 'bold' }}>Change</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>Before ({result.unit})</TableCell>
+                                            <TableCell align="right" sx={{ fontWeight: 'bold' }}>After ({result.unit})</TableCell>
+                                        </TableRow>
+                                    </TableHead>
+                                    <TableBody>
+                                        {result.changes.map(change => (
+                                            <TableRow key={`${change.sensor}-${change.timestamp}`}>
+                                                <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(change.timestamp).toLocaleString()}</TableCell>
+                                                <TableCell>{change.sensor}</TableCell>
+                                                <TableCell>
+                                                    <Chip size="small" variant="outlined" color={CHANGE_COLORS[change.type]} label={change.type} />
+                                                </TableCell>
+                                                <TableCell align="right">{formatNumber(change.before, biomarker.decimals ?? 2)}</TableCell>
+                                                <TableCell align="right">{formatNumber(change.after, biomarker.decimals ?? 2)}</TableCell>
+                                            </TableRow>
+                                        ))}
+                                    </TableBody>
+                                </Table>
+                            </Paper>
+                        </Box>
+                    )}
+                </>
+            )}
+        </Paper>
+    );
+};
+
+export default VersionDiff;